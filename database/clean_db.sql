@@ -15,10 +15,14 @@ DROP TABLE IF EXISTS game_categories CASCADE;
 DROP VIEW IF EXISTS game_stats CASCADE;
 DROP VIEW IF EXISTS customer_order_summary CASCADE;
 DROP VIEW IF EXISTS order_details CASCADE;
+DROP MATERIALIZED VIEW IF EXISTS game_search_terms CASCADE;
 
 -- Drop functions
 DROP FUNCTION IF EXISTS update_updated_at_column() CASCADE;
 DROP FUNCTION IF EXISTS create_order_status_history() CASCADE;
+DROP FUNCTION IF EXISTS update_games_search_vector() CASCADE;
+DROP FUNCTION IF EXISTS game_search_vector(TEXT, TEXT[], TEXT, TEXT) CASCADE;
+DROP FUNCTION IF EXISTS refresh_game_search_terms() CASCADE;
 
 -- Confirmation message
 SELECT 'Database cleaned successfully' as status;
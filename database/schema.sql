@@ -10,6 +10,9 @@
 -- Enable UUID extension for unique identifiers
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
+-- Enable trigram matching for typo-tolerant search suggestions
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
 -- =====================================================
 -- GAME SERVICE TABLES
 -- =====================================================
@@ -26,14 +29,18 @@ CREATE TABLE games (
     tags TEXT[], -- PostgreSQL array for tags
     image_url VARCHAR(500),
     release_date DATE,
-    rating DECIMAL(3, 2) DEFAULT 0.0, -- Rating out of 5.0
+    rating DECIMAL(3, 2) DEFAULT 0.0, -- Average review rating out of 5.0, recalculated by game-service on review changes
     is_featured BOOLEAN DEFAULT FALSE,
     is_trending BOOLEAN DEFAULT FALSE,
     stock_quantity INTEGER DEFAULT 0,
     developer VARCHAR(200),
     publisher VARCHAR(200),
     platform VARCHAR(100) DEFAULT 'PC',
+    is_digital BOOLEAN DEFAULT FALSE, -- Digital games are not shipped and use the digital tax rate
     system_requirements JSONB, -- Store as JSON
+    is_archived BOOLEAN DEFAULT FALSE, -- Archived games are hidden from the catalog but stay resolvable for order history
+    archived_at TIMESTAMP,
+    search_vector TSVECTOR, -- Weighted search document, maintained by the update_games_search_vector trigger
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -49,12 +56,32 @@ CREATE TABLE game_categories (
 -- Game reviews table
 CREATE TABLE game_reviews (
     id SERIAL PRIMARY KEY,
-    review_id UUID DEFAULT uuid_generate_v4(),
+    review_id UUID UNIQUE NOT NULL DEFAULT uuid_generate_v4(),
     game_id VARCHAR(50) REFERENCES games(game_id) ON DELETE CASCADE,
     user_id VARCHAR(100) NOT NULL,
     rating INTEGER CHECK (rating >= 1 AND rating <= 5),
     review_text TEXT,
-    is_verified_purchase BOOLEAN DEFAULT FALSE,
+    is_verified_purchase BOOLEAN DEFAULT FALSE, -- The reviewer has a delivered order containing the game
+    status VARCHAR(20) CHECK (status IN ('pending', 'approved', 'rejected')) DEFAULT 'pending', -- Only approved reviews are public
+    moderation_score INTEGER DEFAULT 0 CHECK (moderation_score BETWEEN 0 AND 100), -- Automated check score, higher is more suspicious
+    moderation_flags JSONB DEFAULT '[]', -- [{ check, score, detail }] from the automated checks
+    moderation_reason VARCHAR(30) CHECK (moderation_reason IN ('spam', 'offensive', 'off_topic', 'personal_information', 'not_genuine', 'other')),
+    moderation_note TEXT,
+    moderated_by VARCHAR(100), -- customer_id of the moderator
+    moderated_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Exchange rates from the base currency of catalog prices (USD) to the other
+-- currencies shoppers can pay in. rate = units of currency per 1 USD; prices
+-- are converted at this rate and rounded half-up to the minor unit.
+CREATE TABLE exchange_rates (
+    id SERIAL PRIMARY KEY,
+    currency CHAR(3) UNIQUE NOT NULL,
+    rate DECIMAL(18, 8) NOT NULL CHECK (rate > 0),
+    symbol VARCHAR(10) NOT NULL,
+    is_active BOOLEAN DEFAULT TRUE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -72,11 +99,41 @@ CREATE TABLE customers (
     email VARCHAR(255) UNIQUE NOT NULL,
     phone VARCHAR(20),
     date_of_birth DATE,
+    password_hash VARCHAR(255), -- NULL for customers without a login (e.g. guest or admin-created records)
+    anonymized_at TIMESTAMP, -- Set when the customer was deleted (personal data erased, orders kept)
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Customer addresses table
+-- Role assignments for authenticated customers
+CREATE TABLE user_roles (
+    id SERIAL PRIMARY KEY,
+    customer_id VARCHAR(100) REFERENCES customers(customer_id) ON DELETE CASCADE,
+    role VARCHAR(30) NOT NULL CHECK (role IN ('customer', 'support', 'catalog-manager', 'analyst', 'admin')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (customer_id, role)
+);
+
+-- Refresh tokens (stored as SHA-256 hashes, rotated on every refresh)
+CREATE TABLE refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    token_id UUID DEFAULT uuid_generate_v4() UNIQUE,
+    customer_id VARCHAR(100) REFERENCES customers(customer_id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Access tokens revoked before expiry (logout); rows can be purged after expires_at
+CREATE TABLE revoked_tokens (
+    jti UUID PRIMARY KEY,
+    customer_id VARCHAR(100),
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Customer address book (orders reference these rows, so addresses used by orders are archived, not changed)
 CREATE TABLE customer_addresses (
     id SERIAL PRIMARY KEY,
     address_id UUID DEFAULT uuid_generate_v4() UNIQUE,
@@ -91,7 +148,8 @@ CREATE TABLE customer_addresses (
     state_province VARCHAR(100),
     postal_code VARCHAR(20) NOT NULL,
     country VARCHAR(100) NOT NULL DEFAULT 'Sri Lanka',
-    is_default BOOLEAN DEFAULT FALSE,
+    is_default BOOLEAN DEFAULT FALSE, -- One default per customer and address_type
+    is_archived BOOLEAN DEFAULT FALSE, -- Removed from the address book but still used by orders
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -101,14 +159,16 @@ CREATE TABLE orders (
     id SERIAL PRIMARY KEY,
     order_id UUID DEFAULT uuid_generate_v4() UNIQUE,
     customer_id VARCHAR(100) REFERENCES customers(customer_id) ON DELETE SET NULL,
-    order_status VARCHAR(20) CHECK (order_status IN ('pending', 'confirmed', 'shipped', 'delivered', 'cancelled')) DEFAULT 'pending',
+    order_status VARCHAR(20) CHECK (order_status IN ('pending', 'confirmed', 'shipped', 'delivered', 'cancelled', 'refunded')) DEFAULT 'pending',
     total_amount DECIMAL(10, 2) NOT NULL,
     subtotal DECIMAL(10, 2) NOT NULL,
     tax_amount DECIMAL(10, 2) DEFAULT 0.00,
     shipping_cost DECIMAL(10, 2) DEFAULT 0.00,
     discount_amount DECIMAL(10, 2) DEFAULT 0.00,
+    currency CHAR(3) NOT NULL DEFAULT 'USD',
+    fx_rate DECIMAL(18, 8) NOT NULL DEFAULT 1 CHECK (fx_rate > 0), -- exchange_rates.rate when the order was placed
     payment_method VARCHAR(50) CHECK (payment_method IN ('credit_card', 'debit_card', 'paypal', 'bank_transfer')),
-    payment_status VARCHAR(20) CHECK (payment_status IN ('pending', 'paid', 'failed', 'refunded')) DEFAULT 'pending',
+    payment_status VARCHAR(20) CHECK (payment_status IN ('pending', 'authorized', 'paid', 'failed', 'voided', 'refunded')) DEFAULT 'pending',
     shipping_address_id UUID,
     billing_address_id UUID,
     order_notes TEXT,
@@ -143,6 +203,171 @@ CREATE TABLE order_status_history (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Payments table (one row per provider payment attempt)
+CREATE TABLE payments (
+    id SERIAL PRIMARY KEY,
+    payment_id UUID DEFAULT uuid_generate_v4() UNIQUE,
+    order_id UUID REFERENCES orders(order_id) ON DELETE CASCADE,
+    provider VARCHAR(30) NOT NULL,
+    provider_reference VARCHAR(255),
+    status VARCHAR(20) CHECK (status IN ('pending', 'authorized', 'captured', 'voided', 'refunded', 'failed')) DEFAULT 'pending',
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount >= 0),
+    currency CHAR(3) DEFAULT 'USD',
+    failure_reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(provider, provider_reference)
+);
+
+-- Refunds of captured payments, for the whole order or per order item (amounts in the order currency).
+-- refund_type 'full' refunds everything not refunded before, including shipping.
+CREATE TABLE refunds (
+    id SERIAL PRIMARY KEY,
+    refund_id UUID DEFAULT uuid_generate_v4() UNIQUE,
+    order_id UUID REFERENCES orders(order_id) ON DELETE CASCADE,
+    payment_id UUID REFERENCES payments(payment_id) ON DELETE SET NULL,
+    refund_type VARCHAR(20) NOT NULL CHECK (refund_type IN ('full', 'partial')),
+    status VARCHAR(20) CHECK (status IN ('pending', 'succeeded', 'failed')) DEFAULT 'pending',
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount >= 0),
+    shipping_amount DECIMAL(10, 2) NOT NULL DEFAULT 0.00 CHECK (shipping_amount >= 0),
+    currency CHAR(3) NOT NULL DEFAULT 'USD',
+    reason VARCHAR(30) NOT NULL CHECK (reason IN ('customer_request', 'damaged', 'defective', 'wrong_item', 'not_received', 'duplicate', 'fraudulent', 'other')),
+    note TEXT,
+    failure_reason TEXT,
+    provider_reference VARCHAR(255) UNIQUE, -- the provider's refund id; pending refunds are settled by webhook
+    created_by VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Refunded units per order item; restocked is set once the stock has been returned
+CREATE TABLE refund_items (
+    id SERIAL PRIMARY KEY,
+    refund_id UUID REFERENCES refunds(refund_id) ON DELETE CASCADE,
+    order_item_id INTEGER REFERENCES order_items(id) ON DELETE CASCADE,
+    game_id VARCHAR(50),
+    quantity INTEGER NOT NULL CHECK (quantity >= 1),
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount >= 0),
+    restock BOOLEAN DEFAULT TRUE,
+    restocked BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Idempotency keys for mutating order-service requests (stored responses are replayed on retries)
+CREATE TABLE idempotency_keys (
+    id SERIAL PRIMARY KEY,
+    scope VARCHAR(120) NOT NULL, -- 'customer:<customer_id>' or 'anonymous:<request fingerprint>'
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_fingerprint VARCHAR(64) NOT NULL,
+    response_status INTEGER,
+    response_body JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    UNIQUE(scope, idempotency_key)
+);
+
+-- Processed payment provider webhooks (deduplicated by provider event id)
+CREATE TABLE payment_webhook_events (
+    id SERIAL PRIMARY KEY,
+    provider VARCHAR(30) NOT NULL,
+    event_id VARCHAR(255) NOT NULL,
+    payment_id UUID REFERENCES payments(payment_id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL,
+    payload JSONB,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(provider, event_id)
+);
+
+-- Tax rules by destination ('*' is the default rule for unknown or unlisted destinations).
+-- Rates are fractions (0.0800 = 8%); region matches customer_addresses.state_province.
+CREATE TABLE tax_rates (
+    id SERIAL PRIMARY KEY,
+    country VARCHAR(100) NOT NULL,
+    region VARCHAR(100), -- NULL = whole country
+    physical_rate DECIMAL(6, 4) NOT NULL CHECK (physical_rate >= 0 AND physical_rate < 1),
+    digital_rate DECIMAL(6, 4) NOT NULL CHECK (digital_rate >= 0 AND digital_rate < 1),
+    applies_to_shipping BOOLEAN DEFAULT FALSE,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Shipping zones for physical games ('*' in countries marks the fallback zone)
+CREATE TABLE shipping_zones (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    countries TEXT[] NOT NULL,
+    flat_rate DECIMAL(10, 2) NOT NULL CHECK (flat_rate >= 0),
+    per_item_rate DECIMAL(10, 2) DEFAULT 0.00 CHECK (per_item_rate >= 0),
+    free_shipping_threshold DECIMAL(10, 2), -- NULL = never free
+    estimated_days INTEGER NOT NULL DEFAULT 5 CHECK (estimated_days >= 0),
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Promotions: coupons (by code), automatic category and bundle discounts, and scheduled sales
+CREATE TABLE promotions (
+    id SERIAL PRIMARY KEY,
+    promotion_id UUID DEFAULT uuid_generate_v4() UNIQUE,
+    name VARCHAR(200) NOT NULL,
+    description TEXT,
+    promotion_type VARCHAR(20) NOT NULL CHECK (promotion_type IN ('coupon', 'category', 'bundle', 'sale')),
+    code VARCHAR(50) UNIQUE, -- Coupons only, stored upper-case
+    discount_type VARCHAR(20) NOT NULL CHECK (discount_type IN ('percentage', 'fixed')),
+    discount_value DECIMAL(10, 2) NOT NULL CHECK (discount_value > 0),
+    min_spend DECIMAL(10, 2) DEFAULT 0.00,
+    category VARCHAR(100), -- Category promotions, category-restricted coupons and category sales
+    game_ids TEXT[], -- Bundle contents or games on sale
+    max_uses INTEGER CHECK (max_uses > 0), -- NULL = unlimited
+    per_customer_limit INTEGER CHECK (per_customer_limit > 0), -- NULL = unlimited
+    starts_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    ends_at TIMESTAMP,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (ends_at IS NULL OR ends_at > starts_at)
+);
+
+-- Promotions applied to orders (usage limits ignore cancelled orders)
+CREATE TABLE promotion_redemptions (
+    id SERIAL PRIMARY KEY,
+    promotion_id UUID REFERENCES promotions(promotion_id) ON DELETE CASCADE,
+    order_id UUID REFERENCES orders(order_id) ON DELETE CASCADE,
+    customer_id VARCHAR(100),
+    code VARCHAR(50),
+    discount_amount DECIMAL(10, 2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(promotion_id, order_id)
+);
+
+-- Shopping carts (anonymous carts have no customer_id until they are merged on login).
+-- Inactive carts are kept for abandonment analysis rather than deleted.
+CREATE TABLE carts (
+    id SERIAL PRIMARY KEY,
+    cart_id UUID DEFAULT uuid_generate_v4() UNIQUE,
+    customer_id VARCHAR(100) REFERENCES customers(customer_id) ON DELETE CASCADE,
+    status VARCHAR(20) CHECK (status IN ('active', 'merged', 'converted', 'expired')) DEFAULT 'active',
+    merged_into UUID REFERENCES carts(cart_id) ON DELETE SET NULL,
+    converted_order_id UUID REFERENCES orders(order_id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL
+);
+
+-- Cart lines; unit_price is the effective price when the line was last added or changed
+CREATE TABLE cart_items (
+    id SERIAL PRIMARY KEY,
+    cart_id UUID REFERENCES carts(cart_id) ON DELETE CASCADE,
+    game_id VARCHAR(50) REFERENCES games(game_id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity >= 1),
+    unit_price DECIMAL(10, 2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(cart_id, game_id)
+);
+
 -- Add foreign key constraints for orders table
 ALTER TABLE orders 
 ADD CONSTRAINT fk_orders_shipping_address 
@@ -161,18 +386,40 @@ CREATE INDEX idx_games_category ON games(category);
 CREATE INDEX idx_games_price ON games(price);
 CREATE INDEX idx_games_featured ON games(is_featured);
 CREATE INDEX idx_games_trending ON games(is_trending);
-CREATE INDEX idx_games_name_search ON games USING gin(to_tsvector('english', name || ' ' || description));
+CREATE INDEX idx_games_archived ON games(is_archived);
+CREATE INDEX idx_games_search_vector ON games USING gin(search_vector);
 CREATE INDEX idx_game_reviews_game_id ON game_reviews(game_id);
 CREATE INDEX idx_game_reviews_rating ON game_reviews(rating);
+CREATE UNIQUE INDEX idx_game_reviews_game_user ON game_reviews(game_id, user_id); -- One review per customer and game
+CREATE INDEX idx_game_reviews_moderation ON game_reviews(status, moderation_score DESC, created_at);
+CREATE INDEX idx_game_reviews_user_created_at ON game_reviews(user_id, created_at);
 
 -- Order Service indexes
 CREATE INDEX idx_orders_customer_id ON orders(customer_id);
 CREATE INDEX idx_orders_status ON orders(order_status);
 CREATE INDEX idx_orders_created_at ON orders(created_at);
 CREATE INDEX idx_orders_total_amount ON orders(total_amount);
+CREATE INDEX idx_orders_shipping_address_id ON orders(shipping_address_id);
+CREATE INDEX idx_orders_billing_address_id ON orders(billing_address_id);
 CREATE INDEX idx_order_items_order_id ON order_items(order_id);
 CREATE INDEX idx_order_items_game_id ON order_items(game_id);
+CREATE INDEX idx_order_status_history_order_id ON order_status_history(order_id);
+CREATE INDEX idx_payments_order_id ON payments(order_id);
+CREATE INDEX idx_refunds_order_id ON refunds(order_id, status);
+CREATE INDEX idx_refund_items_order_item_id ON refund_items(order_item_id);
+CREATE INDEX idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+CREATE UNIQUE INDEX idx_tax_rates_destination ON tax_rates(LOWER(country), LOWER(COALESCE(region, '')));
+CREATE INDEX idx_promotions_schedule ON promotions(is_active, starts_at, ends_at);
+CREATE INDEX idx_promotion_redemptions_promotion ON promotion_redemptions(promotion_id, customer_id);
+CREATE INDEX idx_promotion_redemptions_order_id ON promotion_redemptions(order_id);
+CREATE UNIQUE INDEX idx_carts_active_customer ON carts(customer_id) WHERE status = 'active' AND customer_id IS NOT NULL;
+CREATE INDEX idx_carts_status_expires_at ON carts(status, expires_at);
 CREATE INDEX idx_customers_email ON customers(email);
+CREATE INDEX idx_customer_addresses_customer_id ON customer_addresses(customer_id);
+CREATE UNIQUE INDEX idx_customer_addresses_default ON customer_addresses(customer_id, address_type) WHERE is_default AND NOT is_archived;
+CREATE INDEX idx_user_roles_customer_id ON user_roles(customer_id);
+CREATE INDEX idx_refresh_tokens_customer_id ON refresh_tokens(customer_id);
+CREATE INDEX idx_revoked_tokens_expires_at ON revoked_tokens(expires_at);
 
 -- =====================================================
 -- SAMPLE DATA INSERTION
@@ -203,12 +450,37 @@ INSERT INTO games (game_id, name, description, price, discount_price, category,
 
 ('game_006', 'Spider-Man: Miles Morales', 'Superhero action game featuring web-slinging mechanics and combat in New York City.', 49.99, 39.99, 'Action', ARRAY['action', 'superhero', 'open-world', 'adventure'], '/assets/images/top-game-02.jpg', '2020-11-12', 4.6, false, false, 60, 'Insomniac Games', 'Sony Interactive Entertainment', 'PC', '{"minimum": {"os": "Windows 10", "processor": "Intel Core i3-4160", "memory": "8 GB RAM", "graphics": "NVIDIA GTX 950"}, "recommended": {"os": "Windows 10", "processor": "Intel Core i5-4670", "memory": "16 GB RAM", "graphics": "NVIDIA GTX 1060"}}');
 
+-- Insert exchange rates (USD is the base currency of catalog prices)
+INSERT INTO exchange_rates (currency, rate, symbol) VALUES
+('USD', 1.00000000, '$'),
+('LKR', 300.00000000, 'Rs'),
+('INR', 83.00000000, '₹'),
+('SGD', 1.35000000, 'S$');
+
+-- Insert tax rules (the '*' rule keeps the former flat 8% for other destinations)
+INSERT INTO tax_rates (country, region, physical_rate, digital_rate, applies_to_shipping) VALUES
+('*', NULL, 0.0800, 0.0800, false),
+('Sri Lanka', NULL, 0.1800, 0.1800, false),
+('India', NULL, 0.1800, 0.1800, true),
+('Singapore', NULL, 0.0900, 0.0900, true);
+
+-- Insert shipping zones (the '*' zone keeps the former $5.99 / free over $50)
+INSERT INTO shipping_zones (name, countries, flat_rate, per_item_rate, free_shipping_threshold, estimated_days) VALUES
+('Domestic', ARRAY['Sri Lanka'], 2.99, 0.00, 50.00, 3),
+('South Asia', ARRAY['India'], 7.99, 1.00, 100.00, 7),
+('Southeast Asia', ARRAY['Singapore'], 9.99, 1.00, 100.00, 7),
+('Rest of world', ARRAY['*'], 5.99, 0.00, 50.00, 5);
+
 -- Insert sample customers
 INSERT INTO customers (customer_id, first_name, last_name, email, phone, date_of_birth) VALUES
 ('customer_001', 'John', 'Doe', 'john.doe@email.com', '+94771234567', '1990-05-15'),
 ('customer_002', 'Jane', 'Smith', 'jane.smith@email.com', '+94771234568', '1985-08-22'),
 ('customer_003', 'Mike', 'Johnson', 'mike.johnson@email.com', '+94771234569', '1992-12-03');
 
+-- Every sample customer gets the default customer role
+INSERT INTO user_roles (customer_id, role)
+SELECT customer_id, 'customer' FROM customers;
+
 -- Insert sample addresses
 INSERT INTO customer_addresses (customer_id, address_type, first_name, last_name, address_line_1, city, postal_code, country, is_default) VALUES
 ('customer_001', 'shipping', 'John', 'Doe', '123 Main Street', 'Colombo', '00100', 'Sri Lanka', true),
@@ -232,13 +504,13 @@ INSERT INTO order_items (order_id, game_id, game_name, quantity, unit_price, dis
 ((SELECT order_id FROM orders WHERE customer_id = 'customer_003' LIMIT 1), 'game_006', 'Spider-Man: Miles Morales', 1, 49.99, 39.99, 39.99);
 
 -- Insert sample game reviews
-INSERT INTO game_reviews (game_id, user_id, rating, review_text, is_verified_purchase) VALUES
-('game_001', 'customer_001', 5, 'Amazing graphics and gameplay! Best FPS game I have played.', true),
-('game_001', 'customer_002', 4, 'Great game but can be challenging for beginners.', false),
-('game_002', 'customer_002', 4, 'Fantastic story and world-building. Some bugs but overall excellent.', true),
-('game_003', 'customer_003', 5, 'Masterpiece! Best adventure game ever created.', true),
-('game_004', 'customer_001', 4, 'Good football simulation with realistic gameplay.', true),
-('game_005', 'customer_003', 4, 'Love the Viking setting and combat system.', true);
+INSERT INTO game_reviews (game_id, user_id, rating, review_text, is_verified_purchase, status) VALUES
+('game_001', 'customer_001', 5, 'Amazing graphics and gameplay! Best FPS game I have played.', true, 'approved'),
+('game_001', 'customer_002', 4, 'Great game but can be challenging for beginners.', false, 'approved'),
+('game_002', 'customer_002', 4, 'Fantastic story and world-building. Some bugs but overall excellent.', true, 'approved'),
+('game_003', 'customer_003', 5, 'Masterpiece! Best adventure game ever created.', true, 'approved'),
+('game_004', 'customer_001', 4, 'Good football simulation with realistic gameplay.', true, 'approved'),
+('game_005', 'customer_003', 4, 'Love the Viking setting and combat system.', true, 'approved');
 
 -- =====================================================
 -- VIEWS FOR COMMON QUERIES
@@ -255,10 +527,11 @@ SELECT
     ROUND(AVG(r.rating), 2) as average_rating,
     COUNT(r.id) as review_count,
     SUM(oi.quantity) as total_sold,
-    SUM(oi.total_price) as total_revenue
+    ROUND(SUM(oi.total_price / o.fx_rate), 2) as total_revenue -- in the base currency
 FROM games g
-LEFT JOIN game_reviews r ON g.game_id = r.game_id
+LEFT JOIN game_reviews r ON g.game_id = r.game_id AND r.status = 'approved'
 LEFT JOIN order_items oi ON g.game_id = oi.game_id
+LEFT JOIN orders o ON o.order_id = oi.order_id
 GROUP BY g.game_id, g.name, g.category, g.price, g.discount_price;
 
 -- View for customer order summary
@@ -269,8 +542,8 @@ SELECT
     c.last_name,
     c.email,
     COUNT(o.id) as total_orders,
-    SUM(o.total_amount) as total_spent,
-    AVG(o.total_amount) as average_order_value,
+    ROUND(SUM(o.total_amount / o.fx_rate), 2) as total_spent, -- in the base currency
+    ROUND(AVG(o.total_amount / o.fx_rate), 2) as average_order_value,
     MAX(o.created_at) as last_order_date
 FROM customers c
 LEFT JOIN orders o ON c.customer_id = o.customer_id
@@ -282,6 +555,7 @@ SELECT
     o.order_id,
     o.order_status,
     o.total_amount,
+    o.currency,
     o.payment_method,
     o.payment_status,
     o.created_at as order_date,
@@ -296,6 +570,28 @@ FROM orders o
 JOIN customers c ON o.customer_id = c.customer_id
 LEFT JOIN customer_addresses ca_ship ON o.shipping_address_id = ca_ship.address_id;
 
+-- Terms offered by GET /api/games/suggest: names, developers and tags of live
+-- games. game-service refreshes it CONCURRENTLY after catalog writes, so
+-- suggestions keep being served while it is rebuilt; term_key (the game_id for
+-- games, the term otherwise) gives it the unique index that requires.
+CREATE MATERIALIZED VIEW game_search_terms AS
+SELECT 'game' as term_type, game_id as term_key, name as term, game_id, 1 as game_count
+FROM games
+WHERE is_archived = false
+UNION ALL
+SELECT 'developer', developer, developer, NULL, COUNT(*)
+FROM games
+WHERE is_archived = false AND developer IS NOT NULL
+GROUP BY developer
+UNION ALL
+SELECT 'tag', tag, tag, NULL, COUNT(*)
+FROM games, unnest(tags) as tag
+WHERE is_archived = false
+GROUP BY tag;
+
+CREATE UNIQUE INDEX idx_game_search_terms_key ON game_search_terms(term_type, term_key);
+CREATE INDEX idx_game_search_terms_trgm ON game_search_terms USING gin(LOWER(term) gin_trgm_ops);
+
 -- =====================================================
 -- FUNCTIONS AND TRIGGERS
 -- =====================================================
@@ -314,15 +610,53 @@ CREATE TRIGGER update_games_updated_at BEFORE UPDATE ON games FOR EACH ROW EXECU
 CREATE TRIGGER update_customers_updated_at BEFORE UPDATE ON customers FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_orders_updated_at BEFORE UPDATE ON orders FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_customer_addresses_updated_at BEFORE UPDATE ON customer_addresses FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_exchange_rates_updated_at BEFORE UPDATE ON exchange_rates FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_tax_rates_updated_at BEFORE UPDATE ON tax_rates FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_shipping_zones_updated_at BEFORE UPDATE ON shipping_zones FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_promotions_updated_at BEFORE UPDATE ON promotions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_game_reviews_updated_at BEFORE UPDATE ON game_reviews FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_refunds_updated_at BEFORE UPDATE ON refunds FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Weighted search document for a game: name (A) > tags (B) > developer (C) > description (D)
+CREATE OR REPLACE FUNCTION game_search_vector(game_name TEXT, tags TEXT[], developer TEXT, description TEXT)
+RETURNS tsvector AS $$
+    SELECT setweight(to_tsvector('english', COALESCE(game_name, '')), 'A') ||
+           setweight(to_tsvector('english', COALESCE(array_to_string(tags, ' '), '')), 'B') ||
+           setweight(to_tsvector('english', COALESCE(developer, '')), 'C') ||
+           setweight(to_tsvector('english', COALESCE(description, '')), 'D');
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION update_games_search_vector()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.search_vector = game_search_vector(NEW.name, NEW.tags, NEW.developer, NEW.description);
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER update_games_search_vector
+    BEFORE INSERT OR UPDATE OF name, tags, developer, description ON games
+    FOR EACH ROW
+    EXECUTE FUNCTION update_games_search_vector();
+
+-- The sample games above were inserted before the trigger existed
+UPDATE games SET search_vector = game_search_vector(name, tags, developer, description);
 
 -- Function to automatically create order status history
+-- Reason and actor come from the lugx.status_reason / lugx.changed_by settings
+-- that order-service sets for the transaction (see order-status.js)
 CREATE OR REPLACE FUNCTION create_order_status_history()
 RETURNS TRIGGER AS $$
 BEGIN
     IF OLD.order_status IS DISTINCT FROM NEW.order_status THEN
         INSERT INTO order_status_history (order_id, previous_status, new_status, status_reason, changed_by)
-        VALUES (NEW.order_id, OLD.order_status, NEW.order_status, 'Status updated', 'system');
+        VALUES (
+            NEW.order_id,
+            OLD.order_status,
+            NEW.order_status,
+            COALESCE(NULLIF(current_setting('lugx.status_reason', true), ''), 'Status updated'),
+            COALESCE(NULLIF(current_setting('lugx.changed_by', true), ''), 'system')
+        );
     END IF;
     RETURN NEW;
 END;
@@ -69,7 +69,12 @@ class LugxAnalytics {
     }
 
     getUserId() {
-        // Check for existing user ID in localStorage
+        // Signed-in customers are tracked by their customer ID
+        if (window.lugxAuth && window.lugxAuth.isLoggedIn()) {
+            return window.lugxAuth.getCustomerId();
+        }
+
+        // Otherwise use an anonymous visitor ID kept in localStorage
         let userId = localStorage.getItem('lugx_user_id');
         if (!userId) {
             userId = 'user_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
@@ -127,8 +132,8 @@ class LugxAnalytics {
                 const result = await response.json();
                 console.log('✅ Analytics event tracked:', eventData.eventType);
             } else {
-                const error = await response.json().catch(() => ({ error: 'Unknown error' }));
-                console.log(`⚠️ Analytics event failed (${response.status}):`, error.error || 'Service error');
+                const problem = await response.json().catch(() => ({}));
+                console.log(`⚠️ Analytics event failed (${response.status}):`, problem.detail || 'Service error');
                 
                 if (response.status >= 500) {
                     // Server error - mark service as unavailable temporarily
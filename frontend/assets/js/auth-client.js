@@ -0,0 +1,133 @@
+/**
+ * LUGX Gaming Auth Client
+ * Stores the session issued by the Order Service (/api/auth) and attaches it to API calls
+ */
+
+class LugxAuth {
+    constructor() {
+        this.authUrl = '/api/auth'; // Use nginx proxy
+        this.storageKey = 'lugx_auth';
+        this.cartStorageKey = 'lugx_cart_id'; // shared with game-loader.js
+        this.session = this.loadSession();
+    }
+
+    loadSession() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveSession(customerId, tokens) {
+        this.session = {
+            customer_id: customerId,
+            access_token: tokens.access_token,
+            refresh_token: tokens.refresh_token,
+            roles: tokens.roles || [],
+            expires_at: Date.now() + tokens.expires_in * 1000
+        };
+        localStorage.setItem(this.storageKey, JSON.stringify(this.session));
+    }
+
+    clearSession() {
+        this.session = null;
+        localStorage.removeItem(this.storageKey);
+    }
+
+    isLoggedIn() {
+        return Boolean(this.session && this.session.refresh_token);
+    }
+
+    getCustomerId() {
+        return this.session ? this.session.customer_id : null;
+    }
+
+    async post(path, body, headers = {}) {
+        const response = await fetch(`${this.authUrl}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.detail || `Request failed (status: ${response.status})`);
+        }
+        return result.data;
+    }
+
+    // The anonymous cart is sent along on sign-in so the server merges it
+    // into the customer's cart; the merged cart id replaces it afterwards
+    getCartId() {
+        return localStorage.getItem(this.cartStorageKey) || undefined;
+    }
+
+    saveCartId(cartId) {
+        if (cartId) {
+            localStorage.setItem(this.cartStorageKey, cartId);
+        }
+    }
+
+    async register(details) {
+        const data = await this.post('/register', { ...details, cart_id: this.getCartId() });
+        this.saveSession(data.customer.customer_id, data.tokens);
+        this.saveCartId(data.cart_id);
+        return data.customer;
+    }
+
+    async login(email, password) {
+        const data = await this.post('/login', { email, password, cart_id: this.getCartId() });
+        this.saveSession(data.customer_id, data.tokens);
+        this.saveCartId(data.cart_id);
+        return data.customer_id;
+    }
+
+    async refresh() {
+        if (!this.isLoggedIn()) {
+            return null;
+        }
+        try {
+            const data = await this.post('/refresh', { refresh_token: this.session.refresh_token });
+            this.saveSession(this.session.customer_id, data.tokens);
+            return this.session.access_token;
+        } catch (error) {
+            console.log('⚠️ Session expired, please log in again');
+            this.clearSession();
+            return null;
+        }
+    }
+
+    async getAccessToken() {
+        if (!this.isLoggedIn()) {
+            return null;
+        }
+        // Refresh shortly before the access token expires
+        if (Date.now() > this.session.expires_at - 30000) {
+            return this.refresh();
+        }
+        return this.session.access_token;
+    }
+
+    async logout() {
+        const accessToken = await this.getAccessToken();
+        if (accessToken) {
+            await this.post('/logout', { refresh_token: this.session.refresh_token }, {
+                'Authorization': `Bearer ${accessToken}`
+            }).catch(() => {});
+        }
+        this.clearSession();
+    }
+
+    // fetch() wrapper that adds the Authorization header when signed in
+    async fetch(url, options = {}) {
+        const accessToken = await this.getAccessToken();
+        const headers = { ...(options.headers || {}) };
+        if (accessToken) {
+            headers['Authorization'] = `Bearer ${accessToken}`;
+        }
+        return fetch(url, { ...options, headers });
+    }
+}
+
+window.lugxAuth = new LugxAuth();
@@ -0,0 +1,104 @@
+/**
+ * LUGX Gaming Currency Client
+ * Picks the shopper's currency and formats the prices returned by the services
+ */
+
+class LugxCurrency {
+    constructor() {
+        this.storageKey = 'lugx_currency';
+        this.baseCurrency = 'USD';
+        this.currencies = {
+            USD: { symbol: '$', locale: 'en-US', label: 'USD ($)' },
+            LKR: { symbol: 'Rs ', locale: 'en-LK', label: 'LKR (Rs)' },
+            INR: { symbol: '₹', locale: 'en-IN', label: 'INR (₹)' },
+            SGD: { symbol: 'S$', locale: 'en-SG', label: 'SGD (S$)' }
+        };
+        // Browser regions with a local currency; everything else shops in USD
+        this.regionCurrencies = { LK: 'LKR', IN: 'INR', SG: 'SGD' };
+        this.currency = this.detectCurrency();
+
+        document.addEventListener('DOMContentLoaded', () => this.renderSelector());
+    }
+
+    // ?currency= in the page URL, then the saved choice, then the browser region
+    detectCurrency() {
+        const requested = new URLSearchParams(window.location.search).get('currency');
+        if (requested && this.currencies[requested.toUpperCase()]) {
+            localStorage.setItem(this.storageKey, requested.toUpperCase());
+            return requested.toUpperCase();
+        }
+
+        const saved = localStorage.getItem(this.storageKey);
+        if (saved && this.currencies[saved]) {
+            return saved;
+        }
+
+        const languages = navigator.languages || [navigator.language || ''];
+        for (const language of languages) {
+            const region = (language.split('-')[1] || '').toUpperCase();
+            if (this.regionCurrencies[region]) {
+                return this.regionCurrencies[region];
+            }
+        }
+        return this.baseCurrency;
+    }
+
+    setCurrency(currency) {
+        if (!this.currencies[currency]) {
+            return;
+        }
+        this.currency = currency;
+        localStorage.setItem(this.storageKey, currency);
+    }
+
+    // Add ?currency= to an API URL so prices come back converted by the server
+    withCurrency(url) {
+        return `${url}${url.includes('?') ? '&' : '?'}currency=${this.currency}`;
+    }
+
+    // Format a decimal amount (string or number) with the currency's symbol
+    format(amount, currency = this.currency) {
+        const info = this.currencies[currency] || { symbol: `${currency} `, locale: 'en-US' };
+        const number = Number(amount);
+        if (amount === null || amount === undefined || Number.isNaN(number)) {
+            return '';
+        }
+        return `${info.symbol}${number.toLocaleString(info.locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    }
+
+    // Currency picker in the main navigation; prices are reloaded in the new currency
+    renderSelector() {
+        const nav = document.querySelector('.main-nav .nav');
+        if (!nav || document.getElementById('currency-selector')) {
+            return;
+        }
+
+        const item = document.createElement('li');
+        const select = document.createElement('select');
+        select.id = 'currency-selector';
+        select.setAttribute('aria-label', 'Currency');
+        select.style.cssText = 'border-radius: 20px; padding: 6px 10px; border: 1px solid #0071f8; background: #fff; color: #0071f8;';
+        Object.keys(this.currencies).forEach(currency => {
+            const option = document.createElement('option');
+            option.value = currency;
+            option.textContent = this.currencies[currency].label;
+            option.selected = currency === this.currency;
+            select.appendChild(option);
+        });
+        select.addEventListener('change', () => {
+            this.setCurrency(select.value);
+            const url = new URL(window.location.href);
+            if (url.searchParams.has('currency')) {
+                url.searchParams.set('currency', select.value);
+                window.location.href = url.toString();
+            } else {
+                window.location.reload();
+            }
+        });
+
+        item.appendChild(select);
+        nav.appendChild(item);
+    }
+}
+
+window.lugxCurrency = new LugxCurrency();
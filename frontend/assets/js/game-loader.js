@@ -115,7 +115,8 @@ class GameLoader {
 
         try {
             console.log('🎮 Loading games from Game Service...');
-            const response = await fetch('/api/games');
+            const currency = window.lugxCurrency;
+            const response = await fetch(currency ? currency.withCurrency('/api/games') : '/api/games');
             
             if (response.ok) {
                 // Get response text first to check what we actually received
@@ -124,7 +125,8 @@ class GameLoader {
                 // Check if it looks like JSON (starts with { or [)
                 if (responseText.trim().startsWith('{') || responseText.trim().startsWith('[')) {
                     try {
-                        this.games = JSON.parse(responseText);
+                        const result = JSON.parse(responseText);
+                        this.games = result.data.games.map(game => this.fromApiGame(game, result.data.currency));
                         console.log('✅ Games loaded from API:', this.games);
                     } catch (parseError) {
                         console.log('⚠️ Failed to parse API response as JSON, using fallback games');
@@ -150,6 +152,26 @@ class GameLoader {
         }, 500);
     }
 
+    // Game Service rows use catalog field names; prices arrive converted to the requested currency
+    fromApiGame(game, currency) {
+        return {
+            id: game.game_id,
+            game_id: game.game_id,
+            title: game.name,
+            genre: game.category,
+            category: game.category,
+            price: game.discount_price !== null ? game.discount_price : game.price,
+            originalPrice: game.discount_price !== null ? game.price : null,
+            currency,
+            image: game.image_url
+        };
+    }
+
+    // Fallback games are priced in USD
+    formatPrice(amount, currency = 'USD') {
+        return window.lugxCurrency ? window.lugxCurrency.format(amount, currency) : `$${amount}`;
+    }
+
     renderGames(filteredGames) {
         const container = document.getElementById('games-container');
         if (!container) {
@@ -210,8 +232,8 @@ class GameLoader {
                         <img src="${game.image || 'assets/images/trending-01.jpg'}" alt="${game.title}">
                     </a>
                     <span class="price">
-                        ${game.originalPrice ? `<em>$${game.originalPrice}</em>` : ''}
-                        $${game.price}
+                        ${game.originalPrice ? `<em>${this.formatPrice(game.originalPrice, game.currency)}</em>` : ''}
+                        ${this.formatPrice(game.price, game.currency)}
                     </span>
                 </div>
                 <div class="down-content">
@@ -228,14 +250,95 @@ class GameLoader {
     }
 
     cart = [];
+    cartId = localStorage.getItem('lugx_cart_id');
+    cartSubtotal = '0.00';
+    cartCurrency = 'USD';
 
-    loadCart() {
-        const cartData = localStorage.getItem('lugx_cart');
-        this.cart = cartData ? JSON.parse(cartData) : [];
+    // Cart API calls go through the auth client so signed-in customers use their own cart
+    async cartRequest(path, options = {}) {
+        const auth = window.lugxAuth;
+        const url = window.lugxCurrency ? window.lugxCurrency.withCurrency(`/api/carts${path}`) : `/api/carts${path}`;
+        const response = await (auth ? auth.fetch.bind(auth) : fetch)(url, {
+            ...options,
+            headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const itemErrors = (result.items || []).map(item => `${item.game_id}: ${item.error}`);
+            const error = new Error([result.detail || `Cart request failed (status: ${response.status})`, ...itemErrors].join('\n'));
+            error.status = response.status;
+            throw error;
+        }
+        return result.data;
+    }
+
+    // Keep a local copy of the server cart for rendering; prices come from the server
+    // as exact decimal strings and are displayed as-is
+    setCart(data) {
+        this.cartId = data.cart_id;
+        localStorage.setItem('lugx_cart_id', data.cart_id);
+        this.cart = data.items.map(item => ({
+            id: item.game_id,
+            title: item.game_name,
+            price: item.price,
+            lineTotal: item.line_total,
+            addedPrice: item.added_price,
+            priceChanged: item.price_changed,
+            available: item.available,
+            unavailableReason: item.unavailable_reason,
+            quantity: item.quantity
+        }));
+        this.cartSubtotal = data.subtotal;
+        this.cartCurrency = data.currency;
+        this.updateCartCount();
+    }
+
+    async openCart() {
+        this.setCart(await this.cartRequest('', { method: 'POST' }));
+    }
+
+    async loadCart() {
+        try {
+            const auth = window.lugxAuth;
+            if (!this.cartId || (auth && auth.isLoggedIn())) {
+                // Signed-in customers always get their own (possibly merged) cart back
+                await this.openCart();
+            } else {
+                this.setCart(await this.cartRequest(`/${this.cartId}/items`));
+            }
+        } catch (error) {
+            if (![401, 403, 404, 410].includes(error.status)) {
+                console.log('⚠️ Cart service unavailable:', error.message);
+                return;
+            }
+            // Expired, merged or someone else's cart - start a new one
+            console.log(`ℹ️ Cart ${this.cartId} is no longer usable, opening a new cart`);
+            this.cartId = null;
+            localStorage.removeItem('lugx_cart_id');
+            await this.openCart().catch(openError =>
+                console.log('⚠️ Cart service unavailable:', openError.message));
+        }
+        await this.migrateLocalCart();
     }
 
-    saveCart() {
-        localStorage.setItem('lugx_cart', JSON.stringify(this.cart));
+    // Carts used to live in localStorage only; move any leftover items to the server cart once
+    async migrateLocalCart() {
+        const legacyCart = localStorage.getItem('lugx_cart');
+        if (!legacyCart || !this.cartId) {
+            return;
+        }
+        localStorage.removeItem('lugx_cart');
+        try {
+            for (const item of JSON.parse(legacyCart)) {
+                this.setCart(await this.cartRequest(`/${this.cartId}/items`, {
+                    method: 'POST',
+                    body: JSON.stringify({ game_id: item.id, quantity: item.quantity || 1 })
+                }));
+            }
+            console.log('✅ Moved local cart items to the server cart');
+        } catch (error) {
+            console.log('⚠️ Some local cart items could not be moved:', error.message);
+        }
     }
 
     addToCart(gameId) {
@@ -246,30 +349,38 @@ class GameLoader {
         }
     }
 
-    addGameToCart(game) {
+    async addGameToCart(game, isRetry = false) {
         console.log('🛒 addGameToCart called with:', game);
-        
-        // Check if game is already in cart
-        const existingItemIndex = this.cart.findIndex(item => item.id === game.id);
-        if (existingItemIndex !== -1) {
-            // Game exists, increase quantity
-            if (!this.cart[existingItemIndex].quantity) {
-                this.cart[existingItemIndex].quantity = 1;
+        const gameRef = game.game_id || game.id;
+
+        try {
+            if (!this.cartId) {
+                await this.openCart();
+            }
+            this.setCart(await this.cartRequest(`/${this.cartId}/items`, {
+                method: 'POST',
+                body: JSON.stringify({ game_id: gameRef, quantity: 1 })
+            }));
+        } catch (error) {
+            if (!isRetry && (error.status === 410 || error.status === 404)) {
+                // The cart expired in the meantime - retry once with a fresh cart
+                this.cartId = null;
+                return this.addGameToCart(game, true);
             }
-            this.cart[existingItemIndex].quantity++;
-            console.log(`✅ Increased quantity of ${game.title} to ${this.cart[existingItemIndex].quantity}`);
-            alert(`${game.title} quantity increased! Now have ${this.cart[existingItemIndex].quantity} in cart.`);
+            console.error('❌ Failed to add to cart:', error);
+            alert(`❌ Could not add ${game.title} to cart: ${error.message}`);
+            return;
+        }
+
+        const line = this.cart.find(item => item.id === String(gameRef));
+        if (line && line.quantity > 1) {
+            console.log(`✅ Increased quantity of ${line.title} to ${line.quantity}`);
+            alert(`${line.title} quantity increased! Now have ${line.quantity} in cart.`);
         } else {
-            // New game, add with quantity 1
-            const gameWithQuantity = { ...game, quantity: 1 };
-            this.cart.push(gameWithQuantity);
             console.log('✅ Game added to cart. Cart now has:', this.cart.length, 'items');
-            alert(`${game.title} added to cart! ($${game.price})`);
+            alert(`${game.title} added to cart! (${line ? this.formatPrice(line.price, this.cartCurrency) : this.formatPrice(game.price, game.currency)})`);
         }
         
-        this.saveCart();
-        this.updateCartCount();
-        
         // Track analytics - DISABLED FOR DEVELOPMENT
         // if (window.lugxAnalytics) {
         //     window.lugxAnalytics.trackGameInteraction(game.id, game.title, game.category, 'add_to_cart', {
@@ -297,17 +408,22 @@ class GameLoader {
             alert('Your cart is empty.');
             return;
         }
-        let totalPrice = 0;
+        // Prices and the total are revalidated by the Order Service on every cart read
+        const totalPrice = this.cartSubtotal;
         let cartHtml = '<h4>Your Cart</h4><ul style="list-style: none; padding: 0;">';
         this.cart.forEach((item, index) => {
             const quantity = item.quantity || 1;
-            const itemTotal = item.price * quantity;
-            totalPrice += itemTotal;
+            const notice = !item.available
+                ? `<div style="font-size: 12px; color: #ff4444;">${item.unavailableReason}</div>`
+                : item.priceChanged
+                    ? `<div style="font-size: 12px; color: #ffa500;">Price changed from ${this.formatPrice(item.addedPrice, this.cartCurrency)}</div>`
+                    : '';
             cartHtml += `
                 <li style="display: flex; justify-content: space-between; align-items: center; padding: 8px 0; border-bottom: 1px solid #eee;">
                     <div style="flex: 1;">
-                        <div>${item.title} - $${item.price} x ${quantity}</div>
-                        <div style="font-size: 12px; color: #666;">Subtotal: $${itemTotal.toFixed(2)}</div>
+                        <div>${item.title} - ${this.formatPrice(item.price, this.cartCurrency)} x ${quantity}</div>
+                        <div style="font-size: 12px; color: #666;">Subtotal: ${this.formatPrice(item.lineTotal, this.cartCurrency)}</div>
+                        ${notice}
                     </div>
                     <div style="display: flex; gap: 5px; align-items: center;">
                         <button onclick="gameLoader.decreaseQuantity(${index})" style="background: #ffa500; color: white; border: none; padding: 2px 6px; border-radius: 3px; cursor: pointer; font-size: 12px;">-</button>
@@ -316,7 +432,7 @@ class GameLoader {
                     </div>
                 </li>`;
         });
-        cartHtml += `</ul><div style="margin-top: 15px; padding-top: 15px; border-top: 2px solid #0071f8;"><strong>Total: $${totalPrice.toFixed(2)}</strong></div>`;
+        cartHtml += `</ul><div style="margin-top: 15px; padding-top: 15px; border-top: 2px solid #0071f8;"><strong>Total: ${this.formatPrice(totalPrice, this.cartCurrency)}</strong></div>`;
         
         const cartDiv = document.createElement('div');
         cartDiv.innerHTML = cartHtml;
@@ -357,10 +473,15 @@ class GameLoader {
         document.body.appendChild(cartDiv);
     }
 
-    removeFromCart(index) {
-        this.cart.splice(index, 1);
-        this.saveCart();
-        this.updateCartCount();
+    // Apply a cart change on the server, then redraw the cart
+    async changeCart(path, options) {
+        try {
+            this.setCart(await this.cartRequest(`/${this.cartId}/items${path}`, options));
+        } catch (error) {
+            console.error('❌ Cart update failed:', error);
+            alert(`❌ Could not update cart: ${error.message}`);
+            await this.loadCart();
+        }
         // Refresh cart display
         document.querySelector('div[style*="position: fixed"]')?.remove();
         if (this.cart.length > 0) {
@@ -368,40 +489,60 @@ class GameLoader {
         }
     }
 
+    removeFromCart(index) {
+        const item = this.cart[index];
+        if (item) {
+            return this.changeCart(`/${encodeURIComponent(item.id)}`, { method: 'DELETE' });
+        }
+    }
+
     increaseQuantity(index) {
-        if (this.cart[index]) {
-            if (!this.cart[index].quantity) {
-                this.cart[index].quantity = 1;
-            }
-            this.cart[index].quantity++;
-            this.saveCart();
-            this.updateCartCount();
-            // Refresh cart display
-            document.querySelector('div[style*="position: fixed"]')?.remove();
-            this.showCart();
+        const item = this.cart[index];
+        if (item) {
+            return this.changeCart(`/${encodeURIComponent(item.id)}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ quantity: item.quantity + 1 })
+            });
         }
     }
 
     decreaseQuantity(index) {
-        if (this.cart[index]) {
-            if (!this.cart[index].quantity) {
-                this.cart[index].quantity = 1;
-            }
-            if (this.cart[index].quantity > 1) {
-                this.cart[index].quantity--;
-                this.saveCart();
-                this.updateCartCount();
-                // Refresh cart display
-                document.querySelector('div[style*="position: fixed"]')?.remove();
-                this.showCart();
-            } else {
-                // If quantity is 1, remove the item completely
-                this.removeFromCart(index);
+        const item = this.cart[index];
+        if (item) {
+            if (item.quantity > 1) {
+                return this.changeCart(`/${encodeURIComponent(item.id)}`, {
+                    method: 'PATCH',
+                    body: JSON.stringify({ quantity: item.quantity - 1 })
+                });
             }
+            // If quantity is 1, remove the item completely
+            return this.removeFromCart(index);
         }
     }
 
+    // Reuse the same Idempotency-Key (and guest id) while retrying the same cart,
+    // so a double-click or a retry after a network error cannot create two orders
+    getCheckoutAttempt() {
+        const cartSignature = JSON.stringify(this.cart.map(item => [item.id, item.quantity || 1]));
+        if (!this.checkoutAttempt || this.checkoutAttempt.cartSignature !== cartSignature) {
+            this.checkoutAttempt = {
+                cartSignature,
+                idempotencyKey: window.crypto && window.crypto.randomUUID
+                    ? window.crypto.randomUUID()
+                    : `checkout_${Date.now()}_${Math.random().toString(36).slice(2)}`,
+                guestId: 'guest_' + Date.now()
+            };
+        }
+        return this.checkoutAttempt;
+    }
+
     async processCheckout(totalPrice) {
+        if (this.checkoutInProgress) {
+            console.log('⏳ Checkout already in progress');
+            return;
+        }
+        this.checkoutInProgress = true;
+
         try {
             console.log('🛒 Processing checkout...');
             
@@ -410,26 +551,28 @@ class GameLoader {
             loadingDiv.innerHTML = '<div style="text-align: center; padding: 20px; background: white; border: 2px solid #0071f8; border-radius: 16px; position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); z-index: 10000;"><h3>Processing Order...</h3><p>Please wait while we process your order.</p></div>';
             document.body.appendChild(loadingDiv);
 
-            // Prepare order data
+            // Prepare order data - prices are calculated by the Order Service.
+            // Signed-in customers are identified by their access token.
+            const auth = window.lugxAuth;
+            const attempt = this.getCheckoutAttempt();
             const orderData = {
-                customer_id: 'guest_' + Date.now(), // Generate guest customer ID
-                items: this.cart.map(item => ({
+                customer_id: auth && auth.isLoggedIn() ? auth.getCustomerId() : attempt.guestId,
+                cart_id: this.cartId,
+                items: this.cart.filter(item => item.available).map(item => ({
                     game_id: item.id,
-                    game_name: item.title,
-                    quantity: item.quantity || 1,
-                    unit_price: item.price,
-                    discount_price: null,
-                    total_price: (item.quantity || 1) * item.price
+                    quantity: item.quantity || 1
                 })),
+                currency: this.cartCurrency,
                 payment_method: 'credit_card',
                 order_notes: 'Web checkout order'
             };
 
             // Create the order via API
-            const response = await fetch('http://localhost:3001/api/orders', {
+            const response = await (auth ? auth.fetch.bind(auth) : fetch)('http://localhost:3001/api/orders', {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    'Idempotency-Key': attempt.idempotencyKey
                 },
                 body: JSON.stringify(orderData)
             });
@@ -438,23 +581,32 @@ class GameLoader {
 
             if (response.ok) {
                 const result = await response.json();
+                const orderTotal = parseFloat(result.data.total_amount);
                 
-                // Clear the cart after successful order
+                // The order closed the server cart; the next item added opens a new one
+                const itemCount = this.cart.length;
+                this.checkoutAttempt = null;
                 this.cart = [];
-                this.saveCart();
+                this.cartSubtotal = '0.00';
+                this.cartId = null;
+                localStorage.removeItem('lugx_cart_id');
                 this.updateCartCount();
                 
                 // Show success message
-                alert(`✅ Order placed successfully!\n\nOrder ID: ${result.data.order_id}\nTotal: $${totalPrice.toFixed(2)}\n\nThank you for your purchase!`);
+                alert(`✅ Order placed successfully!\n\nOrder ID: ${result.data.order_id}\nTotal: ${this.formatPrice(result.data.total_amount, result.data.currency)}\n\nThank you for your purchase!`);
                 
                 // Track analytics event
                 if (window.lugxAnalytics) {
-                    window.lugxAnalytics.trackPurchaseEvent(result.data.order_id, totalPrice, this.cart.length);
+                    window.lugxAnalytics.trackPurchaseEvent(result.data.order_id, orderTotal, itemCount);
                 }
                 
                 console.log('✅ Order created successfully:', result);
             } else {
-                throw new Error('Failed to create order');
+                // The server answered, so the next attempt is a new request
+                this.checkoutAttempt = null;
+                const result = await response.json().catch(() => ({}));
+                const itemErrors = (result.items || []).map(item => `${item.game_id}: ${item.error}`);
+                throw new Error([result.detail || 'Failed to create order', ...itemErrors].join('\n'));
             }
             
         } catch (error) {
@@ -465,6 +617,8 @@ class GameLoader {
             
             // Show error message but keep cart intact
             alert(`❌ Checkout failed: ${error.message}\n\nPlease try again or contact support.\nYour cart items have been preserved.`);
+        } finally {
+            this.checkoutInProgress = false;
         }
     }
 }
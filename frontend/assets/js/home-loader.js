@@ -47,9 +47,37 @@ class HomeGameLoader {
         });
     }
 
-    loadFeaturedGames() {
+    // Featured games from the Game Service in the shopper's currency; the built-in list (USD) is the fallback
+    async fetchFeaturedGames() {
+        const currency = window.lugxCurrency;
+        try {
+            const url = currency ? currency.withCurrency('/api/games/featured') : '/api/games/featured';
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`status ${response.status}`);
+            }
+            const { data } = await response.json();
+            if (data.games.length === 0) {
+                return this.games;
+            }
+            return data.games.map(game => ({
+                id: game.game_id,
+                title: game.name,
+                price: { original: game.price, sale: game.discount_price !== null ? game.discount_price : game.price },
+                image: game.image_url,
+                category: game.category,
+                currency: data.currency
+            }));
+        } catch (error) {
+            console.log('⚠️ Using built-in featured games:', error.message);
+            return this.games;
+        }
+    }
+
+    async loadFeaturedGames() {
         const featuredContainer = document.querySelector('.most-popular .row');
         if (!featuredContainer) return;
+        const games = await this.fetchFeaturedGames();
 
         // Clear existing content but keep the first header column
         const children = Array.from(featuredContainer.children);
@@ -60,7 +88,7 @@ class HomeGameLoader {
         });
 
         // Add featured games
-        this.games.forEach((game, index) => {
+        games.forEach((game, index) => {
             const gameElement = this.createFeaturedGameElement(game, index);
             featuredContainer.appendChild(gameElement);
         });
@@ -103,7 +131,7 @@ class HomeGameLoader {
                 <div class="thumb">
                     <div class="inner-content">
                         <h4>${game.title}</h4>
-                        <span>$${game.price.sale}</span>
+                        <span>${window.lugxCurrency ? window.lugxCurrency.format(game.price.sale, game.currency || 'USD') : `$${game.price.sale}`}</span>
                         <div class="main-border-button">
                             <a href="product-details.html?game=${game.id}">Purchase Now!</a>
                         </div>
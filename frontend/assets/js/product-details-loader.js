@@ -57,6 +57,46 @@ class ProductDetailsLoader {
         
         // Update page elements
         this.updatePageContent(game);
+        this.loadLocalizedPrice(gameId);
+    }
+
+    // The local details are priced in USD; ask the Game Service for the price in the shopper's currency
+    async loadLocalizedPrice(gameId) {
+        const currency = window.lugxCurrency;
+        if (!currency) {
+            return;
+        }
+        try {
+            const response = await fetch(currency.withCurrency(`/api/games/${encodeURIComponent(gameId)}`));
+            if (!response.ok) {
+                throw new Error(`status ${response.status}`);
+            }
+            const { data } = await response.json();
+            this.updatePrice({
+                price: data.discount_price !== null ? data.discount_price : data.price,
+                originalPrice: data.discount_price !== null ? data.price : null,
+                currency: data.currency
+            });
+        } catch (error) {
+            console.log('⚠️ Showing the local USD price:', error.message);
+        }
+    }
+
+    formatPrice(amount, currency = 'USD') {
+        return window.lugxCurrency ? window.lugxCurrency.format(amount, currency) : `$${amount}`;
+    }
+
+    updatePrice(game) {
+        const priceElements = document.querySelectorAll('.price em, .price');
+        priceElements.forEach(el => {
+            if (el.tagName === 'EM') {
+                el.textContent = this.formatPrice(game.originalPrice, game.currency);
+            } else if (el.classList.contains('price')) {
+                el.innerHTML = game.originalPrice ?
+                    `<em>${this.formatPrice(game.originalPrice, game.currency)}</em>${this.formatPrice(game.price, game.currency)}` :
+                    this.formatPrice(game.price, game.currency);
+            }
+        });
     }
 
     updatePageContent(game) {
@@ -97,16 +137,7 @@ class ProductDetailsLoader {
         }
 
         // Update price
-        const priceElements = document.querySelectorAll('.price em, .price');
-        priceElements.forEach(el => {
-            if (el.tagName === 'EM') {
-                el.textContent = `$${game.originalPrice}`;
-            } else if (el.classList.contains('price')) {
-                el.innerHTML = game.originalPrice ? 
-                    `<em>$${game.originalPrice}</em>$${game.price}` : 
-                    `$${game.price}`;
-            }
-        });
+        this.updatePrice(game);
 
         // Update category elements
         const categoryElements = document.querySelectorAll('.category');
@@ -0,0 +1,216 @@
+/**
+ * LUGX Gaming Search Suggestions
+ * Type-ahead search box for the shop page: suggests games, developers and tags
+ * from /api/games/suggest and shows search results in the games grid
+ */
+
+class LugxSearchSuggest {
+    constructor() {
+        this.debounceMs = 150;
+        this.minLength = 2;
+        this.limit = 8;
+        this.timer = null;
+        this.requestId = 0; // responses to earlier keystrokes are ignored
+        this.suggestions = [];
+        this.activeIndex = -1;
+        this.typeLabels = { game: 'Game', developer: 'Developer', tag: 'Tag' };
+
+        document.addEventListener('DOMContentLoaded', () => this.attach());
+    }
+
+    attach() {
+        this.form = document.getElementById('game-search-form');
+        this.input = document.getElementById('game-search-input');
+        this.list = document.getElementById('game-search-suggestions');
+        this.status = document.getElementById('game-search-status');
+        if (!this.form || !this.input || !this.list) {
+            return;
+        }
+
+        this.input.addEventListener('input', () => this.schedule());
+        this.input.addEventListener('keydown', event => this.handleKey(event));
+        // Delay so a click on a suggestion lands before the list closes
+        this.input.addEventListener('blur', () => setTimeout(() => this.close(), 150));
+        this.form.addEventListener('submit', event => {
+            event.preventDefault();
+            this.search(this.input.value);
+        });
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        const text = this.input.value.trim();
+        if (text.length < this.minLength) {
+            this.requestId++;
+            this.close();
+            return;
+        }
+        this.timer = setTimeout(() => this.fetchSuggestions(text), this.debounceMs);
+    }
+
+    async fetchSuggestions(text) {
+        const requestId = ++this.requestId;
+        try {
+            const response = await fetch(`/api/games/suggest?q=${encodeURIComponent(text)}&limit=${this.limit}`);
+            const body = await response.json();
+            if (requestId !== this.requestId) {
+                return;
+            }
+            this.render(response.ok && body.success ? body.data.suggestions : []);
+        } catch (error) {
+            console.log('⚠️ Search suggestions unavailable:', error.message);
+            this.close();
+        }
+    }
+
+    render(suggestions) {
+        this.suggestions = suggestions;
+        this.activeIndex = -1;
+        this.list.innerHTML = '';
+
+        if (suggestions.length === 0) {
+            this.close();
+            return;
+        }
+
+        suggestions.forEach((suggestion, index) => {
+            const item = document.createElement('li');
+            item.id = `game-search-suggestion-${index}`;
+            item.setAttribute('role', 'option');
+            item.style.cssText = 'display: flex; justify-content: space-between; gap: 10px; padding: 8px 16px; cursor: pointer;';
+
+            const text = document.createElement('span');
+            text.textContent = suggestion.text;
+            const type = document.createElement('small');
+            type.textContent = this.typeLabels[suggestion.type] || suggestion.type;
+            type.style.color = '#7a7a7a';
+
+            item.appendChild(text);
+            item.appendChild(type);
+            // mousedown fires before the input's blur
+            item.addEventListener('mousedown', event => {
+                event.preventDefault();
+                this.choose(suggestion);
+            });
+            item.addEventListener('mouseenter', () => this.highlight(index));
+            this.list.appendChild(item);
+        });
+
+        this.list.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    highlight(index) {
+        this.activeIndex = index;
+        Array.from(this.list.children).forEach((item, itemIndex) => {
+            item.style.background = itemIndex === index ? '#eef5ff' : '';
+            item.setAttribute('aria-selected', itemIndex === index ? 'true' : 'false');
+        });
+        if (index >= 0) {
+            this.input.setAttribute('aria-activedescendant', `game-search-suggestion-${index}`);
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    handleKey(event) {
+        const open = !this.list.hidden && this.suggestions.length > 0;
+        if (event.key === 'ArrowDown' && open) {
+            event.preventDefault();
+            this.highlight((this.activeIndex + 1) % this.suggestions.length);
+        } else if (event.key === 'ArrowUp' && open) {
+            event.preventDefault();
+            this.highlight(this.activeIndex <= 0 ? this.suggestions.length - 1 : this.activeIndex - 1);
+        } else if (event.key === 'Enter' && open && this.activeIndex >= 0) {
+            event.preventDefault();
+            this.choose(this.suggestions[this.activeIndex]);
+        } else if (event.key === 'Escape') {
+            this.close();
+        }
+    }
+
+    close() {
+        this.suggestions = [];
+        this.activeIndex = -1;
+        this.list.hidden = true;
+        this.list.innerHTML = '';
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+
+    // Games open their product page; developers and tags run a search
+    choose(suggestion) {
+        if (suggestion.type === 'game' && suggestion.game_id) {
+            window.location.href = `product-details.html?id=${encodeURIComponent(suggestion.game_id)}`;
+            return;
+        }
+        this.input.value = suggestion.text;
+        this.search(suggestion.text);
+    }
+
+    setStatus(message, corrections = []) {
+        if (!this.status) {
+            return;
+        }
+        this.status.textContent = message;
+        if (corrections.length > 0) {
+            this.status.appendChild(document.createTextNode(' Did you mean '));
+            corrections.forEach((correction, index) => {
+                const link = document.createElement('a');
+                link.href = '#';
+                link.textContent = correction;
+                link.addEventListener('click', event => {
+                    event.preventDefault();
+                    this.input.value = correction;
+                    this.search(correction);
+                });
+                if (index > 0) {
+                    this.status.appendChild(document.createTextNode(index === corrections.length - 1 ? ' or ' : ', '));
+                }
+                this.status.appendChild(link);
+            });
+            this.status.appendChild(document.createTextNode('?'));
+        }
+    }
+
+    // Show search results in the games grid; an empty search shows every game again
+    async search(value) {
+        const text = value.trim();
+        const loader = window.gameLoader;
+        this.requestId++;
+        this.close();
+
+        if (!loader) {
+            return;
+        }
+        if (!text) {
+            this.setStatus('');
+            loader.renderGames();
+            return;
+        }
+
+        try {
+            const currency = window.lugxCurrency;
+            const url = `/api/games/search?q=${encodeURIComponent(text)}&limit=50`;
+            const response = await fetch(currency ? currency.withCurrency(url) : url);
+            const body = await response.json();
+            if (!response.ok || !body.success) {
+                throw new Error(body.detail || `status ${response.status}`);
+            }
+
+            const { games, currency: resultCurrency, pagination, didYouMean = [] } = body.data;
+            loader.renderGames(games.map(game => loader.fromApiGame(game, resultCurrency)));
+
+            if (games.length === 0) {
+                this.setStatus(`No games found for "${text}".`, didYouMean);
+            } else {
+                this.setStatus(`${pagination.totalItems} game${pagination.totalItems === 1 ? '' : 's'} found for "${text}".`);
+            }
+        } catch (error) {
+            console.log('⚠️ Search failed:', error.message);
+            this.setStatus('Search is unavailable right now. Please try again later.');
+        }
+    }
+}
+
+window.lugxSearch = new LugxSearchSuggest();
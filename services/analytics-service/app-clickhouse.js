@@ -2,12 +2,12 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
-const morgan = require('morgan');
 const { v4: uuidv4 } = require('uuid');
 require('dotenv').config();
 
 const {
     testConnection,
+    executeQuery,
     insertData,
     batchInsert,
     getRealTimeMetrics,
@@ -16,17 +16,37 @@ const {
     getUserBehaviorMetrics,
     getSearchAnalytics,
     getPerformanceMetrics,
+    anonymizeUser,
     closeConnection
 } = require('./clickhouse');
+const { authenticate } = require('./auth');
+const { requirePermission, requireSelfOrPermission } = require('./permissions');
+const { compileReport, describeCatalog, reportQuerySettings } = require('./report-builder');
+const { resolveTimeRange, describeTimeRange, timeRangeQuery } = require('./time-range');
+const { validate } = require('./request-validation');
+const {
+    ApiError,
+    ValidationError,
+    DependencyUnavailableError,
+    sendProblem,
+    errorHandler,
+    routeNotFound
+} = require('./errors');
+const { correlationId, requestLogger } = require('./correlation-id');
+const { openApiDocument, apiExplorer } = require('./openapi');
+const schemas = require('./schemas');
+const { operations } = require('./operations');
+const { version } = require('./package.json');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
 
 // Middleware
+app.use(correlationId);
 app.use(helmet());
 app.use(cors());
 app.use(compression());
-app.use(morgan('combined'));
+app.use(requestLogger);
 app.use(express.json());
 
 // Initialize ClickHouse connection
@@ -46,6 +66,8 @@ const initializeClickHouse = async () => {
     }
 };
 
+const clickhouseUnavailable = () => new DependencyUnavailableError('clickhouse', 'ClickHouse is not connected');
+
 // Health check endpoint
 app.get('/health', async (req, res) => {
     const healthStatus = {
@@ -66,9 +88,9 @@ app.get('/health', async (req, res) => {
                 data_points: realtimeMetrics.length
             };
         } catch (error) {
+            console.error(`❌ [${req.correlationId}] Health check query failed:`, error.message);
             healthStatus.clickhouse_status = {
-                connection_status: 'error',
-                error: error.message
+                connection_status: 'error'
             };
         }
     }
@@ -76,17 +98,24 @@ app.get('/health', async (req, res) => {
     res.status(200).json(healthStatus);
 });
 
+// OpenAPI document generated from the routes, their request schemas and
+// operations.js, and the API explorer (Swagger UI) reading it
+app.get('/api/analytics/openapi.json', (req, res) => {
+    res.json(openApiDocument(app, { info: { title: 'LUGX Analytics Service API', version }, operations }));
+});
+
+app.use('/api/analytics/docs', apiExplorer('/api/analytics/openapi.json', 'LUGX Analytics Service API'));
+
 // 1. Real-time Dashboard Analytics
-app.get('/api/analytics/dashboard', async (req, res) => {
+app.get('/api/analytics/dashboard', authenticate, requirePermission('analytics:read'),
+    validate({ query: schemas.timeRangeQuery }), timeRangeQuery('24h'), async (req, res) => {
     try {
-        const { timeRange = '24 HOUR' } = req.query;
+        const { timeRange } = req;
+        // Games, funnel and daily metrics always cover the last week
+        const { timeRange: lastWeek } = resolveTimeRange({ range: '7d', timezone: timeRange.timezone });
 
         if (!clickhouseConnected) {
-            return res.status(503).json({
-                success: false,
-                error: 'ClickHouse not available',
-                message: 'Analytics database is not connected'
-            });
+            throw clickhouseUnavailable();
         }
 
         const [
@@ -96,9 +125,9 @@ app.get('/api/analytics/dashboard', async (req, res) => {
             userBehavior
         ] = await Promise.all([
             getRealTimeMetrics(timeRange),
-            getGamePopularity('7 DAY'),
-            getConversionFunnel('7 DAY'),
-            getUserBehaviorMetrics('7 DAY')
+            getGamePopularity(lastWeek),
+            getConversionFunnel(lastWeek),
+            getUserBehaviorMetrics(lastWeek)
         ]);
 
         // Calculate summary metrics
@@ -122,30 +151,24 @@ app.get('/api/analytics/dashboard', async (req, res) => {
                 top_games: gamePopularity.slice(0, 10),
                 conversion_funnel: conversionFunnel,
                 daily_metrics: userBehavior.slice(0, 7),
-                timeRange
+                timeRange: describeTimeRange(timeRange)
             }
         });
 
     } catch (error) {
-        console.error('Error fetching dashboard analytics:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch dashboard analytics',
-            message: error.message
-        });
+        sendProblem(req, res, error, 'Failed to fetch dashboard analytics');
     }
 });
 
 // 2. Game Performance Analytics
-app.get('/api/analytics/games', async (req, res) => {
+app.get('/api/analytics/games', authenticate, requirePermission('analytics:read'),
+    validate({ query: schemas.rankedTimeRangeQuery }), timeRangeQuery('7d'), async (req, res) => {
     try {
-        const { timeRange = '7 DAY', limit = 20 } = req.query;
+        const { limit = 20 } = req.query;
+        const { timeRange } = req;
 
         if (!clickhouseConnected) {
-            return res.status(503).json({
-                success: false,
-                error: 'ClickHouse not available'
-            });
+            throw clickhouseUnavailable();
         }
 
         const gameMetrics = await getGamePopularity(timeRange);
@@ -154,31 +177,24 @@ app.get('/api/analytics/games', async (req, res) => {
             success: true,
             data: {
                 games: gameMetrics.slice(0, parseInt(limit)),
-                timeRange,
+                timeRange: describeTimeRange(timeRange),
                 totalGames: gameMetrics.length
             }
         });
 
     } catch (error) {
-        console.error('Error fetching game analytics:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch game analytics',
-            message: error.message
-        });
+        sendProblem(req, res, error, 'Failed to fetch game analytics');
     }
 });
 
 // 3. User Behavior Analytics
-app.get('/api/analytics/users', async (req, res) => {
+app.get('/api/analytics/users', authenticate, requirePermission('analytics:read'),
+    validate({ query: schemas.timeRangeQuery }), timeRangeQuery('30d'), async (req, res) => {
     try {
-        const { timeRange = '30 DAY' } = req.query;
+        const { timeRange } = req;
 
         if (!clickhouseConnected) {
-            return res.status(503).json({
-                success: false,
-                error: 'ClickHouse not available'
-            });
+            throw clickhouseUnavailable();
         }
 
         const [userBehavior, searchAnalytics] = await Promise.all([
@@ -191,30 +207,23 @@ app.get('/api/analytics/users', async (req, res) => {
             data: {
                 daily_metrics: userBehavior,
                 search_analytics: searchAnalytics.slice(0, 10),
-                timeRange
+                timeRange: describeTimeRange(timeRange)
             }
         });
 
     } catch (error) {
-        console.error('Error fetching user analytics:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch user analytics',
-            message: error.message
-        });
+        sendProblem(req, res, error, 'Failed to fetch user analytics');
     }
 });
 
 // 4. Conversion Funnel Analytics
-app.get('/api/analytics/conversion', async (req, res) => {
+app.get('/api/analytics/conversion', authenticate, requirePermission('analytics:read'),
+    validate({ query: schemas.timeRangeQuery }), timeRangeQuery('7d'), async (req, res) => {
     try {
-        const { timeRange = '7 DAY' } = req.query;
+        const { timeRange } = req;
 
         if (!clickhouseConnected) {
-            return res.status(503).json({
-                success: false,
-                error: 'ClickHouse not available'
-            });
+            throw clickhouseUnavailable();
         }
 
         const conversionData = await getConversionFunnel(timeRange);
@@ -240,31 +249,24 @@ app.get('/api/analytics/conversion', async (req, res) => {
             success: true,
             data: {
                 funnel_steps: funnelWithRates,
-                timeRange,
+                timeRange: describeTimeRange(timeRange),
                 total_revenue: conversionData.reduce((sum, step) => sum + step.revenue, 0)
             }
         });
 
     } catch (error) {
-        console.error('Error fetching conversion analytics:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch conversion analytics',
-            message: error.message
-        });
+        sendProblem(req, res, error, 'Failed to fetch conversion analytics');
     }
 });
 
 // 5. Performance Monitoring
-app.get('/api/analytics/performance', async (req, res) => {
+app.get('/api/analytics/performance', authenticate, requirePermission('analytics:read'),
+    validate({ query: schemas.timeRangeQuery }), timeRangeQuery('1h'), async (req, res) => {
     try {
-        const { timeRange = '1 HOUR' } = req.query;
+        const { timeRange } = req;
 
         if (!clickhouseConnected) {
-            return res.status(503).json({
-                success: false,
-                error: 'ClickHouse not available'
-            });
+            throw clickhouseUnavailable();
         }
 
         const performanceMetrics = await getPerformanceMetrics(timeRange);
@@ -288,33 +290,21 @@ app.get('/api/analytics/performance', async (req, res) => {
             success: true,
             data: {
                 services: serviceMetrics,
-                timeRange,
+                timeRange: describeTimeRange(timeRange),
                 metrics_count: performanceMetrics.length
             }
         });
 
     } catch (error) {
-        console.error('Error fetching performance analytics:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch performance analytics',
-            message: error.message
-        });
+        sendProblem(req, res, error, 'Failed to fetch performance analytics');
     }
 });
 
 // 6. Event Tracking Endpoint - Accept analytics events from frontend
-app.post('/api/analytics/events', async (req, res) => {
+app.post('/api/analytics/events', validate({ body: schemas.eventsBody }), async (req, res) => {
     try {
         const { events } = req.body;
 
-        if (!Array.isArray(events) || events.length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Events array is required'
-            });
-        }
-
         if (!clickhouseConnected) {
             // Store events in memory/queue for later processing
             console.log('📊 Storing events for later processing (ClickHouse not available)');
@@ -432,69 +422,75 @@ app.post('/api/analytics/events', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Error processing analytics events:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to process analytics events',
-            message: error.message
-        });
+        sendProblem(req, res, error, 'Failed to process analytics events');
     }
 });
 
-// 7. Custom Reports
-app.post('/api/analytics/reports', async (req, res) => {
+// ClickHouse error code raised when max_execution_time is exceeded
+const CLICKHOUSE_TIMEOUT_EXCEEDED = '159';
+
+// 7. Custom Reports (declarative spec compiled by report-builder.js)
+app.get('/api/analytics/reports/catalog', authenticate, requirePermission('analytics:reports'), (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            sources: describeCatalog()
+        }
+    });
+});
+
+app.post('/api/analytics/reports', authenticate, requirePermission('analytics:reports'),
+    validate({ body: schemas.reportBody }), async (req, res) => {
     try {
-        const { query, timeRange = '7 DAY', filters = {} } = req.body;
+        if (req.body && req.body.query !== undefined) {
+            throw new ValidationError(
+                'Raw SQL queries are not supported; send a report spec (source, metrics, dimensions, filters), see GET /api/analytics/reports/catalog',
+                { code: 'RAW_SQL_NOT_SUPPORTED' }
+            );
+        }
+
+        const { errors, report, query, params } = compileReport(req.body);
 
-        if (!query) {
-            return res.status(400).json({
-                success: false,
-                error: 'Query is required'
+        if (errors.length > 0) {
+            throw new ValidationError('Invalid report specification', {
+                code: 'INVALID_REPORT',
+                details: errors.map(error => ({ location: 'body', ...error }))
             });
         }
 
         if (!clickhouseConnected) {
-            return res.status(503).json({
-                success: false,
-                error: 'ClickHouse not available'
-            });
+            throw clickhouseUnavailable();
         }
 
-        // This is a simplified custom query endpoint
-        // In production, you'd want to sanitize and validate queries
-        const reportData = await executeQuery(query);
+        const rows = await executeQuery(query, params, reportQuerySettings());
+        const results = rows.slice(0, report.limit);
 
         res.json({
             success: true,
             data: {
-                results: reportData,
-                query,
-                timeRange,
-                filters,
-                row_count: reportData.length
+                report,
+                results,
+                row_count: results.length,
+                truncated: rows.length > report.limit
             }
         });
 
     } catch (error) {
-        console.error('Error generating custom report:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to generate custom report',
-            message: error.message
-        });
+        sendProblem(req, res, error.code === CLICKHOUSE_TIMEOUT_EXCEEDED
+            ? new ApiError(504, 'REPORT_TIMEOUT', 'Report query timed out; narrow the time range or add filters')
+            : error, 'Failed to generate custom report');
     }
 });
 
 // 8. Search Analytics
-app.get('/api/analytics/search', async (req, res) => {
+app.get('/api/analytics/search', authenticate, requirePermission('analytics:read'),
+    validate({ query: schemas.rankedTimeRangeQuery }), timeRangeQuery('7d'), async (req, res) => {
     try {
-        const { timeRange = '7 DAY', limit = 20 } = req.query;
+        const { limit = 20 } = req.query;
+        const { timeRange } = req;
 
         if (!clickhouseConnected) {
-            return res.status(503).json({
-                success: false,
-                error: 'ClickHouse not available'
-            });
+            throw clickhouseUnavailable();
         }
 
         const searchData = await getSearchAnalytics(timeRange);
@@ -503,40 +499,47 @@ app.get('/api/analytics/search', async (req, res) => {
             success: true,
             data: {
                 top_searches: searchData.slice(0, parseInt(limit)),
-                timeRange,
+                timeRange: describeTimeRange(timeRange),
                 total_searches: searchData.reduce((sum, search) => sum + search.search_count, 0),
                 total_unique_searchers: searchData.reduce((sum, search) => sum + search.unique_searchers, 0)
             }
         });
 
     } catch (error) {
-        console.error('Error fetching search analytics:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch search analytics',
-            message: error.message
+        sendProblem(req, res, error, 'Failed to fetch search analytics');
+    }
+});
+
+// 9. Right to erasure: anonymize a user's events (the user or customers:write; called by order-service
+// when a customer is deleted)
+app.delete('/api/analytics/users/:userId', authenticate, requireSelfOrPermission('userId', 'customers:write'),
+    validate({ params: schemas.userParams }), async (req, res) => {
+    try {
+        if (!clickhouseConnected) {
+            throw clickhouseUnavailable();
+        }
+
+        const { tables } = await anonymizeUser(req.params.userId);
+
+        res.json({
+            success: true,
+            message: 'User analytics data anonymized',
+            data: {
+                user_id: req.params.userId,
+                tables
+            }
         });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to anonymize user analytics data');
     }
 });
 
 // Error handling middleware
-app.use((err, req, res, next) => {
-    console.error('Analytics Service Error:', err);
-    res.status(500).json({
-        success: false,
-        error: 'Internal server error',
-        message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
-    });
-});
+app.use(errorHandler);
 
 // 404 handler
-app.use('*', (req, res) => {
-    res.status(404).json({
-        success: false,
-        error: 'Route not found',
-        message: `The requested endpoint ${req.method} ${req.originalUrl} does not exist`
-    });
-});
+app.use('*', routeNotFound);
 
 // Graceful shutdown
 process.on('SIGTERM', async () => {
@@ -552,25 +555,23 @@ process.on('SIGINT', async () => {
 });
 
 // Start server
-const startServer = async () => {
+const startServer = async (port = PORT) => {
     await initializeClickHouse();
     
-    app.listen(PORT, () => {
-        console.log(`📊 Analytics Service running on port ${PORT}`);
-        console.log(`🔗 Health check: http://localhost:${PORT}/health`);
-        console.log(`📈 ClickHouse status: ${clickhouseConnected ? 'Connected' : 'Disconnected'}`);
-        console.log('Available endpoints:');
-        console.log('  GET  /api/analytics/dashboard         - Real-time dashboard metrics');
-        console.log('  GET  /api/analytics/games             - Game performance analytics');
-        console.log('  GET  /api/analytics/users             - User behavior analytics');
-        console.log('  GET  /api/analytics/conversion        - Conversion funnel analysis');
-        console.log('  GET  /api/analytics/performance       - System performance metrics');
-        console.log('  POST /api/analytics/events            - Event tracking endpoint');
-        console.log('  POST /api/analytics/reports           - Custom reports');
-        console.log('  GET  /api/analytics/search            - Search analytics');
+    return new Promise((resolve) => {
+        const server = app.listen(port, () => {
+            const url = `http://localhost:${server.address().port}`;
+            console.log(`📊 Analytics Service running on port ${server.address().port}`);
+            console.log(`🔗 Health check: ${url}/health`);
+            console.log(`📈 ClickHouse status: ${clickhouseConnected ? 'Connected' : 'Disconnected'}`);
+            console.log(`📖 API explorer: ${url}/api/analytics/docs (OpenAPI document: ${url}/api/analytics/openapi.json)`);
+            resolve(server);
+        });
     });
 };
 
-startServer().catch(console.error);
+if (require.main === module) {
+    startServer().catch(console.error);
+}
 
-module.exports = app;
+module.exports = { app, startServer };
@@ -2,17 +2,26 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
-const morgan = require('morgan');
 const { v4: uuidv4 } = require('uuid');
+const { authenticate } = require('./auth');
+const { requirePermission } = require('./permissions');
+const { validate } = require('./request-validation');
+const { NotFoundError, sendProblem, errorHandler, routeNotFound } = require('./errors');
+const { correlationId, requestLogger } = require('./correlation-id');
+const { openApiDocument, apiExplorer } = require('./openapi');
+const schemas = require('./schemas');
+const { sampleOperations } = require('./operations');
+const { version } = require('./package.json');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
 
 // Middleware
+app.use(correlationId);
 app.use(helmet());
 app.use(cors());
 app.use(compression());
-app.use(morgan('combined'));
+app.use(requestLogger);
 app.use(express.json());
 
 // Sample analytics data - in production this would come from a database
@@ -178,8 +187,19 @@ app.get('/api/analytics/health', (req, res) => {
     });
 });
 
+// OpenAPI document generated from the routes, their request schemas and
+// operations.js, and the API explorer (Swagger UI) reading it
+app.get('/api/analytics/openapi.json', (req, res) => {
+    res.json(openApiDocument(app, {
+        info: { title: 'LUGX Analytics Service API (sample data)', version },
+        operations: sampleOperations
+    }));
+});
+
+app.use('/api/analytics/docs', apiExplorer('/api/analytics/openapi.json', 'LUGX Analytics Service API'));
+
 // 1. Get overall analytics dashboard
-app.get('/api/analytics/dashboard', (req, res) => {
+app.get('/api/analytics/dashboard', authenticate, requirePermission('analytics:read'), (req, res) => {
     try {
         const dashboard = {
             summary: {
@@ -205,16 +225,13 @@ app.get('/api/analytics/dashboard', (req, res) => {
             timestamp: new Date().toISOString()
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch dashboard analytics',
-            message: error.message
-        });
+        sendProblem(req, res, error, 'Failed to fetch dashboard analytics');
     }
 });
 
 // 2. Get game performance analytics
-app.get('/api/analytics/games', (req, res) => {
+app.get('/api/analytics/games', authenticate, requirePermission('analytics:read'),
+    validate({ query: schemas.sampleGamesQuery }), (req, res) => {
     try {
         const { category, sortBy = 'popularity', limit = 10 } = req.query;
         
@@ -255,26 +272,19 @@ app.get('/api/analytics/games', (req, res) => {
             timestamp: new Date().toISOString()
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch game analytics',
-            message: error.message
-        });
+        sendProblem(req, res, error, 'Failed to fetch game analytics');
     }
 });
 
 // 3. Get individual game analytics
-app.get('/api/analytics/games/:gameId', (req, res) => {
+app.get('/api/analytics/games/:gameId', authenticate, requirePermission('analytics:read'),
+    validate({ params: schemas.sampleGameParams }), (req, res) => {
     try {
         const { gameId } = req.params;
         const game = analyticsData.gameAnalytics.find(g => g.gameId === gameId);
         
         if (!game) {
-            return res.status(404).json({
-                success: false,
-                error: 'Game not found',
-                gameId
-            });
+            throw new NotFoundError('Game not found', { code: 'GAME_NOT_FOUND' });
         }
         
         // Calculate additional metrics
@@ -295,16 +305,13 @@ app.get('/api/analytics/games/:gameId', (req, res) => {
             timestamp: new Date().toISOString()
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch game analytics',
-            message: error.message
-        });
+        sendProblem(req, res, error, 'Failed to fetch game analytics');
     }
 });
 
 // 4. Get sales analytics and reports
-app.get('/api/analytics/sales', (req, res) => {
+app.get('/api/analytics/sales', authenticate, requirePermission('analytics:read'),
+    validate({ query: schemas.sampleSalesQuery }), (req, res) => {
     try {
         const { period = 'week', category } = req.query;
         
@@ -340,16 +347,13 @@ app.get('/api/analytics/sales', (req, res) => {
             timestamp: new Date().toISOString()
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch sales analytics',
-            message: error.message
-        });
+        sendProblem(req, res, error, 'Failed to fetch sales analytics');
     }
 });
 
 // 5. Get user behavior analytics
-app.get('/api/analytics/users', (req, res) => {
+app.get('/api/analytics/users', authenticate, requirePermission('analytics:read'),
+    validate({ query: schemas.sampleUsersQuery }), (req, res) => {
     try {
         const { metric = 'all' } = req.query;
         
@@ -389,16 +393,12 @@ app.get('/api/analytics/users', (req, res) => {
             timestamp: new Date().toISOString()
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch user analytics',
-            message: error.message
-        });
+        sendProblem(req, res, error, 'Failed to fetch user analytics');
     }
 });
 
 // 6. Get real-time analytics
-app.get('/api/analytics/realtime', (req, res) => {
+app.get('/api/analytics/realtime', authenticate, requirePermission('analytics:read'), (req, res) => {
     try {
         const currentTime = new Date();
         const realTimeData = {
@@ -442,16 +442,13 @@ app.get('/api/analytics/realtime', (req, res) => {
             timestamp: currentTime.toISOString()
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch real-time analytics',
-            message: error.message
-        });
+        sendProblem(req, res, error, 'Failed to fetch real-time analytics');
     }
 });
 
 // 7. Create custom analytics report
-app.post('/api/analytics/reports', (req, res) => {
+app.post('/api/analytics/reports', authenticate, requirePermission('analytics:reports'),
+    validate({ body: schemas.sampleReportBody }), (req, res) => {
     try {
         const { 
             reportName, 
@@ -460,13 +457,6 @@ app.post('/api/analytics/reports', (req, res) => {
             filters = {} 
         } = req.body;
         
-        if (!reportName || metrics.length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Report name and metrics are required'
-            });
-        }
-        
         const reportId = uuidv4();
         const report = {
             reportId,
@@ -490,11 +480,7 @@ app.post('/api/analytics/reports', (req, res) => {
             data: report
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: 'Failed to generate custom report',
-            message: error.message
-        });
+        sendProblem(req, res, error, 'Failed to generate custom report');
     }
 });
 
@@ -509,7 +495,7 @@ app.get('/api/analytics/events', (req, res) => {
     });
 });
 
-app.post('/api/analytics/events', (req, res) => {
+app.post('/api/analytics/events', validate({ body: schemas.sampleEventBody }), (req, res) => {
     try {
         const { 
             eventType, 
@@ -519,13 +505,6 @@ app.post('/api/analytics/events', (req, res) => {
             metadata = {} 
         } = req.body;
         
-        if (!eventType) {
-            return res.status(400).json({
-                success: false,
-                error: 'Event type is required'
-            });
-        }
-        
         const event = {
             eventId: uuidv4(),
             eventType,
@@ -546,46 +525,29 @@ app.post('/api/analytics/events', (req, res) => {
             data: { eventId: event.eventId }
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: 'Failed to track event',
-            message: error.message
-        });
+        sendProblem(req, res, error, 'Failed to track event');
     }
 });
 
 // Error handling middleware
-app.use((err, req, res, next) => {
-    console.error('Error:', err);
-    res.status(500).json({
-        success: false,
-        error: 'Internal server error',
-        message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
-    });
-});
+app.use(errorHandler);
 
 // 404 handler
-app.use('*', (req, res) => {
-    res.status(404).json({
-        success: false,
-        error: 'Route not found',
-        message: `The requested endpoint ${req.method} ${req.originalUrl} does not exist`
-    });
-});
+app.use('*', routeNotFound);
 
 // Start server
-app.listen(PORT, () => {
-    console.log(`Analytics Service running on port ${PORT}`);
-    console.log(`Health check: http://localhost:${PORT}/health`);
-    console.log('Available endpoints:');
-    console.log('  GET  /api/analytics/dashboard      - Overall analytics dashboard');
-    console.log('  GET  /api/analytics/games          - Game performance analytics');
-    console.log('  GET  /api/analytics/games/:id      - Individual game analytics');
-    console.log('  GET  /api/analytics/sales          - Sales analytics and reports');
-    console.log('  GET  /api/analytics/users          - User behavior analytics');
-    console.log('  GET  /api/analytics/realtime       - Real-time analytics');
-    console.log('  POST /api/analytics/reports        - Generate custom reports');
-    console.log('  POST /api/analytics/events         - Track user events');
+const startServer = (port = PORT) => new Promise((resolve) => {
+    const server = app.listen(port, () => {
+        const url = `http://localhost:${server.address().port}`;
+        console.log(`Analytics Service running on port ${server.address().port}`);
+        console.log(`Health check: ${url}/health`);
+        console.log(`API explorer: ${url}/api/analytics/docs (OpenAPI document: ${url}/api/analytics/openapi.json)`);
+        resolve(server);
+    });
 });
 
-module.exports = app;
+if (require.main === module) {
+    startServer();
+}
+
+module.exports = { app, startServer };
@@ -0,0 +1,74 @@
+const jwt = require('jsonwebtoken');
+
+const { AuthenticationError } = require('./errors');
+
+// Access token verification for analytics-service.
+// Tokens are issued by order-service (see services/order-service/auth.js) and
+// signed with the shared JWT_SECRET. Analytics has no Postgres connection, so
+// the logout revocation list is not consulted here; access tokens are short-lived.
+
+// The development signing key is only used outside production; a production
+// process without JWT_SECRET refuses to start rather than accept tokens anyone
+// could forge with the key published here.
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set when NODE_ENV=production');
+}
+
+const JWT_SECRET = process.env.JWT_SECRET || 'lugx_dev_jwt_secret_change_me';
+const JWT_ISSUER = 'lugx-gaming';
+const DEFAULT_ROLE = 'customer';
+
+const missingToken = () => new AuthenticationError('A Bearer access token is required');
+
+const invalidToken = (error) => (error instanceof jwt.TokenExpiredError
+    ? new AuthenticationError('Access token has expired', { code: 'TOKEN_EXPIRED' })
+    : new AuthenticationError('Invalid access token', { code: 'INVALID_TOKEN' }));
+
+// Verify the bearer token and return the user. Returns null when no token is present.
+const resolveUser = (req) => {
+    const header = req.get('Authorization') || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return null;
+    }
+
+    const claims = jwt.verify(token, JWT_SECRET, { issuer: JWT_ISSUER });
+
+    if (claims.type !== 'access') {
+        throw new jwt.JsonWebTokenError('Not an access token');
+    }
+
+    return {
+        customer_id: claims.sub,
+        roles: claims.roles || [DEFAULT_ROLE],
+        jti: claims.jti,
+        exp: claims.exp
+    };
+};
+
+// Require a valid access token
+const authenticate = (req, res, next) => {
+    try {
+        const user = resolveUser(req);
+
+        if (!user) {
+            return next(missingToken());
+        }
+
+        req.user = user;
+        next();
+    } catch (error) {
+        if (error instanceof jwt.JsonWebTokenError) {
+            return next(invalidToken(error));
+        }
+        next(error);
+    }
+};
+
+// Read by the OpenAPI document, like the permission middleware's rules
+authenticate.access = { authentication: 'required' };
+
+module.exports = {
+    authenticate
+};
@@ -1,6 +1,9 @@
+const crypto = require('crypto');
 const { createClient } = require('@clickhouse/client');
 require('dotenv').config();
 
+const { timeRangeParams, timeRangeCondition, bucketBy } = require('./time-range');
+
 // ClickHouse connection configuration
 const clickhouseConfig = {
     host: process.env.CLICKHOUSE_HOST || 'http://localhost:8123',
@@ -34,11 +37,12 @@ const testConnection = async () => {
 };
 
 // Execute query with proper error handling
-const executeQuery = async (query, params = {}) => {
+const executeQuery = async (query, params = {}, settings = {}) => {
     try {
         const result = await clickhouse.query({
             query,
             query_params: params,
+            clickhouse_settings: settings,
             format: 'JSONEachRow',
         });
         
@@ -102,27 +106,29 @@ const batchInsert = async (table, dataArray, batchSize = 1000) => {
     }
 };
 
+// Query helpers below take a range resolved by time-range.js
+
 // Get real-time analytics data
-const getRealTimeMetrics = async (timeRange = '1 HOUR') => {
+const getRealTimeMetrics = async (timeRange) => {
     const query = `
         SELECT 
-            toStartOfMinute(timestamp) as minute,
+            ${bucketBy('toStartOfMinute', 'timestamp')} as minute,
             count() as page_views,
             uniq(session_id) as unique_sessions,
             uniq(user_id) as unique_users,
             avg(time_on_page_seconds) as avg_time_on_page
         FROM page_views 
-        WHERE timestamp >= now() - INTERVAL ${timeRange}
+        WHERE ${timeRangeCondition('timestamp')}
         GROUP BY minute
         ORDER BY minute DESC
         LIMIT 60
     `;
     
-    return await executeQuery(query);
+    return await executeQuery(query, timeRangeParams(timeRange));
 };
 
 // Get game popularity metrics
-const getGamePopularity = async (timeRange = '7 DAY') => {
+const getGamePopularity = async (timeRange) => {
     const query = `
         SELECT 
             gi.game_title,
@@ -134,17 +140,17 @@ const getGamePopularity = async (timeRange = '7 DAY') => {
             countIf(gi.event_type = 'purchase') as purchases,
             round(countIf(gi.event_type = 'purchase') / countIf(gi.event_type = 'view') * 100, 2) as conversion_rate
         FROM game_interactions gi
-        WHERE gi.timestamp >= now() - INTERVAL ${timeRange}
+        WHERE ${timeRangeCondition('gi.timestamp')}
         GROUP BY gi.game_title, gi.game_category
         ORDER BY total_interactions DESC
         LIMIT 20
     `;
     
-    return await executeQuery(query);
+    return await executeQuery(query, timeRangeParams(timeRange));
 };
 
 // Get conversion funnel data
-const getConversionFunnel = async (timeRange = '7 DAY') => {
+const getConversionFunnel = async (timeRange) => {
     const query = `
         SELECT 
             funnel_step,
@@ -152,7 +158,7 @@ const getConversionFunnel = async (timeRange = '7 DAY') => {
             uniq(session_id) as unique_sessions,
             sum(total_amount) as revenue
         FROM purchase_events
-        WHERE purchase_timestamp >= now() - INTERVAL ${timeRange}
+        WHERE ${timeRangeCondition('purchase_timestamp')}
         GROUP BY funnel_step
         ORDER BY 
             CASE funnel_step
@@ -164,14 +170,14 @@ const getConversionFunnel = async (timeRange = '7 DAY') => {
             END
     `;
     
-    return await executeQuery(query);
+    return await executeQuery(query, timeRangeParams(timeRange));
 };
 
 // Get user behavior analytics
-const getUserBehaviorMetrics = async (timeRange = '7 DAY') => {
+const getUserBehaviorMetrics = async (timeRange) => {
     const query = `
         SELECT 
-            toStartOfDay(session_start_time) as date,
+            ${bucketBy('toStartOfDay', 'session_start_time')} as date,
             count() as total_sessions,
             uniq(user_id) as unique_users,
             avg(session_duration_seconds) as avg_session_duration,
@@ -179,16 +185,16 @@ const getUserBehaviorMetrics = async (timeRange = '7 DAY') => {
             countIf(page_views = 1) as bounce_sessions,
             round(countIf(page_views = 1) / count() * 100, 2) as bounce_rate
         FROM user_sessions
-        WHERE session_start_time >= now() - INTERVAL ${timeRange}
+        WHERE ${timeRangeCondition('session_start_time')}
         GROUP BY date
         ORDER BY date DESC
     `;
     
-    return await executeQuery(query);
+    return await executeQuery(query, timeRangeParams(timeRange));
 };
 
 // Get search analytics
-const getSearchAnalytics = async (timeRange = '7 DAY') => {
+const getSearchAnalytics = async (timeRange) => {
     const query = `
         SELECT 
             search_query,
@@ -199,17 +205,17 @@ const getSearchAnalytics = async (timeRange = '7 DAY') => {
             countIf(clicked_result_position IS NOT NULL) as clicks,
             round(countIf(clicked_result_position IS NOT NULL) / count() * 100, 2) as click_through_rate
         FROM search_events
-        WHERE timestamp >= now() - INTERVAL ${timeRange}
+        WHERE ${timeRangeCondition('timestamp')}
         GROUP BY search_query
         ORDER BY search_count DESC
         LIMIT 20
     `;
     
-    return await executeQuery(query);
+    return await executeQuery(query, timeRangeParams(timeRange));
 };
 
 // Get performance metrics
-const getPerformanceMetrics = async (timeRange = '1 HOUR') => {
+const getPerformanceMetrics = async (timeRange) => {
     const query = `
         SELECT 
             service_name,
@@ -220,12 +226,43 @@ const getPerformanceMetrics = async (timeRange = '1 HOUR') => {
             quantile(0.95)(metric_value) as p95_value,
             count() as sample_count
         FROM performance_metrics
-        WHERE timestamp >= now() - INTERVAL ${timeRange}
+        WHERE ${timeRangeCondition('timestamp')}
         GROUP BY service_name, metric_type
         ORDER BY service_name, metric_type
     `;
     
-    return await executeQuery(query);
+    return await executeQuery(query, timeRangeParams(timeRange));
+};
+
+// Per-user tables anonymized on right-to-erasure requests, with the other
+// identifying columns cleared alongside user_id. Every table with a user_id
+// column (database/clickhouse/init/01-create-schema.sql) must be listed.
+// purchase_events keeps customer_id: it is part of the sorting key, and
+// order-service keeps the same id on the erased customer's orders.
+const USER_DATA_TABLES = {
+    user_sessions: ['ip_address', 'user_agent'],
+    page_views: [],
+    game_interactions: [],
+    purchase_events: [],
+    search_events: [],
+    user_behavior_flow: []
+};
+
+// Replace a user's user_id with a random pseudonym in every per-user table.
+// Mutations run synchronously so the caller knows the data is gone.
+const anonymizeUser = async (userId) => {
+    const pseudonym = `erased_${crypto.randomUUID()}`;
+
+    for (const [table, columns] of Object.entries(USER_DATA_TABLES)) {
+        const assignments = ['user_id = {pseudonym:String}', ...columns.map(column => `${column} = ''`)];
+        await clickhouse.command({
+            query: `ALTER TABLE ${table} UPDATE ${assignments.join(', ')} WHERE user_id = {user_id:String}`,
+            query_params: { pseudonym, user_id: userId },
+            clickhouse_settings: { mutations_sync: 1 }
+        });
+    }
+
+    return { tables: Object.keys(USER_DATA_TABLES) };
 };
 
 // Close connection
@@ -250,5 +287,7 @@ module.exports = {
     getUserBehaviorMetrics,
     getSearchAnalytics,
     getPerformanceMetrics,
+    USER_DATA_TABLES,
+    anonymizeUser,
     closeConnection
 };
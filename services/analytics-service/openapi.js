@@ -0,0 +1,262 @@
+const { STATUS_CODES } = require('http');
+const express = require('express');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const swaggerUi = require('swagger-ui-dist');
+
+const { PROBLEM_CONTENT_TYPE } = require('./errors');
+
+// OpenAPI documents, the API explorer and response contract checks shared by
+// order-service, game-service and analytics-service. Keep this file identical
+// in all three services.
+//
+// The document is generated from the Express routes: their paths and methods,
+// the request schemas given to validate(), the rules kept on the
+// authentication and permission middleware, and the summary and response
+// schemas each service lists per route in its operations.js:
+//
+//   'GET /api/orders/:id': {
+//       tag: 'Orders',
+//       summary: 'Get an order with its items and status history',
+//       responses: { 200: success(ORDER_DETAIL), 404: PROBLEM }
+//   }
+//
+// Every operation documents PROBLEM as its default response, plus a 400 when it
+// validates input and a 401/403 when it needs a token or permission. Problem
+// schemas (PROBLEM and schemas built from it) are documented as
+// application/problem+json, everything else as application/json.
+// checkResponse() compares a real response with the declared schema; each
+// service's contract test runs it over the routes so the document cannot
+// drift from what the handlers send.
+
+const OPENAPI_VERSION = '3.1.0';
+
+// Problem document sent for every error (errors.js). Extend it with
+// problem({ items: ... }) for errors carrying more members.
+const problem = (properties = {}) => ({
+    title: 'Problem',
+    type: 'object',
+    properties: {
+        type: { type: 'string', description: 'URI identifying the kind of problem' },
+        title: { type: 'string' },
+        status: { type: 'integer' },
+        detail: { type: 'string' },
+        instance: { type: 'string' },
+        code: { type: 'string', description: 'Stable, machine-readable error code' },
+        correlation_id: { type: 'string', description: 'X-Request-ID of the request, as logged by every service' },
+        details: { type: 'array', description: 'Invalid fields or rules that failed' },
+        ...properties
+    },
+    required: ['type', 'title', 'status', 'code']
+});
+
+const PROBLEM = problem();
+
+const isProblem = (schema) => schema.title === PROBLEM.title;
+
+// Success body: { success: true, message?, data } plus any listed properties
+const success = (data, properties = {}) => ({
+    type: 'object',
+    properties: {
+        success: { const: true },
+        message: { type: 'string' },
+        ...(data && { data }),
+        ...properties
+    },
+    required: ['success', ...(data ? ['data'] : []), ...Object.keys(properties)]
+});
+
+// Array of items matching a schema
+const listOf = (items) => ({ type: 'array', items });
+
+// Rules kept on a route's middleware (auth.js and permissions.js)
+const routeAccess = (route) => route.stack
+    .map(layer => layer.handle.access)
+    .filter(Boolean)
+    .reduce((access, rule) => ({ ...access, ...rule }), {});
+
+const describeAccess = ({ permission, self }) => {
+    if (!permission) {
+        return null;
+    }
+    return self
+        ? `Open to the customer named by \`${self}\`, or with the \`${permission}\` permission.`
+        : `Requires the \`${permission}\` permission.`;
+};
+
+const jsonResponse = (status, schema) => ({
+    description: STATUS_CODES[status] || 'Error',
+    content: { [isProblem(schema) ? PROBLEM_CONTENT_TYPE : 'application/json']: { schema } }
+});
+
+const parameter = (name, location, schema, required) => ({
+    name,
+    in: location,
+    required,
+    ...(schema.description && { description: schema.description }),
+    schema
+});
+
+// OpenAPI operation for a route from its validate() schemas, access rules and
+// its operations.js entry
+const buildOperation = (route, schemas, access, operation = {}) => {
+    const pathNames = (route.path.match(/:(\w+)/g) || []).map(name => name.slice(1));
+    const paramSchemas = (schemas.params && schemas.params.properties) || {};
+    const querySchemas = (schemas.query && schemas.query.properties) || {};
+    const requiredQuery = (schemas.query && schemas.query.required) || [];
+    const description = [operation.description, describeAccess(access)].filter(Boolean).join('\n\n');
+
+    const responses = {};
+    Object.entries(operation.responses || {}).forEach(([status, schema]) => {
+        responses[status] = jsonResponse(status, schema);
+    });
+    if (Object.keys(schemas).length > 0 && !responses[400]) {
+        responses[400] = jsonResponse(400, PROBLEM);
+    }
+    if (access.authentication === 'required' && !responses[401]) {
+        responses[401] = jsonResponse(401, PROBLEM);
+    }
+    if (access.permission && !responses[403]) {
+        responses[403] = jsonResponse(403, PROBLEM);
+    }
+    responses.default = jsonResponse('default', PROBLEM);
+
+    return {
+        ...(operation.tag && { tags: [operation.tag] }),
+        ...(operation.summary && { summary: operation.summary }),
+        ...(description && { description }),
+        ...(access.authentication === 'required' && { security: [{ bearerAuth: [] }] }),
+        ...(access.authentication === 'optional' && { security: [{}, { bearerAuth: [] }] }),
+        parameters: [
+            ...pathNames.map(name => parameter(name, 'path', paramSchemas[name] || { type: 'string' }, true)),
+            ...Object.entries(querySchemas).map(([name, schema]) =>
+                parameter(name, 'query', schema, requiredQuery.includes(name)))
+        ],
+        ...(schemas.body && {
+            requestBody: {
+                required: true,
+                content: { 'application/json': { schema: schemas.body } }
+            }
+        }),
+        responses
+    };
+};
+
+// Routes registered on app as { method, path, route } ("GET", "/api/orders/:id")
+const listRoutes = (app) => app._router.stack
+    .filter(layer => layer.route && typeof layer.route.path === 'string')
+    .flatMap(({ route }) => Object.keys(route.methods).map(method => ({
+        method: method.toUpperCase(),
+        path: route.path,
+        route
+    })));
+
+// OpenAPI document for the routes registered on app, described by operations
+// ({ 'METHOD /path': { tag, summary, description, responses } })
+const openApiDocument = (app, { info, operations = {} }) => {
+    const paths = {};
+
+    listRoutes(app).forEach(({ method, path, route }) => {
+        const schemas = route.stack.map(layer => layer.handle.schemas).find(Boolean) || {};
+        const openApiPath = path.replace(/:(\w+)/g, '{$1}');
+        paths[openApiPath] = {
+            ...paths[openApiPath],
+            [method.toLowerCase()]: buildOperation(route, schemas, routeAccess(route), operations[`${method} ${path}`])
+        };
+    });
+
+    return {
+        openapi: OPENAPI_VERSION,
+        info,
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    bearerFormat: 'JWT',
+                    description: 'Access token from POST /api/auth/login'
+                }
+            }
+        }
+    };
+};
+
+const responseValidator = addFormats(new Ajv({ allErrors: true, allowUnionTypes: true }));
+
+// Problems with a response, checked against the content type and schema the
+// document declares for its route and status (or the default response);
+// empty when it matches
+const checkResponse = (document, { method, path, status, contentType, body }) => {
+    const openApiPath = path.replace(/:(\w+)/g, '{$1}');
+    const operation = document.paths[openApiPath] && document.paths[openApiPath][method.toLowerCase()];
+    if (!operation) {
+        return [`${method} ${path} is not documented`];
+    }
+
+    const response = operation.responses[status] || operation.responses.default;
+    const [declaredType, { schema }] = Object.entries(response.content)[0];
+    const problems = [];
+    if (contentType !== undefined && !String(contentType).startsWith(declaredType)) {
+        problems.push(`${method} ${path} ${status}: content type ${contentType} is not ${declaredType}`);
+    }
+
+    const check = responseValidator.compile(schema);
+    if (!check(body)) {
+        problems.push(...check.errors.map(error =>
+            `${method} ${path} ${status}: ${error.instancePath || 'body'} ${error.message}`));
+    }
+    return problems;
+};
+
+// Express router serving Swagger UI for the document at documentUrl. Assets
+// come from swagger-ui-dist, so the page works offline and within the default
+// Content-Security-Policy set by helmet.
+const apiExplorer = (documentUrl, title) => {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+        const base = req.baseUrl;
+        res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>${title}</title>
+    <link rel="stylesheet" href="${base}/swagger-ui.css">
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="${base}/swagger-ui-bundle.js"></script>
+    <script src="${base}/swagger-ui-standalone-preset.js"></script>
+    <script src="${base}/explorer.js"></script>
+</body>
+</html>
+`);
+    });
+
+    router.get('/explorer.js', (req, res) => {
+        res.type('application/javascript').send(`window.ui = SwaggerUIBundle({
+    url: ${JSON.stringify(documentUrl)},
+    dom_id: '#swagger-ui',
+    deepLinking: true,
+    validatorUrl: null,
+    presets: [SwaggerUIBundle.presets.apis, SwaggerUIStandalonePreset],
+    layout: 'StandaloneLayout'
+});
+`);
+    });
+
+    router.use(express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+    return router;
+};
+
+module.exports = {
+    PROBLEM,
+    problem,
+    success,
+    listOf,
+    listRoutes,
+    openApiDocument,
+    checkResponse,
+    apiExplorer
+};
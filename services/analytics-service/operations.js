@@ -0,0 +1,428 @@
+const { nullable, object } = require('./request-validation');
+const { PROBLEM, success, listOf } = require('./openapi');
+
+// Summaries and response schemas of the Analytics Service routes, keyed by
+// "METHOD /path": `operations` for app-clickhouse.js and `sampleOperations`
+// for the in-memory app.js. openapi.js combines them with the request schemas
+// into the OpenAPI document, and test/contract.test.js checks real responses
+// against them.
+//
+// Objects list the fields clients rely on; rows may carry more columns.
+// ClickHouse sends 64-bit integers (count(), uniq()) as strings in JSON.
+
+const TEXT = { type: 'string' };
+const OPTIONAL_TEXT = nullable(TEXT);
+const TIMESTAMP = { type: 'string', description: 'ISO 8601 timestamp' };
+const NUMBER = { type: 'number' };
+const COUNT = { type: ['integer', 'string'], description: 'Count (64-bit counts are strings)' };
+const METRIC = { type: ['number', 'string'], description: 'Number (sums of 64-bit counts are strings)' };
+
+const HEALTH = object({
+    status: TEXT,
+    service: TEXT,
+    timestamp: TIMESTAMP,
+    uptime: NUMBER,
+    version: TEXT
+}, ['status', 'service', 'timestamp', 'uptime', 'version']);
+
+const OPENAPI_DOCUMENT = object({
+    openapi: TEXT,
+    info: { type: 'object' },
+    paths: { type: 'object' }
+}, ['openapi', 'info', 'paths']);
+
+const UNAVAILABLE = { ...PROBLEM, description: 'ClickHouse is not connected' };
+
+// ClickHouse API (app-clickhouse.js)
+
+// Resolved window of a time-range query (time-range.js)
+const TIME_RANGE = object({
+    from: TIMESTAMP,
+    to: TIMESTAMP,
+    timezone: TEXT,
+    range: OPTIONAL_TEXT
+}, ['from', 'to', 'timezone']);
+
+const GAME_POPULARITY = object({
+    game_title: TEXT,
+    game_category: TEXT,
+    total_interactions: COUNT,
+    unique_sessions: COUNT,
+    views: COUNT,
+    cart_additions: COUNT,
+    purchases: COUNT,
+    conversion_rate: nullable(NUMBER)
+}, ['game_title', 'total_interactions', 'views', 'purchases']);
+
+const FUNNEL_STEP = object({
+    funnel_step: TEXT,
+    step_count: COUNT,
+    unique_sessions: COUNT,
+    revenue: METRIC
+}, ['funnel_step', 'step_count', 'revenue']);
+
+const DAILY_METRICS = object({
+    date: TEXT,
+    total_sessions: COUNT,
+    unique_users: COUNT,
+    avg_session_duration: NUMBER,
+    avg_pages_per_session: NUMBER,
+    bounce_sessions: COUNT,
+    bounce_rate: NUMBER
+}, ['date', 'total_sessions', 'unique_users', 'avg_session_duration', 'bounce_rate']);
+
+const SEARCH_TERM = object({
+    search_query: TEXT,
+    search_count: COUNT,
+    unique_searchers: COUNT,
+    avg_results: NUMBER,
+    no_results_count: COUNT,
+    clicks: COUNT,
+    click_through_rate: NUMBER
+}, ['search_query', 'search_count', 'unique_searchers']);
+
+const operations = {
+    'GET /health': {
+        tag: 'Service',
+        summary: 'Service health and ClickHouse status',
+        responses: {
+            200: object({
+                ...HEALTH.properties,
+                clickhouse: { type: 'string', enum: ['connected', 'disconnected'] },
+                recent_activity: { type: 'object' },
+                clickhouse_status: { type: 'object' }
+            }, [...HEALTH.required, 'clickhouse'])
+        }
+    },
+    'GET /api/analytics/openapi.json': {
+        tag: 'Service',
+        summary: 'This OpenAPI document',
+        responses: { 200: OPENAPI_DOCUMENT }
+    },
+    'GET /api/analytics/dashboard': {
+        tag: 'Analytics',
+        summary: 'Dashboard: traffic by minute, top games, conversion funnel and daily metrics',
+        responses: {
+            200: success(object({
+                summary: object({
+                    total_page_views: METRIC,
+                    total_sessions: METRIC,
+                    total_users: METRIC,
+                    avg_session_duration: NUMBER,
+                    bounce_rate: NUMBER
+                }, ['total_page_views', 'total_sessions', 'total_users', 'avg_session_duration', 'bounce_rate']),
+                realtime_metrics: listOf(object({
+                    minute: TEXT,
+                    page_views: COUNT,
+                    unique_sessions: COUNT,
+                    unique_users: COUNT,
+                    avg_time_on_page: NUMBER
+                }, ['minute', 'page_views', 'unique_sessions', 'unique_users'])),
+                top_games: listOf(GAME_POPULARITY),
+                conversion_funnel: listOf(FUNNEL_STEP),
+                daily_metrics: listOf(DAILY_METRICS),
+                timeRange: TIME_RANGE
+            }, ['summary', 'realtime_metrics', 'top_games', 'conversion_funnel', 'daily_metrics', 'timeRange'])),
+            503: UNAVAILABLE
+        }
+    },
+    'GET /api/analytics/games': {
+        tag: 'Analytics',
+        summary: 'Most popular games by interactions',
+        responses: {
+            200: success(object({
+                games: listOf(GAME_POPULARITY),
+                timeRange: TIME_RANGE,
+                totalGames: { type: 'integer' }
+            }, ['games', 'timeRange', 'totalGames'])),
+            503: UNAVAILABLE
+        }
+    },
+    'GET /api/analytics/users': {
+        tag: 'Analytics',
+        summary: 'Daily session metrics and top searches',
+        responses: {
+            200: success(object({
+                daily_metrics: listOf(DAILY_METRICS),
+                search_analytics: listOf(SEARCH_TERM),
+                timeRange: TIME_RANGE
+            }, ['daily_metrics', 'search_analytics', 'timeRange'])),
+            503: UNAVAILABLE
+        }
+    },
+    'GET /api/analytics/conversion': {
+        tag: 'Analytics',
+        summary: 'Conversion funnel with step-to-step conversion and drop-off rates',
+        responses: {
+            200: success(object({
+                funnel_steps: listOf(object({
+                    ...FUNNEL_STEP.properties,
+                    conversion_rate: NUMBER,
+                    drop_off_rate: NUMBER
+                }, [...FUNNEL_STEP.required, 'conversion_rate', 'drop_off_rate'])),
+                timeRange: TIME_RANGE,
+                total_revenue: METRIC
+            }, ['funnel_steps', 'timeRange', 'total_revenue'])),
+            503: UNAVAILABLE
+        }
+    },
+    'GET /api/analytics/performance': {
+        tag: 'Analytics',
+        summary: 'Service performance metrics, grouped by service and metric type',
+        responses: {
+            200: success(object({
+                services: {
+                    type: 'object',
+                    description: '{ [service]: { [metric type]: { avg, min, max, p95, samples } } }',
+                    additionalProperties: {
+                        type: 'object',
+                        additionalProperties: object({
+                            avg: NUMBER,
+                            min: NUMBER,
+                            max: NUMBER,
+                            p95: NUMBER,
+                            samples: COUNT
+                        }, ['avg', 'min', 'max', 'p95', 'samples'])
+                    }
+                },
+                timeRange: TIME_RANGE,
+                metrics_count: { type: 'integer' }
+            }, ['services', 'timeRange', 'metrics_count'])),
+            503: UNAVAILABLE
+        }
+    },
+    'POST /api/analytics/events': {
+        tag: 'Events',
+        summary: 'Track a batch of frontend events',
+        description: 'Events of unknown types are skipped. Without ClickHouse the batch is only counted.',
+        responses: {
+            200: success(null, {
+                processed: {
+                    oneOf: [
+                        { type: 'integer', description: 'Events queued (ClickHouse not connected)' },
+                        object({
+                            total: { type: 'integer' },
+                            page_views: { type: 'integer' },
+                            game_interactions: { type: 'integer' },
+                            search_events: { type: 'integer' },
+                            performance_metrics: { type: 'integer' }
+                        }, ['total', 'page_views', 'game_interactions', 'search_events', 'performance_metrics'])
+                    ]
+                }
+            })
+        }
+    },
+    'GET /api/analytics/reports/catalog': {
+        tag: 'Reports',
+        summary: 'Report sources with their metrics, dimensions and granularities',
+        responses: {
+            200: success(object({
+                sources: listOf(object({
+                    source: TEXT,
+                    metrics: listOf(TEXT),
+                    dimensions: listOf(object({ name: TEXT, type: TEXT }, ['name', 'type'])),
+                    granularities: listOf(TEXT)
+                }, ['source', 'metrics', 'dimensions', 'granularities']))
+            }, ['sources']))
+        }
+    },
+    'POST /api/analytics/reports': {
+        tag: 'Reports',
+        summary: 'Run a custom report spec (see the catalog)',
+        responses: {
+            200: success(object({
+                report: { type: 'object', description: 'The normalized report spec' },
+                results: listOf({ type: 'object' }),
+                row_count: { type: 'integer' },
+                truncated: { type: 'boolean' }
+            }, ['report', 'results', 'row_count', 'truncated'])),
+            503: UNAVAILABLE,
+            504: PROBLEM
+        }
+    },
+    'GET /api/analytics/search': {
+        tag: 'Analytics',
+        summary: 'Top site searches',
+        responses: {
+            200: success(object({
+                top_searches: listOf(SEARCH_TERM),
+                timeRange: TIME_RANGE,
+                total_searches: METRIC,
+                total_unique_searchers: METRIC
+            }, ['top_searches', 'timeRange', 'total_searches', 'total_unique_searchers'])),
+            503: UNAVAILABLE
+        }
+    },
+    'DELETE /api/analytics/users/:userId': {
+        tag: 'Privacy',
+        summary: "Anonymize a user's events (right to erasure)",
+        responses: {
+            200: success(object({ user_id: TEXT, tables: listOf(TEXT) }, ['user_id', 'tables'])),
+            503: UNAVAILABLE
+        }
+    }
+};
+
+// In-memory API (app.js)
+
+const SAMPLE_GAME = object({
+    gameId: TEXT,
+    name: TEXT,
+    views: { type: 'integer' },
+    purchases: { type: 'integer' },
+    conversionRate: NUMBER,
+    revenue: NUMBER,
+    averageSessionTime: { type: 'integer' },
+    popularityRank: { type: 'integer' },
+    category: TEXT,
+    lastUpdated: TIMESTAMP
+}, ['gameId', 'name', 'views', 'purchases', 'revenue', 'category']);
+
+const DAILY_REVENUE = object({ date: TEXT, revenue: NUMBER, orders: { type: 'integer' } }, ['date', 'revenue', 'orders']);
+
+const sampleResponse = (data, properties = {}) => success(data, { timestamp: TIMESTAMP, ...properties });
+
+const sampleOperations = {
+    'GET /health': {
+        tag: 'Service',
+        summary: 'Service health',
+        responses: { 200: HEALTH }
+    },
+    'GET /api/analytics/health': {
+        tag: 'Service',
+        summary: 'Service health (under the API prefix)',
+        responses: { 200: HEALTH }
+    },
+    'GET /api/analytics/openapi.json': {
+        tag: 'Service',
+        summary: 'This OpenAPI document',
+        responses: { 200: OPENAPI_DOCUMENT }
+    },
+    'GET /api/analytics/dashboard': {
+        tag: 'Analytics',
+        summary: 'Dashboard summary, top games and recent revenue (sample data)',
+        responses: {
+            200: sampleResponse(object({
+                summary: object({
+                    totalRevenue: NUMBER,
+                    totalOrders: { type: 'integer' },
+                    totalUsers: { type: 'integer' },
+                    activeUsers: { type: 'integer' },
+                    conversionRate: NUMBER,
+                    averageOrderValue: NUMBER
+                }, ['totalRevenue', 'totalOrders', 'totalUsers', 'activeUsers']),
+                topGames: listOf(SAMPLE_GAME),
+                recentRevenue: listOf(DAILY_REVENUE),
+                userGrowth: object({
+                    newUsers: { type: 'integer' },
+                    returningUsers: { type: 'integer' },
+                    growthRate: TEXT
+                }, ['newUsers', 'returningUsers'])
+            }, ['summary', 'topGames', 'recentRevenue', 'userGrowth']))
+        }
+    },
+    'GET /api/analytics/games': {
+        tag: 'Analytics',
+        summary: 'Game performance (sample data)',
+        responses: {
+            200: sampleResponse(object({
+                games: listOf(SAMPLE_GAME),
+                totalGames: { type: 'integer' },
+                filters: { type: 'object' }
+            }, ['games', 'totalGames', 'filters']))
+        }
+    },
+    'GET /api/analytics/games/:gameId': {
+        tag: 'Analytics',
+        summary: 'Performance of one game (sample data)',
+        responses: {
+            200: sampleResponse(object({
+                ...SAMPLE_GAME.properties,
+                metrics: object({
+                    viewsToday: { type: 'integer' },
+                    purchasesToday: { type: 'integer' },
+                    revenueToday: NUMBER,
+                    averageViewTime: { type: 'integer' },
+                    popularityTrend: { type: 'string', enum: ['trending_up', 'stable'] }
+                }, ['viewsToday', 'purchasesToday', 'revenueToday'])
+            }, [...SAMPLE_GAME.required, 'metrics'])),
+            404: PROBLEM
+        }
+    },
+    'GET /api/analytics/sales': {
+        tag: 'Analytics',
+        summary: 'Sales totals, top categories and revenue by day (sample data)',
+        responses: {
+            200: sampleResponse(object({
+                totalRevenue: NUMBER,
+                totalOrders: { type: 'integer' },
+                averageOrderValue: NUMBER,
+                conversionRate: NUMBER,
+                topSellingCategories: listOf(object({
+                    category: TEXT,
+                    sales: { type: 'integer' },
+                    revenue: NUMBER
+                }, ['category', 'sales', 'revenue'])),
+                dailyRevenue: listOf(DAILY_REVENUE),
+                periodData: listOf(DAILY_REVENUE)
+            }, ['totalRevenue', 'totalOrders', 'dailyRevenue']), { filters: { type: 'object' } })
+        }
+    },
+    'GET /api/analytics/users': {
+        tag: 'Analytics',
+        summary: 'User behavior: sessions, devices or pages (sample data)',
+        responses: {
+            200: sampleResponse({ type: 'object', description: 'Fields depend on ?metric' }, { filters: { type: 'object' } })
+        }
+    },
+    'GET /api/analytics/realtime': {
+        tag: 'Analytics',
+        summary: 'Simulated real-time activity',
+        responses: {
+            200: sampleResponse(object({
+                activeUsersNow: { type: 'integer' },
+                currentSessions: { type: 'integer' },
+                liveOrders: { type: 'integer' },
+                revenueToday: NUMBER,
+                topGameNow: SAMPLE_GAME,
+                recentActivity: listOf(object({ type: TEXT, timestamp: TIMESTAMP }, ['type', 'timestamp'])),
+                serverMetrics: { type: 'object' }
+            }, ['activeUsersNow', 'currentSessions', 'liveOrders', 'revenueToday', 'recentActivity']))
+        }
+    },
+    'POST /api/analytics/reports': {
+        tag: 'Reports',
+        summary: 'Generate a custom report from the sample data',
+        responses: {
+            201: success(object({
+                reportId: TEXT,
+                name: TEXT,
+                metrics: listOf(TEXT),
+                dateRange: { type: 'object' },
+                filters: { type: 'object' },
+                status: { const: 'generated' },
+                createdAt: TIMESTAMP,
+                data: object({
+                    summary: nullable({ type: 'object' }),
+                    games: nullable(listOf(SAMPLE_GAME)),
+                    users: nullable({ type: 'object' })
+                }, ['summary', 'games', 'users'])
+            }, ['reportId', 'name', 'metrics', 'status', 'createdAt', 'data']))
+        }
+    },
+    'GET /api/analytics/events': {
+        tag: 'Events',
+        summary: 'How to use the event tracking endpoint',
+        responses: { 200: success(null, { info: TEXT, usage: TEXT }) }
+    },
+    'POST /api/analytics/events': {
+        tag: 'Events',
+        summary: 'Track an event (not stored by the in-memory service)',
+        responses: { 201: success(object({ eventId: TEXT }, ['eventId'])) }
+    }
+};
+
+module.exports = {
+    operations,
+    sampleOperations
+};
@@ -0,0 +1,404 @@
+// Declarative report builder for POST /api/analytics/reports.
+// A report spec names a source table, metrics, dimensions and filters from
+// the whitelisted catalog below (mirrors database/clickhouse/init/01-create-schema.sql).
+// Identifiers only ever come from the catalog and every user-supplied value
+// is bound as a ClickHouse query parameter, so no request text reaches the SQL.
+
+const {
+    resolveTimeRange,
+    timeRangeParams,
+    timeRangeCondition,
+    bucketBy,
+    describeTimeRange
+} = require('./time-range');
+
+const DEFAULT_REPORT_LIMIT = 100;
+const MAX_REPORT_LIMIT = 1000;
+const MAX_FILTERS = 20;
+const REPORT_QUERY_TIMEOUT_SECONDS = parseInt(process.env.REPORT_QUERY_TIMEOUT_SECONDS) || 10;
+const DEFAULT_TIME_RANGE = '7d';
+
+const GRANULARITIES = {
+    minute: 'toStartOfMinute',
+    hour: 'toStartOfHour',
+    day: 'toStartOfDay',
+    week: 'toStartOfWeek',
+    month: 'toStartOfMonth'
+};
+
+const SESSION_METRICS = {
+    unique_sessions: 'uniq(session_id)',
+    unique_users: 'uniq(user_id)'
+};
+
+// Tables available to reports: the time column used for the time range,
+// groupable/filterable columns with their ClickHouse types, and named metrics
+const REPORT_CATALOG = {
+    user_sessions: {
+        timeColumn: 'session_start_time',
+        columns: {
+            device_type: 'String',
+            browser: 'String',
+            operating_system: 'String',
+            country: 'String',
+            city: 'String',
+            referrer_source: 'String',
+            utm_campaign: 'Nullable(String)',
+            utm_medium: 'Nullable(String)',
+            utm_source: 'Nullable(String)',
+            page_views: 'UInt32',
+            session_duration_seconds: 'UInt32'
+        },
+        metrics: {
+            sessions: 'count()',
+            ...SESSION_METRICS,
+            total_page_views: 'sum(page_views)',
+            avg_pages_per_session: 'avg(page_views)',
+            avg_session_duration: 'avg(session_duration_seconds)',
+            bounce_rate: 'round(countIf(page_views = 1) / count() * 100, 2)'
+        }
+    },
+    page_views: {
+        timeColumn: 'timestamp',
+        columns: {
+            page_url: 'String',
+            page_title: 'String',
+            page_category: 'String',
+            referrer: 'String',
+            exit_page: 'Bool',
+            bounce: 'Bool',
+            time_on_page_seconds: 'UInt32',
+            scroll_depth_percentage: 'UInt8'
+        },
+        metrics: {
+            page_views: 'count()',
+            ...SESSION_METRICS,
+            avg_time_on_page: 'avg(time_on_page_seconds)',
+            avg_scroll_depth: 'avg(scroll_depth_percentage)',
+            bounces: 'countIf(bounce = true)'
+        }
+    },
+    game_interactions: {
+        timeColumn: 'timestamp',
+        columns: {
+            game_id: 'UInt32',
+            game_title: 'String',
+            game_category: 'String',
+            event_type: 'String',
+            page_context: 'String'
+        },
+        metrics: {
+            interactions: 'count()',
+            ...SESSION_METRICS,
+            views: "countIf(event_type = 'view')",
+            cart_additions: "countIf(event_type = 'add_to_cart')",
+            purchases: "countIf(event_type = 'purchase')"
+        }
+    },
+    purchase_events: {
+        timeColumn: 'purchase_timestamp',
+        columns: {
+            customer_id: 'String',
+            game_id: 'UInt32',
+            game_title: 'String',
+            game_category: 'String',
+            payment_method: 'String',
+            funnel_step: 'String',
+            quantity: 'UInt16',
+            total_amount: 'Decimal(10,2)'
+        },
+        metrics: {
+            events: 'count()',
+            ...SESSION_METRICS,
+            orders: 'uniq(order_id)',
+            units_sold: 'sum(quantity)',
+            revenue: 'sum(total_amount)',
+            discounts: 'sum(discount_amount)',
+            avg_order_value: 'avg(total_amount)',
+            avg_conversion_time: 'avg(conversion_time_seconds)'
+        }
+    },
+    search_events: {
+        timeColumn: 'timestamp',
+        columns: {
+            search_query: 'String',
+            search_category: 'Nullable(String)',
+            results_count: 'UInt32',
+            clicked_game_id: 'Nullable(UInt32)',
+            no_results: 'Bool'
+        },
+        metrics: {
+            searches: 'count()',
+            ...SESSION_METRICS,
+            avg_results: 'avg(results_count)',
+            no_results_count: 'countIf(no_results = true)',
+            clicks: 'countIf(clicked_result_position IS NOT NULL)',
+            click_through_rate: 'round(countIf(clicked_result_position IS NOT NULL) / count() * 100, 2)'
+        }
+    },
+    performance_metrics: {
+        timeColumn: 'timestamp',
+        columns: {
+            service_name: 'String',
+            metric_type: 'String',
+            unit: 'String',
+            endpoint: 'Nullable(String)',
+            status_code: 'Nullable(UInt16)',
+            metric_value: 'Float64'
+        },
+        metrics: {
+            samples: 'count()',
+            avg_value: 'avg(metric_value)',
+            min_value: 'min(metric_value)',
+            max_value: 'max(metric_value)',
+            p95_value: 'quantile(0.95)(metric_value)'
+        }
+    },
+    user_behavior_flow: {
+        timeColumn: 'timestamp',
+        columns: {
+            page_url: 'String',
+            action_type: 'String',
+            element_clicked: 'Nullable(String)',
+            step_number: 'UInt8'
+        },
+        metrics: {
+            steps: 'count()',
+            ...SESSION_METRICS,
+            avg_time_between_steps: 'avg(time_since_previous_step_seconds)'
+        }
+    }
+};
+
+// Filter operators and the SQL they compile to ({p} is the bound parameter)
+const FILTER_OPERATORS = {
+    eq: (column, param) => `${column} = ${param}`,
+    neq: (column, param) => `${column} != ${param}`,
+    gt: (column, param) => `${column} > ${param}`,
+    gte: (column, param) => `${column} >= ${param}`,
+    lt: (column, param) => `${column} < ${param}`,
+    lte: (column, param) => `${column} <= ${param}`,
+    in: (column, param) => `${column} IN ${param}`,
+    not_in: (column, param) => `${column} NOT IN ${param}`,
+    contains: (column, param) => `positionCaseInsensitive(${column}, ${param}) > 0`,
+    is_null: (column) => `${column} IS NULL`,
+    is_not_null: (column) => `${column} IS NOT NULL`
+};
+
+const LIST_OPERATORS = ['in', 'not_in'];
+const NULL_OPERATORS = ['is_null', 'is_not_null'];
+const MAX_LIST_VALUES = 100;
+
+const isNullableType = (type) => type.startsWith('Nullable(');
+const baseType = (type) => (isNullableType(type) ? type.slice('Nullable('.length, -1) : type);
+const isStringType = (type) => baseType(type) === 'String';
+const isBoolType = (type) => baseType(type) === 'Bool';
+
+// Check a filter value against the column type; returns an error message or null
+const checkFilterValue = (type, value) => {
+    if (isStringType(type)) {
+        return typeof value === 'string' && value.length <= 500
+            ? null
+            : 'must be a string of at most 500 characters';
+    }
+    if (isBoolType(type)) {
+        return typeof value === 'boolean' ? null : 'must be a boolean';
+    }
+    const numeric = typeof value === 'number' ? value : Number(value);
+    if (value === '' || value === null || !Number.isFinite(numeric)) {
+        return 'must be a number';
+    }
+    if (baseType(type).startsWith('UInt') && (!Number.isInteger(numeric) || numeric < 0)) {
+        return 'must be a non-negative integer';
+    }
+    return null;
+};
+
+const toNameList = (value) => (value === undefined ? [] : Array.isArray(value) ? value : [value]);
+
+// Validate a report spec and compile it to parameterized SQL.
+// Returns { errors, report, query, params } like the other validators.
+const compileReport = (spec = {}) => {
+    const errors = [];
+    const params = {};
+
+    // Own keys only: names like "constructor" must not resolve to inherited members
+    const source = Object.hasOwn(REPORT_CATALOG, spec.source) ? REPORT_CATALOG[spec.source] : null;
+    if (!source) {
+        return {
+            errors: [{ field: 'source', error: `must be one of: ${Object.keys(REPORT_CATALOG).join(', ')}` }]
+        };
+    }
+
+    const metrics = toNameList(spec.metrics);
+    const dimensions = toNameList(spec.dimensions);
+    const filters = toNameList(spec.filters);
+
+    if (metrics.length === 0) {
+        errors.push({ field: 'metrics', error: 'at least one metric is required' });
+    }
+    metrics.forEach(metric => {
+        if (!Object.hasOwn(source.metrics, metric)) {
+            errors.push({ field: 'metrics', error: `unknown metric "${metric}" for ${spec.source}` });
+        }
+    });
+
+    dimensions.forEach(dimension => {
+        if (!Object.hasOwn(source.columns, dimension)) {
+            errors.push({ field: 'dimensions', error: `unknown dimension "${dimension}" for ${spec.source}` });
+        }
+    });
+
+    if (spec.granularity !== undefined && !Object.hasOwn(GRANULARITIES, spec.granularity)) {
+        errors.push({ field: 'granularity', error: `must be one of: ${Object.keys(GRANULARITIES).join(', ')}` });
+    }
+
+    // timeRange is a relative window ("24h", "7d") or { from, to }; timezone drives granularity buckets
+    const rangeInput = spec.timeRange !== null && typeof spec.timeRange === 'object'
+        ? { from: spec.timeRange.from, to: spec.timeRange.to }
+        : { range: spec.timeRange };
+    const { errors: rangeErrors, timeRange } = resolveTimeRange(
+        { ...rangeInput, timezone: spec.timezone },
+        { defaultRange: DEFAULT_TIME_RANGE }
+    );
+    rangeErrors.forEach(({ field, error }) => errors.push({ field: `timeRange.${field}`, error }));
+
+    const limit = spec.limit === undefined ? DEFAULT_REPORT_LIMIT : Number(spec.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_REPORT_LIMIT) {
+        errors.push({ field: 'limit', error: `must be an integer between 1 and ${MAX_REPORT_LIMIT}` });
+    }
+
+    if (filters.length > MAX_FILTERS) {
+        errors.push({ field: 'filters', error: `at most ${MAX_FILTERS} filters are allowed` });
+    }
+
+    const whereClauses = [];
+    filters.slice(0, MAX_FILTERS).forEach((filter, index) => {
+        const field = `filters[${index}]`;
+        const { field: column, op = 'eq', value } = filter || {};
+        const type = Object.hasOwn(source.columns, column) ? source.columns[column] : null;
+
+        if (!type) {
+            errors.push({ field, error: `unknown filter field "${column}" for ${spec.source}` });
+            return;
+        }
+        if (!Object.hasOwn(FILTER_OPERATORS, op)) {
+            errors.push({ field, error: `op must be one of: ${Object.keys(FILTER_OPERATORS).join(', ')}` });
+            return;
+        }
+        if (NULL_OPERATORS.includes(op)) {
+            if (!isNullableType(type)) {
+                errors.push({ field, error: `${column} is never null` });
+                return;
+            }
+            whereClauses.push(FILTER_OPERATORS[op](column));
+            return;
+        }
+        if (op === 'contains' && !isStringType(type)) {
+            errors.push({ field, error: 'contains is only supported on string fields' });
+            return;
+        }
+        if (isBoolType(type) && !['eq', 'neq'].includes(op)) {
+            errors.push({ field, error: 'boolean fields only support eq and neq' });
+            return;
+        }
+
+        const values = LIST_OPERATORS.includes(op) ? value : [value];
+        if (!Array.isArray(values) || values.length === 0 || values.length > MAX_LIST_VALUES) {
+            errors.push({ field, error: `value must be an array of 1 to ${MAX_LIST_VALUES} items` });
+            return;
+        }
+        const valueError = values.map(item => checkFilterValue(type, item)).find(Boolean);
+        if (valueError) {
+            errors.push({ field, error: `value ${valueError}` });
+            return;
+        }
+
+        const paramName = `filter_${index}`;
+        const paramType = LIST_OPERATORS.includes(op) ? `Array(${baseType(type)})` : baseType(type);
+        params[paramName] = LIST_OPERATORS.includes(op) ? values : values[0];
+        whereClauses.push(FILTER_OPERATORS[op](column, `{${paramName}:${paramType}}`));
+    });
+
+    const selectable = [...(spec.granularity ? ['period'] : []), ...dimensions, ...metrics];
+    const orderBy = spec.orderBy || {};
+    if (spec.orderBy !== undefined && !selectable.includes(orderBy.field)) {
+        errors.push({ field: 'orderBy.field', error: 'must be one of the selected metrics or dimensions' });
+    }
+    const direction = String(orderBy.direction || 'desc').toLowerCase();
+    if (!['asc', 'desc'].includes(direction)) {
+        errors.push({ field: 'orderBy.direction', error: 'must be asc or desc' });
+    }
+
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    // Build SQL from catalog identifiers only
+    Object.assign(params, timeRangeParams(timeRange));
+    whereClauses.unshift(timeRangeCondition(source.timeColumn));
+
+    const groupColumns = [
+        ...(spec.granularity ? [`${bucketBy(GRANULARITIES[spec.granularity], source.timeColumn)} AS period`] : []),
+        ...dimensions
+    ];
+    const groupNames = [...(spec.granularity ? ['period'] : []), ...dimensions];
+    const selectColumns = [
+        ...groupColumns,
+        ...metrics.map(metric => `${source.metrics[metric]} AS ${metric}`)
+    ];
+
+    const defaultOrder = spec.granularity ? 'period ASC' : `${metrics[0]} DESC`;
+    const orderClause = orderBy.field ? `${orderBy.field} ${direction.toUpperCase()}` : defaultOrder;
+
+    // One extra row tells the caller whether the result was truncated
+    params.row_limit = limit + 1;
+
+    const query = [
+        `SELECT ${selectColumns.join(', ')}`,
+        `FROM ${spec.source}`,
+        `WHERE ${whereClauses.join(' AND ')}`,
+        ...(groupNames.length > 0 ? [`GROUP BY ${groupNames.join(', ')}`] : []),
+        `ORDER BY ${orderClause}`,
+        'LIMIT {row_limit:UInt32}'
+    ].join('\n');
+
+    return {
+        errors: [],
+        report: {
+            name: spec.name || null,
+            source: spec.source,
+            metrics,
+            dimensions,
+            filters,
+            granularity: spec.granularity || null,
+            timeRange: describeTimeRange(timeRange),
+            orderBy: orderClause,
+            limit
+        },
+        query,
+        params
+    };
+};
+
+// Public description of the catalog for report clients
+const describeCatalog = () => Object.entries(REPORT_CATALOG).map(([source, definition]) => ({
+    source,
+    metrics: Object.keys(definition.metrics),
+    dimensions: Object.entries(definition.columns).map(([name, type]) => ({ name, type })),
+    granularities: Object.keys(GRANULARITIES)
+}));
+
+// Per-query limits applied when a compiled report is executed
+const reportQuerySettings = () => ({
+    max_execution_time: REPORT_QUERY_TIMEOUT_SECONDS,
+    timeout_overflow_mode: 'throw'
+});
+
+module.exports = {
+    MAX_REPORT_LIMIT,
+    MAX_FILTERS,
+    compileReport,
+    describeCatalog,
+    reportQuerySettings
+};
@@ -0,0 +1,111 @@
+const { nullable, object } = require('./request-validation');
+const { MAX_REPORT_LIMIT, MAX_FILTERS } = require('./report-builder');
+
+// JSON Schemas for the Analytics Service routes (app-clickhouse.js and the
+// in-memory app.js), used with validate() from request-validation.js and
+// published in the OpenAPI document.
+//
+// The schemas check shapes and types. Time ranges are still resolved by
+// time-range.js and report specs compiled by report-builder.js, which know
+// the windows, time zones, sources and columns that are allowed.
+
+const MAX_RESULT_LIMIT = 100;
+
+const LIMIT = { type: 'integer', minimum: 1, maximum: MAX_RESULT_LIMIT };
+const NAME_LIST = {
+    type: ['string', 'array'],
+    items: { type: 'string' },
+    description: 'A name or a list of names'
+};
+
+// Query parameters read by timeRangeQuery()
+const TIME_RANGE_PROPERTIES = {
+    range: { type: 'string', maxLength: 30, description: 'Relative window such as 30m, 24h, 7d or 4w' },
+    timeRange: { type: 'string', maxLength: 30, description: 'Alias of range' },
+    from: { type: 'string', maxLength: 40, description: 'ISO 8601 start (instead of range)' },
+    to: { type: 'string', maxLength: 40, description: 'ISO 8601 end (default now)' },
+    timezone: { type: 'string', maxLength: 64, description: 'IANA time zone for date buckets (default UTC)' }
+};
+
+// ClickHouse API (app-clickhouse.js)
+const timeRangeQuery = object(TIME_RANGE_PROPERTIES);
+const rankedTimeRangeQuery = object({ ...TIME_RANGE_PROPERTIES, limit: LIMIT });
+
+// Events of other types are accepted and skipped, as before, so that newer
+// trackers can send batches to an older service
+const eventsBody = object({
+    events: {
+        type: 'array',
+        minItems: 1,
+        items: object({
+            event_type: { type: 'string', description: 'page_view, game_interaction, search or performance' },
+            event_id: { type: 'string', maxLength: 100 },
+            session_id: { type: 'string', maxLength: 100 },
+            user_id: nullable({ type: 'string', maxLength: 100 }),
+            timestamp: { type: 'string', maxLength: 40 }
+        })
+    }
+}, ['events']);
+
+const reportBody = object({
+    source: { type: 'string', description: 'Report source (see GET /api/analytics/reports/catalog)' },
+    metrics: NAME_LIST,
+    dimensions: NAME_LIST,
+    filters: {
+        type: 'array',
+        maxItems: MAX_FILTERS,
+        items: object({ field: { type: 'string' }, op: { type: 'string' } }, ['field'])
+    },
+    granularity: { type: 'string' },
+    timeRange: {
+        type: ['string', 'object'],
+        properties: TIME_RANGE_PROPERTIES,
+        description: 'Relative window, or { from, to }'
+    },
+    timezone: TIME_RANGE_PROPERTIES.timezone,
+    limit: { type: 'integer', minimum: 1, maximum: MAX_REPORT_LIMIT }
+});
+
+const userParams = object({ userId: { type: 'string', minLength: 1, maxLength: 100 } });
+
+// In-memory API (app.js)
+const sampleGamesQuery = object({
+    category: { type: 'string', maxLength: 100 },
+    sortBy: { type: 'string', enum: ['popularity', 'revenue', 'views', 'conversion'] },
+    limit: LIMIT
+});
+const sampleGameParams = object({ gameId: { type: 'string', minLength: 1, maxLength: 100 } });
+const sampleSalesQuery = object({
+    period: { type: 'string', enum: ['week', 'month'] },
+    category: { type: 'string', maxLength: 100 }
+});
+const sampleUsersQuery = object({
+    metric: { type: 'string', enum: ['all', 'sessions', 'devices', 'pages'] }
+});
+const sampleReportBody = object({
+    reportName: { type: 'string', minLength: 1, maxLength: 200 },
+    metrics: { type: 'array', minItems: 1, items: { type: 'string' } },
+    dateRange: { type: 'object' },
+    filters: { type: 'object' }
+}, ['reportName', 'metrics']);
+const sampleEventBody = object({
+    eventType: { type: 'string', minLength: 1, maxLength: 100 },
+    userId: nullable({ type: 'string', maxLength: 100 }),
+    gameId: nullable({ type: ['string', 'integer'], maxLength: 100 }),
+    sessionId: nullable({ type: 'string', maxLength: 100 }),
+    metadata: { type: 'object' }
+}, ['eventType']);
+
+module.exports = {
+    timeRangeQuery,
+    rankedTimeRangeQuery,
+    eventsBody,
+    reportBody,
+    userParams,
+    sampleGamesQuery,
+    sampleGameParams,
+    sampleSalesQuery,
+    sampleUsersQuery,
+    sampleReportBody,
+    sampleEventBody
+};
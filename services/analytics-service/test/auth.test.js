@@ -0,0 +1,31 @@
+// Startup checks in auth.js
+
+const loadAuth = (env) => {
+    const saved = { ...process.env };
+    Object.assign(process.env, env);
+    Object.keys(env).filter(key => env[key] === undefined).forEach(key => delete process.env[key]);
+    try {
+        let auth;
+        jest.isolateModules(() => {
+            auth = require('../auth');
+        });
+        return auth;
+    } finally {
+        process.env = saved;
+    }
+};
+
+describe('JWT_SECRET', () => {
+    test('production refuses to start without it', () => {
+        expect(() => loadAuth({ NODE_ENV: 'production', JWT_SECRET: undefined }))
+            .toThrow('JWT_SECRET must be set when NODE_ENV=production');
+    });
+
+    test('production starts with it', () => {
+        expect(loadAuth({ NODE_ENV: 'production', JWT_SECRET: 'a-real-secret' }).authenticate).toEqual(expect.any(Function));
+    });
+
+    test('development falls back to the development key', () => {
+        expect(() => loadAuth({ NODE_ENV: 'development', JWT_SECRET: undefined })).not.toThrow();
+    });
+});
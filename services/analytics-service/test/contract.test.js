@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+// Contract test: responses sent by the routes of app-clickhouse.js and the
+// in-memory app.js must match the schemas declared in operations.js (and
+// published in /api/analytics/openapi.json). ClickHouse is replaced by canned
+// rows shaped like its query results (64-bit counts as strings), so this runs
+// without a server; a handler that changes its response shape fails here
+// until its operations.js entry is updated too.
+
+// anonymizeUser is the real one, so erasure covers the real table list; its
+// ALTER TABLE commands go to a stubbed client.command
+jest.mock('../clickhouse', () => ({
+    ...jest.requireActual('../clickhouse'),
+    testConnection: jest.fn(async () => true),
+    executeQuery: jest.fn(),
+    insertData: jest.fn(async (table, data) => ({ success: true, inserted: data.length })),
+    getRealTimeMetrics: jest.fn(),
+    getGamePopularity: jest.fn(),
+    getConversionFunnel: jest.fn(),
+    getUserBehaviorMetrics: jest.fn(),
+    getSearchAnalytics: jest.fn(),
+    getPerformanceMetrics: jest.fn(),
+    closeConnection: jest.fn(async () => {})
+}));
+
+const clickhouse = require('../clickhouse');
+const clickhouseApi = require('../app-clickhouse');
+const sampleApi = require('../app');
+const { listRoutes, checkResponse } = require('../openapi');
+const { operations, sampleOperations } = require('../operations');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'lugx_dev_jwt_secret_change_me';
+const CLICKHOUSE_TIMEOUT_EXCEEDED = '159';
+
+const accessToken = (customerId, roles) => jwt.sign({ roles, type: 'access' }, JWT_SECRET, {
+    subject: customerId,
+    jwtid: crypto.randomUUID(),
+    issuer: 'lugx-gaming',
+    expiresIn: 300
+});
+
+const ADMIN_TOKEN = accessToken('CUST-ADMIN', ['admin']);
+const ANALYST_TOKEN = accessToken('CUST-ANALYST', ['analyst']);
+const CUSTOMER_TOKEN = accessToken('CUST-1001', ['customer']);
+
+// Canned ClickHouse results
+clickhouse.getRealTimeMetrics.mockResolvedValue([
+    { minute: '2026-01-15 10:30:00', page_views: '12', unique_sessions: '4', unique_users: '3', avg_time_on_page: 41.5 }
+]);
+clickhouse.getGamePopularity.mockResolvedValue([{
+    game_title: 'Starfall', game_category: 'Strategy', total_interactions: '20', unique_sessions: '8',
+    views: '15', cart_additions: '3', purchases: '2', conversion_rate: 13.33
+}]);
+clickhouse.getConversionFunnel.mockResolvedValue([
+    { funnel_step: 'view', step_count: '15', unique_sessions: '8', revenue: 0 },
+    { funnel_step: 'purchase', step_count: '2', unique_sessions: '2', revenue: 59.98 }
+]);
+clickhouse.getUserBehaviorMetrics.mockResolvedValue([{
+    date: '2026-01-15 00:00:00', total_sessions: '8', unique_users: '6', avg_session_duration: 312.5,
+    avg_pages_per_session: 3.25, bounce_sessions: '2', bounce_rate: 25
+}]);
+clickhouse.getSearchAnalytics.mockResolvedValue([{
+    search_query: 'starfall', search_count: '5', unique_searchers: '4', avg_results: 2.2,
+    no_results_count: '0', clicks: '3', click_through_rate: 60
+}]);
+clickhouse.getPerformanceMetrics.mockResolvedValue([{
+    service_name: 'game-service', metric_type: 'response_time', avg_value: 42.1, min_value: 8,
+    max_value: 210, p95_value: 120.4, sample_count: '96'
+}]);
+jest.spyOn(clickhouse.clickhouse, 'command').mockResolvedValue({});
+clickhouse.executeQuery.mockImplementation(async (query) => {
+    if (/sum\(page_views\)/.test(query)) {
+        const error = new Error('Timeout exceeded');
+        error.code = CLICKHOUSE_TIMEOUT_EXCEEDED;
+        throw error;
+    }
+    return [{ device_type: 'desktop', sessions: '8' }];
+});
+
+const EVENT = { event_type: 'page_view', session_id: 'session-1', page_url: '/shop', timestamp: '2026-01-15T10:30:00Z' };
+
+// Shared checks for one app: route coverage, the document, the explorer and
+// each case ([expected status, method, route path, url, token, body])
+const describeContract = (name, { app, startServer }, routeOperations, cases) => describe(name, () => {
+    let server;
+    let baseUrl;
+    let document;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        server = await startServer(0);
+        baseUrl = `http://localhost:${server.address().port}`;
+        document = await (await fetch(`${baseUrl}/api/analytics/openapi.json`)).json();
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+        jest.restoreAllMocks();
+    });
+
+    test('every route has an operations.js entry and every entry a route', () => {
+        const routes = listRoutes(app).map(({ method, path }) => `${method} ${path}`);
+
+        routes.forEach(route => {
+            expect(routeOperations[route]).toBeDefined();
+            expect(routeOperations[route].summary).toEqual(expect.any(String));
+            expect(Object.keys(routeOperations[route].responses).some(status => status.startsWith('2'))).toBe(true);
+        });
+        expect(Object.keys(routeOperations).filter(route => !routes.includes(route))).toEqual([]);
+    });
+
+    test('the OpenAPI document lists every route', () => {
+        expect(document.openapi).toMatch(/^3\./);
+        listRoutes(app).forEach(({ method, path }) => {
+            expect(document.paths[path.replace(/:(\w+)/g, '{$1}')][method.toLowerCase()]).toBeDefined();
+        });
+    });
+
+    test('the API explorer is served', async () => {
+        const page = await fetch(`${baseUrl}/api/analytics/docs/`);
+        expect(page.status).toBe(200);
+        expect(await page.text()).toContain('swagger-ui-bundle.js');
+    });
+
+    test('errors are problem documents carrying the correlation id', async () => {
+        const response = await fetch(`${baseUrl}/api/analytics/unknown`, {
+            headers: { 'X-Request-ID': 'contract-test-1' }
+        });
+        expect(response.status).toBe(404);
+        expect(response.headers.get('Content-Type')).toMatch(/^application\/problem\+json/);
+        expect(response.headers.get('X-Request-ID')).toBe('contract-test-1');
+        expect(await response.json()).toMatchObject({
+            code: 'ROUTE_NOT_FOUND',
+            instance: '/api/analytics/unknown',
+            correlation_id: 'contract-test-1'
+        });
+    });
+
+    const namedCases = cases.map(([status, method, path, url, token, body]) => ({ status, method, path, url, token, body }));
+
+    test.each(namedCases)('$method $url ($status) matches its declared response', async ({ status, method, path, url, token, body }) => {
+        const response = await fetch(`${baseUrl}${url}`, {
+            method,
+            headers: {
+                ...(token && { Authorization: `Bearer ${token}` }),
+                ...(body && { 'Content-Type': 'application/json' })
+            },
+            ...(body && { body: JSON.stringify(body) })
+        });
+        expect(response.status).toBe(status);
+
+        const problems = checkResponse(document, {
+            method,
+            path,
+            status: response.status,
+            contentType: response.headers.get('Content-Type'),
+            body: await response.json()
+        });
+        expect(problems).toEqual([]);
+    });
+});
+
+describeContract('analytics-service API contract (ClickHouse)', clickhouseApi, operations, [
+    [200, 'GET', '/health', '/health'],
+    [200, 'GET', '/api/analytics/dashboard', '/api/analytics/dashboard', ANALYST_TOKEN],
+    [400, 'GET', '/api/analytics/dashboard', '/api/analytics/dashboard?range=soon', ANALYST_TOKEN],
+    [403, 'GET', '/api/analytics/dashboard', '/api/analytics/dashboard', CUSTOMER_TOKEN],
+    [401, 'GET', '/api/analytics/dashboard', '/api/analytics/dashboard'],
+    [200, 'GET', '/api/analytics/games', '/api/analytics/games?limit=5', ANALYST_TOKEN],
+    [200, 'GET', '/api/analytics/users', '/api/analytics/users', ANALYST_TOKEN],
+    [200, 'GET', '/api/analytics/conversion', '/api/analytics/conversion', ANALYST_TOKEN],
+    [200, 'GET', '/api/analytics/performance', '/api/analytics/performance', ANALYST_TOKEN],
+    [200, 'POST', '/api/analytics/events', '/api/analytics/events', null, { events: [EVENT] }],
+    [400, 'POST', '/api/analytics/events', '/api/analytics/events', null, { events: [] }],
+    [200, 'GET', '/api/analytics/reports/catalog', '/api/analytics/reports/catalog', ANALYST_TOKEN],
+    [200, 'POST', '/api/analytics/reports', '/api/analytics/reports', ANALYST_TOKEN,
+        { source: 'user_sessions', metrics: ['sessions'], dimensions: ['device_type'] }],
+    [400, 'POST', '/api/analytics/reports', '/api/analytics/reports', ANALYST_TOKEN, { source: 'orders' }],
+    [504, 'POST', '/api/analytics/reports', '/api/analytics/reports', ANALYST_TOKEN,
+        { source: 'user_sessions', metrics: ['total_page_views'] }],
+    [200, 'GET', '/api/analytics/search', '/api/analytics/search', ANALYST_TOKEN],
+    [200, 'DELETE', '/api/analytics/users/:userId', '/api/analytics/users/CUST-1001', CUSTOMER_TOKEN],
+    [403, 'DELETE', '/api/analytics/users/:userId', '/api/analytics/users/CUST-2002', CUSTOMER_TOKEN],
+    [200, 'GET', '/api/analytics/openapi.json', '/api/analytics/openapi.json']
+]);
+
+describeContract('analytics-service API contract (in-memory)', sampleApi, sampleOperations, [
+    [200, 'GET', '/health', '/health'],
+    [200, 'GET', '/api/analytics/health', '/api/analytics/health'],
+    [200, 'GET', '/api/analytics/dashboard', '/api/analytics/dashboard', ADMIN_TOKEN],
+    [200, 'GET', '/api/analytics/games', '/api/analytics/games?sortBy=revenue', ADMIN_TOKEN],
+    [400, 'GET', '/api/analytics/games', '/api/analytics/games?sortBy=name', ADMIN_TOKEN],
+    [200, 'GET', '/api/analytics/games/:gameId', '/api/analytics/games/game_001', ADMIN_TOKEN],
+    [404, 'GET', '/api/analytics/games/:gameId', '/api/analytics/games/game_999', ADMIN_TOKEN],
+    [200, 'GET', '/api/analytics/sales', '/api/analytics/sales?period=month', ADMIN_TOKEN],
+    [200, 'GET', '/api/analytics/users', '/api/analytics/users?metric=devices', ADMIN_TOKEN],
+    [200, 'GET', '/api/analytics/realtime', '/api/analytics/realtime', ADMIN_TOKEN],
+    [201, 'POST', '/api/analytics/reports', '/api/analytics/reports', ADMIN_TOKEN,
+        { reportName: 'Weekly', metrics: ['sales', 'games'] }],
+    [200, 'GET', '/api/analytics/events', '/api/analytics/events'],
+    [201, 'POST', '/api/analytics/events', '/api/analytics/events', null, { eventType: 'page_view', userId: 'CUST-1001' }],
+    [200, 'GET', '/api/analytics/openapi.json', '/api/analytics/openapi.json']
+]);
+
+describe('right to erasure', () => {
+    test('every ClickHouse table with a user_id column is anonymized', () => {
+        const schema = fs.readFileSync(path.join(__dirname, '../../../database/clickhouse/init/01-create-schema.sql'), 'utf8');
+        const userTables = [...schema.matchAll(/CREATE TABLE IF NOT EXISTS (\w+) \(([^;]*?)\) ENGINE/g)]
+            .filter(([, , columns]) => /^\s*user_id\s/m.test(columns))
+            .map(([, table]) => table);
+
+        expect(userTables).toContain('user_sessions');
+        expect(Object.keys(clickhouse.USER_DATA_TABLES).sort()).toEqual(userTables.sort());
+    });
+
+    test('anonymizeUser rewrites user_id in every listed table', async () => {
+        const command = jest.spyOn(clickhouse.clickhouse, 'command').mockResolvedValue({});
+
+        const { tables } = await clickhouse.anonymizeUser('CUST-1001');
+
+        expect(tables).toEqual(Object.keys(clickhouse.USER_DATA_TABLES));
+        expect(command.mock.calls.map(([{ query }]) => query.split(' ')[2])).toEqual(tables);
+        command.mock.calls.forEach(([{ query_params }]) => expect(query_params.user_id).toBe('CUST-1001'));
+        command.mockRestore();
+    });
+});
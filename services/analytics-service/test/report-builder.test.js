@@ -0,0 +1,152 @@
+// Report specs compiled to parameterized ClickHouse SQL (report-builder.js)
+
+const { MAX_REPORT_LIMIT, MAX_FILTERS, compileReport, describeCatalog } = require('../report-builder');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+const report = (overrides) => compileReport({ source: 'user_sessions', metrics: ['sessions'], ...overrides });
+const errorFields = (result) => result.errors.map(error => error.field);
+
+beforeAll(() => {
+    jest.useFakeTimers({ now: NOW });
+});
+
+afterAll(() => {
+    jest.useRealTimers();
+});
+
+describe('compileReport', () => {
+    test('a minimal spec counts over the default window', () => {
+        const { errors, query, params, report: described } = report();
+
+        expect(errors).toEqual([]);
+        expect(query).toBe([
+            'SELECT count() AS sessions',
+            'FROM user_sessions',
+            'WHERE session_start_time >= toDateTime({range_from:UInt32}) AND session_start_time < toDateTime({range_to:UInt32})',
+            'ORDER BY sessions DESC',
+            'LIMIT {row_limit:UInt32}'
+        ].join('\n'));
+        expect(params).toEqual({
+            range_from: NOW.getTime() / 1000 - 7 * 24 * 60 * 60,
+            range_to: NOW.getTime() / 1000,
+            range_timezone: 'UTC',
+            row_limit: 101
+        });
+        expect(described).toMatchObject({ source: 'user_sessions', limit: 100, timeRange: { range: '7d', timezone: 'UTC' } });
+    });
+
+    test('dimensions, granularity and ordering come from the catalog', () => {
+        const { query } = report({
+            metrics: ['sessions', 'bounce_rate'],
+            dimensions: ['country'],
+            granularity: 'day',
+            timezone: 'Asia/Colombo',
+            orderBy: { field: 'bounce_rate', direction: 'ASC' },
+            limit: 10
+        });
+
+        expect(query).toContain('SELECT toStartOfDay(session_start_time, {range_timezone:String}) AS period, country, ' +
+            'count() AS sessions, round(countIf(page_views = 1) / count() * 100, 2) AS bounce_rate');
+        expect(query).toContain('GROUP BY period, country');
+        expect(query).toContain('ORDER BY bounce_rate ASC');
+    });
+
+    test('time series default to chronological order', () => {
+        expect(report({ granularity: 'hour' }).query).toContain('ORDER BY period ASC');
+    });
+
+    test('filter values are bound as typed parameters, never spliced into the SQL', () => {
+        const { query, params } = report({
+            filters: [
+                { field: 'country', value: "LK' OR 1=1 --" },
+                { field: 'device_type', op: 'in', value: ['mobile', 'tablet'] },
+                { field: 'page_views', op: 'gte', value: 3 },
+                { field: 'utm_source', op: 'is_null' },
+                { field: 'city', op: 'contains', value: 'colombo' }
+            ]
+        });
+
+        expect(query).toContain([
+            'country = {filter_0:String}',
+            'device_type IN {filter_1:Array(String)}',
+            'page_views >= {filter_2:UInt32}',
+            'utm_source IS NULL',
+            'positionCaseInsensitive(city, {filter_4:String}) > 0'
+        ].join(' AND '));
+        expect(query).not.toContain('OR 1=1');
+        expect(params).toMatchObject({ filter_0: "LK' OR 1=1 --", filter_1: ['mobile', 'tablet'], filter_2: 3, filter_4: 'colombo' });
+    });
+
+    test.each(['constructor', 'toString', '__proto__', 'hasOwnProperty'])('inherited name %p is not a source, column or operator', (name) => {
+        expect(compileReport({ source: name, metrics: ['sessions'] }).errors)
+            .toEqual([{ field: 'source', error: expect.stringContaining('must be one of') }]);
+        expect(errorFields(report({ metrics: [name] }))).toEqual(['metrics']);
+        expect(errorFields(report({ dimensions: [name] }))).toEqual(['dimensions']);
+        expect(errorFields(report({ granularity: name }))).toEqual(['granularity']);
+        expect(report({ filters: [{ field: name, value: 'x' }] }).errors)
+            .toEqual([{ field: 'filters[0]', error: `unknown filter field "${name}" for user_sessions` }]);
+        expect(report({ filters: [{ field: 'country', op: name, value: 'LK' }] }).errors)
+            .toEqual([{ field: 'filters[0]', error: expect.stringContaining('op must be one of') }]);
+    });
+
+    test.each([
+        [{ metrics: [] }, 'metrics'],
+        [{ metrics: ['revenue'] }, 'metrics'],
+        [{ dimensions: ['page_url'] }, 'dimensions'],
+        [{ granularity: 'year' }, 'granularity'],
+        [{ limit: 0 }, 'limit'],
+        [{ limit: MAX_REPORT_LIMIT + 1 }, 'limit'],
+        [{ orderBy: { field: 'country' } }, 'orderBy.field'],
+        [{ orderBy: { field: 'sessions', direction: 'sideways' } }, 'orderBy.direction'],
+        [{ timeRange: '5y' }, 'timeRange.range'],
+        [{ timeRange: { from: '2026-10-02', to: '2026-10-01' } }, 'timeRange.from'],
+        [{ timezone: 'Mars/Olympus' }, 'timeRange.timezone']
+    ])('%p is rejected', (overrides, field) => {
+        expect(errorFields(report(overrides))).toEqual([field]);
+    });
+
+    test.each([
+        [{ field: 'utm_source', op: 'is_not_null' }, null],
+        [{ field: 'country', op: 'is_null' }, 'country is never null'],
+        [{ field: 'page_views', op: 'contains', value: '1' }, 'contains is only supported on string fields'],
+        [{ field: 'country', op: 'in', value: 'LK' }, 'value must be an array of 1 to 100 items'],
+        [{ field: 'country', op: 'in', value: [] }, 'value must be an array of 1 to 100 items'],
+        [{ field: 'country', value: 42 }, 'value must be a string of at most 500 characters'],
+        [{ field: 'page_views', value: -1 }, 'value must be a non-negative integer'],
+        [{ field: 'page_views', value: 'many' }, 'value must be a number']
+    ])('filter %p', (filter, error) => {
+        expect(report({ filters: [filter] }).errors).toEqual(error ? [{ field: 'filters[0]', error }] : []);
+    });
+
+    test('boolean columns take booleans with eq and neq only', () => {
+        const pageReport = (filter) => compileReport({ source: 'page_views', metrics: ['page_views'], filters: [filter] });
+
+        expect(pageReport({ field: 'bounce', value: true }).params.filter_0).toBe(true);
+        expect(pageReport({ field: 'bounce', value: 'true' }).errors[0].error).toBe('value must be a boolean');
+        expect(pageReport({ field: 'bounce', op: 'gt', value: true }).errors[0].error).toBe('boolean fields only support eq and neq');
+    });
+
+    test('the number of filters is bounded', () => {
+        const filters = Array.from({ length: MAX_FILTERS + 1 }, () => ({ field: 'country', value: 'LK' }));
+        expect(errorFields(report({ filters }))).toEqual(['filters']);
+    });
+
+    test('absolute windows are bound as whole seconds', () => {
+        const { params, report: described } = report({ timeRange: { from: '2026-10-01T00:00:00.500Z', to: '2026-10-02T00:00:00.250Z' } });
+
+        expect(params.range_from).toBe(Date.parse('2026-10-01T00:00:00Z') / 1000);
+        expect(params.range_to).toBe(Date.parse('2026-10-02T00:00:01Z') / 1000);
+        expect(described.timeRange).toMatchObject({ from: '2026-10-01T00:00:00.500Z', range: null });
+    });
+});
+
+describe('describeCatalog', () => {
+    test('lists every source with its metrics, typed dimensions and granularities', () => {
+        const sessions = describeCatalog().find(entry => entry.source === 'user_sessions');
+
+        expect(sessions.metrics).toContain('bounce_rate');
+        expect(sessions.dimensions).toContainEqual({ name: 'utm_source', type: 'Nullable(String)' });
+        expect(sessions.granularities).toEqual(['minute', 'hour', 'day', 'week', 'month']);
+    });
+});
@@ -0,0 +1,146 @@
+// Time ranges for analytics queries (time-range.js)
+
+const {
+    resolveTimeRange, timeRangeParams, timeRangeCondition, bucketBy, describeTimeRange, timeRangeQuery
+} = require('../time-range');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+const resolve = (input, options = {}) => resolveTimeRange(input, { now: NOW, ...options });
+const errorFields = (result) => result.errors.map(error => error.field);
+
+describe('resolveTimeRange', () => {
+    test.each([
+        ['30m', 0.5 * HOUR],
+        ['24h', 24 * HOUR],
+        ['7d', 7 * 24 * HOUR],
+        ['2w', 14 * 24 * HOUR],
+        [' 24h ', 24 * HOUR],
+        ['1 HOUR', HOUR],
+        ['7 days', 7 * 24 * HOUR]
+    ])('relative range %p ends now', (range, length) => {
+        const { errors, timeRange } = resolve({ range });
+
+        expect(errors).toEqual([]);
+        expect(timeRange.to).toEqual(NOW);
+        expect(NOW - timeRange.from).toBe(length);
+        expect(timeRange.timezone).toBe('UTC');
+    });
+
+    test('legacy ranges are labelled in the short form', () => {
+        expect(resolve({ range: '3 WEEKS' }).timeRange.range).toBe('3w');
+    });
+
+    test('the default range applies when none is given', () => {
+        expect(resolve({}, { defaultRange: '24h' }).timeRange.range).toBe('24h');
+    });
+
+    test.each(['0d', '7y', '1.5h', '-1d', 'd', '7 DAYS; DROP TABLE page_views', '1234567d', ''])('range %p is rejected', (range) => {
+        expect(errorFields(resolve({ range }))).toEqual(['range']);
+    });
+
+    test('ranges longer than a year are rejected', () => {
+        expect(resolve({ range: '366d' }).errors).toEqual([]);
+        expect(resolve({ range: '367d' }).errors).toEqual([{ field: 'range', error: 'must not span more than 366 days' }]);
+        expect(errorFields(resolve({ from: '2025-01-01', to: '2026-10-01' }))).toEqual(['range']);
+    });
+
+    test('absolute windows accept dates and timestamps with or without an offset', () => {
+        const { timeRange } = resolve({ from: '2026-10-01', to: '2026-10-02T05:30+05:30' });
+
+        expect(timeRange.from.toISOString()).toBe('2026-10-01T00:00:00.000Z');
+        expect(timeRange.to.toISOString()).toBe('2026-10-02T00:00:00.000Z');
+        expect(timeRange.range).toBeNull();
+        expect(resolve({ from: '2026-10-01 08:15:00' }).timeRange.from.toISOString()).toBe('2026-10-01T08:15:00.000Z');
+    });
+
+    test('a window without to ends now', () => {
+        expect(resolve({ from: '2026-10-18' }).timeRange.to).toEqual(NOW);
+    });
+
+    test.each([
+        [{ from: 'yesterday' }, ['from']],
+        [{ from: '2026-13-01' }, ['from']],
+        [{ from: '1696118400' }, ['from']],
+        [{ from: '2026-10-01', to: 'now' }, ['to']],
+        [{ to: '2026-10-01' }, ['from']],
+        [{ from: '2026-10-02', to: '2026-10-01' }, ['from']],
+        [{ from: '2026-10-01', to: '2026-10-01' }, ['from']],
+        [{ range: '7d', from: '2026-10-01' }, ['range']]
+    ])('%p is rejected', (input, fields) => {
+        expect(errorFields(resolve(input))).toEqual(fields);
+    });
+
+    test.each(['Europe/London', 'Asia/Colombo', 'America/St_Johns'])('timezone %p is accepted', (timezone) => {
+        expect(resolve({ range: '1d', timezone }).timeRange.timezone).toBe(timezone);
+    });
+
+    test.each(['Mars/Olympus', "UTC') OR 1=1", 42, ''])('timezone %p is rejected', (timezone) => {
+        expect(errorFields(resolve({ range: '1d', timezone }))).toEqual(['timezone']);
+    });
+});
+
+describe('SQL fragments', () => {
+    const { timeRange } = resolve({ from: '2026-10-01T00:00:00.400Z', to: '2026-10-02T00:00:00.600Z', timezone: 'Asia/Colombo' });
+
+    test('bounds are whole seconds that still cover the whole window', () => {
+        expect(timeRangeParams(timeRange)).toEqual({
+            range_from: Date.parse('2026-10-01T00:00:00Z') / 1000,
+            range_to: Date.parse('2026-10-02T00:00:01Z') / 1000,
+            range_timezone: 'Asia/Colombo'
+        });
+    });
+
+    test('the condition is half-open and only references bound parameters', () => {
+        expect(timeRangeCondition('timestamp'))
+            .toBe('timestamp >= toDateTime({range_from:UInt32}) AND timestamp < toDateTime({range_to:UInt32})');
+    });
+
+    test('buckets are computed in the bound timezone', () => {
+        expect(bucketBy('toStartOfDay', 'session_start_time')).toBe('toStartOfDay(session_start_time, {range_timezone:String})');
+        expect(bucketBy('toStartOfMonth', 'timestamp')).toBe('toStartOfMonth(timestamp, {range_timezone:String})');
+    });
+
+    test('week buckets pass the week mode before the timezone', () => {
+        expect(bucketBy('toStartOfWeek', 'timestamp')).toBe('toStartOfWeek(timestamp, 1, {range_timezone:String})');
+    });
+
+    test('the range is described with ISO timestamps', () => {
+        expect(describeTimeRange(resolve({ range: '24h' }).timeRange)).toEqual({
+            from: '2026-10-18T12:00:00.000Z', to: '2026-10-19T12:00:00.000Z', timezone: 'UTC', range: '24h'
+        });
+    });
+});
+
+describe('timeRangeQuery', () => {
+    const run = (query) => {
+        const req = { query };
+        const next = jest.fn();
+        timeRangeQuery('24h')(req, {}, next);
+        return { req, next };
+    };
+
+    test('resolves the range onto the request, accepting timeRange as an alias', () => {
+        const { req, next } = run({ timeRange: '2h', timezone: 'Europe/London' });
+
+        expect(next).toHaveBeenCalledWith();
+        expect(req.timeRange).toMatchObject({ range: '2h', timezone: 'Europe/London' });
+        expect(run({}).req.timeRange.range).toBe('24h');
+    });
+
+    test('invalid ranges are passed on as a 400 with every problem', () => {
+        const { next } = run({ range: 'forever', timezone: 'Nowhere' });
+
+        expect(next.mock.calls[0][0]).toMatchObject({
+            status: 400,
+            code: 'INVALID_TIME_RANGE',
+            members: {
+                details: [
+                    { location: 'query', field: 'timezone', error: expect.any(String) },
+                    { location: 'query', field: 'range', error: expect.any(String) }
+                ]
+            }
+        });
+    });
+});
@@ -0,0 +1,168 @@
+// Time ranges for analytics queries.
+// Accepts a relative window (`range=24h`, `7d`, `30m`, `2w`) or absolute
+// `from`/`to` ISO 8601 timestamps, plus an IANA `timezone` used for date
+// bucketing. Ranges are resolved to absolute [from, to) instants and bound
+// as ClickHouse query parameters; nothing from the request is spliced into SQL.
+
+const { ValidationError } = require('./errors');
+
+const DEFAULT_TIMEZONE = 'UTC';
+const MAX_RANGE_DAYS = 366;
+
+const UNIT_MILLISECONDS = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+// Older clients send "<n> MINUTE|HOUR|DAY|WEEK" (the former INTERVAL syntax)
+const LEGACY_UNITS = { MINUTE: 'm', HOUR: 'h', DAY: 'd', WEEK: 'w' };
+
+const MAX_RANGE_MILLISECONDS = MAX_RANGE_DAYS * UNIT_MILLISECONDS.d;
+
+const parseRelativeRange = (range) => {
+    const text = String(range).trim();
+
+    let match = /^(\d{1,6})([mhdw])$/.exec(text);
+    if (match) {
+        return { amount: parseInt(match[1]), unit: match[2] };
+    }
+
+    match = /^(\d{1,6})\s+(MINUTE|HOUR|DAY|WEEK)S?$/i.exec(text);
+    if (match) {
+        return { amount: parseInt(match[1]), unit: LEGACY_UNITS[match[2].toUpperCase()] };
+    }
+
+    return null;
+};
+
+// Only full ISO 8601 timestamps (date, or date and time with optional offset).
+// Timestamps without an offset are read as UTC.
+const parseTimestamp = (value) => {
+    const match = typeof value === 'string'
+        && /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}(?::\d{2}(?:\.\d{1,3})?)?)(Z|[+-]\d{2}:?\d{2})?)?$/.exec(value);
+    if (!match) {
+        return null;
+    }
+    const [, datePart, timePart = '00:00', offset = 'Z'] = match;
+    const date = new Date(`${datePart}T${timePart}${offset}`);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Resolve { range, from, to, timezone } into an absolute window.
+// Returns { errors, timeRange } like the other validators.
+const resolveTimeRange = (input = {}, { defaultRange = '7d', now = new Date() } = {}) => {
+    const errors = [];
+    const { range, from, to, timezone = DEFAULT_TIMEZONE } = input;
+
+    if (typeof timezone !== 'string' || !isValidTimezone(timezone)) {
+        errors.push({ field: 'timezone', error: 'must be an IANA time zone, e.g. "UTC" or "Europe/London"' });
+    }
+
+    let start = null;
+    let end = null;
+    let label = null;
+
+    if (from !== undefined || to !== undefined) {
+        if (range !== undefined) {
+            errors.push({ field: 'range', error: 'use either range or from/to, not both' });
+        }
+
+        start = parseTimestamp(from);
+        end = to === undefined ? now : parseTimestamp(to);
+
+        if (!start) {
+            errors.push({ field: 'from', error: 'must be an ISO 8601 timestamp' });
+        }
+        if (!end) {
+            errors.push({ field: 'to', error: 'must be an ISO 8601 timestamp' });
+        }
+        if (start && end && start >= end) {
+            errors.push({ field: 'from', error: 'must be before to' });
+        }
+    } else {
+        const relative = parseRelativeRange(range === undefined ? defaultRange : range);
+
+        if (!relative || relative.amount === 0) {
+            errors.push({ field: 'range', error: 'must be a window like 30m, 24h, 7d or 4w' });
+        } else {
+            end = now;
+            start = new Date(now.getTime() - relative.amount * UNIT_MILLISECONDS[relative.unit]);
+            label = `${relative.amount}${relative.unit}`;
+        }
+    }
+
+    if (start && end && end - start > MAX_RANGE_MILLISECONDS) {
+        errors.push({ field: 'range', error: `must not span more than ${MAX_RANGE_DAYS} days` });
+    }
+
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    return {
+        errors: [],
+        timeRange: { from: start, to: end, timezone, range: label }
+    };
+};
+
+// ClickHouse query parameters for a resolved range (whole seconds since epoch)
+const timeRangeParams = (timeRange) => ({
+    range_from: Math.floor(timeRange.from.getTime() / 1000),
+    range_to: Math.ceil(timeRange.to.getTime() / 1000),
+    range_timezone: timeRange.timezone
+});
+
+// WHERE fragment restricting a DateTime column to the bound range
+const timeRangeCondition = (column) =>
+    `${column} >= toDateTime({range_from:UInt32}) AND ${column} < toDateTime({range_to:UInt32})`;
+
+// Bucket a DateTime column in the requested timezone, e.g. bucketBy('toStartOfDay', 'timestamp').
+// toStartOfWeek takes its week mode before the timezone; weeks start on Monday (mode 1).
+const bucketBy = (fn, column) => (fn === 'toStartOfWeek'
+    ? `${fn}(${column}, 1, {range_timezone:String})`
+    : `${fn}(${column}, {range_timezone:String})`);
+
+// Shape returned to API clients alongside the data
+const describeTimeRange = (timeRange) => ({
+    from: timeRange.from.toISOString(),
+    to: timeRange.to.toISOString(),
+    timezone: timeRange.timezone,
+    range: timeRange.range
+});
+
+// Express middleware: resolve the range from the query string into req.timeRange.
+// `timeRange` is still accepted as an alias of `range`.
+const timeRangeQuery = (defaultRange) => (req, res, next) => {
+    const { range = req.query.timeRange, from, to, timezone } = req.query;
+    const { errors, timeRange } = resolveTimeRange({ range, from, to, timezone }, { defaultRange });
+
+    if (errors.length > 0) {
+        return next(new ValidationError('Invalid time range', {
+            code: 'INVALID_TIME_RANGE',
+            details: errors.map(error => ({ location: 'query', ...error }))
+        }));
+    }
+
+    req.timeRange = timeRange;
+    next();
+};
+
+module.exports = {
+    resolveTimeRange,
+    timeRangeParams,
+    timeRangeCondition,
+    bucketBy,
+    describeTimeRange,
+    timeRangeQuery
+};
@@ -2,19 +2,49 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
-const morgan = require('morgan');
 require('dotenv').config();
 
-const { query, testConnection, closePool } = require('./database');
+const { query, serialId, testConnection, closePool } = require('./database');
+const { authenticate } = require('./auth');
+const { hasPermission, requirePermission } = require('./permissions');
+const { validateGame, validateGameId } = require('./game-validation');
+const { BASE_CURRENCY, listCurrencies, resolveCurrency } = require('./currencies');
+const { loadRunningSales, priceCatalogGame } = require('./sales');
+const {
+    listReviews,
+    createReview,
+    updateReview,
+    deleteReview,
+    moderateReview,
+    listModerationQueue
+} = require('./reviews');
+const { SEARCH_TERM_FIELDS, searchGames, suggestGames, refreshSearchTerms } = require('./game-search');
+const { defineSort, parsePagination, pageSql, buildPage, setPageLinks } = require('./pagination');
+const { validate } = require('./request-validation');
+const {
+    ValidationError,
+    NotFoundError,
+    ConflictError,
+    DependencyUnavailableError,
+    sendProblem,
+    errorHandler,
+    routeNotFound
+} = require('./errors');
+const { correlationId, requestLogger } = require('./correlation-id');
+const { openApiDocument, apiExplorer } = require('./openapi');
+const schemas = require('./schemas');
+const operations = require('./operations');
+const { version } = require('./package.json');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
+app.use(correlationId);
 app.use(helmet());
 app.use(cors());
 app.use(compression());
-app.use(morgan('combined'));
+app.use(requestLogger);
 app.use(express.json());
 
 // Initialize database connection
@@ -34,6 +64,36 @@ const initializeDatabase = async () => {
     }
 };
 
+// Resolve ?currency= for catalog reads; prices are stored in the base currency
+// and converted at the stored exchange rate
+const withCurrency = async (req, res, next) => {
+    if (!dbConnected) {
+        req.currency = BASE_CURRENCY; // the route reports the missing database
+        return next();
+    }
+    try {
+        req.currency = await resolveCurrency({ query }, req.query.currency);
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Catalog rows in the requested currency at their effective price: running
+// sales apply the same rule as carts and orders (sales.js)
+const priceGames = async (games, currency) => {
+    const sales = games.length > 0 ? await loadRunningSales({ query }) : [];
+    return games.map(game => priceCatalogGame(game, sales, currency));
+};
+
+// Errors raised by several routes
+const gameNotFound = () => new NotFoundError('Game not found', { code: 'GAME_NOT_FOUND' });
+
+const invalidPagination = (errors) => new ValidationError('Invalid pagination', {
+    code: 'INVALID_PAGINATION',
+    details: errors
+});
+
 // Health check endpoint
 app.get('/health', async (req, res) => {
     const healthStatus = {
@@ -53,9 +113,9 @@ app.get('/health', async (req, res) => {
                 connection_status: 'active'
             };
         } catch (error) {
+            console.error(`❌ [${req.correlationId}] Health check query failed:`, error.message);
             healthStatus.database_stats = {
-                connection_status: 'error',
-                error: error.message
+                connection_status: 'error'
             };
         }
     }
@@ -63,14 +123,29 @@ app.get('/health', async (req, res) => {
     res.status(200).json(healthStatus);
 });
 
+// OpenAPI document generated from the routes, their request schemas and
+// operations.js, and the API explorer (Swagger UI) reading it
+app.get('/api/games/openapi.json', (req, res) => {
+    res.json(openApiDocument(app, { info: { title: 'LUGX Game Service API', version }, operations }));
+});
+
+app.use('/api/games/docs', apiExplorer('/api/games/openapi.json', 'LUGX Game Service API'));
+
 // Game API Routes
 
+// Sort keys for 1.; undated games sort as the oldest
+const GAME_SORT_EXPRESSIONS = {
+    name: 'name',
+    price: 'price',
+    rating: 'COALESCE(rating, 0)',
+    release_date: "COALESCE(release_date, '-infinity'::date)",
+    created_at: 'created_at'
+};
+
 // 1. Get all games with filtering and pagination
-app.get('/api/games', async (req, res) => {
+app.get('/api/games', validate({ query: schemas.listGamesQuery }), withCurrency, async (req, res) => {
     try {
         const {
-            page = 1,
-            limit = 10,
             category,
             minPrice,
             maxPrice,
@@ -80,8 +155,20 @@ app.get('/api/games', async (req, res) => {
             sortOrder = 'ASC'
         } = req.query;
 
-        const offset = (page - 1) * limit;
-        let whereConditions = [];
+        // Validate sort column
+        const sortColumn = Object.keys(GAME_SORT_EXPRESSIONS).includes(sortBy) ? sortBy : 'name';
+        const sortDirection = String(sortOrder).toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+        const sort = defineSort(`${sortColumn}_${sortDirection.toLowerCase()}`, [
+            { expression: GAME_SORT_EXPRESSIONS[sortColumn], direction: sortDirection },
+            { expression: 'id', direction: sortDirection }
+        ]);
+
+        const { errors, page } = parsePagination(req.query, sort);
+        if (errors.length > 0) {
+            throw invalidPagination(errors);
+        }
+
+        let whereConditions = ['is_archived = false'];
         let queryParams = [];
         let paramIndex = 1;
 
@@ -92,16 +179,17 @@ app.get('/api/games', async (req, res) => {
             paramIndex++;
         }
 
+        // Price filters are in the requested currency
         if (minPrice) {
-            whereConditions.push(`price >= $${paramIndex}`);
-            queryParams.push(parseFloat(minPrice));
-            paramIndex++;
+            whereConditions.push(`price * $${paramIndex} >= $${paramIndex + 1}`);
+            queryParams.push(req.currency.rate, parseFloat(minPrice));
+            paramIndex += 2;
         }
 
         if (maxPrice) {
-            whereConditions.push(`price <= $${paramIndex}`);
-            queryParams.push(parseFloat(maxPrice));
-            paramIndex++;
+            whereConditions.push(`price * $${paramIndex} <= $${paramIndex + 1}`);
+            queryParams.push(req.currency.rate, parseFloat(maxPrice));
+            paramIndex += 2;
         }
 
         if (featured === 'true') {
@@ -112,130 +200,110 @@ app.get('/api/games', async (req, res) => {
             whereConditions.push(`is_trending = true`);
         }
 
-        const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
-        
-        // Validate sort column
-        const validSortColumns = ['name', 'price', 'rating', 'release_date', 'created_at'];
-        const sortColumn = validSortColumns.includes(sortBy) ? sortBy : 'name';
-        const sortDirection = sortOrder.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+        const whereClause = `WHERE ${whereConditions.join(' AND ')}`;
+        const pageQuery = pageSql(page, paramIndex);
+        const pageConditions = pageQuery.condition ? [...whereConditions, pageQuery.condition] : whereConditions;
 
         // Main query
         const gamesQuery = `
             SELECT 
                 game_id, name, description, price, discount_price, category, 
                 tags, image_url, release_date, rating, is_featured, is_trending,
-                stock_quantity, developer, publisher, platform, created_at
+                stock_quantity, developer, publisher, platform, is_digital, created_at,
+                ${pageQuery.cursorColumn}
             FROM games 
-            ${whereClause}
-            ORDER BY ${sortColumn} ${sortDirection}
-            LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+            WHERE ${pageConditions.join(' AND ')}
+            ORDER BY ${pageQuery.orderBy}
+            ${pageQuery.limitClause}
         `;
 
-        queryParams.push(parseInt(limit), offset);
-
         // Count query for pagination
         const countQuery = `SELECT COUNT(*) as total FROM games ${whereClause}`;
-        const countParams = queryParams.slice(0, -2); // Remove limit and offset
 
         if (!dbConnected) {
-            throw new Error('Database not connected');
+            throw new DependencyUnavailableError('database', 'Database is not connected');
         }
 
         const [gamesResult, countResult] = await Promise.all([
-            query(gamesQuery, queryParams),
-            query(countQuery, countParams)
+            query(gamesQuery, [...queryParams, ...pageQuery.params]),
+            query(countQuery, queryParams)
         ]);
 
-        const totalGames = parseInt(countResult.rows[0].total);
-        const totalPages = Math.ceil(totalGames / limit);
+        const { items: games, pagination } = buildPage(gamesResult.rows, page, parseInt(countResult.rows[0].total));
+        setPageLinks(req, res, pagination);
 
         res.json({
             success: true,
             data: {
-                games: gamesResult.rows,
-                pagination: {
-                    currentPage: parseInt(page),
-                    totalPages,
-                    totalItems: totalGames,
-                    itemsPerPage: parseInt(limit),
-                    hasNextPage: page < totalPages,
-                    hasPreviousPage: page > 1
-                },
-                filters: { category, minPrice, maxPrice, featured, trending, sortBy, sortOrder }
+                games: await priceGames(games, req.currency),
+                currency: req.currency.currency,
+                pagination,
+                filters: { category, minPrice, maxPrice, featured, trending, sortBy: sortColumn, sortOrder: sortDirection, currency: req.currency.currency }
             }
         });
 
     } catch (error) {
-        console.error('Error fetching games:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch games',
-            message: error.message
-        });
+        sendProblem(req, res, error, 'Failed to fetch games');
     }
 });
 
-// 2. Search games
-app.get('/api/games/search', async (req, res) => {
+// 2. Search games: ranked full-text matches with facets and highlights
+// (?q, ?category, ?platform, ?publisher, ?price, ?sort, ?page or ?after, ?limit)
+app.get('/api/games/search', validate({ query: schemas.searchQuery }), withCurrency, async (req, res) => {
     try {
-        const { q, limit = 10 } = req.query;
-
-        if (!q) {
-            return res.status(400).json({
-                success: false,
-                error: 'Search query parameter "q" is required'
-            });
-        }
-
         if (!dbConnected) {
-            throw new Error('Database not connected');
+            throw new DependencyUnavailableError('database', 'Database is not connected');
         }
 
-        const searchQuery = `
-            SELECT 
-                game_id, name, description, price, discount_price, category,
-                image_url, rating, is_featured, developer, publisher
-            FROM games
-            WHERE 
-                to_tsvector('english', name || ' ' || description || ' ' || array_to_string(tags, ' ')) 
-                @@ plainto_tsquery('english', $1)
-                OR name ILIKE $2
-                OR description ILIKE $2
-                OR category ILIKE $2
-            ORDER BY 
-                CASE WHEN name ILIKE $2 THEN 1 ELSE 2 END,
-                rating DESC
-            LIMIT $3
-        `;
-
-        const result = await query(searchQuery, [q, `%${q}%`, parseInt(limit)]);
+        const { games, facets, pagination, filters, didYouMean } = await searchGames(req.query, req.currency);
+        setPageLinks(req, res, pagination);
 
         res.json({
             success: true,
             data: {
-                games: result.rows,
-                searchTerm: q,
-                resultCount: result.rows.length
+                games: await priceGames(games, req.currency),
+                currency: req.currency.currency,
+                searchTerm: req.query.q.trim(),
+                resultCount: games.length,
+                facets,
+                pagination,
+                filters,
+                didYouMean
             }
         });
 
     } catch (error) {
-        console.error('Error searching games:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to search games',
-            message: error.message
+        sendProblem(req, res, error, 'Failed to search games');
+    }
+});
+
+// 21. Type-ahead suggestions: game names, developers and tags matching ?q= by
+// prefix or trigram similarity (registered before 8. so "suggest" is not read as a game ID)
+app.get('/api/games/suggest', validate({ query: schemas.suggestQuery }), async (req, res) => {
+    try {
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const data = await suggestGames(req.query);
+
+        res.json({
+            success: true,
+            data
         });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to suggest games');
     }
 });
 
 // 3. Get featured games
-app.get('/api/games/featured', async (req, res) => {
+app.get('/api/games/featured', validate({ query: schemas.featuredQuery }), withCurrency, async (req, res) => {
     try {
         const { limit = 4 } = req.query;
 
         if (!dbConnected) {
-            throw new Error('Database not connected');
+            throw new DependencyUnavailableError('database', 'Database is not connected');
         }
 
         const featuredQuery = `
@@ -243,7 +311,7 @@ app.get('/api/games/featured', async (req, res) => {
                 game_id, name, description, price, discount_price, 
                 category, image_url, rating, developer, publisher
             FROM games
-            WHERE is_featured = true
+            WHERE is_featured = true AND is_archived = false
             ORDER BY rating DESC, created_at DESC
             LIMIT $1
         `;
@@ -253,28 +321,24 @@ app.get('/api/games/featured', async (req, res) => {
         res.json({
             success: true,
             data: {
-                games: result.rows,
+                games: await priceGames(result.rows, req.currency),
+                currency: req.currency.currency,
                 featured: true
             }
         });
 
     } catch (error) {
-        console.error('Error fetching featured games:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch featured games',
-            message: error.message
-        });
+        sendProblem(req, res, error, 'Failed to fetch featured games');
     }
 });
 
 // 4. Get trending games
-app.get('/api/games/trending', async (req, res) => {
+app.get('/api/games/trending', validate({ query: schemas.trendingQuery }), withCurrency, async (req, res) => {
     try {
         const { limit = 6 } = req.query;
 
         if (!dbConnected) {
-            throw new Error('Database not connected');
+            throw new DependencyUnavailableError('database', 'Database is not connected');
         }
 
         const trendingQuery = `
@@ -284,7 +348,7 @@ app.get('/api/games/trending', async (req, res) => {
                 COALESCE(gs.total_sold, 0) as total_sold
             FROM games g
             LEFT JOIN game_stats gs ON g.game_id = gs.game_id
-            WHERE g.is_trending = true
+            WHERE g.is_trending = true AND g.is_archived = false
             ORDER BY gs.total_sold DESC NULLS LAST, g.rating DESC
             LIMIT $1
         `;
@@ -294,82 +358,84 @@ app.get('/api/games/trending', async (req, res) => {
         res.json({
             success: true,
             data: {
-                games: result.rows,
+                games: await priceGames(result.rows, req.currency),
+                currency: req.currency.currency,
                 trending: true
             }
         });
 
     } catch (error) {
-        console.error('Error fetching trending games:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch trending games',
-            message: error.message
-        });
+        sendProblem(req, res, error, 'Failed to fetch trending games');
     }
 });
 
+// Best rated first
+const CATEGORY_GAMES_SORT = defineSort('category_rating', [
+    { expression: 'COALESCE(rating, 0)', direction: 'DESC' },
+    { expression: 'name', direction: 'ASC' },
+    { expression: 'id', direction: 'ASC' }
+]);
+
 // 5. Get games by category
-app.get('/api/games/category/:category', async (req, res) => {
+app.get('/api/games/category/:category',
+    validate({ params: schemas.categoryParams, query: schemas.categoryGamesQuery }), withCurrency, async (req, res) => {
     try {
         const { category } = req.params;
-        const { limit = 10, page = 1 } = req.query;
-        const offset = (page - 1) * limit;
+
+        const { errors, page } = parsePagination(req.query, CATEGORY_GAMES_SORT);
+        if (errors.length > 0) {
+            throw invalidPagination(errors);
+        }
 
         if (!dbConnected) {
-            throw new Error('Database not connected');
+            throw new DependencyUnavailableError('database', 'Database is not connected');
         }
 
+        const pageQuery = pageSql(page, 2);
         const categoryQuery = `
             SELECT 
                 game_id, name, description, price, discount_price,
-                category, image_url, rating, is_featured, developer, publisher
+                category, image_url, rating, is_featured, developer, publisher,
+                ${pageQuery.cursorColumn}
             FROM games
-            WHERE category ILIKE $1
-            ORDER BY rating DESC, name ASC
-            LIMIT $2 OFFSET $3
+            WHERE category ILIKE $1 AND is_archived = false
+            ${pageQuery.condition ? `AND ${pageQuery.condition}` : ''}
+            ORDER BY ${pageQuery.orderBy}
+            ${pageQuery.limitClause}
         `;
 
         const countQuery = `
-            SELECT COUNT(*) as total FROM games WHERE category ILIKE $1
+            SELECT COUNT(*) as total FROM games WHERE category ILIKE $1 AND is_archived = false
         `;
 
         const [gamesResult, countResult] = await Promise.all([
-            query(categoryQuery, [`%${category}%`, parseInt(limit), offset]),
+            query(categoryQuery, [`%${category}%`, ...pageQuery.params]),
             query(countQuery, [`%${category}%`])
         ]);
 
-        const totalGames = parseInt(countResult.rows[0].total);
+        const { items: games, pagination } = buildPage(gamesResult.rows, page, parseInt(countResult.rows[0].total));
+        setPageLinks(req, res, pagination);
 
         res.json({
             success: true,
             data: {
-                games: gamesResult.rows,
+                games: await priceGames(games, req.currency),
+                currency: req.currency.currency,
                 category,
-                pagination: {
-                    currentPage: parseInt(page),
-                    totalPages: Math.ceil(totalGames / limit),
-                    totalItems: totalGames,
-                    itemsPerPage: parseInt(limit)
-                }
+                pagination
             }
         });
 
     } catch (error) {
-        console.error('Error fetching games by category:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch games by category',
-            message: error.message
-        });
+        sendProblem(req, res, error, 'Failed to fetch games by category');
     }
 });
 
 // 6. Get game statistics
-app.get('/api/games/stats/summary', async (req, res) => {
+app.get('/api/games/stats/summary', authenticate, requirePermission('catalog:stats'), async (req, res) => {
     try {
         if (!dbConnected) {
-            throw new Error('Database not connected');
+            throw new DependencyUnavailableError('database', 'Database is not connected');
         }
 
         const statsQuery = `
@@ -379,8 +445,10 @@ app.get('/api/games/stats/summary', async (req, res) => {
                 COUNT(CASE WHEN is_trending THEN 1 END) as trending_games,
                 ROUND(AVG(price), 2) as average_price,
                 COUNT(DISTINCT category) as total_categories,
-                ROUND(AVG(rating), 2) as average_rating
+                ROUND(AVG(rating), 2) as average_rating,
+                (SELECT COUNT(*) FROM games WHERE is_archived = true) as archived_games
             FROM games
+            WHERE is_archived = false
         `;
 
         const categoryStatsQuery = `
@@ -390,6 +458,7 @@ app.get('/api/games/stats/summary', async (req, res) => {
                 ROUND(AVG(price), 2) as avg_price,
                 ROUND(AVG(rating), 2) as avg_rating
             FROM games
+            WHERE is_archived = false
             GROUP BY category
             ORDER BY game_count DESC
         `;
@@ -408,22 +477,37 @@ app.get('/api/games/stats/summary', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Error fetching game statistics:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch game statistics',
-            message: error.message
+        sendProblem(req, res, error, 'Failed to fetch game statistics');
+    }
+});
+
+// 7. Supported currencies and their exchange rates from the base currency
+app.get('/api/games/currencies', async (req, res) => {
+    try {
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        res.json({
+            success: true,
+            data: {
+                base_currency: BASE_CURRENCY.currency,
+                currencies: await listCurrencies({ query })
+            }
         });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to fetch currencies');
     }
 });
 
 // 8. Get game by ID (MUST be last among /api/games routes)
-app.get('/api/games/:id', async (req, res) => {
+app.get('/api/games/:id', validate({ params: schemas.gameParams, query: schemas.CURRENCY_QUERY }), withCurrency, async (req, res) => {
     try {
         const { id } = req.params;
 
         if (!dbConnected) {
-            throw new Error('Database not connected');
+            throw new DependencyUnavailableError('database', 'Database is not connected');
         }
 
         const gameQuery = `
@@ -432,27 +516,25 @@ app.get('/api/games/:id', async (req, res) => {
                 ROUND(AVG(r.rating), 2) as average_rating,
                 COUNT(r.id) as review_count
             FROM games g
-            LEFT JOIN game_reviews r ON g.game_id = r.game_id
+            LEFT JOIN game_reviews r ON g.game_id = r.game_id AND r.status = 'approved'
             WHERE g.game_id = $1 OR g.id = $2
             GROUP BY g.id
         `;
 
-        const result = await query(gameQuery, [id, parseInt(id) || 0]);
+        const result = await query(gameQuery, [id, serialId(id)]);
 
         if (result.rows.length === 0) {
-            return res.status(404).json({
-                success: false,
-                error: 'Game not found',
-                gameId: id
-            });
+            throw gameNotFound();
         }
 
-        // Get recent reviews for this game
+        // Get recent approved reviews for this game
         const reviewsQuery = `
-            SELECT r.*, c.first_name, c.last_name 
+            SELECT
+                r.review_id, r.game_id, r.user_id, r.rating, r.review_text, r.is_verified_purchase,
+                r.created_at, r.updated_at, c.first_name, c.last_name
             FROM game_reviews r
             LEFT JOIN customers c ON r.user_id = c.customer_id
-            WHERE r.game_id = $1
+            WHERE r.game_id = $1 AND r.status = 'approved'
             ORDER BY r.created_at DESC
             LIMIT 5
         `;
@@ -460,7 +542,7 @@ app.get('/api/games/:id', async (req, res) => {
         const reviewsResult = await query(reviewsQuery, [result.rows[0].game_id]);
 
         const gameData = {
-            ...result.rows[0],
+            ...(await priceGames(result.rows, req.currency))[0],
             reviews: reviewsResult.rows
         };
 
@@ -470,34 +552,389 @@ app.get('/api/games/:id', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Error fetching game:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch game',
-            message: error.message
+        sendProblem(req, res, error, 'Failed to fetch game');
+    }
+});
+
+// Catalog Management Routes (admin only)
+
+// Resolve a game by its public game_id or numeric id
+const findGame = async (id) => {
+    const result = await query(
+        'SELECT * FROM games WHERE game_id = $1 OR id = $2',
+        [id, serialId(id)]
+    );
+    return result.rows[0] || null;
+};
+
+// Normalize the category against game_categories, returning the stored name or null
+const resolveCategory = async (category) => {
+    const result = await query(
+        'SELECT name FROM game_categories WHERE LOWER(name) = LOWER($1)',
+        [category]
+    );
+    return result.rows.length > 0 ? result.rows[0].name : null;
+};
+
+// JSONB columns are sent to pg as JSON text
+const toColumnValue = (field, value) =>
+    field === 'system_requirements' && value !== null ? JSON.stringify(value) : value;
+
+const validateCategory = async (values, errors) => {
+    if (values.category === undefined || values.category === null) {
+        return;
+    }
+    const category = await resolveCategory(values.category);
+    if (!category) {
+        errors.push(`category "${values.category}" does not exist`);
+    } else {
+        values.category = category;
+    }
+};
+
+const invalidGame = (errors) => new ValidationError('Invalid game data', { details: errors });
+
+// Shared handler for PUT (full replace) and PATCH (partial update)
+const updateGame = (partial) => async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const current = await findGame(id);
+
+        if (!current) {
+            throw gameNotFound();
+        }
+
+        if (current.is_archived) {
+            throw new ConflictError('Game is archived; restore it before editing it', { code: 'GAME_ARCHIVED' });
+        }
+
+        if (req.body && req.body.game_id !== undefined && req.body.game_id !== current.game_id) {
+            throw invalidGame(['game_id cannot be changed']);
+        }
+
+        const { errors, values } = validateGame(req.body, { partial, current });
+        await validateCategory(values, errors);
+
+        if (errors.length > 0) {
+            throw invalidGame(errors);
+        }
+
+        const fields = Object.keys(values);
+
+        if (fields.length === 0) {
+            throw invalidGame(['No updatable fields provided']);
+        }
+
+        const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+        const params = fields.map(field => toColumnValue(field, values[field]));
+        params.push(current.id);
+
+        const result = await query(`
+            UPDATE games
+            SET ${assignments.join(', ')}
+            WHERE id = $${params.length}
+            RETURNING *
+        `, params);
+
+        if (fields.some(field => SEARCH_TERM_FIELDS.includes(field))) {
+            refreshSearchTerms();
+        }
+
+        res.json({
+            success: true,
+            message: 'Game updated successfully',
+            data: result.rows[0]
+        });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to update game');
+    }
+};
+
+// 9. Create game
+app.post('/api/games', authenticate, requirePermission('catalog:write'), validate({ body: schemas.createGameBody }), async (req, res) => {
+    try {
+        const { game_id } = req.body || {};
+
+        const { errors, values } = validateGame(req.body);
+
+        if (!validateGameId(game_id)) {
+            errors.unshift('game_id is required and may only contain letters, numbers, "_" and "-" (max 50)');
+        }
+
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        await validateCategory(values, errors);
+
+        if (errors.length > 0) {
+            throw invalidGame(errors);
+        }
+
+        const fields = Object.keys(values);
+        const columns = ['game_id', ...fields];
+        const params = [game_id, ...fields.map(field => toColumnValue(field, values[field]))];
+        const placeholders = params.map((_, index) => `$${index + 1}`);
+
+        const result = await query(`
+            INSERT INTO games (${columns.join(', ')})
+            VALUES (${placeholders.join(', ')})
+            RETURNING *
+        `, params);
+
+        refreshSearchTerms();
+
+        res.status(201).json({
+            success: true,
+            message: 'Game created successfully',
+            data: result.rows[0]
+        });
+
+    } catch (error) {
+        sendProblem(req, res, error.code === '23505' // Unique violation
+            ? new ConflictError('Game with this ID already exists', { code: 'GAME_EXISTS' })
+            : error, 'Failed to create game');
+    }
+});
+
+// 10. Replace game
+app.put('/api/games/:id', authenticate, requirePermission('catalog:write'),
+    validate({ params: schemas.gameParams, body: schemas.replaceGameBody }), updateGame(false));
+
+// 11. Partially update game
+app.patch('/api/games/:id', authenticate, requirePermission('catalog:write'),
+    validate({ params: schemas.gameParams, body: schemas.updateGameBody }), updateGame(true));
+
+// 12. Archive game (soft delete - order_items keep resolving the game_id)
+app.delete('/api/games/:id', authenticate, requirePermission('catalog:write'), validate({ params: schemas.gameParams }), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const current = await findGame(id);
+
+        if (!current) {
+            throw gameNotFound();
+        }
+
+        if (current.is_archived) {
+            return res.json({
+                success: true,
+                message: 'Game already archived',
+                data: {
+                    game_id: current.game_id,
+                    is_archived: true,
+                    archived_at: current.archived_at
+                }
+            });
+        }
+
+        const result = await query(`
+            UPDATE games
+            SET is_archived = true, archived_at = CURRENT_TIMESTAMP,
+                is_featured = false, is_trending = false
+            WHERE id = $1
+            RETURNING game_id, is_archived, archived_at
+        `, [current.id]);
+
+        refreshSearchTerms();
+
+        res.json({
+            success: true,
+            message: 'Game archived successfully',
+            data: result.rows[0]
         });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to archive game');
     }
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-    console.error('Error:', err);
-    res.status(500).json({
-        success: false,
-        error: 'Internal server error',
-        message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
-    });
+// 13. Restore archived game
+app.post('/api/games/:id/restore', authenticate, requirePermission('catalog:write'), validate({ params: schemas.gameParams }), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const result = await query(`
+            UPDATE games
+            SET is_archived = false, archived_at = NULL
+            WHERE game_id = $1 OR id = $2
+            RETURNING *
+        `, [id, serialId(id)]);
+
+        if (result.rows.length === 0) {
+            throw gameNotFound();
+        }
+
+        refreshSearchTerms();
+
+        res.json({
+            success: true,
+            message: 'Game restored successfully',
+            data: result.rows[0]
+        });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to restore game');
+    }
 });
 
-// 404 handler
-app.use('*', (req, res) => {
-    res.status(404).json({
-        success: false,
-        error: 'Route not found',
-        message: `The requested endpoint ${req.method} ${req.originalUrl} does not exist`
-    });
+// Review Routes
+
+// 14. List a game's reviews (?page or ?after, ?limit, ?sort=newest|oldest|highest|lowest, ?rating, ?verified)
+app.get('/api/games/:id/reviews', validate({ params: schemas.gameParams, query: schemas.listReviewsQuery }), async (req, res) => {
+    try {
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const data = await listReviews(req.params.id, req.query);
+        setPageLinks(req, res, data.pagination);
+
+        res.json({
+            success: true,
+            data
+        });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to fetch reviews');
+    }
 });
 
+// 15. Review a game (signed-in customers, one review per game); it waits for moderation
+app.post('/api/games/:id/reviews', authenticate, validate({ params: schemas.gameParams, body: schemas.createReviewBody }), async (req, res) => {
+    try {
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const review = await createReview(req.params.id, req.user.customer_id, req.body);
+
+        res.status(201).json({
+            success: true,
+            message: 'Review submitted for moderation',
+            data: review
+        });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to create review');
+    }
+});
+
+// 16. Edit a review (author only)
+app.patch('/api/games/:id/reviews/:reviewId', authenticate,
+    validate({ params: schemas.reviewParams, body: schemas.updateReviewBody }), async (req, res) => {
+    try {
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const { review, game_rating } = await updateReview(req.params.id, req.params.reviewId, req.user, req.body);
+
+        res.json({
+            success: true,
+            message: 'Review updated and resubmitted for moderation',
+            data: { ...review, game_rating }
+        });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to update review');
+    }
+});
+
+// 17. Delete a review (author or reviews:moderate)
+app.delete('/api/games/:id/reviews/:reviewId', authenticate, validate({ params: schemas.reviewParams }), async (req, res) => {
+    try {
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const { review, game_rating } = await deleteReview(
+            req.params.id,
+            req.params.reviewId,
+            req.user,
+            hasPermission(req.user, 'reviews:moderate')
+        );
+
+        res.json({
+            success: true,
+            message: 'Review deleted successfully',
+            data: { review_id: review.review_id, game_id: review.game_id, game_rating }
+        });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to delete review');
+    }
+});
+
+// 18. Moderation queue (reviews:moderate); ?status=pending|approved|rejected, ?game_id, ?page or ?after, ?limit
+app.get('/api/games/reviews/moderation', authenticate, requirePermission('reviews:moderate'),
+    validate({ query: schemas.moderationQueueQuery }), async (req, res) => {
+    try {
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const data = await listModerationQueue(req.query);
+        setPageLinks(req, res, data.pagination);
+
+        res.json({
+            success: true,
+            data
+        });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to fetch moderation queue');
+    }
+});
+
+// Shared handler for approving and rejecting reviews
+const moderate = (status) => async (req, res) => {
+    try {
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const { review, game_rating } = await moderateReview(req.params.reviewId, status, req.body, req.user);
+
+        res.json({
+            success: true,
+            message: `Review ${status}`,
+            data: { ...review, game_rating }
+        });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to moderate review');
+    }
+};
+
+// 19. Approve a review (reviews:moderate); optional { note }
+app.post('/api/games/reviews/:reviewId/approve', authenticate, requirePermission('reviews:moderate'),
+    validate({ params: schemas.moderatedReviewParams, body: schemas.approveReviewBody }), moderate('approved'));
+
+// 20. Reject a review (reviews:moderate); { reason, note }
+app.post('/api/games/reviews/:reviewId/reject', authenticate, requirePermission('reviews:moderate'),
+    validate({ params: schemas.moderatedReviewParams, body: schemas.rejectReviewBody }), moderate('rejected'));
+
+// Error handling middleware
+app.use(errorHandler);
+
+// 404 handler
+app.use('*', routeNotFound);
+
 // Graceful shutdown
 process.on('SIGTERM', async () => {
     console.log('🛑 SIGTERM received, shutting down gracefully');
@@ -512,24 +949,23 @@ process.on('SIGINT', async () => {
 });
 
 // Start server
-const startServer = async () => {
+const startServer = async (port = PORT) => {
     await initializeDatabase();
     
-    app.listen(PORT, () => {
-        console.log(`🎮 Game Service running on port ${PORT}`);
-        console.log(`🔗 Health check: http://localhost:${PORT}/health`);
-        console.log(`📊 Database status: ${dbConnected ? 'Connected' : 'Disconnected'}`);
-        console.log('Available endpoints:');
-        console.log('  GET  /api/games                    - Get all games with filtering');
-        console.log('  GET  /api/games/:id                - Get specific game');
-        console.log('  GET  /api/games/search?q=query     - Search games');
-        console.log('  GET  /api/games/featured           - Get featured games');
-        console.log('  GET  /api/games/trending           - Get trending games');
-        console.log('  GET  /api/games/category/:category - Get games by category');
-        console.log('  GET  /api/games/stats/summary      - Get game statistics');
+    return new Promise((resolve) => {
+        const server = app.listen(port, () => {
+            const url = `http://localhost:${server.address().port}`;
+            console.log(`🎮 Game Service running on port ${server.address().port}`);
+            console.log(`🔗 Health check: ${url}/health`);
+            console.log(`📊 Database status: ${dbConnected ? 'Connected' : 'Disconnected'}`);
+            console.log(`📖 API explorer: ${url}/api/games/docs (OpenAPI document: ${url}/api/games/openapi.json)`);
+            resolve(server);
+        });
     });
 };
 
-startServer().catch(console.error);
+if (require.main === module) {
+    startServer().catch(console.error);
+}
 
-module.exports = app;
+module.exports = { app, startServer };
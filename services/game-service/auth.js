@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+
+const { query } = require('./database');
+const { AuthenticationError } = require('./errors');
+
+// Authentication shared by order-service and game-service.
+// Keep this file identical in both services: order-service issues tokens,
+// both services verify them against the same JWT_SECRET and Postgres database.
+
+const scrypt = promisify(crypto.scrypt);
+
+// The development signing key is only used outside production; a production
+// process without JWT_SECRET refuses to start rather than accept tokens anyone
+// could forge with the key published here.
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set when NODE_ENV=production');
+}
+
+const JWT_SECRET = process.env.JWT_SECRET || 'lugx_dev_jwt_secret_change_me';
+const JWT_ISSUER = 'lugx-gaming';
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.JWT_ACCESS_TTL_SECONDS) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.JWT_REFRESH_TTL_DAYS) || 30;
+const DEFAULT_ROLE = 'customer';
+
+// Password hashing (scrypt, stored as "scrypt$<salt>$<hash>")
+const PASSWORD_KEY_LENGTH = 64;
+
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const derivedKey = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+    return `scrypt$${salt}$${derivedKey.toString('hex')}`;
+};
+
+const verifyPassword = async (password, storedHash) => {
+    if (!storedHash) {
+        return false;
+    }
+    const [scheme, salt, hash] = storedHash.split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'hex');
+    if (expected.length === 0) {
+        return false;
+    }
+    const derivedKey = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(derivedKey, expected);
+};
+
+// Refresh tokens are opaque random strings; only their SHA-256 is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getRoles = async (customerId) => {
+    const result = await query(
+        'SELECT role FROM user_roles WHERE customer_id = $1 ORDER BY role',
+        [customerId]
+    );
+    return result.rows.length > 0 ? result.rows.map(row => row.role) : [DEFAULT_ROLE];
+};
+
+// Issue an access token (JWT) and a refresh token for a customer
+const issueTokens = async (customerId) => {
+    const roles = await getRoles(customerId);
+
+    const accessToken = jwt.sign({ roles, type: 'access' }, JWT_SECRET, {
+        subject: customerId,
+        jwtid: crypto.randomUUID(),
+        issuer: JWT_ISSUER,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    });
+
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    await query(`
+        INSERT INTO refresh_tokens (customer_id, token_hash, expires_at)
+        VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(days => $3))
+    `, [customerId, hashToken(refreshToken), REFRESH_TOKEN_TTL_DAYS]);
+
+    return {
+        access_token: accessToken,
+        refresh_token: refreshToken,
+        token_type: 'Bearer',
+        expires_in: ACCESS_TOKEN_TTL_SECONDS,
+        roles
+    };
+};
+
+const revokeAllRefreshTokens = async (customerId) => {
+    await query(`
+        UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+        WHERE customer_id = $1 AND revoked_at IS NULL
+    `, [customerId]);
+};
+
+// Exchange a refresh token for a new token pair. The old refresh token is
+// revoked; presenting an already-revoked token revokes every session of
+// that customer, since it indicates the token was stolen and replayed.
+// Returns null when the token is unknown, expired or revoked.
+const rotateRefreshToken = async (refreshToken) => {
+    const result = await query(
+        'SELECT token_id, customer_id, expires_at, revoked_at FROM refresh_tokens WHERE token_hash = $1',
+        [hashToken(refreshToken)]
+    );
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const stored = result.rows[0];
+
+    if (stored.revoked_at) {
+        console.warn(`⚠️  Refresh token reuse detected for ${stored.customer_id} - revoking all sessions`);
+        await revokeAllRefreshTokens(stored.customer_id);
+        return null;
+    }
+
+    if (new Date(stored.expires_at) <= new Date()) {
+        return null;
+    }
+
+    // Guard against two concurrent refreshes with the same token
+    const revoked = await query(`
+        UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+        WHERE token_id = $1 AND revoked_at IS NULL
+    `, [stored.token_id]);
+
+    if (revoked.rowCount === 0) {
+        return null;
+    }
+
+    return issueTokens(stored.customer_id);
+};
+
+// Logout: revoke the refresh token and the current access token
+const revokeSession = async (user, refreshToken) => {
+    if (refreshToken) {
+        await query(`
+            UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+            WHERE token_hash = $1 AND customer_id = $2 AND revoked_at IS NULL
+        `, [hashToken(refreshToken), user.customer_id]);
+    }
+
+    await query(`
+        INSERT INTO revoked_tokens (jti, customer_id, expires_at)
+        VALUES ($1, $2, to_timestamp($3))
+        ON CONFLICT (jti) DO NOTHING
+    `, [user.jti, user.customer_id, user.exp]);
+
+    await query('DELETE FROM revoked_tokens WHERE expires_at < CURRENT_TIMESTAMP');
+};
+
+const missingToken = () => new AuthenticationError('A Bearer access token is required');
+
+const invalidToken = (error) => (error instanceof jwt.TokenExpiredError
+    ? new AuthenticationError('Access token has expired', { code: 'TOKEN_EXPIRED' })
+    : new AuthenticationError('Invalid access token', { code: 'INVALID_TOKEN' }));
+
+// Verify the bearer token and bind req.user. Returns null when no token is present.
+const resolveUser = async (req) => {
+    const header = req.get('Authorization') || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return null;
+    }
+
+    const claims = jwt.verify(token, JWT_SECRET, { issuer: JWT_ISSUER });
+
+    if (claims.type !== 'access') {
+        throw new jwt.JsonWebTokenError('Not an access token');
+    }
+
+    const revoked = await query('SELECT 1 FROM revoked_tokens WHERE jti = $1', [claims.jti]);
+
+    if (revoked.rows.length > 0) {
+        throw new jwt.JsonWebTokenError('Token has been revoked');
+    }
+
+    return {
+        customer_id: claims.sub,
+        roles: claims.roles || [DEFAULT_ROLE],
+        jti: claims.jti,
+        exp: claims.exp
+    };
+};
+
+const authMiddleware = (required) => {
+    const middleware = async (req, res, next) => {
+        try {
+            const user = await resolveUser(req);
+
+            if (!user && required) {
+                return next(missingToken());
+            }
+
+            req.user = user;
+            next();
+        } catch (error) {
+            if (error instanceof jwt.JsonWebTokenError) {
+                return next(invalidToken(error));
+            }
+            next(error);
+        }
+    };
+    // Read by the OpenAPI document, like the permission middleware's rules
+    middleware.access = { authentication: required ? 'required' : 'optional' };
+    return middleware;
+};
+
+// Require a valid access token
+const authenticate = authMiddleware(true);
+
+// Bind req.user when a token is sent, but allow anonymous requests
+const optionalAuthenticate = authMiddleware(false);
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    issueTokens,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllRefreshTokens,
+    authenticate,
+    optionalAuthenticate
+};
@@ -68,6 +68,21 @@ const transaction = async (callback) => {
     }
 };
 
+// Rows are looked up by their public id or their SERIAL id. A reference is
+// only a serial id when it is plain digits within the int4 range; anything
+// else ("12abc", "99999999999") gives null, so `id = $n` matches nothing
+// instead of matching 12 or failing the query.
+const MAX_SERIAL_ID = 2147483647;
+
+const serialId = (ref) => {
+    const text = String(ref);
+    if (!/^\d{1,10}$/.test(text)) {
+        return null;
+    }
+    const id = Number(text);
+    return id <= MAX_SERIAL_ID ? id : null;
+};
+
 // Graceful shutdown
 const closePool = async () => {
     try {
@@ -82,6 +97,7 @@ module.exports = {
     pool,
     query,
     transaction,
+    serialId,
     testConnection,
     closePool
 };
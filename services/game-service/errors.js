@@ -0,0 +1,167 @@
+const { STATUS_CODES } = require('http');
+
+// Error model shared by order-service, game-service and analytics-service.
+// Keep this file identical in all three services.
+//
+// Routes throw the typed errors below and report them with sendProblem();
+// middleware passes them to next(), which ends in errorHandler. Every error
+// response is an RFC 7807 problem document sent as application/problem+json:
+//
+//   {
+//       "type": "urn:lugx:problem:order-not-found",
+//       "title": "Not Found",
+//       "status": 404,
+//       "detail": "Order not found",
+//       "instance": "/api/orders/5f0c...",
+//       "code": "ORDER_NOT_FOUND",
+//       "correlation_id": "2d4f..."
+//   }
+//
+// `code` is stable and meant for clients to branch on; `detail` is for people
+// and may change. Other members (details, items, ...) carry the specifics of
+// an error. Anything that is not an ApiError is logged with the request's
+// correlation id and answered with a generic 500, so Postgres and ClickHouse
+// messages never reach clients.
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+class ApiError extends Error {
+    // options: { cause, ...members added to the problem document }
+    constructor(status, code, message, { cause, ...members } = {}) {
+        super(message, cause === undefined ? undefined : { cause });
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.members = members;
+    }
+}
+
+// The request is malformed or breaks a rule (400)
+class ValidationError extends ApiError {
+    constructor(message, { code = 'VALIDATION_FAILED', ...options } = {}) {
+        super(400, code, message, options);
+    }
+}
+
+// No or an unusable access token (401)
+class AuthenticationError extends ApiError {
+    constructor(message, { code = 'AUTHENTICATION_REQUIRED', ...options } = {}) {
+        super(401, code, message, options);
+    }
+}
+
+// The caller may not do this (403)
+class ForbiddenError extends ApiError {
+    constructor(message, { code = 'FORBIDDEN', ...options } = {}) {
+        super(403, code, message, options);
+    }
+}
+
+class NotFoundError extends ApiError {
+    constructor(message, { code = 'NOT_FOUND', ...options } = {}) {
+        super(404, code, message, options);
+    }
+}
+
+// The request clashes with the current state of the resource (409)
+class ConflictError extends ApiError {
+    constructor(message, { code = 'CONFLICT', ...options } = {}) {
+        super(409, code, message, options);
+    }
+}
+
+// Postgres, ClickHouse or another service could not be reached (503)
+class DependencyUnavailableError extends ApiError {
+    constructor(dependency, message = `${dependency} is not available`, { code = 'DEPENDENCY_UNAVAILABLE', ...options } = {}) {
+        super(503, code, message, { dependency, ...options });
+    }
+}
+
+// Network errors and Postgres connection failures (SQLSTATE class 08,
+// shutdown and too-many-connections) mean a dependency is down, not a bug
+const CONNECTION_ERROR_CODES = new Set([
+    'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'EPIPE',
+    '57P01', '57P02', '57P03', '53300'
+]);
+
+const isConnectionError = (error) => typeof error.code === 'string' &&
+    (CONNECTION_ERROR_CODES.has(error.code) || /^08[0-9A-Z]{3}$/.test(error.code));
+
+// The ApiError to report for any thrown value, or null for an unexpected error
+const toApiError = (error) => {
+    if (error instanceof ApiError) {
+        return error;
+    }
+    if (!error || typeof error !== 'object') {
+        return null;
+    }
+    // Client errors raised by express.json(): malformed JSON, oversized body, ...
+    if (error.expose && error.status >= 400 && error.status < 500) {
+        const code = error.type ? error.type.toUpperCase().replace(/\W/g, '_') : 'BAD_REQUEST';
+        return new ApiError(error.status, code, error.message);
+    }
+    if (isConnectionError(error)) {
+        return new ApiError(503, 'DEPENDENCY_UNAVAILABLE', 'A service dependency is not available', { cause: error });
+    }
+    return null;
+};
+
+// `type` URI for a code: ORDER_NOT_FOUND -> urn:lugx:problem:order-not-found
+const problemType = (code) => `urn:lugx:problem:${code.toLowerCase().replace(/_/g, '-')}`;
+
+const buildProblem = (req, { status, code, message, members = {} }) => ({
+    type: problemType(code),
+    title: STATUS_CODES[status] || 'Error',
+    status,
+    detail: message,
+    instance: req.originalUrl,
+    code,
+    ...(req.correlationId && { correlation_id: req.correlationId }),
+    ...members
+});
+
+// Send error as a problem document. Unexpected errors (and dependency
+// failures) are logged with the correlation id; the client only sees
+// fallbackMessage for them.
+const sendProblem = (req, res, error, fallbackMessage = 'Internal server error') => {
+    const apiError = toApiError(error);
+    const problem = apiError
+        ? buildProblem(req, apiError)
+        : buildProblem(req, { status: 500, code: 'INTERNAL_ERROR', message: fallbackMessage });
+
+    if (problem.status >= 500) {
+        console.error(`❌ [${req.correlationId || '-'}] ${req.method} ${req.originalUrl}: ${fallbackMessage}:`,
+            apiError && apiError.cause ? apiError.cause : error);
+    }
+
+    return res.status(problem.status).type(PROBLEM_CONTENT_TYPE).json(problem);
+};
+
+// Last middleware of every app: errors passed to next(). Express recognises
+// error handlers by their four parameters, so `next` stays in the signature.
+const errorHandler = (error, req, res, next) => {
+    if (res.headersSent) {
+        return next(error);
+    }
+    sendProblem(req, res, error);
+};
+
+// Fallback route of every app
+const routeNotFound = (req, res) => sendProblem(req, res, new NotFoundError(
+    `The requested endpoint ${req.method} ${req.originalUrl} does not exist`,
+    { code: 'ROUTE_NOT_FOUND' }
+));
+
+module.exports = {
+    PROBLEM_CONTENT_TYPE,
+    ApiError,
+    ValidationError,
+    AuthenticationError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    DependencyUnavailableError,
+    sendProblem,
+    errorHandler,
+    routeNotFound
+};
@@ -0,0 +1,350 @@
+const { query } = require('./database');
+const { toDecimal } = require('./money');
+const { BASE_CURRENCY, fromBase } = require('./currencies');
+const { defineSort, parsePagination, pageSql, buildPage } = require('./pagination');
+const { ValidationError } = require('./errors');
+
+// Full-text game search.
+// Games are matched against games.search_vector, a weighted document (name >
+// tags > developer > description) kept current by a trigger (see schema.sql),
+// and ranked with ts_rank. Name substrings also match so partial words still
+// find a game, ranked after full-text matches.
+//
+// Results can be narrowed by facets (category, platform, publisher, price
+// bucket); several values of one facet are ORed. Facet counts cover the
+// matches with every other facet's filter applied but not their own, so each
+// count is the number of results selecting that value would give.
+//
+// Suggestions (type-ahead and "did you mean" corrections for searches without
+// results) come from the game_search_terms materialized view of game names,
+// developers and tags, matched by prefix or by trigram word similarity
+// (pg_trgm's <% operator) so misspelled words still find the intended term.
+// The catalog routes call refreshSearchTerms after writes that change them.
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+const MAX_QUERY_LENGTH = 200;
+
+const DEFAULT_SUGGESTION_LIMIT = 8;
+const MAX_SUGGESTION_LIMIT = 20;
+const MAX_SUGGESTION_QUERY_LENGTH = 100;
+const MAX_CORRECTIONS = 3;
+
+// Buckets of the effective price (discount_price, else price) in the base
+// currency; max is exclusive
+const PRICE_BUCKETS = [
+    { key: 'under_10', min: null, max: 10 },
+    { key: '10_to_20', min: 10, max: 20 },
+    { key: '20_to_40', min: 20, max: 40 },
+    { key: '40_to_60', min: 40, max: 60 },
+    { key: '60_and_over', min: 60, max: null }
+];
+
+// Sorts over the matches CTE; undated games come last in newest
+const SEARCH_SORTS = {
+    relevance: defineSort('relevance', [
+        { expression: 'relevance', direction: 'DESC' },
+        { expression: 'COALESCE(rating, 0)', direction: 'DESC' },
+        { expression: 'name', direction: 'ASC' },
+        { expression: 'game_id', direction: 'ASC' }
+    ]),
+    rating: defineSort('rating', [
+        { expression: 'COALESCE(rating, 0)', direction: 'DESC' },
+        { expression: 'relevance', direction: 'DESC' },
+        { expression: 'game_id', direction: 'ASC' }
+    ]),
+    price_asc: defineSort('price_asc', [
+        { expression: 'effective_price', direction: 'ASC' },
+        { expression: 'relevance', direction: 'DESC' },
+        { expression: 'game_id', direction: 'ASC' }
+    ]),
+    price_desc: defineSort('price_desc', [
+        { expression: 'effective_price', direction: 'DESC' },
+        { expression: 'relevance', direction: 'DESC' },
+        { expression: 'game_id', direction: 'ASC' }
+    ]),
+    newest: defineSort('newest', [
+        { expression: "COALESCE(release_date, '-infinity'::date)", direction: 'DESC' },
+        { expression: 'relevance', direction: 'DESC' },
+        { expression: 'game_id', direction: 'ASC' }
+    ])
+};
+
+// Facet name -> column of the matches CTE and the query parameter holding
+// the selected values
+const FACETS = {
+    category: { column: 'LOWER(category)', param: '$3' },
+    platform: { column: 'LOWER(platform)', param: '$4' },
+    publisher: { column: 'LOWER(publisher)', param: '$5' },
+    price: { column: 'price_bucket', param: '$6' }
+};
+
+const HIGHLIGHT_OPTIONS = 'StartSel=<mark>, StopSel=</mark>';
+
+const priceBucketSql = `CASE ${PRICE_BUCKETS.filter(bucket => bucket.max !== null)
+    .map(bucket => `WHEN COALESCE(discount_price, price) < ${bucket.max} THEN '${bucket.key}'`)
+    .join(' ')} ELSE '${PRICE_BUCKETS[PRICE_BUCKETS.length - 1].key}' END`;
+
+// Live games matching the search text ($1, $2 = escaped ILIKE pattern)
+const MATCHES_CTE = `
+    WITH matches AS (
+        SELECT
+            g.game_id, g.name, g.description, g.price, g.discount_price, g.category, g.tags,
+            g.image_url, g.rating, g.is_featured, g.developer, g.publisher, g.platform, g.release_date,
+            COALESCE(g.discount_price, g.price) as effective_price,
+            ${priceBucketSql} as price_bucket,
+            COALESCE(ts_rank(g.search_vector, search_query), 0) as relevance,
+            search_query
+        FROM games g, websearch_to_tsquery('english', $1) search_query
+        WHERE g.is_archived = false AND (g.search_vector @@ search_query OR g.name ILIKE $2)
+    )
+`;
+
+// Filter conditions on the matches CTE, optionally leaving one facet out
+const facetFilters = (except = null) => Object.entries(FACETS)
+    .filter(([facet]) => facet !== except)
+    .map(([, { column, param }]) => `(${param}::text[] IS NULL OR ${column} = ANY(${param}))`)
+    .join(' AND ');
+
+// Selected values of a facet: repeated (?platform=PC&platform=Switch) or
+// comma-separated (?platform=PC,Switch) parameters, lower-cased; null for none
+const parseFacetValues = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const values = (Array.isArray(value) ? value : [value])
+        .flatMap(entry => String(entry).split(','))
+        .map(entry => entry.trim().toLowerCase())
+        .filter(Boolean);
+    return values.length > 0 ? [...new Set(values)] : null;
+};
+
+const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+// Validate the search query string. Returns { errors, search }.
+const validateSearch = (params = {}) => {
+    const { q, sort = 'relevance', ...filters } = params;
+    const text = typeof q === 'string' ? q.trim() : '';
+    const validSort = Object.hasOwn(SEARCH_SORTS, sort);
+    const { errors, page } = parsePagination(params, validSort ? SEARCH_SORTS[sort] : SEARCH_SORTS.relevance, {
+        defaultLimit: DEFAULT_PAGE_SIZE,
+        maxLimit: MAX_PAGE_SIZE
+    });
+
+    if (!text) {
+        errors.push('Search query parameter "q" is required');
+    } else if (text.length > MAX_QUERY_LENGTH) {
+        errors.push(`q must be at most ${MAX_QUERY_LENGTH} characters`);
+    }
+    if (!validSort) {
+        errors.push(`sort must be one of: ${Object.keys(SEARCH_SORTS).join(', ')}`);
+    }
+
+    const selected = {};
+    Object.keys(FACETS).forEach(facet => {
+        selected[facet] = parseFacetValues(filters[facet]);
+    });
+    const bucketKeys = PRICE_BUCKETS.map(bucket => bucket.key);
+    if (selected.price && selected.price.some(key => !bucketKeys.includes(key))) {
+        errors.push(`price must be one or more of: ${bucketKeys.join(', ')}`);
+    }
+
+    return {
+        errors,
+        search: { text, page, sort, selected }
+    };
+};
+
+// Game columns the suggestion terms are built from (besides is_archived)
+const SEARCH_TERM_FIELDS = ['name', 'developer', 'tags'];
+
+let refreshing = null;
+let refreshQueued = false;
+
+// Rebuild game_search_terms without blocking suggestion lookups. Runs outside
+// any transaction (CONCURRENTLY requires it) and one at a time: writes made
+// during a refresh queue a single follow-up refresh. Failures are logged; the
+// terms then stay stale until the next write.
+const refreshSearchTerms = () => {
+    if (refreshing) {
+        refreshQueued = true;
+        return refreshing;
+    }
+
+    refreshing = (async () => {
+        do {
+            refreshQueued = false;
+            try {
+                await query('REFRESH MATERIALIZED VIEW CONCURRENTLY game_search_terms');
+            } catch (error) {
+                console.error('❌ Failed to refresh search terms:', error.message);
+            }
+        } while (refreshQueued);
+        refreshing = null;
+    })();
+    return refreshing;
+};
+
+// Suggestion terms for text: prefix matches of the term or of one of its words
+// first, then fuzzy matches, each by similarity
+const findTerms = async (text, { limit, fuzzyOnly = false }) => {
+    const lowered = text.toLowerCase();
+    const prefix = `${escapeLike(lowered)}%`;
+    const fuzzyMatch = '$1 <% LOWER(term)';
+    const result = await query(`
+        SELECT
+            term, term_type, game_id, game_count,
+            (LOWER(term) LIKE $2 OR LOWER(term) LIKE $3) as prefix_match,
+            ROUND(word_similarity($1, LOWER(term))::numeric, 3) as similarity
+        FROM game_search_terms
+        WHERE ${fuzzyOnly ? fuzzyMatch : `LOWER(term) LIKE $2 OR LOWER(term) LIKE $3 OR ${fuzzyMatch}`}
+        ORDER BY ${fuzzyOnly ? '' : 'prefix_match DESC, '}similarity DESC, game_count DESC, term ASC
+        LIMIT $4
+    `, [lowered, prefix, `% ${prefix}`, limit]);
+    return result.rows;
+};
+
+// Type-ahead suggestions for ?q= (and optional ?limit=)
+const suggestGames = async ({ q, limit = DEFAULT_SUGGESTION_LIMIT } = {}) => {
+    const errors = [];
+    const text = typeof q === 'string' ? q.trim() : '';
+    const size = parseInt(limit);
+
+    if (!text) {
+        errors.push('Query parameter "q" is required');
+    } else if (text.length > MAX_SUGGESTION_QUERY_LENGTH) {
+        errors.push(`q must be at most ${MAX_SUGGESTION_QUERY_LENGTH} characters`);
+    }
+    if (!Number.isInteger(size) || size < 1 || size > MAX_SUGGESTION_LIMIT) {
+        errors.push(`limit must be an integer between 1 and ${MAX_SUGGESTION_LIMIT}`);
+    }
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid suggestion query', { details: errors });
+    }
+
+    const terms = await findTerms(text, { limit: size });
+    return {
+        query: text,
+        suggestions: terms.map(row => ({
+            text: row.term,
+            type: row.term_type,
+            game_id: row.game_id,
+            game_count: parseInt(row.game_count),
+            match: row.prefix_match ? 'prefix' : 'fuzzy',
+            similarity: row.similarity
+        }))
+    };
+};
+
+// Search the catalog. Prices in the result rows are in the base currency;
+// price bucket bounds in the facets are in the requested currency.
+const searchGames = async (params, currency = BASE_CURRENCY) => {
+    const { errors, search } = validateSearch(params);
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid search', { details: errors });
+    }
+
+    const { text, page, sort, selected } = search;
+    const filterParams = [
+        text,
+        `%${escapeLike(text)}%`,
+        selected.category,
+        selected.platform,
+        selected.publisher,
+        selected.price
+    ];
+
+    // The rounded relevance gets its own name: an output column called
+    // relevance would take precedence over the page's in the outer ORDER BY
+    const pageQuery = pageSql(page, filterParams.length + 1);
+
+    const [gamesResult, countResult, facetsResult] = await Promise.all([
+        query(`
+            ${MATCHES_CTE}
+            SELECT
+                game_id, name, description, price, discount_price, category, tags, image_url, rating,
+                is_featured, developer, publisher, platform, release_date,
+                ROUND(relevance::numeric, 4) as rounded_relevance,
+                ts_headline('english', name, search_query, '${HIGHLIGHT_OPTIONS}, HighlightAll=true') as name_highlight,
+                ts_headline('english', COALESCE(description, ''), search_query,
+                    '${HIGHLIGHT_OPTIONS}, MaxFragments=2, MaxWords=30, MinWords=10') as description_highlight,
+                page_cursor
+            FROM (
+                SELECT *, ${pageQuery.cursorColumn} FROM matches
+                WHERE ${facetFilters()}
+                ${pageQuery.condition ? `AND ${pageQuery.condition}` : ''}
+                ORDER BY ${pageQuery.orderBy}
+                ${pageQuery.limitClause}
+            ) page
+            ORDER BY ${pageQuery.orderBy}
+        `, [...filterParams, ...pageQuery.params]),
+        query(`
+            ${MATCHES_CTE}
+            SELECT COUNT(*) as total FROM matches WHERE ${facetFilters()}
+        `, filterParams),
+        query(`
+            ${MATCHES_CTE}
+            ${Object.entries(FACETS).map(([facet, { column }]) => `
+                SELECT '${facet}' as facet, ${facet === 'price' ? 'price_bucket' : facet} as value, COUNT(*) as count
+                FROM matches
+                WHERE ${facetFilters(facet)} AND ${column} IS NOT NULL
+                GROUP BY 2
+            `).join(' UNION ALL ')}
+        `, filterParams)
+    ]);
+
+    const facetCounts = (facet) => facetsResult.rows
+        .filter(row => row.facet === facet)
+        .map(row => ({ value: row.value, count: parseInt(row.count) }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+
+    const localBound = (amount) => (amount === null ? null : toDecimal(fromBase(amount, currency)));
+    const priceCounts = facetCounts('price');
+
+    const total = parseInt(countResult.rows[0].total);
+    const { items: games, pagination } = buildPage(gamesResult.rows, page, total);
+
+    // Corrections only help when the text itself found nothing, not when
+    // facet filters ruled every match out
+    const unfiltered = Object.values(selected).every(values => values === null);
+    const corrections = total === 0 && unfiltered && text.length <= MAX_SUGGESTION_QUERY_LENGTH
+        ? await findTerms(text, { limit: MAX_CORRECTIONS, fuzzyOnly: true })
+        : [];
+
+    return {
+        games: games.map(({ rounded_relevance, name_highlight, description_highlight, ...game }) => ({
+            ...game,
+            relevance: rounded_relevance,
+            highlights: { name: name_highlight, description: description_highlight }
+        })),
+        facets: {
+            category: facetCounts('category'),
+            platform: facetCounts('platform'),
+            publisher: facetCounts('publisher'),
+            price: PRICE_BUCKETS.map(bucket => ({
+                value: bucket.key,
+                min: localBound(bucket.min),
+                max: localBound(bucket.max),
+                count: (priceCounts.find(entry => entry.value === bucket.key) || { count: 0 }).count
+            }))
+        },
+        pagination,
+        filters: { ...selected, sort },
+        didYouMean: corrections.map(row => row.term)
+    };
+};
+
+module.exports = {
+    MAX_PAGE_SIZE,
+    MAX_QUERY_LENGTH,
+    MAX_SUGGESTION_LIMIT,
+    MAX_SUGGESTION_QUERY_LENGTH,
+    PRICE_BUCKETS,
+    SEARCH_SORTS,
+    SEARCH_TERM_FIELDS,
+    parseFacetValues,
+    validateSearch,
+    searchGames,
+    suggestGames,
+    refreshSearchTerms
+};
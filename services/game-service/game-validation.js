@@ -0,0 +1,271 @@
+// Validation for game catalog writes (POST/PUT/PATCH /api/games)
+
+const VALID_PLATFORMS = [
+    'PC',
+    'PlayStation 5',
+    'PlayStation 4',
+    'Xbox Series X|S',
+    'Xbox One',
+    'Switch',
+    'Mobile'
+];
+
+const SYSTEM_REQUIREMENT_TIERS = ['minimum', 'recommended'];
+const MAX_PRICE = 99999999.99; // DECIMAL(10, 2)
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+const MAX_SYSTEM_REQUIREMENTS_BYTES = 4096;
+
+// Defaults applied to optional columns when a game is created or fully replaced
+const GAME_DEFAULTS = {
+    description: null,
+    discount_price: null,
+    tags: [],
+    image_url: null,
+    release_date: null,
+    is_featured: false,
+    is_trending: false,
+    stock_quantity: 0,
+    developer: null,
+    publisher: null,
+    platform: 'PC',
+    is_digital: false,
+    system_requirements: null
+};
+
+const REQUIRED_FIELDS = ['name', 'price', 'category'];
+
+const isPlainObject = (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Tolerance absorbs binary float noise (19.99 * 100 = 1998.9999999999998)
+const hasAtMostTwoDecimals = (value) => Math.abs(Math.round(value * 100) - value * 100) < 1e-6;
+
+const validateString = (field, value, maxLength, errors, { required = false } = {}) => {
+    if (value === null || value === undefined || value === '') {
+        if (required) {
+            errors.push(`${field} is required`);
+        }
+        return null;
+    }
+    if (typeof value !== 'string') {
+        errors.push(`${field} must be a string`);
+        return undefined;
+    }
+    const trimmed = value.trim();
+    if (required && trimmed.length === 0) {
+        errors.push(`${field} is required`);
+        return undefined;
+    }
+    if (trimmed.length > maxLength) {
+        errors.push(`${field} must be at most ${maxLength} characters`);
+        return undefined;
+    }
+    return trimmed;
+};
+
+const validatePrice = (field, value, errors, { nullable = false } = {}) => {
+    if (value === null && nullable) {
+        return null;
+    }
+    const price = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof price !== 'number' || !Number.isFinite(price)) {
+        errors.push(`${field} must be a number`);
+        return undefined;
+    }
+    if (price < 0 || price > MAX_PRICE) {
+        errors.push(`${field} must be between 0 and ${MAX_PRICE}`);
+        return undefined;
+    }
+    if (!hasAtMostTwoDecimals(price)) {
+        errors.push(`${field} must have at most two decimal places`);
+        return undefined;
+    }
+    return price;
+};
+
+const validateTags = (value, errors) => {
+    if (!Array.isArray(value)) {
+        errors.push('tags must be an array of strings');
+        return undefined;
+    }
+    if (value.length > MAX_TAGS) {
+        errors.push(`tags must contain at most ${MAX_TAGS} entries`);
+        return undefined;
+    }
+    const tags = [];
+    for (const tag of value) {
+        if (typeof tag !== 'string' || tag.trim() === '') {
+            errors.push('tags must only contain non-empty strings');
+            return undefined;
+        }
+        const normalized = tag.trim().toLowerCase();
+        if (normalized.length > MAX_TAG_LENGTH) {
+            errors.push(`each tag must be at most ${MAX_TAG_LENGTH} characters`);
+            return undefined;
+        }
+        if (!tags.includes(normalized)) {
+            tags.push(normalized);
+        }
+    }
+    return tags;
+};
+
+const validateSystemRequirements = (value, errors) => {
+    if (value === null) {
+        return null;
+    }
+    if (!isPlainObject(value)) {
+        errors.push('system_requirements must be an object');
+        return undefined;
+    }
+    for (const [tier, requirements] of Object.entries(value)) {
+        if (!SYSTEM_REQUIREMENT_TIERS.includes(tier)) {
+            errors.push(`system_requirements.${tier} is not allowed (expected ${SYSTEM_REQUIREMENT_TIERS.join(' or ')})`);
+            return undefined;
+        }
+        if (!isPlainObject(requirements)) {
+            errors.push(`system_requirements.${tier} must be an object`);
+            return undefined;
+        }
+        for (const [key, requirement] of Object.entries(requirements)) {
+            if (typeof requirement !== 'string') {
+                errors.push(`system_requirements.${tier}.${key} must be a string`);
+                return undefined;
+            }
+        }
+    }
+    if (Buffer.byteLength(JSON.stringify(value)) > MAX_SYSTEM_REQUIREMENTS_BYTES) {
+        errors.push(`system_requirements must be at most ${MAX_SYSTEM_REQUIREMENTS_BYTES} bytes`);
+        return undefined;
+    }
+    return value;
+};
+
+const validateBoolean = (field, value, errors) => {
+    if (typeof value !== 'boolean') {
+        errors.push(`${field} must be a boolean`);
+        return undefined;
+    }
+    return value;
+};
+
+// Field validators keyed by column name. Each returns the normalized value,
+// or undefined after pushing an error.
+const FIELD_VALIDATORS = {
+    name: (value, errors) => validateString('name', value, 255, errors, { required: true }),
+    description: (value, errors) => validateString('description', value, 10000, errors),
+    price: (value, errors) => validatePrice('price', value, errors),
+    discount_price: (value, errors) => validatePrice('discount_price', value, errors, { nullable: true }),
+    category: (value, errors) => validateString('category', value, 100, errors, { required: true }),
+    tags: validateTags,
+    image_url: (value, errors) => validateString('image_url', value, 500, errors),
+    release_date: (value, errors) => {
+        if (value === null) {
+            return null;
+        }
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+            errors.push('release_date must be a date in YYYY-MM-DD format');
+            return undefined;
+        }
+        return value;
+    },
+    is_featured: (value, errors) => validateBoolean('is_featured', value, errors),
+    is_trending: (value, errors) => validateBoolean('is_trending', value, errors),
+    stock_quantity: (value, errors) => {
+        if (!Number.isInteger(value) || value < 0) {
+            errors.push('stock_quantity must be a non-negative integer');
+            return undefined;
+        }
+        return value;
+    },
+    developer: (value, errors) => validateString('developer', value, 200, errors),
+    publisher: (value, errors) => validateString('publisher', value, 200, errors),
+    platform: (value, errors) => {
+        if (!VALID_PLATFORMS.includes(value)) {
+            errors.push(`platform must be one of: ${VALID_PLATFORMS.join(', ')}`);
+            return undefined;
+        }
+        return value;
+    },
+    is_digital: (value, errors) => validateBoolean('is_digital', value, errors),
+    system_requirements: validateSystemRequirements
+};
+
+const WRITABLE_FIELDS = Object.keys(FIELD_VALIDATORS);
+
+// Validate a game payload. POST/PUT (partial: false) require the core fields and
+// fill omitted optional fields from GAME_DEFAULTS; PATCH (partial: true) only
+// validates what was sent. `current` is the stored row, used for the
+// discount_price < price rule when only one side changes.
+const validateGame = (body, { partial = false, current = null } = {}) => {
+    const errors = [];
+    const values = {};
+
+    if (!isPlainObject(body)) {
+        return { errors: ['Request body must be a JSON object'], values };
+    }
+
+    const unknownFields = Object.keys(body).filter(
+        field => !WRITABLE_FIELDS.includes(field) && field !== 'game_id' && field !== 'rating'
+    );
+    if (unknownFields.length > 0) {
+        errors.push(`Unknown fields: ${unknownFields.join(', ')}`);
+    }
+
+    // games.rating is the average review rating, maintained by reviews.js
+    if (body.rating !== undefined) {
+        errors.push('rating is calculated from reviews and cannot be set');
+    }
+
+    if (!partial) {
+        for (const field of REQUIRED_FIELDS) {
+            if (body[field] === undefined) {
+                errors.push(`${field} is required`);
+            }
+        }
+    }
+
+    for (const field of WRITABLE_FIELDS) {
+        if (body[field] === undefined) {
+            continue;
+        }
+        const value = FIELD_VALIDATORS[field](body[field], errors);
+        if (value !== undefined) {
+            values[field] = value;
+        }
+    }
+
+    if (!partial) {
+        for (const [field, defaultValue] of Object.entries(GAME_DEFAULTS)) {
+            if (values[field] === undefined && body[field] === undefined) {
+                values[field] = defaultValue;
+            }
+        }
+    }
+
+    const price = values.price !== undefined ? values.price : current && parseFloat(current.price);
+    const discountPrice = values.discount_price !== undefined
+        ? values.discount_price
+        : current && current.discount_price !== null ? parseFloat(current.discount_price) : null;
+
+    if (
+        (values.price !== undefined || values.discount_price !== undefined) &&
+        discountPrice !== null && price !== null && price !== undefined &&
+        discountPrice >= price
+    ) {
+        errors.push('discount_price must be lower than price');
+    }
+
+    return { errors, values };
+};
+
+const validateGameId = (gameId) =>
+    typeof gameId === 'string' && /^[A-Za-z0-9_-]{1,50}$/.test(gameId);
+
+module.exports = {
+    VALID_PLATFORMS,
+    WRITABLE_FIELDS,
+    validateGame,
+    validateGameId
+};
@@ -0,0 +1,257 @@
+// Exact money arithmetic.
+// A money value is an immutable { minor, currency } pair where minor is an
+// integer amount in the currency's minor unit (cents for USD). Amounts are
+// parsed from decimal strings without going through floats, and every
+// operation that can produce fractions of a minor unit (rates, percentages,
+// allocation) rounds explicitly:
+//
+//   half-up   - 0.5 away from zero (default; prices, discounts, tax)
+//   half-even - 0.5 to the nearest even minor unit (banker's rounding)
+//   down      - towards zero
+//   up        - away from zero
+//
+// Money values serialize to decimal strings ("12.34") in JSON, so API
+// responses carry amounts as strings next to a currency code.
+
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase();
+
+// Minor unit exponent per ISO 4217 currency; unlisted currencies use 2
+const CURRENCY_EXPONENTS = {
+    USD: 2,
+    EUR: 2,
+    GBP: 2,
+    LKR: 2,
+    INR: 2,
+    SGD: 2,
+    JPY: 0
+};
+
+const ROUNDING_MODES = ['half-up', 'half-even', 'down', 'up'];
+
+const DECIMAL_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?$/;
+
+const exponentOf = (currency) =>
+    CURRENCY_EXPONENTS[currency] !== undefined ? CURRENCY_EXPONENTS[currency] : 2;
+
+const pow10 = (exponent) => 10n ** BigInt(exponent);
+
+const moneyError = (message) => new Error(message);
+
+const money = (minor, currency = DEFAULT_CURRENCY) => {
+    const amount = typeof minor === 'bigint' ? Number(minor) : minor;
+    if (!Number.isSafeInteger(amount)) {
+        throw moneyError(`Money amounts must be whole minor units (got ${minor})`);
+    }
+    return Object.freeze({
+        minor: amount === 0 ? 0 : amount, // no negative zero
+        currency,
+        toJSON: () => toDecimal({ minor: amount, currency })
+    });
+};
+
+const isMoney = (value) =>
+    value !== null && typeof value === 'object' && Number.isSafeInteger(value.minor) && typeof value.currency === 'string';
+
+// Integer division with an explicit rounding mode
+const divide = (numerator, denominator, rounding = 'half-up') => {
+    if (!ROUNDING_MODES.includes(rounding)) {
+        throw moneyError(`Unknown rounding mode: ${rounding}`);
+    }
+    const negative = (numerator < 0n) !== (denominator < 0n);
+    const n = numerator < 0n ? -numerator : numerator;
+    const d = denominator < 0n ? -denominator : denominator;
+
+    let quotient = n / d;
+    const remainder = n % d;
+
+    if (remainder !== 0n) {
+        const twice = remainder * 2n;
+        const roundUp = rounding === 'up' ||
+            (rounding === 'half-up' && twice >= d) ||
+            (rounding === 'half-even' && (twice > d || (twice === d && quotient % 2n === 1n)));
+        if (roundUp) {
+            quotient += 1n;
+        }
+    }
+
+    return negative ? -quotient : quotient;
+};
+
+// Parse a decimal (string, integer or finite number) into { digits, scale }
+// so that value = digits / 10^scale exactly
+const parseDecimal = (value) => {
+    let text;
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) {
+            throw moneyError(`Invalid decimal amount: ${value}`);
+        }
+        // Numbers are read at their shortest round-trip representation
+        text = Number.isInteger(value) ? value.toFixed(0) : value.toFixed(Math.min(20, decimalPlaces(value)));
+    } else if (typeof value === 'string') {
+        text = value.trim();
+    } else {
+        throw moneyError(`Invalid decimal amount: ${value}`);
+    }
+
+    const match = DECIMAL_PATTERN.exec(text);
+    if (!match || (!match[2] && !match[3])) {
+        throw moneyError(`Invalid decimal amount: ${value}`);
+    }
+
+    const fraction = match[3] || '';
+    const digits = BigInt(`${match[2] || '0'}${fraction}`);
+    return { digits: match[1] === '-' ? -digits : digits, scale: fraction.length };
+};
+
+const decimalPlaces = (value) => {
+    const [mantissa, exponent] = String(value).split('e');
+    const fraction = (mantissa.split('.')[1] || '').length;
+    return Math.max(0, fraction - (parseInt(exponent) || 0));
+};
+
+// Decimal amount (e.g. a DECIMAL column, "19.99" or 19.99) to money. Extra
+// decimal places are rounded with the given mode.
+const fromDecimal = (value, currency = DEFAULT_CURRENCY, rounding = 'half-up') => {
+    const { digits, scale } = parseDecimal(value);
+    const exponent = exponentOf(currency);
+    const minor = scale <= exponent
+        ? digits * pow10(exponent - scale)
+        : divide(digits, pow10(scale - exponent), rounding);
+    return money(minor, currency);
+};
+
+// Money to a decimal string with the currency's number of decimals
+const toDecimal = ({ minor, currency }) => {
+    const exponent = exponentOf(currency);
+    const digits = String(Math.abs(minor)).padStart(exponent + 1, '0');
+    const sign = minor < 0 ? '-' : '';
+    return exponent === 0
+        ? `${sign}${digits}`
+        : `${sign}${digits.slice(0, -exponent)}.${digits.slice(-exponent)}`;
+};
+
+const zero = (currency = DEFAULT_CURRENCY) => money(0, currency);
+
+const assertSameCurrency = (a, b) => {
+    if (a.currency !== b.currency) {
+        throw moneyError(`Currency mismatch: ${a.currency} and ${b.currency}`);
+    }
+};
+
+const add = (a, b) => {
+    assertSameCurrency(a, b);
+    return money(a.minor + b.minor, a.currency);
+};
+
+const subtract = (a, b) => {
+    assertSameCurrency(a, b);
+    return money(a.minor - b.minor, a.currency);
+};
+
+// Multiply by a whole quantity (exact)
+const multiply = (amount, quantity) => {
+    if (!Number.isInteger(quantity)) {
+        throw moneyError(`Quantities must be integers (got ${quantity})`);
+    }
+    return money(amount.minor * quantity, amount.currency);
+};
+
+// Total of a list of amounts; an empty list is zero in the given currency
+const sum = (amounts, currency = amounts.length > 0 ? amounts[0].currency : DEFAULT_CURRENCY) =>
+    amounts.reduce((total, amount) => add(total, amount), zero(currency));
+
+// Multiply by a decimal rate (tax rate "0.0825", FX rate, factor) and round
+const applyRate = (amount, rate, rounding = 'half-up') => {
+    const { digits, scale } = parseDecimal(rate);
+    return money(divide(BigInt(amount.minor) * digits, pow10(scale), rounding), amount.currency);
+};
+
+// Convert to another currency at rate (units of the target currency per one
+// unit of the amount's currency) and round to the target's minor unit
+const convert = (amount, currency, rate, rounding = 'half-up') => {
+    const { digits, scale } = parseDecimal(rate);
+    const shift = exponentOf(currency) - exponentOf(amount.currency);
+    const numerator = BigInt(amount.minor) * digits * pow10(Math.max(shift, 0));
+    const denominator = pow10(scale + Math.max(-shift, 0));
+    return money(divide(numerator, denominator, rounding), currency);
+};
+
+// percent% of an amount (percent = 15 for 15%)
+const percentage = (amount, percent, rounding = 'half-up') => {
+    const { digits, scale } = parseDecimal(percent);
+    return money(divide(BigInt(amount.minor) * digits, pow10(scale + 2), rounding), amount.currency);
+};
+
+// Split an amount in proportion to weights (money values or numbers) so the
+// parts add up exactly; leftover minor units go to the largest remainders.
+const allocate = (amount, weights) => {
+    const units = weights.map(weight => BigInt(isMoney(weight) ? weight.minor : weight));
+    const totalWeight = units.reduce((total, weight) => total + weight, 0n);
+
+    if (units.length === 0) {
+        return [];
+    }
+    if (totalWeight === 0n) {
+        return allocate(amount, units.map(() => 1));
+    }
+
+    const minor = BigInt(amount.minor);
+    const shares = units.map(weight => minor * weight / totalWeight);
+    let leftover = minor - shares.reduce((total, share) => total + share, 0n);
+    const step = leftover < 0n ? -1n : 1n;
+
+    const order = units
+        .map((weight, index) => ({ index, remainder: (minor * weight) % totalWeight }))
+        .sort((a, b) => {
+            const left = a.remainder < 0n ? -a.remainder : a.remainder;
+            const right = b.remainder < 0n ? -b.remainder : b.remainder;
+            return left === right ? a.index - b.index : (right > left ? 1 : -1);
+        });
+
+    for (let i = 0; leftover !== 0n; i = (i + 1) % order.length) {
+        shares[order[i].index] += step;
+        leftover -= step;
+    }
+
+    return shares.map(share => money(share, amount.currency));
+};
+
+const compare = (a, b) => {
+    assertSameCurrency(a, b);
+    return Math.sign(a.minor - b.minor);
+};
+
+const min = (a, b) => (compare(a, b) <= 0 ? a : b);
+
+const max = (a, b) => (compare(a, b) >= 0 ? a : b);
+
+const isZero = (amount) => amount.minor === 0;
+
+const isPositive = (amount) => amount.minor > 0;
+
+const isNegative = (amount) => amount.minor < 0;
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    CURRENCY_EXPONENTS,
+    ROUNDING_MODES,
+    money,
+    isMoney,
+    fromDecimal,
+    toDecimal,
+    zero,
+    add,
+    subtract,
+    multiply,
+    sum,
+    applyRate,
+    convert,
+    percentage,
+    allocate,
+    compare,
+    min,
+    max,
+    isZero,
+    isPositive,
+    isNegative
+};
@@ -0,0 +1,375 @@
+const { nullable, object } = require('./request-validation');
+const { PROBLEM, success, listOf } = require('./openapi');
+const { PAGINATION_SCHEMA } = require('./pagination');
+
+// Summaries and response schemas of the Game Service routes, keyed by
+// "METHOD /path" as registered in app.js. openapi.js combines them with the
+// request schemas into the OpenAPI document, and test/contract.test.js checks
+// real responses against them.
+//
+// Objects list the fields clients rely on; rows may carry more columns.
+// Prices and ratings are decimal strings, as sent by money.js and Postgres
+// DECIMAL columns, and so are COUNT(*) results.
+
+const TEXT = { type: 'string' };
+const OPTIONAL_TEXT = nullable(TEXT);
+const TIMESTAMP = { type: 'string', description: 'ISO 8601 timestamp' };
+const OPTIONAL_TIMESTAMP = nullable(TIMESTAMP);
+const DECIMAL = { type: 'string', pattern: '^-?[0-9]+(\\.[0-9]+)?$', description: 'Decimal number' };
+const OPTIONAL_DECIMAL = nullable(DECIMAL);
+const COUNT = { type: 'string', pattern: '^[0-9]+$', description: 'Count (bigint as a string)' };
+const CURRENCY = { type: 'string', pattern: '^[A-Z]{3}$' };
+const REVIEW_STATUS = { type: 'string', enum: ['pending', 'approved', 'rejected'] };
+
+// Running sale behind a listing's discount_price
+const SALE = object({ promotion_id: TEXT, name: TEXT, ends_at: OPTIONAL_TIMESTAMP }, ['promotion_id', 'name']);
+
+// Catalog listing fields; prices are in the response's currency, and
+// discount_price includes any running sale
+const GAME_SUMMARY = object({
+    game_id: TEXT,
+    name: TEXT,
+    description: OPTIONAL_TEXT,
+    price: DECIMAL,
+    discount_price: OPTIONAL_DECIMAL,
+    sale: nullable(SALE),
+    currency: CURRENCY,
+    category: TEXT,
+    tags: nullable(listOf(TEXT)),
+    image_url: OPTIONAL_TEXT,
+    release_date: OPTIONAL_TIMESTAMP,
+    rating: OPTIONAL_DECIMAL,
+    is_featured: { type: 'boolean' },
+    is_trending: { type: 'boolean' },
+    stock_quantity: { type: 'integer' },
+    developer: OPTIONAL_TEXT,
+    publisher: OPTIONAL_TEXT,
+    platform: OPTIONAL_TEXT,
+    is_digital: { type: 'boolean' }
+}, ['game_id', 'name', 'price', 'discount_price', 'currency', 'category']);
+
+// Full games row, as stored (prices in the base currency)
+const GAME = object({
+    ...GAME_SUMMARY.properties,
+    id: { type: 'integer' },
+    system_requirements: nullable({ type: 'object' }),
+    is_archived: { type: 'boolean' },
+    archived_at: OPTIONAL_TIMESTAMP,
+    created_at: TIMESTAMP,
+    updated_at: TIMESTAMP
+}, ['game_id', 'name', 'price', 'discount_price', 'category', 'is_archived']);
+
+const REVIEW = object({
+    review_id: TEXT,
+    game_id: TEXT,
+    user_id: TEXT,
+    rating: { type: 'integer', minimum: 1, maximum: 5 },
+    review_text: OPTIONAL_TEXT,
+    is_verified_purchase: { type: 'boolean' },
+    status: REVIEW_STATUS,
+    created_at: TIMESTAMP,
+    updated_at: TIMESTAMP
+}, ['review_id', 'game_id', 'user_id', 'rating', 'review_text', 'is_verified_purchase']);
+
+// Reviews as shown to moderators, with the automated check results
+const MODERATED_REVIEW = object({
+    ...REVIEW.properties,
+    moderation_score: { type: 'integer', minimum: 0, maximum: 100 },
+    moderation_flags: listOf(object({ check: TEXT, score: { type: 'integer' }, detail: TEXT }, ['check'])),
+    moderation_reason: OPTIONAL_TEXT,
+    moderation_note: OPTIONAL_TEXT,
+    moderated_by: OPTIONAL_TEXT,
+    moderated_at: OPTIONAL_TIMESTAMP
+}, [...REVIEW.required, 'status']);
+
+const REVIEW_WITH_RATING = object({
+    ...MODERATED_REVIEW.properties,
+    game_rating: DECIMAL
+}, [...MODERATED_REVIEW.required, 'game_rating']);
+
+const PUBLIC_REVIEW = object({
+    ...REVIEW.properties,
+    first_name: OPTIONAL_TEXT,
+    last_name: OPTIONAL_TEXT
+}, REVIEW.required);
+
+const FACET = listOf(object({ value: TEXT, count: { type: 'integer' } }, ['value', 'count']));
+
+const operations = {
+    // Service
+    'GET /health': {
+        tag: 'Service',
+        summary: 'Service health and database status',
+        responses: {
+            200: object({
+                status: TEXT,
+                service: TEXT,
+                timestamp: TIMESTAMP,
+                uptime: { type: 'number' },
+                version: TEXT,
+                database: { type: 'string', enum: ['connected', 'disconnected'] },
+                database_stats: { type: 'object' }
+            }, ['status', 'service', 'timestamp', 'uptime', 'version', 'database'])
+        }
+    },
+    'GET /api/games/openapi.json': {
+        tag: 'Service',
+        summary: 'This OpenAPI document',
+        responses: { 200: object({ openapi: TEXT, info: { type: 'object' }, paths: { type: 'object' } }, ['openapi', 'info', 'paths']) }
+    },
+
+    // Catalog
+    'GET /api/games': {
+        tag: 'Catalog',
+        summary: 'List games with filtering and pagination',
+        responses: {
+            200: success(object({
+                games: listOf(GAME_SUMMARY),
+                currency: CURRENCY,
+                pagination: PAGINATION_SCHEMA,
+                filters: { type: 'object' }
+            }, ['games', 'currency', 'pagination', 'filters']))
+        }
+    },
+    'GET /api/games/search': {
+        tag: 'Catalog',
+        summary: 'Ranked full-text search with facets, highlights and did-you-mean corrections',
+        responses: {
+            200: success(object({
+                games: listOf(object({
+                    ...GAME_SUMMARY.properties,
+                    relevance: DECIMAL,
+                    highlights: object({ name: TEXT, description: TEXT }, ['name', 'description'])
+                }, [...GAME_SUMMARY.required, 'relevance', 'highlights'])),
+                currency: CURRENCY,
+                searchTerm: TEXT,
+                resultCount: { type: 'integer' },
+                facets: object({
+                    category: FACET,
+                    platform: FACET,
+                    publisher: FACET,
+                    price: listOf(object({
+                        value: TEXT,
+                        min: OPTIONAL_DECIMAL,
+                        max: OPTIONAL_DECIMAL,
+                        count: { type: 'integer' }
+                    }, ['value', 'min', 'max', 'count']))
+                }, ['category', 'platform', 'publisher', 'price']),
+                pagination: PAGINATION_SCHEMA,
+                filters: { type: 'object' },
+                didYouMean: listOf(TEXT)
+            }, ['games', 'currency', 'searchTerm', 'resultCount', 'facets', 'pagination', 'filters', 'didYouMean']))
+        }
+    },
+    'GET /api/games/suggest': {
+        tag: 'Catalog',
+        summary: 'Type-ahead suggestions from game names, developers and tags',
+        responses: {
+            200: success(object({
+                query: TEXT,
+                suggestions: listOf(object({
+                    text: TEXT,
+                    type: { type: 'string', enum: ['game', 'developer', 'tag'] },
+                    game_id: OPTIONAL_TEXT,
+                    game_count: { type: 'integer' },
+                    match: { type: 'string', enum: ['prefix', 'fuzzy'] },
+                    similarity: { type: 'number' }
+                }, ['text', 'type', 'game_id', 'game_count', 'match', 'similarity']))
+            }, ['query', 'suggestions']))
+        }
+    },
+    'GET /api/games/featured': {
+        tag: 'Catalog',
+        summary: 'Featured games',
+        responses: {
+            200: success(object({
+                games: listOf(GAME_SUMMARY),
+                currency: CURRENCY,
+                featured: { const: true }
+            }, ['games', 'currency', 'featured']))
+        }
+    },
+    'GET /api/games/trending': {
+        tag: 'Catalog',
+        summary: 'Trending games',
+        responses: {
+            200: success(object({
+                games: listOf(GAME_SUMMARY),
+                currency: CURRENCY,
+                trending: { const: true }
+            }, ['games', 'currency', 'trending']))
+        }
+    },
+    'GET /api/games/category/:category': {
+        tag: 'Catalog',
+        summary: 'Games in a category',
+        responses: {
+            200: success(object({
+                games: listOf(GAME_SUMMARY),
+                currency: CURRENCY,
+                category: TEXT,
+                pagination: PAGINATION_SCHEMA
+            }, ['games', 'currency', 'category', 'pagination']))
+        }
+    },
+    'GET /api/games/stats/summary': {
+        tag: 'Catalog',
+        summary: 'Catalog statistics',
+        responses: {
+            200: success(object({
+                overall: object({
+                    total_games: COUNT,
+                    featured_games: COUNT,
+                    trending_games: COUNT,
+                    average_price: OPTIONAL_DECIMAL,
+                    total_categories: COUNT,
+                    average_rating: OPTIONAL_DECIMAL,
+                    archived_games: COUNT
+                }, ['total_games', 'average_price', 'archived_games']),
+                by_category: listOf(object({
+                    category: TEXT,
+                    game_count: COUNT,
+                    avg_price: OPTIONAL_DECIMAL,
+                    avg_rating: OPTIONAL_DECIMAL
+                }, ['category', 'game_count']))
+            }, ['overall', 'by_category']))
+        }
+    },
+    'GET /api/games/currencies': {
+        tag: 'Catalog',
+        summary: 'Supported currencies and their exchange rates from the base currency',
+        responses: {
+            200: success(object({
+                base_currency: CURRENCY,
+                currencies: listOf(object({
+                    currency: CURRENCY,
+                    rate: DECIMAL,
+                    symbol: TEXT,
+                    updated_at: TIMESTAMP
+                }, ['currency', 'rate', 'symbol']))
+            }, ['base_currency', 'currencies']))
+        }
+    },
+    'GET /api/games/:id': {
+        tag: 'Catalog',
+        summary: 'Get a game with its rating and latest approved reviews',
+        responses: {
+            200: success(object({
+                ...GAME.properties,
+                currency: CURRENCY,
+                average_rating: OPTIONAL_DECIMAL,
+                review_count: COUNT,
+                reviews: listOf(PUBLIC_REVIEW)
+            }, [...GAME.required, 'currency', 'average_rating', 'review_count', 'reviews'])),
+            404: PROBLEM
+        }
+    },
+
+    // Catalog management
+    'POST /api/games': {
+        tag: 'Catalog Management',
+        summary: 'Create a game',
+        responses: { 201: success(GAME), 409: PROBLEM }
+    },
+    'PUT /api/games/:id': {
+        tag: 'Catalog Management',
+        summary: 'Replace a game',
+        responses: { 200: success(GAME), 404: PROBLEM, 409: PROBLEM }
+    },
+    'PATCH /api/games/:id': {
+        tag: 'Catalog Management',
+        summary: 'Update some fields of a game',
+        responses: { 200: success(GAME), 404: PROBLEM, 409: PROBLEM }
+    },
+    'DELETE /api/games/:id': {
+        tag: 'Catalog Management',
+        summary: 'Archive a game (it stays resolvable for order history)',
+        responses: {
+            200: success(object({
+                game_id: TEXT,
+                is_archived: { const: true },
+                archived_at: TIMESTAMP
+            }, ['game_id', 'is_archived', 'archived_at'])),
+            404: PROBLEM
+        }
+    },
+    'POST /api/games/:id/restore': {
+        tag: 'Catalog Management',
+        summary: 'Restore an archived game',
+        responses: { 200: success(GAME), 404: PROBLEM }
+    },
+
+    // Reviews
+    'GET /api/games/:id/reviews': {
+        tag: 'Reviews',
+        summary: "List a game's approved reviews with a rating summary",
+        responses: {
+            200: success(object({
+                game_id: TEXT,
+                reviews: listOf(PUBLIC_REVIEW),
+                summary: object({
+                    review_count: { type: 'integer' },
+                    average_rating: OPTIONAL_DECIMAL,
+                    verified_count: { type: 'integer' },
+                    distribution: object(
+                        Object.fromEntries([1, 2, 3, 4, 5].map(stars => [stars, { type: 'integer' }])),
+                        ['1', '2', '3', '4', '5']
+                    )
+                }, ['review_count', 'average_rating', 'verified_count', 'distribution']),
+                pagination: PAGINATION_SCHEMA,
+                filters: { type: 'object' }
+            }, ['game_id', 'reviews', 'summary', 'pagination', 'filters'])),
+            404: PROBLEM
+        }
+    },
+    'POST /api/games/:id/reviews': {
+        tag: 'Reviews',
+        summary: 'Review a game (one review per customer; it waits for moderation)',
+        responses: { 201: success(MODERATED_REVIEW), 404: PROBLEM, 409: PROBLEM }
+    },
+    'PATCH /api/games/:id/reviews/:reviewId': {
+        tag: 'Reviews',
+        summary: 'Edit a review and resubmit it for moderation',
+        description: 'Only the author can edit a review.',
+        responses: { 200: success(REVIEW_WITH_RATING), 403: PROBLEM, 404: PROBLEM }
+    },
+    'DELETE /api/games/:id/reviews/:reviewId': {
+        tag: 'Reviews',
+        summary: 'Delete a review',
+        description: 'Open to the author, or with the `reviews:moderate` permission.',
+        responses: {
+            200: success(object({
+                review_id: TEXT,
+                game_id: TEXT,
+                game_rating: DECIMAL
+            }, ['review_id', 'game_id', 'game_rating'])),
+            403: PROBLEM,
+            404: PROBLEM
+        }
+    },
+
+    // Review moderation
+    'GET /api/games/reviews/moderation': {
+        tag: 'Review Moderation',
+        summary: 'Moderation queue with the automated check results',
+        responses: {
+            200: success(object({
+                reviews: listOf(object({ ...MODERATED_REVIEW.properties, game_name: TEXT }, MODERATED_REVIEW.required)),
+                pagination: PAGINATION_SCHEMA,
+                filters: { type: 'object' }
+            }, ['reviews', 'pagination', 'filters']))
+        }
+    },
+    'POST /api/games/reviews/:reviewId/approve': {
+        tag: 'Review Moderation',
+        summary: 'Approve a review (it becomes public and counts towards the rating)',
+        responses: { 200: success(REVIEW_WITH_RATING), 404: PROBLEM }
+    },
+    'POST /api/games/reviews/:reviewId/reject': {
+        tag: 'Review Moderation',
+        summary: 'Reject a review with a reason',
+        responses: { 200: success(REVIEW_WITH_RATING), 404: PROBLEM }
+    }
+};
+
+module.exports = operations;
@@ -0,0 +1,195 @@
+// Pagination shared by order-service and game-service.
+// Keep this file identical in both services.
+//
+// Lists page either by offset (?page=) or by keyset cursor (?after=, the
+// nextCursor of the previous page). A cursor holds the sort key values of the
+// last row returned, so the next page starts strictly after that row even when
+// rows are added or removed in between; it is only accepted for the sort it
+// was issued for. ?limit= is bounded by each list's maxLimit.
+//
+// Every list returns the same pagination object (see buildPage) and a Link
+// header (RFC 8288) with first/prev/next/last URLs (see setPageLinks).
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// A sort is { name, columns: [{ expression, direction: 'ASC' | 'DESC' }] }.
+// Expressions must never be NULL (COALESCE nullable columns) and the last one
+// must be unique (e.g. the id) so every row has its own position.
+const defineSort = (name, columns) => ({ name, columns });
+
+const encodeCursor = (sortName, values) =>
+    Buffer.from(JSON.stringify({ sort: sortName, values })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return decoded && typeof decoded.sort === 'string' && Array.isArray(decoded.values) ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Parse ?limit, ?page and ?after for a list ordered by sort.
+// Returns { errors, page } where page is { limit, page, after, sort }; page
+// is null when paging by cursor and after is null when paging by offset.
+const parsePagination = (query = {}, sort, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) => {
+    const errors = [];
+    const limit = isBlank(query.limit) ? defaultLimit : Number(query.limit);
+    const pageNumber = isBlank(query.page) ? 1 : Number(query.page);
+    let after = null;
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+        errors.push(`limit must be an integer between 1 and ${maxLimit}`);
+    }
+    if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+        errors.push('page must be a positive integer');
+    }
+
+    if (!isBlank(query.after)) {
+        const cursor = typeof query.after === 'string' ? decodeCursor(query.after) : null;
+        if (!cursor || cursor.sort !== sort.name || cursor.values.length !== sort.columns.length) {
+            errors.push('after must be a nextCursor returned by this list with the same sort order');
+        } else {
+            after = cursor.values;
+        }
+        if (!isBlank(query.page)) {
+            errors.push('Send either page or after, not both');
+        }
+    }
+
+    return {
+        errors,
+        page: { limit, page: after ? null : pageNumber, after, sort }
+    };
+};
+
+// SQL for a page, with parameters numbered from paramIndex. Returns
+// { condition, orderBy, cursorColumn, limitClause, params }:
+// - condition: rows after the cursor, or null without one (AND it into WHERE)
+// - cursorColumn: select it as an extra column; buildPage turns it into nextCursor
+// - limitClause: fetches one row more than the limit to detect a next page
+const pageSql = (page, paramIndex) => {
+    const { columns } = page.sort;
+    const params = [];
+    let condition = null;
+
+    if (page.after) {
+        const placeholders = page.after.map((value, index) => `$${paramIndex + index}`);
+        params.push(...page.after);
+        // (a, b) after (x, y): a beyond x, or a = x and b beyond y, where beyond
+        // is > for ascending and < for descending columns
+        condition = `(${columns.map((column, index) => {
+            const equal = columns.slice(0, index)
+                .map((previous, previousIndex) => `${previous.expression} = ${placeholders[previousIndex]}`);
+            const beyond = `${column.expression} ${column.direction === 'DESC' ? '<' : '>'} ${placeholders[index]}`;
+            return `(${[...equal, beyond].join(' AND ')})`;
+        }).join(' OR ')})`;
+    }
+
+    const limitIndex = paramIndex + params.length;
+    params.push(page.limit + 1, page.after ? 0 : (page.page - 1) * page.limit);
+
+    return {
+        condition,
+        orderBy: columns.map(column => `${column.expression} ${column.direction}`).join(', '),
+        cursorColumn: `json_build_array(${columns.map(column => `(${column.expression})::text`).join(', ')}) as page_cursor`,
+        limitClause: `LIMIT $${limitIndex} OFFSET $${limitIndex + 1}`,
+        params
+    };
+};
+
+// Turn the rows fetched with pageSql into { items, pagination }. totalItems
+// is the size of the whole list.
+const buildPage = (rows, page, totalItems) => {
+    const items = rows.slice(0, page.limit);
+    const hasNextPage = rows.length > page.limit;
+    const last = items[items.length - 1];
+
+    return {
+        items: items.map(({ page_cursor, ...item }) => item),
+        pagination: {
+            currentPage: page.page,
+            totalPages: Math.ceil(totalItems / page.limit),
+            totalItems,
+            itemsPerPage: page.limit,
+            hasNextPage,
+            hasPreviousPage: page.after !== null || page.page > 1,
+            nextCursor: hasNextPage ? encodeCursor(page.sort.name, last.page_cursor) : null
+        }
+    };
+};
+
+// Link header for a page, keeping the request's other query parameters.
+// Offset pages link to the previous, next and last page numbers; cursor pages
+// link to the next cursor. Both link to the first page.
+const setPageLinks = (req, res, pagination) => {
+    const path = req.originalUrl.split('?')[0];
+    const link = (changes, rel) => {
+        const params = new URLSearchParams();
+        Object.entries(req.query).forEach(([key, value]) => {
+            if (key !== 'page' && key !== 'after') {
+                [].concat(value).forEach(entry => params.append(key, String(entry)));
+            }
+        });
+        Object.entries(changes).forEach(([key, value]) => params.set(key, String(value)));
+        const search = params.toString();
+        return `<${path}${search ? `?${search}` : ''}>; rel="${rel}"`;
+    };
+
+    const links = [link({}, 'first')];
+    if (pagination.currentPage === null) {
+        if (pagination.nextCursor) {
+            links.push(link({ after: pagination.nextCursor }, 'next'));
+        }
+    } else {
+        if (pagination.currentPage > 1) {
+            links.push(link({ page: pagination.currentPage - 1 }, 'prev'));
+        }
+        if (pagination.hasNextPage) {
+            links.push(link({ page: pagination.currentPage + 1 }, 'next'));
+        }
+        if (pagination.totalPages > 1) {
+            links.push(link({ page: pagination.totalPages }, 'last'));
+        }
+    }
+    res.set('Link', links.join(', '));
+};
+
+// JSON Schema of the page, after and limit query parameters for
+// request-validation.js
+const pageQueryProperties = ({ maxLimit = MAX_LIMIT } = {}) => ({
+    page: { type: 'integer', minimum: 1, description: 'Page number (default 1); not with after' },
+    after: { type: 'string', minLength: 1, maxLength: 1000, description: 'nextCursor of the previous page' },
+    limit: { type: 'integer', minimum: 1, maximum: maxLimit, description: `Results per page (default ${DEFAULT_LIMIT})` }
+});
+
+// JSON Schema of the pagination object built by buildPage, for the OpenAPI
+// document
+const PAGINATION_SCHEMA = {
+    type: 'object',
+    properties: {
+        currentPage: { type: ['integer', 'null'], description: 'null on cursor pages' },
+        totalPages: { type: 'integer' },
+        totalItems: { type: 'integer' },
+        itemsPerPage: { type: 'integer' },
+        hasNextPage: { type: 'boolean' },
+        hasPreviousPage: { type: 'boolean' },
+        nextCursor: { type: ['string', 'null'], description: 'after value of the next page; null on the last page' }
+    },
+    required: ['currentPage', 'totalPages', 'totalItems', 'itemsPerPage', 'hasNextPage', 'hasPreviousPage', 'nextCursor']
+};
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    PAGINATION_SCHEMA,
+    defineSort,
+    pageQueryProperties,
+    parsePagination,
+    pageSql,
+    buildPage,
+    setPageLinks
+};
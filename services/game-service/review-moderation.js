@@ -0,0 +1,160 @@
+const { query } = require('./database');
+
+// Automated content checks for game reviews.
+// Every new or edited review is scored before it is saved and then waits in the
+// moderation queue (status 'pending') until a moderator approves or rejects it;
+// the checks never decide on their own. A check is { name, run } where
+// run(review, db) resolves to null when it has nothing to report, or to
+// { score, detail } with a score from 0 to 100. The review's moderation_score
+// is the sum of the scores (capped at 100) and orders the queue; the reports
+// are stored in moderation_flags for the moderator.
+//
+// review is { review_id (null for a new review), game_id, user_id, rating,
+// review_text }. db.query runs outside the transaction that saves the review,
+// so a failing check cannot abort it.
+
+const MAX_SCORE = 100;
+
+// Words that flag a review as offensive; REVIEW_BLOCKED_WORDS adds a
+// comma-separated list on top of the built-in one
+const BLOCKED_WORDS = [
+    'asshole', 'bastard', 'bitch', 'bullshit', 'cunt', 'dickhead', 'fuck', 'fucking',
+    'motherfucker', 'shit', 'slut', 'whore',
+    ...(process.env.REVIEW_BLOCKED_WORDS || '').split(',')
+].map(word => word.trim().toLowerCase()).filter(Boolean);
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|io|ru|cn|xyz|gg|ly)\b/gi;
+const EMAIL_PATTERN = /\b[^\s@]+@[^\s@]+\.[a-z]{2,}\b/gi;
+
+// Texts shorter than this ("Great game!") are too common to count as duplicates
+const MIN_DUPLICATE_TEXT_LENGTH = 30;
+const DUPLICATE_WINDOW_DAYS = 90;
+
+const BURST_WINDOW_MINUTES = 10;
+const BURST_REVIEW_LIMIT = 3;
+
+const words = (text) => (text || '').toLowerCase().match(/[a-z]+/g) || [];
+
+const profanityCheck = {
+    name: 'profanity',
+    run: async (review) => {
+        const found = [...new Set(words(review.review_text).filter(word => BLOCKED_WORDS.includes(word)))];
+        if (found.length === 0) {
+            return null;
+        }
+        return {
+            score: Math.min(40 + 20 * (found.length - 1), MAX_SCORE),
+            detail: `Contains ${found.length} blocked word${found.length === 1 ? '' : 's'}`
+        };
+    }
+};
+
+const linkSpamCheck = {
+    name: 'link_spam',
+    run: async (review) => {
+        const text = review.review_text || '';
+        const emails = (text.match(EMAIL_PATTERN) || []).length;
+        const links = (text.replace(EMAIL_PATTERN, ' ').match(LINK_PATTERN) || []).length;
+        if (links + emails === 0) {
+            return null;
+        }
+        return {
+            score: Math.min(30 * (links + emails), 90),
+            detail: `Contains ${links} link${links === 1 ? '' : 's'} and ${emails} email address${emails === 1 ? '' : 'es'}`
+        };
+    }
+};
+
+// The same text (ignoring case, spacing and punctuation) in another recent review
+const duplicateTextCheck = {
+    name: 'duplicate_text',
+    run: async (review, db) => {
+        const normalized = words(review.review_text).join('');
+        if (normalized.length < MIN_DUPLICATE_TEXT_LENGTH) {
+            return null;
+        }
+        const result = await db.query(`
+            SELECT COUNT(*) as copies, COUNT(*) FILTER (WHERE user_id = $2) as own_copies
+            FROM game_reviews
+            WHERE regexp_replace(LOWER(review_text), '[^a-z]+', '', 'g') = $1
+              AND ($3::uuid IS NULL OR review_id <> $3)
+              AND created_at > CURRENT_TIMESTAMP - make_interval(days => $4)
+        `, [normalized, review.user_id, review.review_id, DUPLICATE_WINDOW_DAYS]);
+
+        const copies = parseInt(result.rows[0].copies);
+        if (copies === 0) {
+            return null;
+        }
+        const ownCopies = parseInt(result.rows[0].own_copies);
+        return {
+            score: ownCopies > 0 ? 50 : 40,
+            detail: `Same text as ${copies} other review${copies === 1 ? '' : 's'}` +
+                (ownCopies > 0 ? ` (${ownCopies} by the same customer)` : '')
+        };
+    }
+};
+
+// Several reviews from one customer within a few minutes
+const reviewBurstCheck = {
+    name: 'review_burst',
+    run: async (review, db) => {
+        const result = await db.query(`
+            SELECT COUNT(*) as recent FROM game_reviews
+            WHERE user_id = $1
+              AND ($2::uuid IS NULL OR review_id <> $2)
+              AND created_at > CURRENT_TIMESTAMP - make_interval(mins => $3)
+        `, [review.user_id, review.review_id, BURST_WINDOW_MINUTES]);
+
+        const recent = parseInt(result.rows[0].recent);
+        if (recent < BURST_REVIEW_LIMIT - 1) {
+            return null;
+        }
+        return {
+            score: Math.min(30 + 10 * (recent - (BURST_REVIEW_LIMIT - 1)), 60),
+            detail: `${recent + 1} reviews from this customer within ${BURST_WINDOW_MINUTES} minutes`
+        };
+    }
+};
+
+const REVIEW_CHECKS = [profanityCheck, linkSpamCheck, duplicateTextCheck, reviewBurstCheck];
+
+// Add a check; it runs after the built-in ones
+const registerReviewCheck = (check) => {
+    if (!check || typeof check.name !== 'string' || typeof check.run !== 'function') {
+        throw new Error('A review check needs a name and a run function');
+    }
+    if (REVIEW_CHECKS.some(existing => existing.name === check.name)) {
+        throw new Error(`Review check already registered: ${check.name}`);
+    }
+    REVIEW_CHECKS.push(check);
+};
+
+// Run every check. Returns { score, flags } where flags are
+// { check, score, detail } entries for the checks that reported something.
+// A failing check is logged and reported with a zero score rather than
+// blocking the review.
+const scoreReview = async (review) => {
+    const flags = [];
+
+    for (const check of REVIEW_CHECKS) {
+        try {
+            const result = await check.run(review, { query });
+            if (result) {
+                const score = Math.max(0, Math.min(Math.round(Number(result.score) || 0), MAX_SCORE));
+                flags.push({ check: check.name, score, detail: result.detail || null });
+            }
+        } catch (error) {
+            console.error(`❌ Review check ${check.name} failed:`, error.message);
+            flags.push({ check: check.name, score: 0, detail: 'Check failed' });
+        }
+    }
+
+    const score = Math.min(flags.reduce((total, flag) => total + flag.score, 0), MAX_SCORE);
+    return { score, flags };
+};
+
+module.exports = {
+    REVIEW_CHECKS,
+    registerReviewCheck,
+    scoreReview
+};
@@ -0,0 +1,479 @@
+const { query, transaction, serialId } = require('./database');
+const { scoreReview } = require('./review-moderation');
+const { defineSort, parsePagination, pageSql, buildPage } = require('./pagination');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('./errors');
+
+// Game reviews (game_reviews).
+// A customer reviews a game at most once. A review is flagged as a verified
+// purchase when the customer has a delivered order containing the game; the
+// flag is re-checked whenever the review is edited.
+//
+// New and edited reviews are scored by the automated checks in
+// review-moderation.js and wait as 'pending' until a moderator approves or
+// rejects them. Only approved reviews are shown publicly and count towards
+// games.rating, the average approved rating, which is recalculated in the
+// same transaction as every write that changes the set of approved reviews.
+
+const MAX_REVIEW_TEXT_LENGTH = 5000;
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+const MAX_MODERATION_NOTE_LENGTH = 1000;
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+const REJECTION_REASONS = ['spam', 'offensive', 'off_topic', 'personal_information', 'not_genuine', 'other'];
+
+const REVIEW_SORTS = {
+    newest: defineSort('newest', [
+        { expression: 'r.created_at', direction: 'DESC' },
+        { expression: 'r.id', direction: 'DESC' }
+    ]),
+    oldest: defineSort('oldest', [
+        { expression: 'r.created_at', direction: 'ASC' },
+        { expression: 'r.id', direction: 'ASC' }
+    ]),
+    highest: defineSort('highest', [
+        { expression: 'r.rating', direction: 'DESC' },
+        { expression: 'r.created_at', direction: 'DESC' },
+        { expression: 'r.id', direction: 'DESC' }
+    ]),
+    lowest: defineSort('lowest', [
+        { expression: 'r.rating', direction: 'ASC' },
+        { expression: 'r.created_at', direction: 'DESC' },
+        { expression: 'r.id', direction: 'DESC' }
+    ])
+};
+
+// The pending queue puts the highest automated score first, then the oldest;
+// moderated reviews the most recently moderated (seeded reviews have no
+// moderated_at and sort by creation time)
+const MODERATION_SORTS = {
+    pending: defineSort('moderation_pending', [
+        { expression: 'r.moderation_score', direction: 'DESC' },
+        { expression: 'r.created_at', direction: 'ASC' },
+        { expression: 'r.id', direction: 'ASC' }
+    ]),
+    moderated: defineSort('moderation_moderated', [
+        { expression: 'COALESCE(r.moderated_at, r.created_at)', direction: 'DESC' },
+        { expression: 'r.id', direction: 'DESC' }
+    ])
+};
+
+const REVIEW_COLUMNS = `
+    r.review_id, r.game_id, r.user_id, r.rating, r.review_text, r.is_verified_purchase,
+    r.status, r.created_at, r.updated_at
+`;
+
+// Moderation details, shown to moderators only
+const MODERATION_COLUMNS = `
+    r.moderation_score, r.moderation_flags, r.moderation_reason, r.moderation_note,
+    r.moderated_by, r.moderated_at
+`;
+
+const RETURNING_REVIEW = `
+    review_id, game_id, user_id, rating, review_text, is_verified_purchase, status, created_at, updated_at
+`;
+
+const RETURNING_MODERATED_REVIEW = `
+    ${RETURNING_REVIEW}, moderation_score, moderation_flags, moderation_reason, moderation_note,
+    moderated_by, moderated_at
+`;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Validate a review body. Partial validation (edits) only checks what was sent.
+// Returns { errors, review } with the trimmed text.
+const validateReview = (input, { partial = false } = {}) => {
+    const errors = [];
+    const review = {};
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { errors: ['Request body must be a JSON object'], review };
+    }
+
+    const unknownFields = Object.keys(input).filter(field => !['rating', 'review_text'].includes(field));
+    if (unknownFields.length > 0) {
+        errors.push(`Unknown fields: ${unknownFields.join(', ')}`);
+    }
+
+    if (input.rating !== undefined || !partial) {
+        if (!Number.isInteger(input.rating) || input.rating < 1 || input.rating > 5) {
+            errors.push('rating must be an integer between 1 and 5');
+        } else {
+            review.rating = input.rating;
+        }
+    }
+
+    if (input.review_text !== undefined) {
+        if (input.review_text !== null && typeof input.review_text !== 'string') {
+            errors.push('review_text must be a string');
+        } else if (!isBlank(input.review_text) && input.review_text.trim().length > MAX_REVIEW_TEXT_LENGTH) {
+            errors.push(`review_text must be at most ${MAX_REVIEW_TEXT_LENGTH} characters`);
+        } else {
+            review.review_text = isBlank(input.review_text) ? null : input.review_text.trim() || null;
+        }
+    }
+
+    if (partial && errors.length === 0 && Object.keys(review).length === 0) {
+        errors.push('No updatable fields provided');
+    }
+
+    return { errors, review };
+};
+
+const assertValid = ({ errors, review }) => {
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid review', { details: errors });
+    }
+    return review;
+};
+
+// Resolve a game by its public game_id or numeric id; locked when reviews change
+// so concurrent writes recalculate the rating one after another
+const findGame = async (db, id, { lock = false } = {}) => {
+    const result = await db.query(`
+        SELECT id, game_id, name, is_archived FROM games
+        WHERE game_id = $1 OR id = $2
+        ${lock ? 'FOR UPDATE' : ''}
+    `, [String(id), serialId(id)]);
+    return result.rows[0] || null;
+};
+
+const findReview = async (client, gameId, reviewId) => {
+    const result = await client.query(`
+        SELECT ${REVIEW_COLUMNS}, ${MODERATION_COLUMNS} FROM game_reviews r
+        WHERE r.review_id::text = $1 AND r.game_id = $2
+        FOR UPDATE
+    `, [String(reviewId), gameId]);
+    return result.rows[0] || null;
+};
+
+// Lock a review and its game by review_id alone (moderation routes)
+const lockReviewById = async (client, reviewId) => {
+    const result = await client.query(
+        'SELECT game_id FROM game_reviews WHERE review_id::text = $1',
+        [String(reviewId)]
+    );
+    if (result.rows.length === 0) {
+        return { game: null, review: null };
+    }
+    const game = await findGame(client, result.rows[0].game_id, { lock: true });
+    return { game, review: await findReview(client, game.game_id, reviewId) };
+};
+
+// Whether the customer has a delivered order containing the game
+const hasDeliveredPurchase = async (client, customerId, gameId) => {
+    const result = await client.query(`
+        SELECT 1 FROM order_items oi
+        JOIN orders o ON o.order_id = oi.order_id
+        WHERE o.customer_id = $1 AND oi.game_id = $2 AND o.order_status = 'delivered'
+        LIMIT 1
+    `, [customerId, gameId]);
+    return result.rows.length > 0;
+};
+
+// games.rating is the average approved review rating (0 without approved reviews)
+const recalculateRating = async (client, gameId) => {
+    const result = await client.query(`
+        UPDATE games
+        SET rating = COALESCE((
+            SELECT ROUND(AVG(rating), 2) FROM game_reviews WHERE game_id = $1 AND status = 'approved'
+        ), 0)
+        WHERE game_id = $1
+        RETURNING rating
+    `, [gameId]);
+    return result.rows[0].rating;
+};
+
+// Approved reviews of a game (?page or ?after, ?limit, ?sort, ?rating, ?verified)
+const listReviews = async (gameRef, params = {}) => {
+    const { sort = 'newest', rating, verified } = params;
+    const validSort = Object.hasOwn(REVIEW_SORTS, sort);
+    const { errors, page } = parsePagination(params, validSort ? REVIEW_SORTS[sort] : REVIEW_SORTS.newest, {
+        defaultLimit: DEFAULT_PAGE_SIZE,
+        maxLimit: MAX_PAGE_SIZE
+    });
+
+    if (!validSort) {
+        errors.push(`sort must be one of: ${Object.keys(REVIEW_SORTS).join(', ')}`);
+    }
+    if (!isBlank(rating) && !['1', '2', '3', '4', '5'].includes(String(rating))) {
+        errors.push('rating must be an integer between 1 and 5');
+    }
+    if (!isBlank(verified) && !['true', 'false'].includes(String(verified))) {
+        errors.push('verified must be true or false');
+    }
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid review query', { details: errors });
+    }
+
+    const game = await findGame({ query }, gameRef);
+    if (!game) {
+        throw new NotFoundError('Game not found', { code: 'GAME_NOT_FOUND' });
+    }
+
+    const filters = [game.game_id, isBlank(rating) ? null : parseInt(rating), isBlank(verified) ? null : verified === 'true'];
+    const pageQuery = pageSql(page, 4);
+
+    const [reviewsResult, summaryResult] = await Promise.all([
+        query(`
+            SELECT ${REVIEW_COLUMNS}, c.first_name, c.last_name, ${pageQuery.cursorColumn}
+            FROM game_reviews r
+            LEFT JOIN customers c ON r.user_id = c.customer_id
+            WHERE r.game_id = $1 AND r.status = 'approved'
+              AND ($2::int IS NULL OR r.rating = $2)
+              AND ($3::boolean IS NULL OR r.is_verified_purchase = $3)
+              ${pageQuery.condition ? `AND ${pageQuery.condition}` : ''}
+            ORDER BY ${pageQuery.orderBy}
+            ${pageQuery.limitClause}
+        `, [...filters, ...pageQuery.params]),
+        query(`
+            SELECT
+                COUNT(*) FILTER (WHERE ($2::int IS NULL OR r.rating = $2)
+                    AND ($3::boolean IS NULL OR r.is_verified_purchase = $3)) as total,
+                COUNT(*) as review_count,
+                ROUND(AVG(r.rating), 2) as average_rating,
+                COUNT(*) FILTER (WHERE r.is_verified_purchase) as verified_count,
+                COUNT(*) FILTER (WHERE r.rating = 1) as rating_1,
+                COUNT(*) FILTER (WHERE r.rating = 2) as rating_2,
+                COUNT(*) FILTER (WHERE r.rating = 3) as rating_3,
+                COUNT(*) FILTER (WHERE r.rating = 4) as rating_4,
+                COUNT(*) FILTER (WHERE r.rating = 5) as rating_5
+            FROM game_reviews r
+            WHERE r.game_id = $1 AND r.status = 'approved'
+        `, filters)
+    ]);
+
+    const summary = summaryResult.rows[0];
+    const { items: reviews, pagination } = buildPage(reviewsResult.rows, page, parseInt(summary.total));
+
+    return {
+        game_id: game.game_id,
+        reviews,
+        summary: {
+            review_count: parseInt(summary.review_count),
+            average_rating: summary.average_rating,
+            verified_count: parseInt(summary.verified_count),
+            distribution: [1, 2, 3, 4, 5].reduce((distribution, stars) => ({
+                ...distribution,
+                [stars]: parseInt(summary[`rating_${stars}`])
+            }), {})
+        },
+        pagination,
+        filters: { sort, rating: isBlank(rating) ? null : parseInt(rating), verified: filters[2] }
+    };
+};
+
+const createReview = (gameRef, customerId, input) => {
+    const review = assertValid(validateReview(input));
+
+    return transaction(async (client) => {
+        const game = await findGame(client, gameRef, { lock: true });
+        if (!game) {
+            throw new NotFoundError('Game not found', { code: 'GAME_NOT_FOUND' });
+        }
+        if (game.is_archived) {
+            throw new ConflictError('Game is archived', { code: 'GAME_ARCHIVED' });
+        }
+
+        const existing = await client.query(
+            'SELECT review_id FROM game_reviews WHERE game_id = $1 AND user_id = $2',
+            [game.game_id, customerId]
+        );
+        if (existing.rows.length > 0) {
+            throw new ConflictError('You have already reviewed this game', {
+                code: 'ALREADY_REVIEWED',
+                details: [`Edit review ${existing.rows[0].review_id} instead`]
+            });
+        }
+
+        const verified = await hasDeliveredPurchase(client, customerId, game.game_id);
+        const { score, flags } = await scoreReview({
+            review_id: null,
+            game_id: game.game_id,
+            user_id: customerId,
+            rating: review.rating,
+            review_text: review.review_text || null
+        });
+
+        // Pending reviews do not count towards games.rating yet
+        const result = await client.query(`
+            INSERT INTO game_reviews (
+                game_id, user_id, rating, review_text, is_verified_purchase,
+                status, moderation_score, moderation_flags
+            )
+            VALUES ($1, $2, $3, $4, $5, 'pending', $6, $7)
+            RETURNING ${RETURNING_REVIEW}
+        `, [game.game_id, customerId, review.rating, review.review_text || null, verified, score, JSON.stringify(flags)]);
+
+        return result.rows[0];
+    });
+};
+
+// Edit a review. Only its author may edit it; the edit is scored again and
+// goes back to the moderation queue.
+const updateReview = (gameRef, reviewId, user, input) => {
+    const changes = assertValid(validateReview(input, { partial: true }));
+
+    return transaction(async (client) => {
+        const game = await findGame(client, gameRef, { lock: true });
+        const current = game && await findReview(client, game.game_id, reviewId);
+        if (!current) {
+            throw new NotFoundError('Review not found', { code: 'REVIEW_NOT_FOUND' });
+        }
+        if (current.user_id !== user.customer_id) {
+            throw new ForbiddenError('Only the author can edit a review', { code: 'NOT_REVIEW_AUTHOR' });
+        }
+
+        const review = { ...current, ...changes };
+        const verified = await hasDeliveredPurchase(client, current.user_id, game.game_id);
+        const { score, flags } = await scoreReview(review);
+
+        const result = await client.query(`
+            UPDATE game_reviews
+            SET rating = $1, review_text = $2, is_verified_purchase = $3,
+                status = 'pending', moderation_score = $4, moderation_flags = $5,
+                moderation_reason = NULL, moderation_note = NULL, moderated_by = NULL, moderated_at = NULL
+            WHERE review_id = $6
+            RETURNING ${RETURNING_REVIEW}
+        `, [review.rating, review.review_text, verified, score, JSON.stringify(flags), current.review_id]);
+
+        const rating = await recalculateRating(client, game.game_id);
+        return { review: result.rows[0], game_rating: rating };
+    });
+};
+
+// Delete a review: its author, or moderators (canModerate)
+const deleteReview = (gameRef, reviewId, user, canModerate) => transaction(async (client) => {
+    const game = await findGame(client, gameRef, { lock: true });
+    const current = game && await findReview(client, game.game_id, reviewId);
+    if (!current) {
+        throw new NotFoundError('Review not found', { code: 'REVIEW_NOT_FOUND' });
+    }
+    if (current.user_id !== user.customer_id && !canModerate) {
+        throw new ForbiddenError('Only the author or a moderator can delete a review', { code: 'NOT_REVIEW_AUTHOR' });
+    }
+
+    await client.query('DELETE FROM game_reviews WHERE review_id = $1', [current.review_id]);
+
+    const rating = await recalculateRating(client, game.game_id);
+    return { review: current, game_rating: rating };
+});
+
+// Validate a moderation decision body: rejections need one of
+// REJECTION_REASONS, both decisions take an optional note
+const validateModerationDecision = (decision, input) => {
+    const errors = [];
+    const body = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+
+    const allowedFields = decision === 'rejected' ? ['reason', 'note'] : ['note'];
+    const unknownFields = Object.keys(body).filter(field => !allowedFields.includes(field));
+    if (unknownFields.length > 0) {
+        errors.push(`Unknown fields: ${unknownFields.join(', ')}`);
+    }
+
+    if (decision === 'rejected' && !REJECTION_REASONS.includes(body.reason)) {
+        errors.push(`reason must be one of: ${REJECTION_REASONS.join(', ')}`);
+    }
+
+    if (!isBlank(body.note) && (typeof body.note !== 'string' || body.note.trim().length > MAX_MODERATION_NOTE_LENGTH)) {
+        errors.push(`note must be a string of at most ${MAX_MODERATION_NOTE_LENGTH} characters`);
+    }
+
+    return {
+        errors,
+        decision: {
+            reason: decision === 'rejected' ? body.reason : null,
+            note: isBlank(body.note) || typeof body.note !== 'string' ? null : body.note.trim() || null
+        }
+    };
+};
+
+// Approve or reject a review (status 'approved' or 'rejected'). Approved
+// reviews can later be rejected and rejected ones approved.
+const moderateReview = (reviewId, status, input, moderator) => {
+    const { errors, decision } = validateModerationDecision(status, input);
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid moderation decision', { details: errors });
+    }
+
+    return transaction(async (client) => {
+        const { game, review } = await lockReviewById(client, reviewId);
+        if (!review) {
+            throw new NotFoundError('Review not found', { code: 'REVIEW_NOT_FOUND' });
+        }
+        if (review.status === status) {
+            throw new ConflictError(`Review is already ${status}`, { code: 'REVIEW_ALREADY_MODERATED' });
+        }
+
+        const result = await client.query(`
+            UPDATE game_reviews
+            SET status = $1, moderation_reason = $2, moderation_note = $3,
+                moderated_by = $4, moderated_at = CURRENT_TIMESTAMP
+            WHERE review_id = $5
+            RETURNING ${RETURNING_MODERATED_REVIEW}
+        `, [status, decision.reason, decision.note, moderator.customer_id, review.review_id]);
+
+        const rating = await recalculateRating(client, game.game_id);
+        return { review: result.rows[0], game_rating: rating };
+    });
+};
+
+// Reviews by moderation status, ordered by MODERATION_SORTS
+// (?status, ?game_id, ?page or ?after, ?limit)
+const listModerationQueue = async (params = {}) => {
+    const { status = 'pending', game_id } = params;
+    const sort = status === 'pending' ? MODERATION_SORTS.pending : MODERATION_SORTS.moderated;
+    const { errors, page } = parsePagination(params, sort, {
+        defaultLimit: DEFAULT_PAGE_SIZE,
+        maxLimit: MAX_PAGE_SIZE
+    });
+
+    if (!REVIEW_STATUSES.includes(status)) {
+        errors.push(`status must be one of: ${REVIEW_STATUSES.join(', ')}`);
+    }
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid moderation query', { details: errors });
+    }
+
+    const filters = [status, isBlank(game_id) ? null : String(game_id)];
+    const whereClause = 'WHERE r.status = $1 AND ($2::text IS NULL OR r.game_id = $2)';
+    const pageQuery = pageSql(page, 3);
+
+    const [reviewsResult, countResult] = await Promise.all([
+        query(`
+            SELECT ${REVIEW_COLUMNS}, ${MODERATION_COLUMNS}, g.name as game_name, ${pageQuery.cursorColumn}
+            FROM game_reviews r
+            JOIN games g ON g.game_id = r.game_id
+            ${whereClause}
+            ${pageQuery.condition ? `AND ${pageQuery.condition}` : ''}
+            ORDER BY ${pageQuery.orderBy}
+            ${pageQuery.limitClause}
+        `, [...filters, ...pageQuery.params]),
+        query(`SELECT COUNT(*) as total FROM game_reviews r ${whereClause}`, filters)
+    ]);
+
+    const { items: reviews, pagination } = buildPage(reviewsResult.rows, page, parseInt(countResult.rows[0].total));
+
+    return {
+        reviews,
+        pagination,
+        filters: { status, game_id: filters[1] }
+    };
+};
+
+module.exports = {
+    MAX_REVIEW_TEXT_LENGTH,
+    MAX_PAGE_SIZE,
+    MAX_MODERATION_NOTE_LENGTH,
+    REVIEW_SORTS,
+    REVIEW_STATUSES,
+    REJECTION_REASONS,
+    validateReview,
+    listReviews,
+    createReview,
+    updateReview,
+    deleteReview,
+    moderateReview,
+    listModerationQueue
+};
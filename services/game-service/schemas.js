@@ -0,0 +1,176 @@
+const { nullable, object } = require('./request-validation');
+const { pageQueryProperties } = require('./pagination');
+const { VALID_PLATFORMS } = require('./game-validation');
+const {
+    MAX_REVIEW_TEXT_LENGTH,
+    MAX_PAGE_SIZE: MAX_REVIEW_PAGE_SIZE,
+    MAX_MODERATION_NOTE_LENGTH,
+    REVIEW_SORTS,
+    REVIEW_STATUSES,
+    REJECTION_REASONS
+} = require('./reviews');
+const {
+    MAX_PAGE_SIZE: MAX_SEARCH_PAGE_SIZE,
+    MAX_QUERY_LENGTH,
+    MAX_SUGGESTION_LIMIT,
+    MAX_SUGGESTION_QUERY_LENGTH,
+    SEARCH_SORTS
+} = require('./game-search');
+
+// JSON Schemas for the Game Service routes, used with validate() from
+// request-validation.js and published in the OpenAPI document.
+//
+// The schemas check shapes, types and limits; game-validation.js, reviews.js
+// and game-search.js still normalize the values and apply the rules that
+// involve several fields or stored data (discount below price, categories,
+// one review per customer).
+
+const MAX_HIGHLIGHT_LIMIT = 50;
+
+// Games are addressed by game_id or numeric id. All-digit references longer
+// than the numeric id range cannot be looked up.
+const GAME_REF = {
+    type: 'string',
+    pattern: '^(?![0-9]{10,}$)[A-Za-z0-9_-]{1,50}$',
+    description: 'a game_id or numeric game id'
+};
+const UUID = { type: 'string', format: 'uuid' };
+const CURRENCY = {
+    type: 'string',
+    pattern: '^[A-Za-z]{3}$',
+    description: 'a 3-letter ISO 4217 currency code'
+};
+const BOOLEAN_FLAG = { type: 'string', enum: ['true', 'false'] };
+const MONEY = { type: ['number', 'string'], description: 'Decimal amount' };
+const FACET_VALUES = {
+    type: 'array',
+    items: { type: 'string', maxLength: 200 },
+    description: 'Repeated or comma-separated values'
+};
+
+// Path parameters
+const gameParams = object({ id: GAME_REF });
+const categoryParams = object({ category: { type: 'string', minLength: 1, maxLength: 100 } });
+const reviewParams = object({ id: GAME_REF, reviewId: UUID });
+const moderatedReviewParams = object({ reviewId: UUID });
+
+// Catalog reads
+const CURRENCY_QUERY = object({ currency: CURRENCY });
+const listGamesQuery = object({
+    category: { type: 'string', maxLength: 100 },
+    minPrice: { type: 'number', minimum: 0 },
+    maxPrice: { type: 'number', minimum: 0 },
+    featured: BOOLEAN_FLAG,
+    trending: BOOLEAN_FLAG,
+    sortBy: { type: 'string', enum: ['name', 'price', 'rating', 'release_date', 'created_at'] },
+    sortOrder: { type: 'string', enum: ['ASC', 'DESC', 'asc', 'desc'] },
+    currency: CURRENCY,
+    ...pageQueryProperties()
+});
+const highlightQuery = (defaultLimit) => object({
+    limit: { type: 'integer', minimum: 1, maximum: MAX_HIGHLIGHT_LIMIT, description: `Number of games (default ${defaultLimit})` },
+    currency: CURRENCY
+});
+const featuredQuery = highlightQuery(4);
+const trendingQuery = highlightQuery(6);
+const categoryGamesQuery = object({ currency: CURRENCY, ...pageQueryProperties() });
+
+const searchQuery = object({
+    q: { type: 'string', minLength: 1, maxLength: MAX_QUERY_LENGTH },
+    category: FACET_VALUES,
+    platform: FACET_VALUES,
+    publisher: FACET_VALUES,
+    price: FACET_VALUES,
+    sort: { type: 'string', enum: Object.keys(SEARCH_SORTS) },
+    currency: CURRENCY,
+    ...pageQueryProperties({ maxLimit: MAX_SEARCH_PAGE_SIZE })
+}, ['q']);
+const suggestQuery = object({
+    q: { type: 'string', minLength: 1, maxLength: MAX_SUGGESTION_QUERY_LENGTH },
+    limit: { type: 'integer', minimum: 1, maximum: MAX_SUGGESTION_LIMIT }
+}, ['q']);
+
+// Catalog writes
+const optionalText = (maxLength) => nullable({ type: 'string', maxLength });
+const GAME_PROPERTIES = {
+    game_id: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,50}$', description: 'a game_id (letters, numbers, "_" and "-")' },
+    name: { type: 'string', minLength: 1, maxLength: 255 },
+    description: optionalText(10000),
+    price: MONEY,
+    discount_price: nullable(MONEY),
+    category: { type: 'string', minLength: 1, maxLength: 100 },
+    tags: { type: 'array', maxItems: 20, items: { type: 'string', minLength: 1, maxLength: 50 } },
+    image_url: optionalText(500),
+    release_date: nullable({ type: 'string', format: 'date' }),
+    is_featured: { type: 'boolean' },
+    is_trending: { type: 'boolean' },
+    stock_quantity: { type: 'integer', minimum: 0 },
+    developer: optionalText(200),
+    publisher: optionalText(200),
+    platform: { type: 'string', enum: VALID_PLATFORMS },
+    is_digital: { type: 'boolean' },
+    system_requirements: nullable({
+        type: 'object',
+        properties: {
+            minimum: { type: 'object', additionalProperties: { type: 'string' } },
+            recommended: { type: 'object', additionalProperties: { type: 'string' } }
+        },
+        additionalProperties: false
+    })
+};
+const gameBody = (required) => ({
+    ...object(GAME_PROPERTIES, required),
+    additionalProperties: false
+});
+const createGameBody = gameBody(['game_id', 'name', 'price', 'category']);
+const replaceGameBody = gameBody(['name', 'price', 'category']);
+const updateGameBody = gameBody([]);
+
+// Reviews
+const listReviewsQuery = object({
+    sort: { type: 'string', enum: Object.keys(REVIEW_SORTS) },
+    rating: { type: 'integer', minimum: 1, maximum: 5 },
+    verified: BOOLEAN_FLAG,
+    ...pageQueryProperties({ maxLimit: MAX_REVIEW_PAGE_SIZE })
+});
+const REVIEW_PROPERTIES = {
+    rating: { type: 'integer', minimum: 1, maximum: 5 },
+    review_text: nullable({ type: 'string', maxLength: MAX_REVIEW_TEXT_LENGTH })
+};
+const createReviewBody = { ...object(REVIEW_PROPERTIES, ['rating']), additionalProperties: false };
+const updateReviewBody = { ...object(REVIEW_PROPERTIES), additionalProperties: false };
+
+const moderationQueueQuery = object({
+    status: { type: 'string', enum: REVIEW_STATUSES },
+    game_id: { type: 'string', maxLength: 50 },
+    ...pageQueryProperties({ maxLimit: MAX_REVIEW_PAGE_SIZE })
+});
+const MODERATION_NOTE = nullable({ type: 'string', maxLength: MAX_MODERATION_NOTE_LENGTH });
+const approveReviewBody = { ...object({ note: MODERATION_NOTE }), additionalProperties: false };
+const rejectReviewBody = {
+    ...object({ reason: { type: 'string', enum: REJECTION_REASONS }, note: MODERATION_NOTE }, ['reason']),
+    additionalProperties: false
+};
+
+module.exports = {
+    CURRENCY_QUERY,
+    gameParams,
+    categoryParams,
+    reviewParams,
+    moderatedReviewParams,
+    listGamesQuery,
+    featuredQuery,
+    trendingQuery,
+    categoryGamesQuery,
+    searchQuery,
+    suggestQuery,
+    createGameBody,
+    replaceGameBody,
+    updateGameBody,
+    listReviewsQuery,
+    createReviewBody,
+    updateReviewBody,
+    moderationQueueQuery,
+    approveReviewBody,
+    rejectReviewBody
+};
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Contract test: responses sent by the routes must match the schemas declared
+// in operations.js (and published in /api/games/openapi.json). The database
+// is replaced by canned rows shaped like the real tables, so this runs without
+// Postgres; a handler that changes its response shape fails here until its
+// operations.js entry is updated too.
+
+jest.mock('../database', () => ({
+    query: jest.fn(),
+    transaction: jest.fn(),
+    serialId: jest.requireActual('../database').serialId,
+    testConnection: jest.fn(async () => true),
+    closePool: jest.fn(async () => {})
+}));
+
+const database = require('../database');
+const { app, startServer } = require('../app');
+const { listRoutes, checkResponse } = require('../openapi');
+const operations = require('../operations');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'lugx_dev_jwt_secret_change_me';
+
+const GAME_ID = 'GAME-STARFALL';
+const MISSING_GAME_ID = 'GAME-MISSING';
+const BROKEN_GAME_ID = 'GAME-BROKEN';
+const REVIEW_ID = '5b6c7d8e-9f01-4a2b-8c3d-4e5f6a7b8c9d';
+const CREATED_AT = new Date('2026-01-15T10:30:00Z');
+
+const accessToken = (customerId, roles) => jwt.sign({ roles, type: 'access' }, JWT_SECRET, {
+    subject: customerId,
+    jwtid: crypto.randomUUID(),
+    issuer: 'lugx-gaming',
+    expiresIn: 300
+});
+
+const ADMIN_TOKEN = accessToken('CUST-ADMIN', ['admin']);
+const CUSTOMER_TOKEN = accessToken('CUST-1001', ['customer']);
+
+// Canned rows
+const game = {
+    id: 3,
+    game_id: GAME_ID,
+    name: 'Starfall',
+    description: 'A space strategy game',
+    price: '29.99',
+    discount_price: null,
+    category: 'Strategy',
+    tags: ['space', 'strategy'],
+    image_url: null,
+    release_date: new Date('2025-11-01T00:00:00Z'),
+    rating: '4.50',
+    is_featured: true,
+    is_trending: false,
+    stock_quantity: 12,
+    developer: 'Nova Works',
+    publisher: 'LUGX',
+    platform: 'PC',
+    is_digital: true,
+    system_requirements: null,
+    is_archived: false,
+    archived_at: null,
+    search_vector: "'starfal':1A",
+    created_at: CREATED_AT,
+    updated_at: CREATED_AT,
+    average_rating: '4.50',
+    review_count: '2'
+};
+
+const review = {
+    review_id: REVIEW_ID,
+    game_id: GAME_ID,
+    user_id: 'CUST-1001',
+    rating: 5,
+    review_text: 'Great game',
+    is_verified_purchase: true,
+    status: 'pending',
+    created_at: CREATED_AT,
+    updated_at: CREATED_AT,
+    first_name: 'Ada',
+    last_name: 'Lovelace',
+    moderation_score: 10,
+    moderation_flags: [{ check: 'links', score: 10, detail: 'Contains a link' }],
+    moderation_reason: null,
+    moderation_note: null,
+    moderated_by: null,
+    moderated_at: null,
+    game_name: 'Starfall'
+};
+
+// Rows returned for each statement, matched in order (first match wins)
+const FIXTURES = [
+    [/FROM revoked_tokens/, []],
+    [/FROM exchange_rates/, [{ currency: 'USD', rate: '1.000000', symbol: '$', updated_at: CREATED_AT }]],
+    [/COUNT\(\*\) as total_games/, [{
+        total_games: '1', featured_games: '1', trending_games: '0', average_price: '29.99',
+        total_categories: '1', average_rating: '4.50', archived_games: '0'
+    }]],
+    [/GROUP BY category/, [{ category: 'Strategy', game_count: '1', avg_price: '29.99', avg_rating: '4.50' }]],
+    [/COUNT\(\*\) FILTER/, [{
+        total: '1', review_count: '1', average_rating: '5.00', verified_count: '1',
+        rating_1: '0', rating_2: '0', rating_3: '0', rating_4: '0', rating_5: '1'
+    }]],
+    [/COUNT\(\*\) as (total|game_count)\b/, [{ total: '1', game_count: '1' }]],
+    [/as facet/, [
+        { facet: 'category', value: 'Strategy', count: '1' },
+        { facet: 'platform', value: 'PC', count: '1' },
+        { facet: 'publisher', value: 'LUGX', count: '1' },
+        { facet: 'price', value: '20_to_40', count: '1' }
+    ]],
+    [/rounded_relevance/, [{
+        ...game,
+        rounded_relevance: '0.6079',
+        name_highlight: '<mark>Starfall</mark>',
+        description_highlight: 'A space strategy game'
+    }]],
+    [/FROM game_search_terms/, [{
+        term: 'Starfall', term_type: 'game', game_id: GAME_ID, game_count: 1, prefix_match: true, similarity: 0.6
+    }]],
+    [/SET is_archived = true/, [{ game_id: GAME_ID, is_archived: true, archived_at: CREATED_AT }]],
+    [/FROM game_reviews/, [review]],
+    [/FROM promotions/, [{
+        promotion_id: '3c7d9e1f-4a5b-4c6d-8e9f-0a1b2c3d4e5f', name: 'Autumn sale', promotion_type: 'sale',
+        discount_type: 'percentage', discount_value: '20.00', category: null, game_ids: [GAME_ID], ends_at: CREATED_AT
+    }]],
+    [/FROM games/, [game]]
+];
+
+// Statements naming MISSING_GAME_ID find nothing; BROKEN_GAME_ID fails
+const runQuery = async (sql, params = []) => {
+    if (params.includes(BROKEN_GAME_ID)) {
+        throw new Error('connection terminated unexpectedly');
+    }
+    if (params.includes(MISSING_GAME_ID)) {
+        return { rows: [], rowCount: 0 };
+    }
+    const fixture = FIXTURES.find(([pattern]) => pattern.test(sql));
+    const rows = fixture ? fixture[1] : [];
+    return { rows, rowCount: rows.length };
+};
+
+database.query.mockImplementation(runQuery);
+database.transaction.mockImplementation(callback => callback({ query: runQuery }));
+
+// [expected status, method, route path, url, token, body]
+const CASES = [
+    [200, 'GET', '/health', '/health'],
+    [200, 'GET', '/api/games', '/api/games?limit=5'],
+    [400, 'GET', '/api/games', '/api/games?limit=0'],
+    [200, 'GET', '/api/games/search', '/api/games/search?q=starfall'],
+    [400, 'GET', '/api/games/search', '/api/games/search'],
+    [200, 'GET', '/api/games/suggest', '/api/games/suggest?q=sta'],
+    [200, 'GET', '/api/games/featured', '/api/games/featured'],
+    [200, 'GET', '/api/games/trending', '/api/games/trending'],
+    [200, 'GET', '/api/games/category/:category', '/api/games/category/Strategy'],
+    [200, 'GET', '/api/games/stats/summary', '/api/games/stats/summary', ADMIN_TOKEN],
+    [403, 'GET', '/api/games/stats/summary', '/api/games/stats/summary', CUSTOMER_TOKEN],
+    [401, 'GET', '/api/games/stats/summary', '/api/games/stats/summary'],
+    [200, 'GET', '/api/games/currencies', '/api/games/currencies'],
+    [200, 'GET', '/api/games/:id', `/api/games/${GAME_ID}`],
+    [404, 'GET', '/api/games/:id', `/api/games/${MISSING_GAME_ID}`],
+    [500, 'GET', '/api/games/:id', `/api/games/${BROKEN_GAME_ID}`],
+    [400, 'POST', '/api/games', '/api/games', ADMIN_TOKEN, {}],
+    [200, 'DELETE', '/api/games/:id', `/api/games/${GAME_ID}`, ADMIN_TOKEN],
+    [200, 'GET', '/api/games/:id/reviews', `/api/games/${GAME_ID}/reviews`],
+    [200, 'GET', '/api/games/reviews/moderation', '/api/games/reviews/moderation', ADMIN_TOKEN],
+    [200, 'GET', '/api/games/openapi.json', '/api/games/openapi.json']
+];
+
+describe('game-service API contract', () => {
+    let server;
+    let baseUrl;
+    let document;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        server = await startServer(0);
+        baseUrl = `http://localhost:${server.address().port}`;
+        document = await (await fetch(`${baseUrl}/api/games/openapi.json`)).json();
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+        jest.restoreAllMocks();
+    });
+
+    test('every route has an operations.js entry and every entry a route', () => {
+        const routes = listRoutes(app).map(({ method, path }) => `${method} ${path}`);
+
+        routes.forEach(route => {
+            expect(operations[route]).toBeDefined();
+            expect(operations[route].summary).toEqual(expect.any(String));
+            expect(Object.keys(operations[route].responses).some(status => status.startsWith('2'))).toBe(true);
+        });
+        expect(Object.keys(operations).filter(route => !routes.includes(route))).toEqual([]);
+    });
+
+    test('the OpenAPI document lists every route', () => {
+        expect(document.openapi).toMatch(/^3\./);
+        listRoutes(app).forEach(({ method, path }) => {
+            expect(document.paths[path.replace(/:(\w+)/g, '{$1}')][method.toLowerCase()]).toBeDefined();
+        });
+    });
+
+    test('the API explorer is served', async () => {
+        const page = await fetch(`${baseUrl}/api/games/docs/`);
+        expect(page.status).toBe(200);
+        expect(await page.text()).toContain('swagger-ui-bundle.js');
+
+        const bundle = await fetch(`${baseUrl}/api/games/docs/swagger-ui-bundle.js`);
+        expect(bundle.status).toBe(200);
+    });
+
+    test('errors are problem documents carrying the correlation id', async () => {
+        const response = await fetch(`${baseUrl}/api/games/${MISSING_GAME_ID}`, {
+            headers: { 'X-Request-ID': 'contract-test-1' }
+        });
+        expect(response.headers.get('Content-Type')).toMatch(/^application\/problem\+json/);
+        expect(response.headers.get('X-Request-ID')).toBe('contract-test-1');
+        expect(await response.json()).toMatchObject({
+            status: 404,
+            code: 'GAME_NOT_FOUND',
+            instance: `/api/games/${MISSING_GAME_ID}`,
+            correlation_id: 'contract-test-1'
+        });
+
+        const failure = await (await fetch(`${baseUrl}/api/games/${BROKEN_GAME_ID}`)).json();
+        expect(failure).toMatchObject({ status: 500, code: 'INTERNAL_ERROR', detail: 'Failed to fetch game' });
+        expect(JSON.stringify(failure)).not.toContain('connection terminated');
+    });
+
+    test('a game is only looked up by serial id for plain int4 digits', async () => {
+        for (const [ref, id] of [['3', 3], ['0012', 12], ['12abc', null], ['2147483648x', null]]) {
+            database.query.mockClear();
+            await fetch(`${baseUrl}/api/games/${ref}`);
+            const [, params] = database.query.mock.calls.find(([sql]) => /FROM games g/.test(sql));
+            expect(params).toEqual([ref, id]);
+        }
+    });
+
+    test('catalog writes refresh the suggestion terms concurrently', async () => {
+        database.query.mockClear();
+        const response = await fetch(`${baseUrl}/api/games/${GAME_ID}`, {
+            method: 'DELETE',
+            headers: { Authorization: `Bearer ${ADMIN_TOKEN}` }
+        });
+        expect(response.status).toBe(200);
+        expect(database.query).toHaveBeenCalledWith('REFRESH MATERIALIZED VIEW CONCURRENTLY game_search_terms');
+    });
+
+    const cases = CASES.map(([status, method, path, url, token, body]) => ({ status, method, path, url, token, body }));
+
+    test.each(cases)('$method $url ($status) matches its declared response', async ({ status, method, path, url, token, body }) => {
+        const response = await fetch(`${baseUrl}${url}`, {
+            method,
+            headers: {
+                ...(token && { Authorization: `Bearer ${token}` }),
+                ...(body && { 'Content-Type': 'application/json' })
+            },
+            ...(body && { body: JSON.stringify(body) })
+        });
+        expect(response.status).toBe(status);
+
+        const problems = checkResponse(document, {
+            method,
+            path,
+            status: response.status,
+            contentType: response.headers.get('Content-Type'),
+            body: await response.json()
+        });
+        expect(problems).toEqual([]);
+    });
+});
@@ -0,0 +1,184 @@
+// Game search and suggestions (game-search.js)
+
+jest.mock('../database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+
+const database = require('../database');
+const {
+    MAX_QUERY_LENGTH, PRICE_BUCKETS, parseFacetValues, validateSearch, searchGames, refreshSearchTerms
+} = require('../game-search');
+
+const REFRESH = 'REFRESH MATERIALIZED VIEW CONCURRENTLY game_search_terms';
+
+// Facet name -> parameter holding its selected values
+const FACET_PARAMS = { category: '$3', platform: '$4', publisher: '$5', price: '$6' };
+
+// A database where the search text matches `total` games (before paging) and
+// the suggestion terms hold one correction
+const searchDatabase = ({ total = 0 } = {}) => {
+    database.query.mockImplementation(async (sql) => {
+        if (/FROM game_search_terms/.test(sql)) {
+            return { rows: [{ term: 'Starfall', term_type: 'game', game_id: 'GAME-STARFALL', game_count: 1 }] };
+        }
+        if (/as facet/.test(sql)) {
+            return { rows: [] };
+        }
+        if (/COUNT\(\*\) as total/.test(sql)) {
+            return { rows: [{ total: String(total) }] };
+        }
+        return { rows: [] };
+    });
+};
+
+const statement = (pattern) => database.query.mock.calls.find(([sql]) => pattern.test(sql));
+
+describe('parseFacetValues', () => {
+    test.each([
+        [undefined, null],
+        [null, null],
+        ['', null],
+        [' , ', null],
+        ['PC', ['pc']],
+        ['PC, Switch', ['pc', 'switch']],
+        [['PC', 'Switch,pc'], ['pc', 'switch']],
+        [[' Xbox ', ''], ['xbox']]
+    ])('%p -> %p', (value, expected) => {
+        expect(parseFacetValues(value)).toEqual(expected);
+    });
+});
+
+describe('validateSearch', () => {
+    test('trims the text and defaults to relevance with no facets selected', () => {
+        const { errors, search } = validateSearch({ q: '  space strategy ' });
+
+        expect(errors).toEqual([]);
+        expect(search).toMatchObject({
+            text: 'space strategy',
+            sort: 'relevance',
+            page: { limit: 10, page: 1 },
+            selected: { category: null, platform: null, publisher: null, price: null }
+        });
+    });
+
+    test('collects the selected facet values', () => {
+        const { errors, search } = validateSearch({ q: 'space', platform: ['PC', 'Switch'], price: 'under_10,20_to_40' });
+
+        expect(errors).toEqual([]);
+        expect(search.selected).toEqual({
+            category: null, platform: ['pc', 'switch'], publisher: null, price: ['under_10', '20_to_40']
+        });
+    });
+
+    test.each([
+        [{}, 'Search query parameter "q" is required'],
+        [{ q: '   ' }, 'Search query parameter "q" is required'],
+        [{ q: 'x'.repeat(MAX_QUERY_LENGTH + 1) }, `q must be at most ${MAX_QUERY_LENGTH} characters`],
+        [{ q: 'space', sort: 'toString' }, 'sort must be one of: relevance, rating, price_asc, price_desc, newest'],
+        [{ q: 'space', price: 'cheap' }, `price must be one or more of: ${PRICE_BUCKETS.map(bucket => bucket.key).join(', ')}`],
+        [{ q: 'space', limit: '51' }, 'limit must be an integer between 1 and 50']
+    ])('rejects %p', (params, error) => {
+        expect(validateSearch(params).errors).toContain(error);
+    });
+});
+
+describe('searchGames', () => {
+    afterEach(() => database.query.mockReset());
+
+    test('results and the total apply every facet filter', async () => {
+        searchDatabase({ total: 1 });
+
+        await searchGames({ q: 'space', platform: 'PC' });
+
+        const [games, params] = statement(/rounded_relevance/);
+        const [count] = statement(/COUNT\(\*\) as total/);
+        Object.values(FACET_PARAMS).forEach(param => {
+            expect(games).toContain(`${param}::text[] IS NULL`);
+            expect(count).toContain(`${param}::text[] IS NULL`);
+        });
+        expect(params.slice(0, 6)).toEqual(['space', '%space%', null, ['pc'], null, null]);
+    });
+
+    test('each facet count applies every other facet filter but not its own', async () => {
+        searchDatabase({ total: 1 });
+
+        await searchGames({ q: 'space', category: 'Strategy', platform: 'PC' });
+
+        const [sql] = statement(/as facet/);
+        const branches = sql.split('UNION ALL');
+        expect(branches).toHaveLength(4);
+        Object.entries(FACET_PARAMS).forEach(([facet, ownParam], index) => {
+            expect(branches[index]).toContain(`'${facet}' as facet`);
+            expect(branches[index]).not.toContain(`${ownParam}::text[] IS NULL`);
+            Object.values(FACET_PARAMS).filter(param => param !== ownParam).forEach(param => {
+                expect(branches[index]).toContain(`${param}::text[] IS NULL`);
+            });
+        });
+    });
+
+    test('did you mean is offered when the text found nothing and no filter is selected', async () => {
+        searchDatabase({ total: 0 });
+
+        const result = await searchGames({ q: 'starfal' });
+
+        expect(result.didYouMean).toEqual(['Starfall']);
+        const [sql, params] = statement(/FROM game_search_terms/);
+        expect(sql).toMatch(/WHERE \$1 <% LOWER\(term\)\s/);
+        expect(params).toEqual(['starfal', 'starfal%', '% starfal%', 3]);
+    });
+
+    test.each([
+        ['there are results', { q: 'starfal' }, 2],
+        ['a facet filter ruled the matches out', { q: 'starfal', platform: 'Switch' }, 0],
+        ['the text is too long for a suggestion lookup', { q: 'starfal '.repeat(15) }, 0]
+    ])('did you mean is not offered when %s', async (reason, params, total) => {
+        searchDatabase({ total });
+
+        expect((await searchGames(params)).didYouMean).toEqual([]);
+        expect(statement(/FROM game_search_terms/)).toBeUndefined();
+    });
+
+    test('invalid searches run no queries', async () => {
+        await expect(searchGames({ q: '' })).rejects.toMatchObject({ status: 400 });
+        expect(database.query).not.toHaveBeenCalled();
+    });
+});
+
+describe('refreshSearchTerms', () => {
+    afterEach(() => {
+        database.query.mockReset();
+        jest.restoreAllMocks();
+    });
+
+    test('refreshes the view concurrently', async () => {
+        database.query.mockResolvedValue({ rows: [] });
+
+        await refreshSearchTerms();
+        expect(database.query.mock.calls).toEqual([[REFRESH]]);
+    });
+
+    test('writes during a refresh queue a single follow-up refresh', async () => {
+        let finish;
+        database.query
+            .mockImplementationOnce(() => new Promise(resolve => { finish = resolve; }))
+            .mockResolvedValue({ rows: [] });
+
+        const first = refreshSearchTerms();
+        const queued = [refreshSearchTerms(), refreshSearchTerms()];
+        expect(queued).toEqual([first, first]);
+        expect(database.query).toHaveBeenCalledTimes(1);
+
+        finish({ rows: [] });
+        await first;
+        expect(database.query).toHaveBeenCalledTimes(2);
+
+        await refreshSearchTerms();
+        expect(database.query).toHaveBeenCalledTimes(3);
+    });
+
+    test('a failed refresh is logged and does not reject', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        database.query.mockRejectedValueOnce(new Error('could not obtain lock'));
+
+        await expect(refreshSearchTerms()).resolves.toBeUndefined();
+        expect(console.error).toHaveBeenCalledWith('❌ Failed to refresh search terms:', 'could not obtain lock');
+    });
+});
@@ -0,0 +1,184 @@
+// Automated review checks (review-moderation.js)
+
+jest.mock('../database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+
+const database = require('../database');
+const { REVIEW_CHECKS, registerReviewCheck, scoreReview } = require('../review-moderation');
+
+const BUILT_IN_CHECKS = REVIEW_CHECKS.length;
+const REVIEW_ID = '5b6c7d8e-9f01-4a2b-8c3d-4e5f6a7b8c9d';
+
+const review = (review_text, overrides) => ({
+    review_id: null,
+    game_id: 'GAME-STARFALL',
+    user_id: 'CUST-1001',
+    rating: 5,
+    review_text,
+    ...overrides
+});
+
+// Recent reviews seen by the database checks: { copies, ownCopies, recent }
+const recentReviews = ({ copies = 0, ownCopies = 0, recent = 0 } = {}) => {
+    database.query.mockImplementation(async (sql) => {
+        if (/as copies/.test(sql)) {
+            return { rows: [{ copies: String(copies), own_copies: String(ownCopies) }] };
+        }
+        if (/as recent/.test(sql)) {
+            return { rows: [{ recent: String(recent) }] };
+        }
+        return { rows: [] };
+    });
+};
+
+const flagsOf = async (text, overrides) => (await scoreReview(review(text, overrides))).flags;
+const flag = (flags, check) => flags.find(entry => entry.check === check);
+
+describe('scoreReview', () => {
+    beforeEach(() => recentReviews());
+
+    afterEach(() => {
+        REVIEW_CHECKS.splice(BUILT_IN_CHECKS);
+        database.query.mockReset();
+        jest.restoreAllMocks();
+    });
+
+    test('a clean review has no flags', async () => {
+        expect(await scoreReview(review('Great strategy game with a long campaign'))).toEqual({ score: 0, flags: [] });
+    });
+
+    describe('profanity', () => {
+        test('scores 40 for one blocked word and 20 more for each other one', async () => {
+            expect(flag(await flagsOf('This is shit'), 'profanity')).toEqual({
+                check: 'profanity', score: 40, detail: 'Contains 1 blocked word'
+            });
+            expect(flag(await flagsOf('Shit, SHIT and bullshit from a bastard'), 'profanity')).toEqual({
+                check: 'profanity', score: 80, detail: 'Contains 3 blocked words'
+            });
+        });
+
+        test('only whole words count', async () => {
+            expect(flag(await flagsOf('Shitake mushrooms in the cookbook DLC'), 'profanity')).toBeUndefined();
+        });
+    });
+
+    describe('link_spam', () => {
+        test('counts links and email addresses separately', async () => {
+            expect(flag(await flagsOf('Cheap keys at https://keys.example and mail deals@keys.example'), 'link_spam')).toEqual({
+                check: 'link_spam', score: 60, detail: 'Contains 1 link and 1 email address'
+            });
+            expect(flag(await flagsOf('Visit www.cheap.example or cheapkeys.com'), 'link_spam')).toMatchObject({
+                score: 60, detail: 'Contains 2 links and 0 email addresses'
+            });
+        });
+
+        test('scores at most 90', async () => {
+            expect(flag(await flagsOf('a.com b.com c.com d.com e.com'), 'link_spam').score).toBe(90);
+        });
+    });
+
+    describe('duplicate_text', () => {
+        const text = 'Best game of the year, buy it now before the sale ends!';
+
+        test('compares normalized text with other recent reviews', async () => {
+            recentReviews({ copies: 2 });
+
+            expect(flag(await flagsOf(text, { review_id: REVIEW_ID }), 'duplicate_text')).toEqual({
+                check: 'duplicate_text', score: 40, detail: 'Same text as 2 other reviews'
+            });
+            const [, params] = database.query.mock.calls.find(([sql]) => /as copies/.test(sql));
+            expect(params).toEqual(['bestgameoftheyearbuyitnowbeforethesaleends', 'CUST-1001', REVIEW_ID, 90]);
+        });
+
+        test('copies by the same customer score higher', async () => {
+            recentReviews({ copies: 1, ownCopies: 1 });
+
+            expect(flag(await flagsOf(text), 'duplicate_text')).toMatchObject({
+                score: 50, detail: 'Same text as 1 other review (1 by the same customer)'
+            });
+        });
+
+        test('short texts are not compared', async () => {
+            recentReviews({ copies: 5 });
+
+            expect(flag(await flagsOf('Great game!'), 'duplicate_text')).toBeUndefined();
+            expect(database.query.mock.calls.some(([sql]) => /as copies/.test(sql))).toBe(false);
+        });
+    });
+
+    describe('review_burst', () => {
+        test.each([
+            [1, undefined],
+            [2, { score: 30, detail: '3 reviews from this customer within 10 minutes' }],
+            [4, { score: 50, detail: '5 reviews from this customer within 10 minutes' }],
+            [10, { score: 60, detail: '11 reviews from this customer within 10 minutes' }]
+        ])('%i other recent reviews', async (recent, expected) => {
+            recentReviews({ recent });
+
+            const burst = flag(await flagsOf('Fine'), 'review_burst');
+            expect(burst && { score: burst.score, detail: burst.detail }).toEqual(expected);
+        });
+    });
+
+    test('the total score is capped at 100', async () => {
+        recentReviews({ recent: 10 });
+
+        const result = await scoreReview(review('Fuck this shit, get it at cheapkeys.com and cheapkeys.net'));
+        expect(result.flags.map(entry => [entry.check, entry.score])).toEqual([
+            ['profanity', 60], ['link_spam', 60], ['review_burst', 60]
+        ]);
+        expect(result.score).toBe(100);
+    });
+
+    test('scores reported by a check are rounded and clamped to 0-100', async () => {
+        registerReviewCheck({ name: 'too_high', run: async () => ({ score: 250.4, detail: 'High' }) });
+        registerReviewCheck({ name: 'negative', run: async () => ({ score: -5 }) });
+        registerReviewCheck({ name: 'fractional', run: async () => ({ score: '12.6', detail: 'Fraction' }) });
+
+        const { flags } = await scoreReview(review('Fine'));
+        expect(flags).toEqual([
+            { check: 'too_high', score: 100, detail: 'High' },
+            { check: 'negative', score: 0, detail: null },
+            { check: 'fractional', score: 13, detail: 'Fraction' }
+        ]);
+    });
+
+    test('a failing check is reported with a zero score', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        database.query.mockRejectedValue(new Error('connection terminated unexpectedly'));
+
+        const result = await scoreReview(review('Fine'));
+        expect(result).toEqual({ score: 0, flags: [{ check: 'review_burst', score: 0, detail: 'Check failed' }] });
+        expect(console.error).toHaveBeenCalled();
+    });
+});
+
+describe('registerReviewCheck', () => {
+    afterEach(() => REVIEW_CHECKS.splice(BUILT_IN_CHECKS));
+
+    test('registered checks run after the built-in ones with the review and the database', async () => {
+        recentReviews();
+        const run = jest.fn(async (checked) => (checked.rating === 1 ? { score: 20, detail: 'One star' } : null));
+        registerReviewCheck({ name: 'one_star', run });
+
+        const result = await scoreReview(review('Fine', { rating: 1 }));
+        expect(REVIEW_CHECKS.map(check => check.name)).toEqual([
+            'profanity', 'link_spam', 'duplicate_text', 'review_burst', 'one_star'
+        ]);
+        expect(result).toEqual({ score: 20, flags: [{ check: 'one_star', score: 20, detail: 'One star' }] });
+        expect(run).toHaveBeenCalledWith(expect.objectContaining({ rating: 1 }), { query: database.query });
+    });
+
+    test.each([
+        [undefined],
+        [{ name: 'no_run' }],
+        [{ run: async () => null }]
+    ])('rejects an invalid check (%p)', (check) => {
+        expect(() => registerReviewCheck(check)).toThrow('A review check needs a name and a run function');
+    });
+
+    test('rejects a duplicate name', () => {
+        expect(() => registerReviewCheck({ name: 'profanity', run: async () => null }))
+            .toThrow('Review check already registered: profanity');
+        expect(REVIEW_CHECKS).toHaveLength(BUILT_IN_CHECKS);
+    });
+});
@@ -0,0 +1,201 @@
+// Game reviews (reviews.js): validation, author and moderator checks, rating recalculation
+
+jest.mock('../database', () => ({
+    query: jest.fn(),
+    transaction: jest.fn(),
+    serialId: jest.requireActual('../database').serialId
+}));
+jest.mock('../review-moderation', () => ({
+    scoreReview: jest.fn(async () => ({ score: 0, flags: [] }))
+}));
+
+const database = require('../database');
+const { scoreReview } = require('../review-moderation');
+const {
+    MAX_REVIEW_TEXT_LENGTH, validateReview, createReview, updateReview, deleteReview, moderateReview
+} = require('../reviews');
+
+const GAME_ID = 'GAME-STARFALL';
+const REVIEW_ID = '5b6c7d8e-9f01-4a2b-8c3d-4e5f6a7b8c9d';
+const AUTHOR = { customer_id: 'CUST-1001' };
+const OTHER_CUSTOMER = { customer_id: 'CUST-2002' };
+
+const game = { id: 3, game_id: GAME_ID, name: 'Starfall', is_archived: false };
+const storedReview = {
+    review_id: REVIEW_ID, game_id: GAME_ID, user_id: AUTHOR.customer_id, rating: 4, review_text: 'Solid',
+    is_verified_purchase: false, status: 'approved', moderation_score: 0, moderation_flags: []
+};
+
+// A client holding one game and one approved review; the recalculated rating
+// is games.rating after the write
+const reviewsClient = ({ review = storedReview, delivered = false, rating = '4.00' } = {}) => {
+    const client = {
+        query: jest.fn(async (sql, params) => {
+            if (/FROM games/.test(sql)) {
+                return { rows: [game] };
+            }
+            if (/SELECT game_id FROM game_reviews/.test(sql) || /FROM game_reviews r/.test(sql)) {
+                return { rows: review ? [review] : [] };
+            }
+            if (/FROM game_reviews WHERE game_id = \$1 AND user_id = \$2/.test(sql)) {
+                return { rows: [] };
+            }
+            if (/FROM order_items/.test(sql)) {
+                return { rows: delivered ? [{ '?column?': 1 }] : [] };
+            }
+            if (/UPDATE games/.test(sql)) {
+                return { rows: [{ rating }] };
+            }
+            if (/INSERT INTO game_reviews/.test(sql)) {
+                return { rows: [{ review_id: REVIEW_ID, game_id: params[0], rating: params[2], status: 'pending' }] };
+            }
+            if (/UPDATE game_reviews/.test(sql)) {
+                return { rows: [{ ...review, status: params[0] === 'rejected' ? 'rejected' : 'pending' }] };
+            }
+            return { rows: [] };
+        })
+    };
+    database.transaction.mockImplementation(callback => callback(client));
+    return client;
+};
+
+const statements = (client, pattern) => client.query.mock.calls.filter(([sql]) => pattern.test(sql));
+const WRITE = /^\s*(UPDATE|DELETE)\b/;
+
+describe('validateReview', () => {
+    test('accepts a rating with trimmed text', () => {
+        expect(validateReview({ rating: 5, review_text: '  Great game  ' })).toEqual({
+            errors: [], review: { rating: 5, review_text: 'Great game' }
+        });
+        expect(validateReview({ rating: 1, review_text: '   ' })).toEqual({ errors: [], review: { rating: 1, review_text: null } });
+    });
+
+    test.each([
+        [null, 'Request body must be a JSON object'],
+        [[], 'Request body must be a JSON object'],
+        [{}, 'rating must be an integer between 1 and 5'],
+        [{ rating: 0 }, 'rating must be an integer between 1 and 5'],
+        [{ rating: 4.5 }, 'rating must be an integer between 1 and 5'],
+        [{ rating: '5' }, 'rating must be an integer between 1 and 5'],
+        [{ rating: 5, review_text: 42 }, 'review_text must be a string'],
+        [{ rating: 5, review_text: 'x'.repeat(MAX_REVIEW_TEXT_LENGTH + 1) }, `review_text must be at most ${MAX_REVIEW_TEXT_LENGTH} characters`],
+        [{ rating: 5, user_id: 'CUST-9' }, 'Unknown fields: user_id']
+    ])('rejects %p', (input, error) => {
+        expect(validateReview(input).errors).toContain(error);
+    });
+
+    test('edits only check the fields sent and need at least one', () => {
+        expect(validateReview({ review_text: 'Better now' }, { partial: true })).toEqual({
+            errors: [], review: { review_text: 'Better now' }
+        });
+        expect(validateReview({ review_text: null }, { partial: true }).review).toEqual({ review_text: null });
+        expect(validateReview({}, { partial: true }).errors).toEqual(['No updatable fields provided']);
+        expect(validateReview({ rating: 6 }, { partial: true }).errors).toEqual(['rating must be an integer between 1 and 5']);
+    });
+});
+
+describe('review writes', () => {
+    afterEach(() => {
+        database.transaction.mockReset();
+        scoreReview.mockClear();
+    });
+
+    describe('updateReview', () => {
+        test('the author can edit; the edit is re-scored, re-verified and goes back to pending', async () => {
+            const client = reviewsClient({ delivered: true, rating: '0.00' });
+
+            const result = await updateReview(GAME_ID, REVIEW_ID, AUTHOR, { rating: 2 });
+
+            expect(result.game_rating).toBe('0.00');
+            expect(scoreReview).toHaveBeenCalledWith(expect.objectContaining({ review_id: REVIEW_ID, rating: 2, review_text: 'Solid' }));
+            const [[sql, params]] = statements(client, /UPDATE game_reviews/);
+            expect(sql).toMatch(/status = 'pending'/);
+            expect(params.slice(0, 3)).toEqual([2, 'Solid', true]);
+        });
+
+        test('only the author can edit', async () => {
+            const client = reviewsClient();
+
+            await expect(updateReview(GAME_ID, REVIEW_ID, OTHER_CUSTOMER, { rating: 1 })).rejects.toMatchObject({
+                status: 403, code: 'NOT_REVIEW_AUTHOR'
+            });
+            expect(statements(client, WRITE)).toEqual([]);
+        });
+
+        test('unknown reviews are a 404', async () => {
+            reviewsClient({ review: null });
+
+            await expect(updateReview(GAME_ID, REVIEW_ID, AUTHOR, { rating: 1 })).rejects.toMatchObject({
+                status: 404, code: 'REVIEW_NOT_FOUND'
+            });
+        });
+
+        test('invalid edits are rejected before the transaction', () => {
+            expect(() => updateReview(GAME_ID, REVIEW_ID, AUTHOR, {})).toThrow('Invalid review');
+            expect(database.transaction).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('deleteReview', () => {
+        test('the author can delete their review', async () => {
+            const client = reviewsClient({ rating: '0.00' });
+
+            await expect(deleteReview(GAME_ID, REVIEW_ID, AUTHOR, false)).resolves.toEqual({
+                review: storedReview, game_rating: '0.00'
+            });
+            expect(statements(client, /DELETE FROM game_reviews/)[0][1]).toEqual([REVIEW_ID]);
+        });
+
+        test('moderators can delete any review', async () => {
+            const client = reviewsClient();
+
+            await deleteReview(GAME_ID, REVIEW_ID, OTHER_CUSTOMER, true);
+            expect(statements(client, /DELETE FROM game_reviews/)).toHaveLength(1);
+        });
+
+        test('other customers cannot delete', async () => {
+            const client = reviewsClient();
+
+            await expect(deleteReview(GAME_ID, REVIEW_ID, OTHER_CUSTOMER, false)).rejects.toMatchObject({
+                status: 403, code: 'NOT_REVIEW_AUTHOR'
+            });
+            expect(statements(client, WRITE)).toEqual([]);
+        });
+    });
+
+    describe('rating recalculation', () => {
+        test('games.rating is the rounded average of approved reviews, 0 without any', async () => {
+            const client = reviewsClient();
+
+            await deleteReview(GAME_ID, REVIEW_ID, AUTHOR, false);
+
+            const [[sql, params]] = statements(client, /UPDATE games/);
+            expect(sql).toMatch(/COALESCE\(\(\s*SELECT ROUND\(AVG\(rating\), 2\) FROM game_reviews WHERE game_id = \$1 AND status = 'approved'\s*\), 0\)/);
+            expect(params).toEqual([GAME_ID]);
+        });
+
+        test.each([
+            ['an edit', () => updateReview(GAME_ID, REVIEW_ID, AUTHOR, { review_text: 'Edited' })],
+            ['a deletion', () => deleteReview(GAME_ID, REVIEW_ID, AUTHOR, false)],
+            ['an approval', () => moderateReview(REVIEW_ID, 'approved', {}, { customer_id: 'CUST-ADMIN' })],
+            ['a rejection', () => moderateReview(REVIEW_ID, 'rejected', { reason: 'spam' }, { customer_id: 'CUST-ADMIN' })]
+        ])('runs after %s, in the same transaction and after the review changed', async (write, run) => {
+            const client = reviewsClient({ review: { ...storedReview, status: 'pending' }, rating: '3.50' });
+
+            expect((await run()).game_rating).toBe('3.50');
+            const sqls = client.query.mock.calls.map(([sql]) => sql);
+            const recalculation = sqls.findIndex(sql => /UPDATE games/.test(sql));
+            expect(recalculation).toBe(sqls.length - 1);
+            expect(sqls.findIndex(sql => /(UPDATE|DELETE FROM) game_reviews/.test(sql))).toBeLessThan(recalculation);
+            expect(sqls.find(sql => /FROM games/.test(sql))).toMatch(/FOR UPDATE/);
+        });
+
+        test('new reviews are pending and leave the rating alone', async () => {
+            const client = reviewsClient();
+
+            const review = await createReview(GAME_ID, OTHER_CUSTOMER.customer_id, { rating: 5 });
+            expect(review.status).toBe('pending');
+            expect(statements(client, /UPDATE games/)).toEqual([]);
+        });
+    });
+});
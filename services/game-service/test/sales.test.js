@@ -0,0 +1,64 @@
+// Sale prices in catalog responses (sales.js, shared with order-service)
+
+const { loadRunningSales, priceCatalogGame } = require('../sales');
+
+const LKR = { currency: 'LKR', rate: '300.5000', symbol: 'Rs' };
+
+const starfall = { game_id: 'GAME-STARFALL', name: 'Starfall', category: 'Strategy', price: '29.99', discount_price: null };
+
+const sale = (overrides) => ({
+    promotion_id: 'promo-sale',
+    name: 'Autumn sale',
+    promotion_type: 'sale',
+    discount_type: 'percentage',
+    discount_value: '20.00',
+    category: null,
+    game_ids: ['GAME-STARFALL'],
+    ends_at: '2026-10-31T00:00:00.000Z',
+    ...overrides
+});
+
+describe('priceCatalogGame', () => {
+    test('a running sale becomes the discount price and is described', () => {
+        expect(priceCatalogGame(starfall, [sale()])).toEqual({
+            ...starfall,
+            discount_price: '23.99',
+            currency: 'USD',
+            sale: { promotion_id: 'promo-sale', name: 'Autumn sale', ends_at: '2026-10-31T00:00:00.000Z' }
+        });
+    });
+
+    test('games without a sale keep their prices', () => {
+        expect(priceCatalogGame({ ...starfall, discount_price: '24.99' }, [sale({ game_ids: ['GAME-OTHER'] })]))
+            .toMatchObject({ price: '29.99', discount_price: '24.99', sale: null });
+    });
+
+    test('a lower regular discount price wins over the sale', () => {
+        expect(priceCatalogGame({ ...starfall, discount_price: '19.99' }, [sale()]))
+            .toMatchObject({ discount_price: '19.99', sale: null });
+    });
+
+    test('category sales and fixed cuts are priced in the requested currency', () => {
+        const categorySale = sale({ game_ids: null, category: 'Strategy', discount_type: 'fixed', discount_value: '5.00' });
+
+        expect(priceCatalogGame(starfall, [categorySale], LKR)).toMatchObject({
+            price: '9012.00', discount_price: '7509.50', currency: 'LKR', sale: { promotion_id: 'promo-sale' }
+        });
+    });
+
+    test('sales never price a game below zero', () => {
+        expect(priceCatalogGame(starfall, [sale({ discount_type: 'fixed', discount_value: '100.00' })]).discount_price).toBe('0.00');
+    });
+});
+
+describe('loadRunningSales', () => {
+    test('only loads active sales inside their window', async () => {
+        const db = { query: jest.fn(async () => ({ rows: [sale()] })) };
+
+        expect(await loadRunningSales(db)).toEqual([sale()]);
+        const [sql] = db.query.mock.calls[0];
+        expect(sql).toMatch(/is_active AND promotion_type = 'sale'/);
+        expect(sql).toMatch(/starts_at <= CURRENT_TIMESTAMP/);
+        expect(sql).toMatch(/ends_at IS NULL OR ends_at > CURRENT_TIMESTAMP/);
+    });
+});
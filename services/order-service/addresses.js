@@ -0,0 +1,301 @@
+const { query, transaction } = require('./database');
+const { ValidationError, NotFoundError } = require('./errors');
+
+// Customer address book (customer_addresses).
+// A customer with addresses of a type always has exactly one default address
+// of that type: the first one becomes the default, and unsetting or deleting
+// the default promotes the most recently updated other address of the type.
+//
+// Orders reference addresses by shipping_address_id / billing_address_id, so
+// addresses used by an order are never changed in place: updating one archives
+// it and saves the new version under a new address_id, and deleting one only
+// archives it. Archived addresses are hidden from the address book but stay
+// attached to their orders.
+
+const ADDRESS_TYPES = ['shipping', 'billing'];
+
+// Editable fields and their maximum lengths (see the customer_addresses columns)
+const ADDRESS_FIELDS = {
+    first_name: 100,
+    last_name: 100,
+    company: 200,
+    address_line_1: 255,
+    address_line_2: 255,
+    city: 100,
+    state_province: 100,
+    postal_code: 20,
+    country: 100
+};
+
+const REQUIRED_ADDRESS_FIELDS = ['address_line_1', 'city', 'postal_code', 'country'];
+
+const ADDRESS_COLUMNS = `
+    address_id, customer_id, address_type, first_name, last_name, company, address_line_1,
+    address_line_2, city, state_province, postal_code, country, is_default, created_at, updated_at
+`;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Validate a full address. Returns { errors, address } with trimmed values.
+const validateAddress = (input = {}) => {
+    const errors = [];
+    const address = {};
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { errors: ['address must be an object'], address };
+    }
+
+    Object.entries(ADDRESS_FIELDS).forEach(([field, maxLength]) => {
+        const value = input[field];
+        if (isBlank(value)) {
+            address[field] = null;
+        } else if (typeof value !== 'string' || value.trim().length > maxLength) {
+            errors.push(`${field} must be a string of at most ${maxLength} characters`);
+        } else {
+            address[field] = value.trim() || null;
+        }
+    });
+
+    REQUIRED_ADDRESS_FIELDS.forEach(field => {
+        if (!address[field] && !errors.some(error => error.startsWith(`${field} `))) {
+            errors.push(`${field} is required`);
+        }
+    });
+
+    address.address_type = isBlank(input.address_type) ? 'shipping' : input.address_type;
+    if (!ADDRESS_TYPES.includes(address.address_type)) {
+        errors.push(`address_type must be one of: ${ADDRESS_TYPES.join(', ')}`);
+    }
+
+    if (!isBlank(input.is_default) && typeof input.is_default !== 'boolean') {
+        errors.push('is_default must be a boolean');
+    }
+    address.is_default = input.is_default === true;
+
+    return { errors, address };
+};
+
+const assertValid = ({ errors, address }) => {
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid address', { code: 'INVALID_ADDRESS', details: errors });
+    }
+    return address;
+};
+
+const listAddresses = async (customerId, addressType = null) => {
+    const result = await query(`
+        SELECT ${ADDRESS_COLUMNS} FROM customer_addresses
+        WHERE customer_id = $1 AND NOT is_archived AND ($2::text IS NULL OR address_type = $2)
+        ORDER BY address_type DESC, is_default DESC, created_at ASC
+    `, [customerId, addressType]);
+    return result.rows;
+};
+
+// A saved (non-archived) address of the customer, or null
+const findAddress = async (db, customerId, addressId, { lock = false } = {}) => {
+    const result = await db.query(`
+        SELECT ${ADDRESS_COLUMNS} FROM customer_addresses
+        WHERE address_id::text = $1 AND customer_id = $2 AND NOT is_archived
+        ${lock ? 'FOR UPDATE' : ''}
+    `, [String(addressId), customerId]);
+    return result.rows[0] || null;
+};
+
+const getAddress = (customerId, addressId) => findAddress({ query }, customerId, addressId);
+
+// The customer's default address of a type, ignoring excludeId
+const findDefaultAddress = async (db, customerId, addressType, excludeId = null) => {
+    const result = await db.query(`
+        SELECT ${ADDRESS_COLUMNS} FROM customer_addresses
+        WHERE customer_id = $1 AND address_type = $2 AND is_default AND NOT is_archived
+          AND ($3::uuid IS NULL OR address_id <> $3)
+        LIMIT 1
+    `, [customerId, addressType, excludeId]);
+    return result.rows[0] || null;
+};
+
+// Insert a validated address, or update addressId in place, inside the
+// caller's transaction. It becomes the default when asked to or when the
+// customer has no other default of its type.
+const saveAddress = async (client, customerId, address, addressId = null) => {
+    // Serializes concurrent default changes for the customer
+    await client.query('SELECT 1 FROM customers WHERE customer_id = $1 FOR UPDATE', [customerId]);
+
+    const current = await findDefaultAddress(client, customerId, address.address_type, addressId);
+    const isDefault = address.is_default || !current;
+
+    if (isDefault && current) {
+        await client.query(
+            'UPDATE customer_addresses SET is_default = FALSE WHERE address_id = $1',
+            [current.address_id]
+        );
+    }
+
+    const fields = Object.keys(ADDRESS_FIELDS);
+    const values = [address.address_type, isDefault, ...fields.map(field => address[field])];
+
+    const result = addressId
+        ? await client.query(`
+            UPDATE customer_addresses
+            SET address_type = $1, is_default = $2,
+                ${fields.map((field, index) => `${field} = $${index + 3}`).join(', ')},
+                updated_at = CURRENT_TIMESTAMP
+            WHERE address_id = $${fields.length + 3}
+            RETURNING ${ADDRESS_COLUMNS}
+        `, [...values, addressId])
+        : await client.query(`
+            INSERT INTO customer_addresses (address_type, is_default, ${fields.join(', ')}, customer_id)
+            VALUES (${values.map((value, index) => `$${index + 1}`).join(', ')}, $${values.length + 1})
+            RETURNING ${ADDRESS_COLUMNS}
+        `, [...values, customerId]);
+
+    return result.rows[0];
+};
+
+// Insert an address used by one order only. It is archived from the start, so
+// it stays attached to the order without entering the address book or
+// changing its defaults.
+const saveOrderAddress = async (client, customerId, address) => {
+    const fields = Object.keys(ADDRESS_FIELDS);
+    const values = [address.address_type, ...fields.map(field => address[field])];
+
+    const result = await client.query(`
+        INSERT INTO customer_addresses (address_type, ${fields.join(', ')}, customer_id, is_default, is_archived)
+        VALUES (${values.map((value, index) => `$${index + 1}`).join(', ')}, $${values.length + 1}, FALSE, TRUE)
+        RETURNING ${ADDRESS_COLUMNS}
+    `, [...values, customerId]);
+
+    return result.rows[0];
+};
+
+// Make the most recently updated other address of the type the default
+const promoteDefault = async (client, customerId, addressType, excludeId) => {
+    await client.query(`
+        UPDATE customer_addresses SET is_default = TRUE
+        WHERE id = (
+            SELECT id FROM customer_addresses
+            WHERE customer_id = $1 AND address_type = $2 AND NOT is_archived AND address_id <> $3
+            ORDER BY updated_at DESC, id DESC
+            LIMIT 1
+        )
+    `, [customerId, addressType, excludeId]);
+};
+
+const isUsedByOrders = async (client, addressId) => {
+    const result = await client.query(
+        'SELECT 1 FROM orders WHERE shipping_address_id = $1 OR billing_address_id = $1 LIMIT 1',
+        [addressId]
+    );
+    return result.rows.length > 0;
+};
+
+// Remove an address from the address book (archived when orders use it)
+const retireAddress = async (client, address) => {
+    if (await isUsedByOrders(client, address.address_id)) {
+        await client.query(
+            'UPDATE customer_addresses SET is_archived = TRUE, is_default = FALSE WHERE address_id = $1',
+            [address.address_id]
+        );
+    } else {
+        await client.query('DELETE FROM customer_addresses WHERE address_id = $1', [address.address_id]);
+    }
+};
+
+const createAddress = (customerId, input) => transaction((client) =>
+    saveAddress(client, customerId, assertValid(validateAddress(input))));
+
+// Apply a partial update; the merged address is validated as a whole
+const updateAddress = (customerId, addressId, changes) => transaction(async (client) => {
+    const current = await findAddress(client, customerId, addressId, { lock: true });
+    if (!current) {
+        throw new NotFoundError('Address not found', { code: 'ADDRESS_NOT_FOUND' });
+    }
+
+    const address = assertValid(validateAddress({ ...current, ...changes }));
+    if (isBlank(changes.is_default)) {
+        address.is_default = current.is_default && address.address_type === current.address_type;
+    }
+
+    let updated;
+    if (await isUsedByOrders(client, current.address_id)) {
+        await retireAddress(client, current);
+        updated = await saveAddress(client, customerId, address);
+    } else {
+        updated = await saveAddress(client, customerId, address, current.address_id);
+    }
+
+    // The default was unset or moved to another type
+    if (current.is_default && (!updated.is_default || updated.address_type !== current.address_type)) {
+        await promoteDefault(client, customerId, current.address_type, updated.address_id);
+    }
+
+    return updated;
+});
+
+const deleteAddress = (customerId, addressId) => transaction(async (client) => {
+    const current = await findAddress(client, customerId, addressId, { lock: true });
+    if (!current) {
+        throw new NotFoundError('Address not found', { code: 'ADDRESS_NOT_FOUND' });
+    }
+
+    await retireAddress(client, current);
+
+    if (current.is_default) {
+        await promoteDefault(client, customerId, current.address_type, current.address_id);
+    }
+    return current;
+});
+
+// Addresses for a new order, inside the order transaction. Each of shipping
+// and billing is either a saved address id or an inline address (validated
+// and saved to the customer's address book). Shipping falls back to the
+// default shipping address; billing to the default billing address and then
+// to the shipping address. Returns { shipping, billing } (rows or null).
+//
+// The address book is only used when ownAddressBook is set, i.e. the caller is
+// signed in as customerId. Guests and staff ordering for someone else must send
+// inline addresses, which are kept with the order only (saveOrderAddress).
+const resolveOrderAddresses = async (client, customerId, {
+    shippingAddress, shippingAddressId, billingAddress, billingAddressId
+}, { ownAddressBook = false } = {}) => {
+    const resolve = async (type, inline, addressId) => {
+        if (!isBlank(inline) && !isBlank(addressId)) {
+            throw new ValidationError(`Send either ${type}_address or ${type}_address_id, not both`);
+        }
+        if (!isBlank(addressId)) {
+            const saved = ownAddressBook ? await findAddress(client, customerId, addressId) : null;
+            if (!saved) {
+                throw new ValidationError(`${type === 'shipping' ? 'Shipping' : 'Billing'} address not found`, {
+                    code: 'UNKNOWN_ADDRESS'
+                });
+            }
+            return saved;
+        }
+        if (!isBlank(inline)) {
+            const { errors, address } = validateAddress({ ...inline, address_type: type, is_default: false });
+            if (errors.length > 0) {
+                throw new ValidationError(`Invalid ${type} address`, { code: 'INVALID_ADDRESS', details: errors });
+            }
+            return ownAddressBook
+                ? saveAddress(client, customerId, address)
+                : saveOrderAddress(client, customerId, address);
+        }
+        return ownAddressBook ? findDefaultAddress(client, customerId, type) : null;
+    };
+
+    const shipping = await resolve('shipping', shippingAddress, shippingAddressId);
+    const billing = (await resolve('billing', billingAddress, billingAddressId)) || shipping;
+
+    return { shipping, billing };
+};
+
+module.exports = {
+    ADDRESS_TYPES,
+    validateAddress,
+    listAddresses,
+    getAddress,
+    createAddress,
+    updateAddress,
+    deleteAddress,
+    resolveOrderAddresses
+};
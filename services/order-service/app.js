@@ -2,21 +2,115 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
-const morgan = require('morgan');
 const { v4: uuidv4 } = require('uuid');
 require('dotenv').config();
 
-const { query, transaction, testConnection, closePool } = require('./database');
+const { query, transaction, serialId, testConnection, closePool } = require('./database');
+const { reserveStock } = require('./order-pricing');
+const { DEFAULT_CURRENCY, fromDecimal, toDecimal, subtract } = require('./money');
+const { resolveCurrency } = require('./currencies');
+const { resolveDestination, quoteOrder } = require('./order-totals');
+const {
+    transitionOrder,
+    recordOrderCreated,
+    getOrderHistory
+} = require('./order-status');
+const { idempotent, purgeExpiredIdempotencyKeys } = require('./idempotency');
+const { defineSort, parsePagination, pageSql, buildPage, setPageLinks } = require('./pagination');
+const { validate } = require('./request-validation');
+const {
+    ValidationError,
+    AuthenticationError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    DependencyUnavailableError,
+    sendProblem,
+    errorHandler,
+    routeNotFound
+} = require('./errors');
+const { correlationId, correlationHeaders, requestLogger } = require('./correlation-id');
+const { openApiDocument, apiExplorer } = require('./openapi');
+const schemas = require('./schemas');
+const operations = require('./operations');
+const { version } = require('./package.json');
+const {
+    validatePromotion,
+    listPromotions,
+    createPromotion,
+    updatePromotion,
+    loadActivePromotions,
+    recordRedemptions,
+    getOrderDiscounts
+} = require('./promotions');
+const {
+    openCart,
+    getCart,
+    addCartItem,
+    updateCartItem,
+    removeCartItems,
+    mergeCarts,
+    markCartConverted,
+    expireCarts
+} = require('./carts');
+const {
+    verifyWebhookSignature,
+    startPayment,
+    capturePayment,
+    voidPayment,
+    handleWebhook,
+    getOrderPayments
+} = require('./payments');
+const {
+    CUSTOMER_COLUMNS,
+    updateCustomer,
+    eraseCustomer,
+    exportCustomerData
+} = require('./customers');
+const {
+    listAddresses,
+    getAddress,
+    createAddress,
+    updateAddress,
+    deleteAddress,
+    resolveOrderAddresses
+} = require('./addresses');
+const { refundOrder, getOrderRefunds } = require('./refunds');
+const {
+    hashPassword,
+    verifyPassword,
+    issueTokens,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllRefreshTokens,
+    authenticate,
+    optionalAuthenticate
+} = require('./auth');
+const {
+    ROLES,
+    ROLE_PERMISSIONS,
+    permissionsForRoles,
+    hasPermission,
+    permissionRequired,
+    requirePermission,
+    requireSelfOrPermission
+} = require('./permissions');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
+app.use(correlationId);
 app.use(helmet());
 app.use(cors());
 app.use(compression());
-app.use(morgan('combined'));
-app.use(express.json());
+app.use(requestLogger);
+// Keep the raw body for payment webhook signature checks
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf.toString('utf8');
+    }
+}));
 
 // Initialize database connection
 let dbConnected = false;
@@ -35,6 +129,16 @@ const initializeDatabase = async () => {
     }
 };
 
+// Errors raised by several routes
+const orderNotFound = () => new NotFoundError('Order not found', { code: 'ORDER_NOT_FOUND' });
+
+const customerNotFound = () => new NotFoundError('Customer not found', { code: 'CUSTOMER_NOT_FOUND' });
+
+const invalidPagination = (errors) => new ValidationError('Invalid pagination', {
+    code: 'INVALID_PAGINATION',
+    details: errors
+});
+
 // Health check endpoint
 app.get('/health', async (req, res) => {
     const healthStatus = {
@@ -57,9 +161,9 @@ app.get('/health', async (req, res) => {
                 connection_status: 'active'
             };
         } catch (error) {
+            console.error(`❌ [${req.correlationId}] Health check query failed:`, error.message);
             healthStatus.database_stats = {
-                connection_status: 'error',
-                error: error.message
+                connection_status: 'error'
             };
         }
     }
@@ -67,21 +171,40 @@ app.get('/health', async (req, res) => {
     res.status(200).json(healthStatus);
 });
 
+// OpenAPI document generated from the routes, their request schemas and
+// operations.js, and the API explorer (Swagger UI) reading it
+app.get('/api/orders/openapi.json', (req, res) => {
+    res.json(openApiDocument(app, { info: { title: 'LUGX Order Service API', version }, operations }));
+});
+
+app.use('/api/orders/docs', apiExplorer('/api/orders/openapi.json', 'LUGX Order Service API'));
+
 // Order API Routes
 
-// 1. Get all orders with filtering and pagination
-app.get('/api/orders', async (req, res) => {
+// 1. Get all orders with filtering and pagination (support/admin)
+app.get('/api/orders', authenticate, requirePermission('orders:read'), validate({ query: schemas.listOrdersQuery }), async (req, res) => {
     try {
         const {
-            page = 1,
-            limit = 10,
             status,
             customerId,
             sortBy = 'created_at',
             sortOrder = 'DESC'
         } = req.query;
 
-        const offset = (page - 1) * limit;
+        // Validate sort column
+        const validSortColumns = ['created_at', 'total_amount', 'order_status'];
+        const sortColumn = validSortColumns.includes(sortBy) ? sortBy : 'created_at';
+        const sortDirection = String(sortOrder).toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+        const sort = defineSort(`${sortColumn}_${sortDirection.toLowerCase()}`, [
+            { expression: `o.${sortColumn}`, direction: sortDirection },
+            { expression: 'o.id', direction: sortDirection }
+        ]);
+
+        const { errors, page } = parsePagination(req.query, sort);
+        if (errors.length > 0) {
+            throw invalidPagination(errors);
+        }
+
         let whereConditions = [];
         let queryParams = [];
         let paramIndex = 1;
@@ -100,34 +223,30 @@ app.get('/api/orders', async (req, res) => {
         }
 
         const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
-        
-        // Validate sort column
-        const validSortColumns = ['created_at', 'total_amount', 'order_status'];
-        const sortColumn = validSortColumns.includes(sortBy) ? sortBy : 'created_at';
-        const sortDirection = sortOrder.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+        const pageQuery = pageSql(page, paramIndex);
+        const pageConditions = pageQuery.condition ? [...whereConditions, pageQuery.condition] : whereConditions;
 
         if (!dbConnected) {
-            throw new Error('Database not connected');
+            throw new DependencyUnavailableError('database', 'Database is not connected');
         }
 
         // Main query with customer details
         const ordersQuery = `
             SELECT 
                 o.order_id, o.customer_id, o.order_status, o.total_amount,
-                o.subtotal, o.tax_amount, o.shipping_cost, o.discount_amount,
+                o.subtotal, o.tax_amount, o.shipping_cost, o.discount_amount, o.currency,
                 o.payment_method, o.payment_status, o.order_notes,
                 o.estimated_delivery, o.actual_delivery, o.tracking_number,
                 o.created_at, o.updated_at,
-                c.first_name, c.last_name, c.email, c.phone
+                c.first_name, c.last_name, c.email, c.phone,
+                ${pageQuery.cursorColumn}
             FROM orders o
             LEFT JOIN customers c ON o.customer_id = c.customer_id
-            ${whereClause}
-            ORDER BY o.${sortColumn} ${sortDirection}
-            LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+            ${pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : ''}
+            ORDER BY ${pageQuery.orderBy}
+            ${pageQuery.limitClause}
         `;
 
-        queryParams.push(parseInt(limit), offset);
-
         // Count query for pagination
         const countQuery = `
             SELECT COUNT(*) as total 
@@ -135,49 +254,140 @@ app.get('/api/orders', async (req, res) => {
             LEFT JOIN customers c ON o.customer_id = c.customer_id
             ${whereClause}
         `;
-        const countParams = queryParams.slice(0, -2); // Remove limit and offset
 
         const [ordersResult, countResult] = await Promise.all([
-            query(ordersQuery, queryParams),
-            query(countQuery, countParams)
+            query(ordersQuery, [...queryParams, ...pageQuery.params]),
+            query(countQuery, queryParams)
         ]);
 
-        const totalOrders = parseInt(countResult.rows[0].total);
-        const totalPages = Math.ceil(totalOrders / limit);
+        const { items: orders, pagination } = buildPage(ordersResult.rows, page, parseInt(countResult.rows[0].total));
+        setPageLinks(req, res, pagination);
 
         res.json({
             success: true,
             data: {
-                orders: ordersResult.rows,
-                pagination: {
-                    currentPage: parseInt(page),
-                    totalPages,
-                    totalItems: totalOrders,
-                    itemsPerPage: parseInt(limit),
-                    hasNextPage: page < totalPages,
-                    hasPreviousPage: page > 1
-                },
-                filters: { status, customerId, sortBy, sortOrder }
+                orders,
+                pagination,
+                filters: { status, customerId, sortBy: sortColumn, sortOrder: sortDirection }
             }
         });
 
     } catch (error) {
-        console.error('Error fetching orders:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch orders',
-            message: error.message
+        sendProblem(req, res, error, 'Failed to fetch orders');
+    }
+});
+
+// 6. Get order statistics (registered before /api/orders/:id so it is not shadowed)
+app.get('/api/orders/stats/summary', authenticate, requirePermission('orders:stats'), async (req, res) => {
+    try {
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        // Revenue is reported in the base currency, converting each order at the
+        // exchange rate stored when it was placed. Only paid orders (including
+        // those refunded since) count as revenue; refunds are then subtracted.
+        const paid = "payment_status IN ('paid', 'refunded')";
+        const statsQuery = `
+            SELECT 
+                COUNT(*) as total_orders,
+                COUNT(CASE WHEN order_status = 'pending' THEN 1 END) as pending_orders,
+                COUNT(CASE WHEN order_status = 'shipped' THEN 1 END) as shipped_orders,
+                COUNT(CASE WHEN order_status = 'delivered' THEN 1 END) as delivered_orders,
+                COUNT(CASE WHEN ${paid} THEN 1 END) as paid_orders,
+                AVG(CASE WHEN ${paid} THEN total_amount / fx_rate END) as average_order_value,
+                SUM(CASE WHEN ${paid} THEN total_amount / fx_rate END) as total_revenue,
+                COUNT(DISTINCT customer_id) as unique_customers
+            FROM orders
+        `;
+
+        const dailyStatsQuery = `
+            SELECT 
+                DATE(created_at) as order_date,
+                COUNT(*) as orders_count,
+                SUM(CASE WHEN ${paid} THEN total_amount / fx_rate END) as daily_revenue
+            FROM orders
+            WHERE created_at >= CURRENT_DATE - INTERVAL '7 days'
+            GROUP BY DATE(created_at)
+            ORDER BY order_date DESC
+        `;
+
+        const currencyStatsQuery = `
+            SELECT o.currency, COUNT(*) as orders_count,
+                   SUM(CASE WHEN o.${paid} THEN o.total_amount END) as revenue,
+                   SUM(COALESCE(r.refunded_amount, 0)) as refunded_amount
+            FROM orders o
+            LEFT JOIN (
+                SELECT order_id, SUM(amount) as refunded_amount
+                FROM refunds
+                WHERE status = 'succeeded'
+                GROUP BY order_id
+            ) r ON r.order_id = o.order_id
+            GROUP BY o.currency
+            ORDER BY o.currency
+        `;
+
+        // Succeeded refunds, converted at the exchange rate of their order
+        const refundStatsQuery = `
+            SELECT
+                COUNT(*) as refunds_count,
+                COUNT(CASE WHEN r.refund_type = 'full' THEN 1 END) as full_refunds,
+                SUM(r.amount / o.fx_rate) as refunded_amount
+            FROM refunds r
+            JOIN orders o ON o.order_id = r.order_id
+            WHERE r.status = 'succeeded'
+        `;
+
+        const [statsResult, dailyResult, currencyResult, refundResult] = await Promise.all([
+            query(statsQuery),
+            query(dailyStatsQuery),
+            query(currencyStatsQuery),
+            query(refundStatsQuery)
+        ]);
+
+        // Sums come back as exact DECIMAL strings (NULL without orders)
+        const money = (value, currency = DEFAULT_CURRENCY) => fromDecimal(value || '0', currency);
+        const amount = (value, currency = DEFAULT_CURRENCY) => toDecimal(money(value, currency));
+        const netRevenue = (revenue, refunded, currency = DEFAULT_CURRENCY) =>
+            toDecimal(subtract(money(revenue, currency), money(refunded, currency)));
+        const overall = statsResult.rows[0];
+        const refunds = refundResult.rows[0];
+
+        res.json({
+            success: true,
+            data: {
+                currency: DEFAULT_CURRENCY,
+                overall: {
+                    ...overall,
+                    average_order_value: amount(overall.average_order_value),
+                    total_revenue: amount(overall.total_revenue),
+                    refunds_count: refunds.refunds_count,
+                    full_refunds: refunds.full_refunds,
+                    refunded_amount: amount(refunds.refunded_amount),
+                    net_revenue: netRevenue(overall.total_revenue, refunds.refunded_amount)
+                },
+                by_currency: currencyResult.rows.map(row => ({
+                    ...row,
+                    revenue: amount(row.revenue, row.currency),
+                    refunded_amount: amount(row.refunded_amount, row.currency),
+                    net_revenue: netRevenue(row.revenue, row.refunded_amount, row.currency)
+                })),
+                daily_stats: dailyResult.rows.map(row => ({ ...row, daily_revenue: amount(row.daily_revenue) }))
+            }
         });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to fetch order statistics');
     }
 });
 
-// 2. Get order by ID with full details
-app.get('/api/orders/:id', async (req, res) => {
+// 2. Get order by ID with full details (owner, support or admin)
+app.get('/api/orders/:id', authenticate, validate({ params: schemas.orderParams }), async (req, res) => {
     try {
         const { id } = req.params;
 
         if (!dbConnected) {
-            throw new Error('Database not connected');
+            throw new DependencyUnavailableError('database', 'Database is not connected');
         }
 
         // Get order with customer details
@@ -200,17 +410,18 @@ app.get('/api/orders/:id', async (req, res) => {
             LEFT JOIN customers c ON o.customer_id = c.customer_id
             LEFT JOIN customer_addresses ca_ship ON o.shipping_address_id = ca_ship.address_id
             LEFT JOIN customer_addresses ca_bill ON o.billing_address_id = ca_bill.address_id
-            WHERE o.order_id = $1 OR o.id = $2
+            WHERE o.order_id::text = $1 OR o.id = $2
         `;
 
-        const orderResult = await query(orderQuery, [id, parseInt(id) || 0]);
+        const orderResult = await query(orderQuery, [id, serialId(id)]);
 
         if (orderResult.rows.length === 0) {
-            return res.status(404).json({
-                success: false,
-                error: 'Order not found',
-                orderId: id
-            });
+            throw orderNotFound();
+        }
+
+        if (orderResult.rows[0].customer_id !== req.user.customer_id &&
+            !hasPermission(req.user, 'orders:read')) {
+            throw permissionRequired('orders:read');
         }
 
         // Get order items
@@ -223,18 +434,13 @@ app.get('/api/orders/:id', async (req, res) => {
         const itemsResult = await query(itemsQuery, [orderResult.rows[0].order_id]);
 
         // Get order status history
-        const historyQuery = `
-            SELECT * FROM order_status_history 
-            WHERE order_id = $1
-            ORDER BY created_at ASC
-        `;
-
-        const historyResult = await query(historyQuery, [orderResult.rows[0].order_id]);
+        const statusHistory = await getOrderHistory({ query }, orderResult.rows[0].order_id);
 
         const orderData = {
             ...orderResult.rows[0],
             items: itemsResult.rows,
-            status_history: historyResult.rows
+            discounts: await getOrderDiscounts({ query }, orderResult.rows[0].order_id),
+            status_history: statusHistory
         };
 
         res.json({
@@ -243,77 +449,177 @@ app.get('/api/orders/:id', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Error fetching order:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch order',
-            message: error.message
+        sendProblem(req, res, error, 'Failed to fetch order');
+    }
+});
+
+// Price breakdown returned by order creation and quotes (amounts as decimal strings)
+const pricingBreakdown = (quote) => ({
+    currency: quote.currency,
+    fx_rate: quote.fx_rate,
+    subtotal: quote.subtotal,
+    discounts: quote.discounts,
+    discount_amount: quote.discount_amount,
+    tax_amount: quote.tax_amount,
+    shipping_cost: quote.shipping_cost,
+    total_amount: quote.total_amount,
+    tax: quote.tax,
+    shipping: quote.shipping
+});
+
+// 34. Quote an order: full price breakdown without placing it or reserving stock
+app.post('/api/orders/quote', optionalAuthenticate, validate({ body: schemas.quoteOrderBody }), async (req, res) => {
+    try {
+        const { items, shipping_address, shipping_address_id, coupon_code, currency } = req.body;
+        // Saved addresses and per-customer limits are only used for the signed-in customer
+        const customer_id = req.user ? req.user.customer_id : null;
+
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const quote = await transaction(async (client) => {
+            const destination = await resolveDestination(client, {
+                shippingAddress: shipping_address,
+                shippingAddressId: shipping_address_id,
+                customerId: customer_id
+            });
+            return quoteOrder(client, {
+                items,
+                customerId: customer_id,
+                couponCode: coupon_code || null,
+                destination,
+                target: await resolveCurrency(client, currency),
+                readOnly: true
+            });
+        });
+
+        const estimatedDelivery = new Date();
+        estimatedDelivery.setDate(estimatedDelivery.getDate() + quote.estimated_days);
+
+        res.json({
+            success: true,
+            data: {
+                items: quote.lines,
+                destination: quote.destination,
+                estimated_delivery: estimatedDelivery.toISOString().slice(0, 10),
+                pricing: pricingBreakdown(quote)
+            }
         });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to quote order');
     }
 });
 
 // 3. Create new order
-app.post('/api/orders', async (req, res) => {
+app.post('/api/orders', optionalAuthenticate, validate({ body: schemas.createOrderBody }), idempotent, async (req, res) => {
     try {
         const {
-            customer_id,
             items,
             shipping_address,
+            shipping_address_id,
             billing_address,
+            billing_address_id,
             payment_method,
-            order_notes
+            order_notes,
+            cart_id,
+            coupon_code,
+            currency
         } = req.body;
 
-        // Validation
-        if (!customer_id || !items || !Array.isArray(items) || items.length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Missing required fields: customer_id and items array'
+        // Signed-in customers always order for themselves; staff with orders:create_any may order on behalf of others
+        let customer_id = req.body.customer_id;
+        if (req.user && !hasPermission(req.user, 'orders:create_any')) {
+            if (customer_id && customer_id !== req.user.customer_id) {
+                throw new ForbiddenError('Orders can only be placed for your own account');
+            }
+            customer_id = req.user.customer_id;
+        }
+
+        // Guests must say who they are
+        if (!customer_id) {
+            throw new ValidationError('Invalid request', {
+                details: [{ location: 'body', field: 'customer_id', error: 'is required' }]
             });
         }
 
         if (!dbConnected) {
-            throw new Error('Database not connected');
+            throw new DependencyUnavailableError('database', 'Database is not connected');
         }
 
-        // Use transaction for order creation
-        const result = await transaction(async (client) => {
-            // Calculate totals
-            let subtotal = 0;
-            for (const item of items) {
-                if (!item.game_id || !item.unit_price || !item.quantity) {
-                    throw new Error('Each item must have game_id, unit_price, and quantity');
-                }
-                subtotal += (item.unit_price * item.quantity);
+        // A registered account's customer_id needs that account's token (or orders:create_any)
+        if (!req.user) {
+            const account = await query(
+                'SELECT 1 FROM customers WHERE customer_id = $1 AND password_hash IS NOT NULL',
+                [customer_id]
+            );
+            if (account.rows.length > 0) {
+                throw new AuthenticationError('Sign in to order for this account', { code: 'ACCOUNT_SIGN_IN_REQUIRED' });
             }
+        }
 
-            const tax_amount = subtotal * 0.08; // 8% tax
-            const shipping_cost = subtotal > 50 ? 0 : 5.99;
-            const total_amount = subtotal + tax_amount + shipping_cost;
+        // Use transaction for order creation
+        const result = await transaction(async (client) => {
+            // Saved addresses are referenced; inline ones are added to the address book.
+            // Only the signed-in customer's own orders use their address book.
+            const addresses = await resolveOrderAddresses(client, customer_id, {
+                shippingAddress: shipping_address,
+                shippingAddressId: shipping_address_id,
+                billingAddress: billing_address,
+                billingAddressId: billing_address_id
+            }, { ownAddressBook: Boolean(req.user && req.user.customer_id === customer_id) });
+            const destination = addresses.shipping
+                ? { country: addresses.shipping.country, region: addresses.shipping.state_province }
+                : null;
+
+            // Resolve items against the catalog (client-supplied prices are ignored),
+            // apply promotions and the tax and shipping rules for the destination.
+            // The exchange rate used is stored with the order.
+            // Per-customer promotion limits only apply to a customer_id the caller is signed in for
+            const quote = await quoteOrder(client, {
+                items,
+                customerId: req.user ? customer_id : null,
+                couponCode: coupon_code || null,
+                destination,
+                target: await resolveCurrency(client, currency)
+            });
+            const { lines, discounts, subtotal, discount_amount, tax_amount, shipping_cost, total_amount } = quote;
+            await reserveStock(client, lines);
 
             // Create order
             const orderQuery = `
                 INSERT INTO orders (
                     customer_id, order_status, total_amount, subtotal, 
-                    tax_amount, shipping_cost, payment_method, order_notes,
-                    estimated_delivery
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                    tax_amount, shipping_cost, discount_amount, currency, fx_rate, payment_method, order_notes,
+                    estimated_delivery, shipping_address_id, billing_address_id
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
                 RETURNING *
             `;
 
             const estimatedDelivery = new Date();
-            estimatedDelivery.setDate(estimatedDelivery.getDate() + 5);
+            estimatedDelivery.setDate(estimatedDelivery.getDate() + quote.estimated_days);
 
             const orderResult = await client.query(orderQuery, [
-                customer_id, 'pending', total_amount, subtotal,
-                tax_amount, shipping_cost, payment_method, order_notes,
-                estimatedDelivery
+                customer_id, 'pending', toDecimal(total_amount), toDecimal(subtotal),
+                toDecimal(tax_amount), toDecimal(shipping_cost), toDecimal(discount_amount), quote.currency, quote.fx_rate,
+                payment_method, order_notes, estimatedDelivery,
+                addresses.shipping ? addresses.shipping.address_id : null,
+                addresses.billing ? addresses.billing.address_id : null
             ]);
 
             const order = orderResult.rows[0];
 
+            await recordOrderCreated(client, order, { changedBy: customer_id });
+            await recordRedemptions(client, order, discounts);
+
+            // Close the cart the order was placed from
+            if (cart_id) {
+                await markCartConverted(client, cart_id, { orderId: order.order_id, customerId: customer_id });
+            }
+
             // Add order items
-            for (const item of items) {
+            for (const line of lines) {
                 const itemQuery = `
                     INSERT INTO order_items (
                         order_id, game_id, game_name, quantity, 
@@ -321,20 +627,18 @@ app.post('/api/orders', async (req, res) => {
                     ) VALUES ($1, $2, $3, $4, $5, $6, $7)
                 `;
 
-                const itemTotal = (item.discount_price || item.unit_price) * item.quantity;
-
                 await client.query(itemQuery, [
                     order.order_id,
-                    item.game_id,
-                    item.game_name,
-                    item.quantity,
-                    item.unit_price,
-                    item.discount_price,
-                    itemTotal
+                    line.game_id,
+                    line.game_name,
+                    line.quantity,
+                    toDecimal(line.unit_price),
+                    line.discount_price !== null ? toDecimal(line.discount_price) : null,
+                    toDecimal(line.total_price)
                 ]);
             }
 
-            return order;
+            return { ...order, items: lines, quote, addresses };
         });
 
         res.status(201).json({
@@ -343,193 +647,164 @@ app.post('/api/orders', async (req, res) => {
             data: {
                 order_id: result.order_id,
                 total_amount: result.total_amount,
+                currency: result.currency,
                 status: result.order_status,
-                estimated_delivery: result.estimated_delivery
+                estimated_delivery: result.estimated_delivery,
+                shipping_address: result.addresses.shipping,
+                billing_address: result.addresses.billing,
+                items: result.items,
+                pricing: pricingBreakdown(result.quote)
             }
         });
 
     } catch (error) {
-        console.error('Error creating order:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to create order',
-            message: error.message
-        });
+        sendProblem(req, res, error, 'Failed to create order');
     }
 });
 
-// 4. Update order status
-app.put('/api/orders/:id/status', async (req, res) => {
+// 4. Update order status (support/admin); only lifecycle transitions are allowed
+app.put('/api/orders/:id/status', authenticate, requirePermission('orders:update_status'),
+    validate({ params: schemas.orderParams, body: schemas.updateOrderStatusBody }), idempotent, async (req, res) => {
     try {
         const { id } = req.params;
         const { status, reason } = req.body;
 
-        const validStatuses = ['pending', 'confirmed', 'shipped', 'delivered', 'cancelled'];
-        if (!validStatuses.includes(status)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid status',
-                validStatuses
-            });
-        }
-
         if (!dbConnected) {
-            throw new Error('Database not connected');
+            throw new DependencyUnavailableError('database', 'Database is not connected');
         }
 
-        const updateQuery = `
-            UPDATE orders 
-            SET order_status = $1, updated_at = CURRENT_TIMESTAMP
-            WHERE order_id = $2 OR id = $3
-            RETURNING *
-        `;
-
-        const result = await query(updateQuery, [status, id, parseInt(id) || 0]);
-
-        if (result.rows.length === 0) {
-            return res.status(404).json({
-                success: false,
-                error: 'Order not found'
-            });
-        }
+        const { previousStatus, order } = await transaction((client) =>
+            transitionOrder(client, id, status, {
+                reason,
+                changedBy: req.user.customer_id
+            })
+        );
 
         res.json({
             success: true,
             message: 'Order status updated successfully',
             data: {
-                order_id: result.rows[0].order_id,
-                new_status: result.rows[0].order_status,
-                updated_at: result.rows[0].updated_at
+                order_id: order.order_id,
+                previous_status: previousStatus,
+                new_status: order.order_status,
+                status_reason: reason || null,
+                updated_at: order.updated_at
             }
         });
 
     } catch (error) {
-        console.error('Error updating order status:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to update order status',
-            message: error.message
-        });
+        sendProblem(req, res, error, 'Failed to update order status');
     }
 });
 
-// 5. Get customer orders
-app.get('/api/customers/:customerId/orders', async (req, res) => {
+// 18. Get order status timeline (owner, support or admin)
+app.get('/api/orders/:id/history', authenticate, validate({ params: schemas.orderParams }), async (req, res) => {
     try {
-        const { customerId } = req.params;
-        const { limit = 10, page = 1 } = req.query;
-        const offset = (page - 1) * limit;
+        const { id } = req.params;
 
         if (!dbConnected) {
-            throw new Error('Database not connected');
+            throw new DependencyUnavailableError('database', 'Database is not connected');
         }
 
-        const ordersQuery = `
-            SELECT 
-                o.order_id, o.order_status, o.total_amount,
-                o.payment_method, o.payment_status, o.created_at,
-                o.estimated_delivery, o.tracking_number
-            FROM orders o
-            WHERE o.customer_id = $1
-            ORDER BY o.created_at DESC
-            LIMIT $2 OFFSET $3
-        `;
+        const orderResult = await query(
+            'SELECT order_id, customer_id, order_status FROM orders WHERE order_id::text = $1 OR id = $2',
+            [id, serialId(id)]
+        );
 
-        const countQuery = `
-            SELECT COUNT(*) as total FROM orders WHERE customer_id = $1
-        `;
+        if (orderResult.rows.length === 0) {
+            throw orderNotFound();
+        }
 
-        const [ordersResult, countResult] = await Promise.all([
-            query(ordersQuery, [customerId, parseInt(limit), offset]),
-            query(countQuery, [customerId])
-        ]);
+        const order = orderResult.rows[0];
+
+        if (order.customer_id !== req.user.customer_id &&
+            !hasPermission(req.user, 'orders:read')) {
+            throw permissionRequired('orders:read');
+        }
 
-        const totalOrders = parseInt(countResult.rows[0].total);
+        const history = await getOrderHistory({ query }, order.order_id);
 
         res.json({
             success: true,
             data: {
-                customer_id: customerId,
-                orders: ordersResult.rows,
-                pagination: {
-                    currentPage: parseInt(page),
-                    totalPages: Math.ceil(totalOrders / limit),
-                    totalItems: totalOrders,
-                    itemsPerPage: parseInt(limit)
-                }
+                order_id: order.order_id,
+                current_status: order.order_status,
+                history
             }
         });
 
     } catch (error) {
-        console.error('Error fetching customer orders:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch customer orders',
-            message: error.message
-        });
+        sendProblem(req, res, error, 'Failed to fetch order history');
     }
 });
 
-// 6. Get order statistics
-app.get('/api/orders/stats/summary', async (req, res) => {
+// Newest first; id breaks ties between orders placed in the same instant
+const CUSTOMER_ORDERS_SORT = defineSort('created_at_desc', [
+    { expression: 'o.created_at', direction: 'DESC' },
+    { expression: 'o.id', direction: 'DESC' }
+]);
+
+// 5. Get customer orders (owner, support or admin)
+app.get('/api/customers/:customerId/orders', authenticate, requireSelfOrPermission('customerId', 'customers:read'),
+    validate({ params: schemas.customerOrdersParams, query: schemas.customerOrdersQuery }), async (req, res) => {
     try {
+        const { customerId } = req.params;
+
+        const { errors, page } = parsePagination(req.query, CUSTOMER_ORDERS_SORT);
+        if (errors.length > 0) {
+            throw invalidPagination(errors);
+        }
+
         if (!dbConnected) {
-            throw new Error('Database not connected');
+            throw new DependencyUnavailableError('database', 'Database is not connected');
         }
 
-        const statsQuery = `
+        const pageQuery = pageSql(page, 2);
+        const ordersQuery = `
             SELECT 
-                COUNT(*) as total_orders,
-                COUNT(CASE WHEN order_status = 'pending' THEN 1 END) as pending_orders,
-                COUNT(CASE WHEN order_status = 'completed' THEN 1 END) as completed_orders,
-                COUNT(CASE WHEN order_status = 'shipped' THEN 1 END) as shipped_orders,
-                ROUND(AVG(total_amount), 2) as average_order_value,
-                SUM(total_amount) as total_revenue,
-                COUNT(DISTINCT customer_id) as unique_customers
-            FROM orders
+                o.order_id, o.order_status, o.total_amount, o.currency,
+                o.payment_method, o.payment_status, o.created_at,
+                o.estimated_delivery, o.tracking_number,
+                ${pageQuery.cursorColumn}
+            FROM orders o
+            WHERE o.customer_id = $1
+            ${pageQuery.condition ? `AND ${pageQuery.condition}` : ''}
+            ORDER BY ${pageQuery.orderBy}
+            ${pageQuery.limitClause}
         `;
 
-        const dailyStatsQuery = `
-            SELECT 
-                DATE(created_at) as order_date,
-                COUNT(*) as orders_count,
-                SUM(total_amount) as daily_revenue
-            FROM orders
-            WHERE created_at >= CURRENT_DATE - INTERVAL '7 days'
-            GROUP BY DATE(created_at)
-            ORDER BY order_date DESC
+        const countQuery = `
+            SELECT COUNT(*) as total FROM orders WHERE customer_id = $1
         `;
 
-        const [statsResult, dailyResult] = await Promise.all([
-            query(statsQuery),
-            query(dailyStatsQuery)
+        const [ordersResult, countResult] = await Promise.all([
+            query(ordersQuery, [customerId, ...pageQuery.params]),
+            query(countQuery, [customerId])
         ]);
 
+        const { items: orders, pagination } = buildPage(ordersResult.rows, page, parseInt(countResult.rows[0].total));
+        setPageLinks(req, res, pagination);
+
         res.json({
             success: true,
             data: {
-                overall: statsResult.rows[0],
-                daily_stats: dailyResult.rows
+                customer_id: customerId,
+                orders,
+                pagination
             }
         });
 
     } catch (error) {
-        console.error('Error fetching order statistics:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch order statistics',
-            message: error.message
-        });
+        sendProblem(req, res, error, 'Failed to fetch customer orders');
     }
 });
 
 // Customer Management Routes
 
-// 7. Create new customer
-app.post('/api/customers', async (req, res) => {
+// 7. Create new customer (admin; customers sign up via /api/auth/register)
+app.post('/api/customers', authenticate, requirePermission('customers:write'), validate({ body: schemas.createCustomerBody }), idempotent, async (req, res) => {
     try {
         const {
-            customer_id,
             first_name,
             last_name,
             email,
@@ -537,22 +812,16 @@ app.post('/api/customers', async (req, res) => {
             date_of_birth
         } = req.body;
 
-        // Validation
-        if (!customer_id || !first_name || !last_name || !email) {
-            return res.status(400).json({
-                success: false,
-                error: 'Missing required fields: customer_id, first_name, last_name, email'
-            });
-        }
+        const customer_id = req.body.customer_id || `customer_${uuidv4()}`;
 
         if (!dbConnected) {
-            throw new Error('Database not connected');
+            throw new DependencyUnavailableError('database', 'Database is not connected');
         }
 
         const customerQuery = `
             INSERT INTO customers (customer_id, first_name, last_name, email, phone, date_of_birth)
             VALUES ($1, $2, $3, $4, $5, $6)
-            RETURNING *
+            RETURNING ${CUSTOMER_COLUMNS}
         `;
 
         const result = await query(customerQuery, [
@@ -566,43 +835,30 @@ app.post('/api/customers', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Error creating customer:', error);
-        if (error.code === '23505') { // Unique violation
-            res.status(409).json({
-                success: false,
-                error: 'Customer with this ID or email already exists'
-            });
-        } else {
-            res.status(500).json({
-                success: false,
-                error: 'Failed to create customer',
-                message: error.message
-            });
-        }
+        sendProblem(req, res, error.code === '23505' // Unique violation
+            ? new ConflictError('Customer with this ID or email already exists', { code: 'CUSTOMER_EXISTS' })
+            : error, 'Failed to create customer');
     }
 });
 
-// 8. Get customer by ID
-app.get('/api/customers/:id', async (req, res) => {
+// 8. Get customer by ID (owner, support or admin)
+app.get('/api/customers/:id', authenticate, requireSelfOrPermission('id', 'customers:read'), validate({ params: schemas.customerParams }), async (req, res) => {
     try {
         const { id } = req.params;
 
         if (!dbConnected) {
-            throw new Error('Database not connected');
+            throw new DependencyUnavailableError('database', 'Database is not connected');
         }
 
         const customerQuery = `
-            SELECT * FROM customers 
+            SELECT ${CUSTOMER_COLUMNS} FROM customers 
             WHERE customer_id = $1
         `;
 
         const result = await query(customerQuery, [id]);
 
         if (result.rows.length === 0) {
-            return res.status(404).json({
-                success: false,
-                error: 'Customer not found'
-            });
+            throw customerNotFound();
         }
 
         res.json({
@@ -611,67 +867,1041 @@ app.get('/api/customers/:id', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Error fetching customer:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to fetch customer',
-            message: error.message
+        sendProblem(req, res, error, 'Failed to fetch customer');
+    }
+});
+
+const sendCustomerError = (req, res, error, fallbackMessage) => sendProblem(req, res, error.code === '23505' // Unique violation
+    ? new ConflictError('A customer with this email already exists', { code: 'EMAIL_TAKEN' })
+    : error, fallbackMessage);
+
+// 42. Update a customer's profile (owner or customers:write)
+app.patch('/api/customers/:id', authenticate, requireSelfOrPermission('id', 'customers:write'),
+    validate({ params: schemas.customerParams, body: schemas.updateCustomerBody }), idempotent, async (req, res) => {
+    try {
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const customer = await updateCustomer(req.params.id, req.body);
+
+        res.json({
+            success: true,
+            message: 'Customer updated successfully',
+            data: customer
         });
+
+    } catch (error) {
+        sendCustomerError(req, res, error, 'Failed to update customer');
     }
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-    console.error('Error:', err);
-    res.status(500).json({
-        success: false,
-        error: 'Internal server error',
-        message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
-    });
+// 43. Delete a customer (right to erasure; owner or customers:write). Personal data is anonymized in
+// Postgres and in the analytics events; orders are kept for accounting.
+app.delete('/api/customers/:id', authenticate, requireSelfOrPermission('id', 'customers:write'),
+    validate({ params: schemas.customerParams }), idempotent, async (req, res) => {
+    try {
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const erasure = await eraseCustomer(req.params.id, {
+            Authorization: req.get('Authorization') || '',
+            ...correlationHeaders(req)
+        });
+
+        // Customers deleting their own account are signed out everywhere
+        if (req.user.customer_id === req.params.id) {
+            await revokeSession(req.user, null);
+        }
+
+        res.json({
+            success: true,
+            message: 'Customer deleted and personal data anonymized',
+            data: erasure
+        });
+
+    } catch (error) {
+        sendCustomerError(req, res, error, 'Failed to delete customer');
+    }
 });
 
-// 404 handler
-app.use('*', (req, res) => {
-    res.status(404).json({
-        success: false,
-        error: 'Route not found',
-        message: `The requested endpoint ${req.method} ${req.originalUrl} does not exist`
-    });
+// 44. Download everything stored about a customer as JSON (owner or customers:read)
+app.get('/api/customers/:id/export', authenticate, requireSelfOrPermission('id', 'customers:read'),
+    validate({ params: schemas.customerParams }), async (req, res) => {
+    try {
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const data = await exportCustomerData(req.params.id);
+
+        res.set('Content-Disposition',
+            `attachment; filename="lugx-customer-${req.params.id}-${data.exported_at.slice(0, 10)}.json"`);
+        res.json({
+            success: true,
+            data
+        });
+
+    } catch (error) {
+        sendCustomerError(req, res, error, 'Failed to export customer data');
+    }
 });
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-    console.log('🛑 SIGTERM received, shutting down gracefully');
-    await closePool();
-    process.exit(0);
+// Address Book Routes
+
+const sendAddressError = (req, res, error, fallbackMessage) => sendProblem(req, res, error.code === '23503' // Foreign key violation: unknown customer
+    ? customerNotFound()
+    : error, fallbackMessage);
+
+// 37. List a customer's saved addresses (owner, support or admin); ?type=shipping|billing
+app.get('/api/customers/:id/addresses', authenticate, requireSelfOrPermission('id', 'customers:read'),
+    validate({ params: schemas.customerParams, query: schemas.addressListQuery }), async (req, res) => {
+    try {
+        const { type } = req.query;
+
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const addresses = await listAddresses(req.params.id, type || null);
+
+        res.json({
+            success: true,
+            data: addresses,
+            count: addresses.length
+        });
+
+    } catch (error) {
+        sendAddressError(req, res, error, 'Failed to fetch addresses');
+    }
 });
 
-process.on('SIGINT', async () => {
-    console.log('🛑 SIGINT received, shutting down gracefully');
-    await closePool();
-    process.exit(0);
+// 38. Get a saved address (owner, support or admin)
+app.get('/api/customers/:id/addresses/:addressId', authenticate, requireSelfOrPermission('id', 'customers:read'),
+    validate({ params: schemas.addressParams }), async (req, res) => {
+    try {
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const address = await getAddress(req.params.id, req.params.addressId);
+
+        if (!address) {
+            throw new NotFoundError('Address not found', { code: 'ADDRESS_NOT_FOUND' });
+        }
+
+        res.json({
+            success: true,
+            data: address
+        });
+
+    } catch (error) {
+        sendAddressError(req, res, error, 'Failed to fetch address');
+    }
 });
 
-// Start server
-const startServer = async () => {
-    await initializeDatabase();
-    
-    app.listen(PORT, () => {
-        console.log(`🛒 Order Service running on port ${PORT}`);
-        console.log(`🔗 Health check: http://localhost:${PORT}/health`);
-        console.log(`📊 Database status: ${dbConnected ? 'Connected' : 'Disconnected'}`);
-        console.log('Available endpoints:');
-        console.log('  GET  /api/orders                     - Get all orders with filtering');
-        console.log('  GET  /api/orders/:id                 - Get specific order with details');
-        console.log('  POST /api/orders                     - Create new order');
-        console.log('  PUT  /api/orders/:id/status          - Update order status');
-        console.log('  GET  /api/customers/:id/orders       - Get customer orders');
-        console.log('  GET  /api/orders/stats/summary       - Get order statistics');
-        console.log('  POST /api/customers                  - Create new customer');
-        console.log('  GET  /api/customers/:id              - Get customer details');
-    });
-};
+// 39. Add an address (owner or customers:write)
+app.post('/api/customers/:id/addresses', authenticate, requireSelfOrPermission('id', 'customers:write'),
+    validate({ params: schemas.customerParams, body: schemas.createAddressBody }), idempotent, async (req, res) => {
+    try {
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const address = await createAddress(req.params.id, req.body);
+
+        res.status(201).json({
+            success: true,
+            message: 'Address created successfully',
+            data: address
+        });
+
+    } catch (error) {
+        sendAddressError(req, res, error, 'Failed to create address');
+    }
+});
+
+// 40. Update an address (owner or customers:write); addresses used by orders get a new address_id
+app.patch('/api/customers/:id/addresses/:addressId', authenticate, requireSelfOrPermission('id', 'customers:write'),
+    validate({ params: schemas.addressParams, body: schemas.updateAddressBody }), idempotent, async (req, res) => {
+    try {
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const address = await updateAddress(req.params.id, req.params.addressId, req.body);
+
+        res.json({
+            success: true,
+            message: 'Address updated successfully',
+            data: address
+        });
+
+    } catch (error) {
+        sendAddressError(req, res, error, 'Failed to update address');
+    }
+});
+
+// 41. Delete an address (owner or customers:write)
+app.delete('/api/customers/:id/addresses/:addressId', authenticate, requireSelfOrPermission('id', 'customers:write'),
+    validate({ params: schemas.addressParams }), idempotent, async (req, res) => {
+    try {
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const address = await deleteAddress(req.params.id, req.params.addressId);
+
+        res.json({
+            success: true,
+            message: 'Address deleted successfully',
+            data: { address_id: address.address_id }
+        });
+
+    } catch (error) {
+        sendAddressError(req, res, error, 'Failed to delete address');
+    }
+});
+
+// Authentication Routes
+
+// Signing in must not fail because the anonymous cart could not be merged
+const mergeGuestCart = async (cartId, customerId) => {
+    if (typeof cartId !== 'string' || !cartId) {
+        return null;
+    }
+    try {
+        return await mergeCarts(cartId, customerId);
+    } catch (error) {
+        console.error('❌ Failed to merge cart on sign-in:', error.message);
+        return null;
+    }
+};
+
+// 9. Register a customer account
+app.post('/api/auth/register', validate({ body: schemas.registerBody }), async (req, res) => {
+    try {
+        const {
+            email,
+            password,
+            first_name,
+            last_name,
+            phone,
+            date_of_birth
+        } = req.body;
+
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const passwordHash = await hashPassword(password);
+
+        const customer = await transaction(async (client) => {
+            const customerResult = await client.query(`
+                INSERT INTO customers (
+                    customer_id, first_name, last_name, email, phone, date_of_birth, password_hash
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+                RETURNING ${CUSTOMER_COLUMNS}
+            `, [
+                `customer_${uuidv4()}`, first_name, last_name, email.trim().toLowerCase(),
+                phone, date_of_birth, passwordHash
+            ]);
+
+            const created = customerResult.rows[0];
+
+            await client.query(
+                'INSERT INTO user_roles (customer_id, role) VALUES ($1, $2)',
+                [created.customer_id, 'customer']
+            );
+
+            return created;
+        });
+
+        const tokens = await issueTokens(customer.customer_id);
+        const cart = await mergeGuestCart(req.body.cart_id, customer.customer_id);
+
+        res.status(201).json({
+            success: true,
+            message: 'Account created successfully',
+            data: {
+                customer,
+                tokens,
+                cart_id: cart ? cart.cart_id : null
+            }
+        });
+
+    } catch (error) {
+        sendProblem(req, res, error.code === '23505' // Unique violation
+            ? new ConflictError('An account with this email already exists', { code: 'EMAIL_TAKEN' })
+            : error, 'Failed to register customer');
+    }
+});
+
+// 10. Log in with email and password
+app.post('/api/auth/login', validate({ body: schemas.loginBody }), async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const result = await query(
+            'SELECT customer_id, password_hash FROM customers WHERE LOWER(email) = LOWER($1)',
+            [email.trim()]
+        );
+
+        const account = result.rows[0];
+        const passwordMatches = account ? await verifyPassword(password, account.password_hash) : false;
+
+        if (!passwordMatches) {
+            throw new AuthenticationError('Invalid email or password', { code: 'INVALID_CREDENTIALS' });
+        }
+
+        const tokens = await issueTokens(account.customer_id);
+        const cart = await mergeGuestCart(req.body.cart_id, account.customer_id);
+
+        res.json({
+            success: true,
+            message: 'Logged in successfully',
+            data: {
+                customer_id: account.customer_id,
+                tokens,
+                cart_id: cart ? cart.cart_id : null
+            }
+        });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to log in');
+    }
+});
+
+// 11. Exchange a refresh token for a new token pair
+app.post('/api/auth/refresh', validate({ body: schemas.refreshBody }), async (req, res) => {
+    try {
+        const { refresh_token } = req.body;
+
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const tokens = await rotateRefreshToken(refresh_token);
+
+        if (!tokens) {
+            throw new AuthenticationError('Invalid or expired refresh token', { code: 'INVALID_REFRESH_TOKEN' });
+        }
+
+        res.json({
+            success: true,
+            data: { tokens }
+        });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to refresh token');
+    }
+});
+
+// 12. Log out (revokes the access token and, if sent, the refresh token)
+app.post('/api/auth/logout', authenticate, validate({ body: schemas.logoutBody }), async (req, res) => {
+    try {
+        const { refresh_token, all_sessions } = req.body;
+
+        await revokeSession(req.user, typeof refresh_token === 'string' ? refresh_token : null);
+
+        if (all_sessions === true) {
+            await revokeAllRefreshTokens(req.user.customer_id);
+        }
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to log out');
+    }
+});
+
+// 13. Get the authenticated customer's profile
+app.get('/api/auth/me', authenticate, async (req, res) => {
+    try {
+        const result = await query(
+            `SELECT ${CUSTOMER_COLUMNS} FROM customers WHERE customer_id = $1`,
+            [req.user.customer_id]
+        );
+
+        if (result.rows.length === 0) {
+            throw customerNotFound();
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ...result.rows[0],
+                roles: req.user.roles
+            }
+        });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to fetch current customer');
+    }
+});
+
+// Role Management Routes
+
+const getCustomerRoles = async (db, customerId) => {
+    const result = await db.query(
+        'SELECT role FROM user_roles WHERE customer_id = $1 ORDER BY role',
+        [customerId]
+    );
+    return result.rows.map(row => row.role);
+};
+
+// Throws when the change would leave the platform without any admin
+const ensureAdminRemains = async (client, customerId) => {
+    const result = await client.query(
+        "SELECT COUNT(*) as admin_count FROM user_roles WHERE role = 'admin' AND customer_id <> $1",
+        [customerId]
+    );
+    if (parseInt(result.rows[0].admin_count) === 0) {
+        throw new ConflictError('Cannot remove the last admin', { code: 'LAST_ADMIN' });
+    }
+};
+
+const sendRoleAssignments = (res, customerId, roles, message) => res.json({
+    success: true,
+    message,
+    data: {
+        customer_id: customerId,
+        roles,
+        permissions: permissionsForRoles(roles)
+    }
+});
+
+// 14. List roles and the permissions they grant
+app.get('/api/roles', authenticate, (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            roles: ROLES.map(role => ({
+                role,
+                permissions: ROLE_PERMISSIONS[role]
+            }))
+        }
+    });
+});
+
+// 15. Get a customer's role assignments (owner or admin)
+app.get('/api/customers/:id/roles', authenticate, requireSelfOrPermission('id', 'roles:manage'),
+    validate({ params: schemas.customerParams }), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const customer = await query('SELECT 1 FROM customers WHERE customer_id = $1', [id]);
+
+        if (customer.rows.length === 0) {
+            throw customerNotFound();
+        }
+
+        const roles = await getCustomerRoles({ query }, id);
+
+        sendRoleAssignments(res, id, roles, 'Role assignments retrieved');
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to fetch customer roles');
+    }
+});
+
+// 16. Replace a customer's role assignments (admin)
+app.put('/api/customers/:id/roles', authenticate, requirePermission('roles:manage'),
+    validate({ params: schemas.customerParams, body: schemas.updateRolesBody }), idempotent, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { roles } = req.body;
+
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const updatedRoles = await transaction(async (client) => {
+            const customer = await client.query(
+                'SELECT 1 FROM customers WHERE customer_id = $1 FOR UPDATE',
+                [id]
+            );
+
+            if (customer.rows.length === 0) {
+                return null;
+            }
+
+            const currentRoles = await getCustomerRoles(client, id);
+
+            if (currentRoles.includes('admin') && !roles.includes('admin')) {
+                await ensureAdminRemains(client, id);
+            }
+
+            await client.query('DELETE FROM user_roles WHERE customer_id = $1', [id]);
+
+            for (const role of new Set(roles)) {
+                await client.query(
+                    'INSERT INTO user_roles (customer_id, role) VALUES ($1, $2)',
+                    [id, role]
+                );
+            }
+
+            return getCustomerRoles(client, id);
+        });
+
+        if (!updatedRoles) {
+            throw customerNotFound();
+        }
+
+        sendRoleAssignments(res, id, updatedRoles, 'Roles updated successfully (effective on next token refresh)');
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to update customer roles');
+    }
+});
+
+// 17. Revoke a single role from a customer (admin)
+app.delete('/api/customers/:id/roles/:role', authenticate, requirePermission('roles:manage'),
+    validate({ params: schemas.customerRoleParams }), idempotent, async (req, res) => {
+    try {
+        const { id, role } = req.params;
+
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const remainingRoles = await transaction(async (client) => {
+            if (role === 'admin') {
+                await ensureAdminRemains(client, id);
+            }
+
+            const result = await client.query(
+                'DELETE FROM user_roles WHERE customer_id = $1 AND role = $2',
+                [id, role]
+            );
+
+            return result.rowCount === 0 ? null : getCustomerRoles(client, id);
+        });
+
+        if (!remainingRoles) {
+            throw new NotFoundError('Role assignment not found', { code: 'ROLE_ASSIGNMENT_NOT_FOUND' });
+        }
+
+        sendRoleAssignments(res, id, remainingRoles, 'Role revoked successfully (effective on next token refresh)');
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to revoke customer role');
+    }
+});
+
+// Payment Routes
+
+const findOrderOwner = async (id) => {
+    const result = await query(`
+        SELECT o.order_id, o.customer_id, c.password_hash IS NOT NULL as has_account
+        FROM orders o
+        LEFT JOIN customers c ON o.customer_id = c.customer_id
+        WHERE o.order_id::text = $1 OR o.id = $2
+    `, [id, serialId(id)]);
+    return result.rows[0] || null;
+};
+
+// 19. Pay for an order (owner; guest checkouts may pay without signing in)
+app.post('/api/orders/:id/payments', optionalAuthenticate,
+    validate({ params: schemas.orderParams, body: schemas.paymentBody }), idempotent, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { payment_token, capture = true } = req.body;
+
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const order = await findOrderOwner(id);
+
+        if (!order) {
+            throw orderNotFound();
+        }
+
+        const allowed = req.user
+            ? order.customer_id === req.user.customer_id || hasPermission(req.user, 'payments:manage')
+            : !order.has_account;
+
+        if (!allowed) {
+            throw req.user
+                ? permissionRequired('payments:manage')
+                : new AuthenticationError('Sign in to pay for this order');
+        }
+
+        const payment = await startPayment(order.order_id, {
+            paymentToken: payment_token,
+            capture: capture !== false,
+            actor: req.user ? req.user.customer_id : order.customer_id
+        });
+
+        const statusCode = payment.status === 'failed' ? 402 : payment.status === 'pending' ? 202 : 201;
+
+        res.status(statusCode).json({
+            success: payment.status !== 'failed',
+            message: payment.status === 'failed'
+                ? 'Payment failed'
+                : payment.status === 'pending' ? 'Payment is being processed' : 'Payment processed successfully',
+            data: payment
+        });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to process payment');
+    }
+});
+
+// 20. List payments for an order (owner, support or admin)
+app.get('/api/orders/:id/payments', authenticate, validate({ params: schemas.orderParams }), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const order = await findOrderOwner(id);
+
+        if (!order) {
+            throw orderNotFound();
+        }
+
+        if (order.customer_id !== req.user.customer_id && !hasPermission(req.user, 'orders:read')) {
+            throw permissionRequired('orders:read');
+        }
+
+        const payments = await getOrderPayments(order.order_id);
+
+        res.json({
+            success: true,
+            data: {
+                order_id: order.order_id,
+                payments
+            }
+        });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to fetch payments');
+    }
+});
+
+// 21. Capture an authorized payment (admin)
+app.post('/api/payments/:paymentId/capture', authenticate, requirePermission('payments:manage'),
+    validate({ params: schemas.paymentParams }), idempotent, async (req, res) => {
+    try {
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const payment = await capturePayment(req.params.paymentId, req.user.customer_id);
+
+        res.json({
+            success: payment.status === 'captured',
+            message: payment.status === 'captured' ? 'Payment captured' : 'Payment could not be captured',
+            data: payment
+        });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to capture payment');
+    }
+});
+
+// 22. Void an authorized payment (admin); the order is cancelled
+app.post('/api/payments/:paymentId/void', authenticate, requirePermission('payments:manage'),
+    validate({ params: schemas.paymentParams }), idempotent, async (req, res) => {
+    try {
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const payment = await voidPayment(req.params.paymentId, req.user.customer_id);
+
+        res.json({
+            success: payment.status === 'voided',
+            message: payment.status === 'voided' ? 'Payment voided' : 'Payment could not be voided',
+            data: payment
+        });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to void payment');
+    }
+});
+
+// 23. Payment provider webhook (authenticated by the X-Lugx-Signature header)
+app.post('/api/payments/webhooks/:provider', validate({ params: schemas.webhookParams }), async (req, res) => {
+    try {
+        if (!verifyWebhookSignature(req.rawBody || '', req.get('X-Lugx-Signature'))) {
+            throw new AuthenticationError('Invalid webhook signature', { code: 'INVALID_WEBHOOK_SIGNATURE' });
+        }
+
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const { duplicate, payment } = await handleWebhook(req.params.provider, req.body);
+
+        res.json({
+            success: true,
+            message: duplicate ? 'Event already processed' : 'Event processed',
+            data: payment
+        });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to process payment webhook');
+    }
+});
+
+// Refund Routes
+
+// 35. Refund an order, fully or per order item (orders:refund)
+app.post('/api/orders/:id/refunds', authenticate, requirePermission('orders:refund'),
+    validate({ params: schemas.orderParams, body: schemas.refundBody }), idempotent, async (req, res) => {
+    try {
+        const { items, reason, note, restock } = req.body;
+
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const refund = await refundOrder(req.params.id, { items, reason, note, restock }, req.user.customer_id);
+
+        const statusCode = refund.status === 'failed' ? 502 : refund.status === 'pending' ? 202 : 201;
+
+        res.status(statusCode).json({
+            success: refund.status !== 'failed',
+            message: refund.status === 'failed'
+                ? 'Refund failed'
+                : refund.status === 'pending' ? 'Refund is being processed' : 'Refund processed successfully',
+            data: refund
+        });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to refund order');
+    }
+});
+
+// 36. List refunds for an order (owner, support or admin)
+app.get('/api/orders/:id/refunds', authenticate, validate({ params: schemas.orderParams }), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const order = await findOrderOwner(id);
+
+        if (!order) {
+            throw orderNotFound();
+        }
+
+        if (order.customer_id !== req.user.customer_id && !hasPermission(req.user, 'orders:read')) {
+            throw permissionRequired('orders:read');
+        }
+
+        const refunds = await getOrderRefunds(order.order_id);
+
+        res.json({
+            success: true,
+            data: {
+                order_id: order.order_id,
+                refunds
+            }
+        });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to fetch refunds');
+    }
+});
+
+// Cart Routes
+
+// 24. Open a cart (anonymous, or the signed-in customer's active cart)
+app.post('/api/carts', optionalAuthenticate, validate({ query: schemas.CURRENCY_QUERY }), async (req, res) => {
+    try {
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const { created, cart } = await openCart(req.user, req.query.currency);
+
+        res.status(created ? 201 : 200).json({
+            success: true,
+            message: created ? 'Cart created' : 'Existing cart returned',
+            data: cart
+        });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to create cart');
+    }
+});
+
+// 25. Get cart items, repriced against the current catalog
+app.get('/api/carts/:cartId/items', optionalAuthenticate,
+    validate({ params: schemas.cartParams, query: schemas.CURRENCY_QUERY }), async (req, res) => {
+    try {
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const cart = await getCart(req.params.cartId, req.user, req.query.currency);
+
+        res.json({
+            success: true,
+            data: cart
+        });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to fetch cart');
+    }
+});
+
+// 26. Add a game to the cart (adds to the quantity if it is already there)
+app.post('/api/carts/:cartId/items', optionalAuthenticate,
+    validate({ params: schemas.cartParams, query: schemas.CURRENCY_QUERY, body: schemas.addCartItemBody }), idempotent, async (req, res) => {
+    try {
+        const { game_id, quantity } = req.body;
+
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const cart = await addCartItem(req.params.cartId, req.user, { game_id, quantity }, req.query.currency);
+
+        res.status(201).json({
+            success: true,
+            message: 'Item added to cart',
+            data: cart
+        });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to add cart item');
+    }
+});
+
+// 27. Change the quantity of a game in the cart
+app.patch('/api/carts/:cartId/items/:gameId', optionalAuthenticate,
+    validate({ params: schemas.cartItemParams, query: schemas.CURRENCY_QUERY, body: schemas.updateCartItemBody }), idempotent, async (req, res) => {
+    try {
+        const { quantity } = req.body;
+
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const cart = await updateCartItem(req.params.cartId, req.user, req.params.gameId, quantity, req.query.currency);
+
+        res.json({
+            success: true,
+            message: 'Cart item updated',
+            data: cart
+        });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to update cart item');
+    }
+});
+
+// 28. Remove a game from the cart
+app.delete('/api/carts/:cartId/items/:gameId', optionalAuthenticate,
+    validate({ params: schemas.cartItemParams, query: schemas.CURRENCY_QUERY }), idempotent, async (req, res) => {
+    try {
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const cart = await removeCartItems(req.params.cartId, req.user, req.params.gameId, req.query.currency);
+
+        res.json({
+            success: true,
+            message: 'Cart item removed',
+            data: cart
+        });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to remove cart item');
+    }
+});
+
+// 29. Empty the cart
+app.delete('/api/carts/:cartId/items', optionalAuthenticate,
+    validate({ params: schemas.cartParams, query: schemas.CURRENCY_QUERY }), idempotent, async (req, res) => {
+    try {
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const cart = await removeCartItems(req.params.cartId, req.user, null, req.query.currency);
+
+        res.json({
+            success: true,
+            message: 'Cart emptied',
+            data: cart
+        });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to empty cart');
+    }
+});
+
+// Promotion Routes
+
+const couponCodeTaken = () => new ConflictError('A coupon with this code already exists', { code: 'COUPON_CODE_TAKEN' });
+
+// 30. Running sales and automatic promotions (public; coupons are not listed)
+app.get('/api/promotions/active', async (req, res) => {
+    try {
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const promotions = await loadActivePromotions({ query });
+
+        res.json({
+            success: true,
+            data: promotions.map(({ max_uses, per_customer_limit, ...promotion }) => promotion)
+        });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to fetch promotions');
+    }
+});
+
+// 31. List all promotions, including coupons (promotions:manage)
+app.get('/api/promotions', authenticate, requirePermission('promotions:manage'),
+    validate({ query: schemas.listPromotionsQuery }), async (req, res) => {
+    try {
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const promotions = await listPromotions({ activeOnly: req.query.active === 'true' });
+
+        res.json({
+            success: true,
+            data: promotions
+        });
+
+    } catch (error) {
+        sendProblem(req, res, error, 'Failed to fetch promotions');
+    }
+});
+
+// 32. Create a coupon, category or bundle promotion, or a scheduled sale (promotions:manage)
+app.post('/api/promotions', authenticate, requirePermission('promotions:manage'),
+    validate({ body: schemas.createPromotionBody }), idempotent, async (req, res) => {
+    try {
+        const { errors, promotion } = validatePromotion(req.body || {});
+
+        if (errors.length > 0) {
+            throw new ValidationError('Invalid promotion', { details: errors });
+        }
+
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const created = await createPromotion(promotion);
+
+        res.status(201).json({
+            success: true,
+            message: 'Promotion created successfully',
+            data: created
+        });
+
+    } catch (error) {
+        if (error.code === '23505') { // Unique violation on code
+            return sendProblem(req, res, couponCodeTaken());
+        }
+        sendProblem(req, res, error, 'Failed to create promotion');
+    }
+});
+
+// 33. Update or deactivate a promotion (promotions:manage)
+app.patch('/api/promotions/:id', authenticate, requirePermission('promotions:manage'),
+    validate({ params: schemas.promotionParams, body: schemas.updatePromotionBody }), idempotent, async (req, res) => {
+    try {
+        if (!dbConnected) {
+            throw new DependencyUnavailableError('database', 'Database is not connected');
+        }
+
+        const promotion = await updatePromotion(req.params.id, req.body || {});
+
+        res.json({
+            success: true,
+            message: 'Promotion updated successfully',
+            data: promotion
+        });
+
+    } catch (error) {
+        if (error.code === '23505') {
+            return sendProblem(req, res, couponCodeTaken());
+        }
+        sendProblem(req, res, error, 'Failed to update promotion');
+    }
+});
+
+// Error handling middleware
+app.use(errorHandler);
+
+// 404 handler
+app.use('*', routeNotFound);
+
+// Graceful shutdown
+process.on('SIGTERM', async () => {
+    console.log('🛑 SIGTERM received, shutting down gracefully');
+    await closePool();
+    process.exit(0);
+});
+
+process.on('SIGINT', async () => {
+    console.log('🛑 SIGINT received, shutting down gracefully');
+    await closePool();
+    process.exit(0);
+});
+
+// Start server
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+const startServer = async (port = PORT) => {
+    await initializeDatabase();
+
+    // Expired idempotency keys are only needed until their replay window ends;
+    // carts past their expiry are flagged in the same sweep
+    setInterval(() => {
+        if (dbConnected) {
+            purgeExpiredIdempotencyKeys().catch(error =>
+                console.error('❌ Failed to purge idempotency keys:', error.message));
+            expireCarts().catch(error =>
+                console.error('❌ Failed to expire carts:', error.message));
+        }
+    }, CLEANUP_INTERVAL_MS).unref();
+    
+    return new Promise((resolve) => {
+        const server = app.listen(port, () => {
+            const url = `http://localhost:${server.address().port}`;
+            console.log(`🛒 Order Service running on port ${server.address().port}`);
+            console.log(`🔗 Health check: ${url}/health`);
+            console.log(`📊 Database status: ${dbConnected ? 'Connected' : 'Disconnected'}`);
+            console.log(`📖 API explorer: ${url}/api/orders/docs (OpenAPI document: ${url}/api/orders/openapi.json)`);
+            resolve(server);
+        });
+    });
+};
+
+if (require.main === module) {
+    startServer().catch(console.error);
+}
 
-startServer().catch(console.error);
+module.exports = { app, startServer };
 
-module.exports = app;
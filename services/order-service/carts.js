@@ -0,0 +1,342 @@
+const { query, transaction, serialId } = require('./database');
+const { MAX_QUANTITY_PER_ITEM, normalizeOrderItems, loadGames } = require('./order-pricing');
+const { loadActivePromotions } = require('./promotions');
+const { salePriceFor } = require('./sales');
+const { DEFAULT_CURRENCY, fromDecimal, toDecimal, multiply, sum, compare } = require('./money');
+const { BASE_CURRENCY, resolveCurrency, fromBase } = require('./currencies');
+const { ApiError, ValidationError, AuthenticationError, ForbiddenError, NotFoundError, ConflictError } = require('./errors');
+
+// Server-side shopping carts.
+// A cart is identified by its cart_id. Anonymous carts (no customer_id) are
+// accessible to whoever holds the id and are merged into the customer's cart
+// when they sign in. Carts expire after CART_TTL_DAYS without activity; expired,
+// merged and converted carts are kept (status != 'active') for abandonment
+// analysis instead of being deleted.
+//
+// Cart lines store the price at the time they were added. Every read
+// revalidates them against the games table and running sales, so callers
+// always see current prices, availability and which lines changed since
+// they were added. Prices are money values and serialize as decimal strings;
+// reads can show them in any supported currency (stored prices stay in the
+// base currency, so exchange rate changes are not reported as price changes).
+
+const CART_TTL_DAYS = parseInt(process.env.CART_TTL_DAYS) || 30;
+
+const CART_COLUMNS = 'cart_id, customer_id, status, created_at, updated_at, expires_at';
+
+// Lock a cart and check the caller may use it. Customer carts belong to their
+// customer; anonymous carts to anyone holding the id.
+const lockCart = async (client, cartId, user) => {
+    const result = await client.query(
+        `SELECT ${CART_COLUMNS}, expires_at < CURRENT_TIMESTAMP as is_expired FROM carts WHERE cart_id::text = $1 FOR UPDATE`,
+        [String(cartId)]
+    );
+    const cart = result.rows[0];
+
+    if (!cart) {
+        throw new NotFoundError('Cart not found', { code: 'CART_NOT_FOUND' });
+    }
+    if (cart.customer_id && (!user || user.customer_id !== cart.customer_id)) {
+        throw user
+            ? new ForbiddenError('This cart belongs to another customer', { code: 'CART_OWNED_BY_OTHER' })
+            : new AuthenticationError('Sign in to use this cart');
+    }
+    if (cart.status === 'active' && cart.is_expired) {
+        await client.query("UPDATE carts SET status = 'expired' WHERE cart_id = $1", [cart.cart_id]);
+        cart.status = 'expired';
+    }
+    if (cart.status !== 'active') {
+        throw new ApiError(410, 'CART_CLOSED', `Cart is ${cart.status}`, { cart_status: cart.status });
+    }
+
+    return cart;
+};
+
+// Extend the expiry window after any change to the cart
+const touchCart = async (client, cartId) => {
+    const result = await client.query(`
+        UPDATE carts
+        SET updated_at = CURRENT_TIMESTAMP,
+            expires_at = CURRENT_TIMESTAMP + make_interval(days => $1)
+        WHERE cart_id = $2
+        RETURNING ${CART_COLUMNS}
+    `, [CART_TTL_DAYS, cartId]);
+    return result.rows[0];
+};
+
+// Catalog prices of a cart row as a pricing line in the target currency
+const catalogLine = (row, target) => ({
+    game_id: row.game_id,
+    category: row.category,
+    unit_price: fromBase(row.price, target),
+    discount_price: row.discount_price !== null ? fromBase(row.discount_price, target) : null
+});
+
+// Load the cart lines and reprice them against the catalog
+const readCart = async (db, cart, target = BASE_CURRENCY) => {
+    const result = await db.query(`
+        SELECT ci.game_id, ci.quantity, ci.unit_price as added_price, ci.created_at as added_at,
+               g.name as game_name, g.category, g.image_url, g.price, g.discount_price,
+               g.stock_quantity, g.is_archived
+        FROM cart_items ci
+        JOIN games g ON g.game_id = ci.game_id
+        WHERE ci.cart_id = $1
+        ORDER BY ci.created_at ASC, ci.id ASC
+    `, [cart.cart_id]);
+    const promotions = result.rows.length > 0 ? await loadActivePromotions(db) : [];
+
+    const items = result.rows.map(row => {
+        const line = catalogLine(row, target);
+        const { price, sale } = salePriceFor(line, promotions, target);
+        const basePrice = salePriceFor(catalogLine(row, BASE_CURRENCY), promotions).price;
+        const available = !row.is_archived && row.stock_quantity >= row.quantity;
+
+        return {
+            game_id: row.game_id,
+            game_name: row.game_name,
+            image_url: row.image_url,
+            quantity: row.quantity,
+            unit_price: line.unit_price,
+            discount_price: line.discount_price,
+            price,
+            sale,
+            added_price: fromBase(row.added_price, target),
+            price_changed: compare(basePrice, fromDecimal(row.added_price, DEFAULT_CURRENCY)) !== 0,
+            available,
+            unavailable_reason: row.is_archived
+                ? 'Game is no longer available'
+                : available ? null : `Only ${Math.max(row.stock_quantity, 0)} in stock`,
+            line_total: multiply(price, row.quantity),
+            added_at: row.added_at
+        };
+    });
+
+    const purchasable = items.filter(item => item.available);
+
+    return {
+        cart_id: cart.cart_id,
+        customer_id: cart.customer_id,
+        status: cart.status,
+        expires_at: cart.expires_at,
+        currency: target.currency,
+        items,
+        item_count: purchasable.reduce((total, item) => total + item.quantity, 0),
+        subtotal: sum(purchasable.map(item => item.line_total), target.currency),
+        has_price_changes: items.some(item => item.price_changed),
+        has_unavailable_items: items.some(item => !item.available)
+    };
+};
+
+// Resolve one requested line against the catalog (game_id or numeric id)
+const resolveCartGame = async (client, gameRef, quantity) => {
+    const [item] = normalizeOrderItems([{ game_id: gameRef, quantity }]);
+    const [game] = await loadGames(client, [item.game_id]);
+
+    if (!game) {
+        throw new NotFoundError('Game not found', {
+            code: 'GAME_NOT_FOUND',
+            items: [{ game_id: item.game_id, error: 'Game not found' }]
+        });
+    }
+    if (game.is_archived) {
+        throw new ConflictError('Game is no longer available', {
+            code: 'GAME_UNAVAILABLE',
+            items: [{ game_id: game.game_id, error: 'Game is no longer available' }]
+        });
+    }
+
+    // Stored in the base currency
+    const { price } = salePriceFor(catalogLine(game, BASE_CURRENCY), await loadActivePromotions(client));
+    return { game, quantity: item.quantity, price };
+};
+
+// Create a cart. Signed-in customers get their existing active cart back.
+// Every call below returns the cart priced in the requested currency code.
+const openCart = (user, currency) => transaction(async (client) => {
+    const target = await resolveCurrency(client, currency);
+    if (user) {
+        const existing = await client.query(`
+            SELECT ${CART_COLUMNS} FROM carts
+            WHERE customer_id = $1 AND status = 'active' AND expires_at > CURRENT_TIMESTAMP
+        `, [user.customer_id]);
+
+        if (existing.rows.length > 0) {
+            return { created: false, cart: await readCart(client, existing.rows[0], target) };
+        }
+
+        // An expired cart still marked active would block the unique index
+        await client.query(
+            "UPDATE carts SET status = 'expired' WHERE customer_id = $1 AND status = 'active'",
+            [user.customer_id]
+        );
+    }
+
+    const inserted = await client.query(`
+        INSERT INTO carts (customer_id, expires_at)
+        VALUES ($1, CURRENT_TIMESTAMP + make_interval(days => $2))
+        RETURNING ${CART_COLUMNS}
+    `, [user ? user.customer_id : null, CART_TTL_DAYS]);
+
+    return { created: true, cart: await readCart(client, inserted.rows[0], target) };
+});
+
+const getCart = (cartId, user, currency) => transaction(async (client) => {
+    const target = await resolveCurrency(client, currency);
+    const cart = await lockCart(client, cartId, user);
+    return readCart(client, cart, target);
+});
+
+// Add a game, or increase the quantity of a game already in the cart
+const addCartItem = (cartId, user, { game_id, quantity = 1 }, currency) => transaction(async (client) => {
+    const target = await resolveCurrency(client, currency);
+    const cart = await lockCart(client, cartId, user);
+    const line = await resolveCartGame(client, game_id, quantity);
+
+    const current = await client.query(
+        'SELECT quantity FROM cart_items WHERE cart_id = $1 AND game_id = $2',
+        [cart.cart_id, line.game.game_id]
+    );
+    const newQuantity = (current.rows.length > 0 ? current.rows[0].quantity : 0) + line.quantity;
+
+    if (newQuantity > MAX_QUANTITY_PER_ITEM) {
+        throw new ValidationError('Invalid cart item', {
+            code: 'INVALID_ITEMS',
+            items: [{
+                game_id: line.game.game_id,
+                error: `quantity must be an integer between 1 and ${MAX_QUANTITY_PER_ITEM}`
+            }]
+        });
+    }
+
+    await client.query(`
+        INSERT INTO cart_items (cart_id, game_id, quantity, unit_price)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (cart_id, game_id) DO UPDATE
+        SET quantity = EXCLUDED.quantity, unit_price = EXCLUDED.unit_price, updated_at = CURRENT_TIMESTAMP
+    `, [cart.cart_id, line.game.game_id, newQuantity, toDecimal(line.price)]);
+
+    return readCart(client, await touchCart(client, cart.cart_id), target);
+});
+
+// Set the quantity of a line; the stored price is refreshed to the current one
+const updateCartItem = (cartId, user, gameRef, quantity, currency) => transaction(async (client) => {
+    const target = await resolveCurrency(client, currency);
+    const cart = await lockCart(client, cartId, user);
+    const line = await resolveCartGame(client, gameRef, quantity);
+
+    const updated = await client.query(`
+        UPDATE cart_items
+        SET quantity = $1, unit_price = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE cart_id = $3 AND game_id = $4
+    `, [line.quantity, toDecimal(line.price), cart.cart_id, line.game.game_id]);
+
+    if (updated.rowCount === 0) {
+        throw new NotFoundError('Game is not in the cart', { code: 'CART_ITEM_NOT_FOUND' });
+    }
+
+    return readCart(client, await touchCart(client, cart.cart_id), target);
+});
+
+// Remove one game, or every line when gameRef is omitted
+const removeCartItems = (cartId, user, gameRef = null, currency) => transaction(async (client) => {
+    const target = await resolveCurrency(client, currency);
+    const cart = await lockCart(client, cartId, user);
+
+    if (gameRef === null) {
+        await client.query('DELETE FROM cart_items WHERE cart_id = $1', [cart.cart_id]);
+    } else {
+        const removed = await client.query(`
+            DELETE FROM cart_items ci
+            USING games g
+            WHERE ci.cart_id = $1 AND ci.game_id = g.game_id
+              AND (g.game_id = $2 OR g.id = $3)
+        `, [cart.cart_id, String(gameRef), serialId(gameRef)]);
+
+        if (removed.rowCount === 0) {
+            throw new NotFoundError('Game is not in the cart', { code: 'CART_ITEM_NOT_FOUND' });
+        }
+    }
+
+    return readCart(client, await touchCart(client, cart.cart_id), target);
+});
+
+// Merge an anonymous cart into the customer's active cart (called on login).
+// Quantities of games in both carts are added up, capped at MAX_QUANTITY_PER_ITEM.
+// Returns the customer's cart, or null when there is nothing to merge.
+const mergeCarts = (anonymousCartId, customerId) => transaction(async (client) => {
+    const source = await client.query(`
+        SELECT ${CART_COLUMNS} FROM carts
+        WHERE cart_id::text = $1 AND status = 'active' AND expires_at > CURRENT_TIMESTAMP
+        FOR UPDATE
+    `, [String(anonymousCartId)]);
+    const anonymous = source.rows[0];
+
+    if (!anonymous || (anonymous.customer_id && anonymous.customer_id !== customerId)) {
+        return null;
+    }
+    if (anonymous.customer_id === customerId) {
+        return readCart(client, anonymous);
+    }
+
+    const target = await client.query(`
+        SELECT ${CART_COLUMNS}, expires_at < CURRENT_TIMESTAMP as is_expired FROM carts
+        WHERE customer_id = $1 AND status = 'active'
+        FOR UPDATE
+    `, [customerId]);
+    const customerCart = target.rows[0];
+
+    // No cart yet (or only an expired one): adopt the anonymous cart
+    if (!customerCart || customerCart.is_expired) {
+        if (customerCart) {
+            await client.query("UPDATE carts SET status = 'expired' WHERE cart_id = $1", [customerCart.cart_id]);
+        }
+        await client.query('UPDATE carts SET customer_id = $1 WHERE cart_id = $2', [customerId, anonymous.cart_id]);
+        return readCart(client, await touchCart(client, anonymous.cart_id));
+    }
+
+    await client.query(`
+        INSERT INTO cart_items (cart_id, game_id, quantity, unit_price)
+        SELECT $1, game_id, quantity, unit_price FROM cart_items WHERE cart_id = $2
+        ON CONFLICT (cart_id, game_id) DO UPDATE
+        SET quantity = LEAST(cart_items.quantity + EXCLUDED.quantity, $3),
+            updated_at = CURRENT_TIMESTAMP
+    `, [customerCart.cart_id, anonymous.cart_id, MAX_QUANTITY_PER_ITEM]);
+
+    await client.query(`
+        UPDATE carts SET status = 'merged', merged_into = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE cart_id = $2
+    `, [customerCart.cart_id, anonymous.cart_id]);
+
+    return readCart(client, await touchCart(client, customerCart.cart_id));
+});
+
+// Mark the cart an order was placed from (inside the order transaction)
+const markCartConverted = async (client, cartId, { orderId, customerId }) => {
+    await client.query(`
+        UPDATE carts
+        SET status = 'converted', converted_order_id = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE cart_id::text = $2 AND status = 'active'
+          AND (customer_id IS NULL OR customer_id = $3)
+    `, [orderId, String(cartId), customerId]);
+};
+
+// Flag carts whose expiry has passed (called periodically by the server)
+const expireCarts = async () => {
+    const result = await query(`
+        UPDATE carts SET status = 'expired'
+        WHERE status = 'active' AND expires_at < CURRENT_TIMESTAMP
+    `);
+    return result.rowCount;
+};
+
+module.exports = {
+    CART_TTL_DAYS,
+    openCart,
+    getCart,
+    addCartItem,
+    updateCartItem,
+    removeCartItems,
+    mergeCarts,
+    markCartConverted,
+    expireCarts
+};
@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const morgan = require('morgan');
+
+// Per-request correlation ids shared by order-service, game-service and
+// analytics-service. Keep this file identical in all three services.
+//
+// nginx sets X-Request-ID on every proxied request (keeping one the client
+// sent), so the id in the nginx access log is the one each service logs,
+// returns in its X-Request-ID response header and puts in problem documents
+// as correlation_id. Calls to other services forward it (see
+// correlationHeaders). Requests that bypass nginx get a fresh UUID.
+
+const CORRELATION_HEADER = 'X-Request-ID';
+const CORRELATION_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// First middleware of every app: binds req.correlationId
+const correlationId = (req, res, next) => {
+    const incoming = req.get(CORRELATION_HEADER);
+    req.correlationId = incoming && CORRELATION_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set(CORRELATION_HEADER, req.correlationId);
+    next();
+};
+
+// Headers to add to a call made while handling req
+const correlationHeaders = (req) => (req && req.correlationId
+    ? { [CORRELATION_HEADER]: req.correlationId }
+    : {});
+
+// Access log: morgan's "combined" format prefixed with the correlation id
+morgan.token('correlation-id', (req) => req.correlationId || '-');
+
+const requestLogger = morgan(
+    '[:correlation-id] :remote-addr - :remote-user [:date[clf]] ":method :url HTTP/:http-version" ' +
+    ':status :res[content-length] ":referrer" ":user-agent" :response-time ms'
+);
+
+module.exports = {
+    CORRELATION_HEADER,
+    correlationId,
+    correlationHeaders,
+    requestLogger
+};
@@ -0,0 +1,71 @@
+const { DEFAULT_CURRENCY, fromDecimal, convert, toDecimal } = require('./money');
+const { ValidationError } = require('./errors');
+
+// Currencies shoppers can pay in.
+// Catalog prices and rule amounts (fixed discounts, shipping rates) are stored
+// in the base currency, DEFAULT_CURRENCY. Other currencies use the active
+// exchange_rates row: amounts are converted at its rate and rounded half-up to
+// the currency's minor unit. Shared by game-service and order-service.
+
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+
+// The base currency always converts at 1, even without an exchange_rates row
+const BASE_CURRENCY = Object.freeze({ currency: DEFAULT_CURRENCY, rate: '1', symbol: null });
+
+const listCurrencies = async (db) => {
+    const result = await db.query(`
+        SELECT currency, rate, symbol, updated_at FROM exchange_rates
+        WHERE is_active
+        ORDER BY currency = $1 DESC, currency
+    `, [DEFAULT_CURRENCY]);
+    return result.rows;
+};
+
+// Resolve a requested currency code ({ currency, rate, symbol }). Missing codes
+// mean the base currency; unknown or inactive ones are rejected with 400.
+const resolveCurrency = async (db, code) => {
+    if (code === undefined || code === null || code === '') {
+        code = DEFAULT_CURRENCY;
+    }
+    const currency = typeof code === 'string' ? code.trim().toUpperCase() : '';
+    if (!CURRENCY_CODE_PATTERN.test(currency)) {
+        throw new ValidationError('currency must be a 3-letter ISO 4217 code', { code: 'INVALID_CURRENCY' });
+    }
+
+    const result = await db.query(
+        'SELECT currency, rate, symbol FROM exchange_rates WHERE currency = $1 AND is_active',
+        [currency]
+    );
+
+    if (currency === DEFAULT_CURRENCY) {
+        return { ...BASE_CURRENCY, symbol: result.rows.length > 0 ? result.rows[0].symbol : null };
+    }
+    if (result.rows.length === 0) {
+        throw new ValidationError(`Unsupported currency: ${currency}`, { code: 'UNSUPPORTED_CURRENCY' });
+    }
+    return result.rows[0];
+};
+
+// Base-currency amount (DECIMAL string or number) as money in the target currency
+const fromBase = (amount, target = BASE_CURRENCY) =>
+    convert(fromDecimal(amount, DEFAULT_CURRENCY), target.currency, target.rate);
+
+// Copy of a row with its base-currency price fields converted to decimal
+// strings in the target currency, plus the currency code
+const localizePrices = (row, target = BASE_CURRENCY, fields = ['price', 'discount_price']) => {
+    const localized = { ...row, currency: target.currency };
+    fields.forEach(field => {
+        if (row[field] !== null && row[field] !== undefined) {
+            localized[field] = toDecimal(fromBase(row[field], target));
+        }
+    });
+    return localized;
+};
+
+module.exports = {
+    BASE_CURRENCY,
+    listCurrencies,
+    resolveCurrency,
+    fromBase,
+    localizePrices
+};
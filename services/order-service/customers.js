@@ -0,0 +1,314 @@
+const crypto = require('crypto');
+
+const { query, transaction } = require('./database');
+const { ValidationError, NotFoundError, ConflictError, DependencyUnavailableError } = require('./errors');
+
+// Customer profile updates and privacy requests: right to erasure and data
+// export.
+//
+// Erasure anonymizes instead of deleting: orders, payments and refunds are
+// financial records and keep their customer_id, but every field that
+// identifies the person is cleared, saved addresses are deleted (or scrubbed
+// when orders use them), sessions, roles and carts are removed, and reviews
+// are re-attributed to a random pseudonym. The customer's analytics events in
+// ClickHouse are keyed by the same customer_id (analytics-tracker.js) and are
+// anonymized by analytics-service after the erasure checks pass and before the
+// Postgres changes, in the same transaction: a rejected request erases nothing,
+// and a failed analytics call rolls the account back so the request can be
+// retried.
+
+const ANALYTICS_SERVICE_URL = process.env.ANALYTICS_SERVICE_URL || 'http://localhost:3002';
+const ANALYTICS_TIMEOUT_MS = 10 * 1000;
+
+// Public customer columns (never select password_hash into responses)
+const CUSTOMER_COLUMNS = `
+    customer_id, first_name, last_name, email, phone, date_of_birth, created_at, updated_at
+`;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9 ()-]{5,20}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_NAME_LENGTH = 100;
+const MAX_EMAIL_LENGTH = 255;
+
+// Orders that still need the customer's details to be fulfilled
+const OPEN_ORDER_STATUSES = ['pending', 'confirmed', 'shipped'];
+
+const ERASED_NAME = 'Deleted';
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Validate a partial profile update. Returns { errors, changes } with
+// normalized values; only the fields present in input are changed.
+const validateCustomerUpdate = (input = {}) => {
+    const errors = [];
+    const changes = {};
+
+    ['first_name', 'last_name'].forEach(field => {
+        if (input[field] === undefined) {
+            return;
+        }
+        if (typeof input[field] !== 'string' || !input[field].trim() || input[field].trim().length > MAX_NAME_LENGTH) {
+            errors.push(`${field} must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+        } else {
+            changes[field] = input[field].trim();
+        }
+    });
+
+    if (input.email !== undefined) {
+        if (typeof input.email !== 'string' || !EMAIL_PATTERN.test(input.email.trim()) ||
+            input.email.trim().length > MAX_EMAIL_LENGTH) {
+            errors.push('email must be a valid email address');
+        } else {
+            changes.email = input.email.trim().toLowerCase();
+        }
+    }
+
+    if (input.phone !== undefined) {
+        if (isBlank(input.phone)) {
+            changes.phone = null;
+        } else if (typeof input.phone !== 'string' || !PHONE_PATTERN.test(input.phone.trim())) {
+            errors.push('phone must contain 5-20 digits, spaces, "+", "-" or parentheses');
+        } else {
+            changes.phone = input.phone.trim();
+        }
+    }
+
+    if (input.date_of_birth !== undefined) {
+        const date = typeof input.date_of_birth === 'string' && DATE_PATTERN.test(input.date_of_birth)
+            ? new Date(`${input.date_of_birth}T00:00:00Z`)
+            : null;
+        if (isBlank(input.date_of_birth)) {
+            changes.date_of_birth = null;
+        } else if (!date || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== input.date_of_birth ||
+            date > new Date()) {
+            errors.push('date_of_birth must be a past date (YYYY-MM-DD)');
+        } else {
+            changes.date_of_birth = input.date_of_birth;
+        }
+    }
+
+    ['customer_id', 'password', 'password_hash'].forEach(field => {
+        if (input[field] !== undefined) {
+            errors.push(`${field} cannot be changed`);
+        }
+    });
+
+    if (errors.length === 0 && Object.keys(changes).length === 0) {
+        errors.push('No updatable fields given (first_name, last_name, email, phone, date_of_birth)');
+    }
+
+    return { errors, changes };
+};
+
+const updateCustomer = async (customerId, input) => {
+    const { errors, changes } = validateCustomerUpdate(input);
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid customer update', { details: errors });
+    }
+
+    const fields = Object.keys(changes);
+    const result = await query(`
+        UPDATE customers
+        SET ${fields.map((field, index) => `${field} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE customer_id = $${fields.length + 1} AND anonymized_at IS NULL
+        RETURNING ${CUSTOMER_COLUMNS}
+    `, [...fields.map(field => changes[field]), customerId]);
+
+    if (result.rows.length === 0) {
+        throw new NotFoundError('Customer not found', { code: 'CUSTOMER_NOT_FOUND' });
+    }
+    return result.rows[0];
+};
+
+// Anonymize the customer's events in analytics-service. headers carry the
+// caller's access token, so the same owner-or-customers:write rule applies
+// there, and the request's correlation id.
+const eraseAnalyticsData = async (customerId, headers) => {
+    let response;
+    try {
+        response = await fetch(`${ANALYTICS_SERVICE_URL}/api/analytics/users/${encodeURIComponent(customerId)}`, {
+            method: 'DELETE',
+            headers,
+            signal: AbortSignal.timeout(ANALYTICS_TIMEOUT_MS)
+        });
+    } catch (error) {
+        console.error(`❌ Analytics erasure for ${customerId} failed:`, error.message);
+        throw new DependencyUnavailableError('analytics-service', 'Analytics service unavailable; the customer was not deleted');
+    }
+
+    if (!response.ok) {
+        console.error(`❌ Analytics erasure for ${customerId} failed with status ${response.status}`);
+        throw new DependencyUnavailableError('analytics-service', 'Analytics data could not be erased; the customer was not deleted');
+    }
+
+    const body = await response.json();
+    return body.data || {};
+};
+
+// Lock the customer and check they can be erased: 404 for unknown or already
+// erased customers, 409 while orders are open or for the last admin
+const checkErasable = async (client, customerId) => {
+    const customerResult = await client.query(
+        'SELECT customer_id FROM customers WHERE customer_id = $1 AND anonymized_at IS NULL FOR UPDATE',
+        [customerId]
+    );
+    if (customerResult.rows.length === 0) {
+        throw new NotFoundError('Customer not found', { code: 'CUSTOMER_NOT_FOUND' });
+    }
+
+    const openOrders = await client.query(
+        'SELECT COUNT(*) as open_orders FROM orders WHERE customer_id = $1 AND order_status = ANY($2::text[])',
+        [customerId, OPEN_ORDER_STATUSES]
+    );
+    if (parseInt(openOrders.rows[0].open_orders) > 0) {
+        throw new ConflictError('Customer has orders that are not completed yet; cancel or deliver them first', {
+            code: 'CUSTOMER_HAS_OPEN_ORDERS'
+        });
+    }
+
+    const admins = await client.query(
+        "SELECT COUNT(*) FILTER (WHERE customer_id <> $1) as other_admins, COUNT(*) FILTER (WHERE customer_id = $1) as is_admin FROM user_roles WHERE role = 'admin'",
+        [customerId]
+    );
+    if (parseInt(admins.rows[0].is_admin) > 0 && parseInt(admins.rows[0].other_admins) === 0) {
+        throw new ConflictError('Cannot delete the last admin', { code: 'LAST_ADMIN' });
+    }
+};
+
+// Clear the customer's personal data in Postgres (see the header comment)
+const anonymizeCustomer = async (client, customerId) => {
+    const pseudonym = `erased_${crypto.randomUUID()}`;
+
+    await client.query(`
+        UPDATE customers
+        SET first_name = $2, last_name = $2, email = $3, phone = NULL, date_of_birth = NULL,
+            password_hash = NULL, anonymized_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE customer_id = $1
+    `, [customerId, ERASED_NAME, `${pseudonym}@erased.invalid`]);
+
+    // Addresses on orders keep the country and region needed for tax records
+    await client.query(`
+        DELETE FROM customer_addresses ca
+        WHERE customer_id = $1 AND NOT EXISTS (
+            SELECT 1 FROM orders o WHERE o.shipping_address_id = ca.address_id OR o.billing_address_id = ca.address_id
+        )
+    `, [customerId]);
+    await client.query(`
+        UPDATE customer_addresses
+        SET first_name = NULL, last_name = NULL, company = NULL, address_line_1 = $2, address_line_2 = NULL,
+            city = $2, postal_code = $2, is_default = FALSE, is_archived = TRUE, updated_at = CURRENT_TIMESTAMP
+        WHERE customer_id = $1
+    `, [customerId, ERASED_NAME]);
+
+    await client.query('UPDATE orders SET order_notes = NULL WHERE customer_id = $1', [customerId]);
+    await client.query('UPDATE game_reviews SET user_id = $2 WHERE user_id = $1', [customerId, pseudonym]);
+    await client.query('DELETE FROM refresh_tokens WHERE customer_id = $1', [customerId]);
+    await client.query('DELETE FROM user_roles WHERE customer_id = $1', [customerId]);
+    await client.query('DELETE FROM carts WHERE customer_id = $1', [customerId]);
+    // Stored responses of the customer's idempotent requests may contain their details
+    await client.query('DELETE FROM idempotency_keys WHERE scope = $1', [`customer:${customerId}`]);
+    await client.query('UPDATE promotion_redemptions SET customer_id = $2 WHERE customer_id = $1', [customerId, pseudonym]);
+};
+
+// Right to erasure. The customer row stays locked from the checks until the
+// Postgres changes commit, and analytics is only erased once the checks pass,
+// so a rejected request changes nothing anywhere. headers are forwarded to
+// analytics-service (see eraseAnalyticsData).
+const eraseCustomer = (customerId, headers) => transaction(async (client) => {
+    await checkErasable(client, customerId);
+
+    const analytics = await eraseAnalyticsData(customerId, headers);
+    await anonymizeCustomer(client, customerId);
+
+    return { customer_id: customerId, analytics_tables: analytics.tables || [] };
+});
+
+// Everything stored about a customer, for GET /api/customers/:id/export
+const exportCustomerData = async (customerId) => {
+    const customerResult = await query(
+        `SELECT ${CUSTOMER_COLUMNS} FROM customers WHERE customer_id = $1 AND anonymized_at IS NULL`,
+        [customerId]
+    );
+    if (customerResult.rows.length === 0) {
+        throw new NotFoundError('Customer not found', { code: 'CUSTOMER_NOT_FOUND' });
+    }
+
+    const [roles, addresses, orders, items, history, payments, refunds, reviews] = await Promise.all([
+        query('SELECT role, created_at FROM user_roles WHERE customer_id = $1 ORDER BY role', [customerId]),
+        query(`
+            SELECT address_id, address_type, first_name, last_name, company, address_line_1, address_line_2,
+                   city, state_province, postal_code, country, is_default, is_archived, created_at, updated_at
+            FROM customer_addresses WHERE customer_id = $1
+            ORDER BY created_at ASC, id ASC
+        `, [customerId]),
+        query(`
+            SELECT order_id, order_status, payment_status, payment_method, currency, fx_rate, subtotal,
+                   discount_amount, tax_amount, shipping_cost, total_amount, shipping_address_id, billing_address_id,
+                   order_notes, estimated_delivery, actual_delivery, tracking_number, created_at, updated_at
+            FROM orders WHERE customer_id = $1
+            ORDER BY created_at ASC, id ASC
+        `, [customerId]),
+        query(`
+            SELECT oi.order_id, oi.game_id, oi.game_name, oi.quantity, oi.unit_price, oi.discount_price, oi.total_price
+            FROM order_items oi JOIN orders o ON o.order_id = oi.order_id
+            WHERE o.customer_id = $1
+            ORDER BY oi.id
+        `, [customerId]),
+        query(`
+            SELECT h.order_id, h.previous_status, h.new_status, h.status_reason, h.created_at
+            FROM order_status_history h JOIN orders o ON o.order_id = h.order_id
+            WHERE o.customer_id = $1
+            ORDER BY h.created_at ASC, h.id ASC
+        `, [customerId]),
+        query(`
+            SELECT p.order_id, p.payment_id, p.provider, p.status, p.amount, p.currency, p.created_at
+            FROM payments p JOIN orders o ON o.order_id = p.order_id
+            WHERE o.customer_id = $1
+            ORDER BY p.created_at ASC, p.id ASC
+        `, [customerId]),
+        query(`
+            SELECT r.order_id, r.refund_id, r.refund_type, r.status, r.amount, r.currency, r.reason, r.created_at
+            FROM refunds r JOIN orders o ON o.order_id = r.order_id
+            WHERE o.customer_id = $1
+            ORDER BY r.created_at ASC, r.id ASC
+        `, [customerId]),
+        query(`
+            SELECT review_id, game_id, rating, review_text, is_verified_purchase, status, moderation_reason,
+                   created_at, updated_at
+            FROM game_reviews WHERE user_id = $1
+            ORDER BY created_at ASC, id ASC
+        `, [customerId])
+    ]);
+
+    const byOrder = (rows) => rows.reduce((grouped, { order_id, ...row }) => {
+        (grouped[order_id] = grouped[order_id] || []).push(row);
+        return grouped;
+    }, {});
+    const orderItems = byOrder(items.rows);
+    const orderHistory = byOrder(history.rows);
+    const orderPayments = byOrder(payments.rows);
+    const orderRefunds = byOrder(refunds.rows);
+
+    return {
+        exported_at: new Date().toISOString(),
+        profile: { ...customerResult.rows[0], roles: roles.rows },
+        addresses: addresses.rows,
+        orders: orders.rows.map(order => ({
+            ...order,
+            items: orderItems[order.order_id] || [],
+            status_history: orderHistory[order.order_id] || [],
+            payments: orderPayments[order.order_id] || [],
+            refunds: orderRefunds[order.order_id] || []
+        })),
+        reviews: reviews.rows
+    };
+};
+
+module.exports = {
+    CUSTOMER_COLUMNS,
+    EMAIL_PATTERN,
+    updateCustomer,
+    eraseCustomer,
+    exportCustomerData
+};
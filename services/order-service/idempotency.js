@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+
+const { query } = require('./database');
+const { PROBLEM_CONTENT_TYPE, ValidationError, ConflictError } = require('./errors');
+
+// Idempotency-Key support for mutating routes.
+// The first response for a key is stored and replayed for retries within
+// IDEMPOTENCY_TTL_HOURS. Keys are scoped to the caller and bound to a
+// fingerprint of the request, so reusing a key for a different payload or
+// route is rejected with 409 instead of silently replaying.
+
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/; // printable ASCII, no spaces
+
+const fingerprintRequest = (req) => crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+
+// Signed-in callers get one scope per customer. Anonymous callers have no
+// identity, so their keys are scoped to the request itself (route and body,
+// which name the guest's cart, order or guest id): one guest can neither
+// replay nor block another guest's request by reusing its key.
+const scopeFor = (req, fingerprint) => (req.user
+    ? `customer:${req.user.customer_id}`
+    : `anonymous:${fingerprint}`);
+
+const conflict = (message) => new ConflictError(message, { code: 'IDEMPOTENCY_CONFLICT' });
+
+// Store the handler's JSON response once it has been sent. Server errors and
+// requests that ended without a JSON response release the key instead, so the
+// client can retry them with the same key.
+const captureResponse = (res, scope, key) => {
+    const json = res.json.bind(res);
+    let body;
+
+    res.json = (payload) => {
+        body = payload;
+        return json(payload);
+    };
+
+    res.once('close', () => {
+        const stored = body !== undefined && res.statusCode < 500
+            ? query(`
+                UPDATE idempotency_keys
+                SET response_status = $1, response_body = $2, completed_at = CURRENT_TIMESTAMP
+                WHERE scope = $3 AND idempotency_key = $4
+            `, [res.statusCode, JSON.stringify(body), scope, key])
+            : query('DELETE FROM idempotency_keys WHERE scope = $1 AND idempotency_key = $2', [scope, key]);
+
+        stored.catch(error => console.error('❌ Failed to store idempotent response:', error.message));
+    });
+};
+
+// Use after authenticate/optionalAuthenticate so keys are scoped to the caller
+const idempotent = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+
+    if (key === undefined) {
+        return next();
+    }
+
+    if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+        return next(new ValidationError('Idempotency-Key must be 1-255 printable characters without spaces', {
+            code: 'INVALID_IDEMPOTENCY_KEY'
+        }));
+    }
+
+    try {
+        const fingerprint = fingerprintRequest(req);
+        const scope = scopeFor(req, fingerprint);
+
+        await query(
+            'DELETE FROM idempotency_keys WHERE scope = $1 AND idempotency_key = $2 AND expires_at < CURRENT_TIMESTAMP',
+            [scope, key]
+        );
+
+        const claimed = await query(`
+            INSERT INTO idempotency_keys (scope, idempotency_key, request_fingerprint, expires_at)
+            VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(hours => $4))
+            ON CONFLICT (scope, idempotency_key) DO NOTHING
+            RETURNING id
+        `, [scope, key, fingerprint, IDEMPOTENCY_TTL_HOURS]);
+
+        if (claimed.rows.length > 0) {
+            captureResponse(res, scope, key);
+            return next();
+        }
+
+        const existing = await query(`
+            SELECT request_fingerprint, response_status, response_body
+            FROM idempotency_keys
+            WHERE scope = $1 AND idempotency_key = $2
+        `, [scope, key]);
+
+        const record = existing.rows[0];
+
+        if (!record) {
+            // Expired and removed between the two statements; let the client retry
+            return next(conflict('The request with this Idempotency-Key expired; retry the request'));
+        }
+
+        if (record.request_fingerprint !== fingerprint) {
+            return next(conflict('This Idempotency-Key was already used with a different request'));
+        }
+
+        if (record.response_status === null) {
+            return next(conflict('A request with this Idempotency-Key is still being processed'));
+        }
+
+        // Stored 4xx bodies are problem documents (errors.js)
+        res.set('Idempotent-Replayed', 'true');
+        if (record.response_status >= 400) {
+            res.type(PROBLEM_CONTENT_TYPE);
+        }
+        res.status(record.response_status).json(record.response_body);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Remove expired keys (called periodically by the server)
+const purgeExpiredIdempotencyKeys = async () => {
+    const result = await query('DELETE FROM idempotency_keys WHERE expires_at < CURRENT_TIMESTAMP');
+    return result.rowCount;
+};
+
+module.exports = {
+    idempotent,
+    purgeExpiredIdempotencyKeys
+};
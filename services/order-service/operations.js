@@ -0,0 +1,657 @@
+const { nullable, object } = require('./request-validation');
+const { PROBLEM, problem, success, listOf } = require('./openapi');
+const { PAGINATION_SCHEMA } = require('./pagination');
+const { ORDER_STATUSES } = require('./order-status');
+const { ROLES } = require('./permissions');
+
+// Summaries and response schemas of the Order Service routes, keyed by
+// "METHOD /path" as registered in app.js. openapi.js combines them with the
+// request schemas into the OpenAPI document, and test/contract.test.js checks
+// real responses against them.
+//
+// Objects list the fields clients rely on; rows may carry more columns.
+// Amounts are decimal strings, as sent by money.js and Postgres NUMERIC
+// columns, and so are COUNT(*) results.
+
+const TEXT = { type: 'string' };
+const OPTIONAL_TEXT = nullable(TEXT);
+const TIMESTAMP = { type: 'string', description: 'ISO 8601 timestamp' };
+const OPTIONAL_TIMESTAMP = nullable(TIMESTAMP);
+const AMOUNT = { type: 'string', pattern: '^-?[0-9]+(\\.[0-9]+)?$', description: 'Decimal amount' };
+const OPTIONAL_AMOUNT = nullable(AMOUNT);
+const COUNT = { type: 'string', pattern: '^[0-9]+$', description: 'Count (bigint as a string)' };
+const CURRENCY = { type: 'string', pattern: '^[A-Z]{3}$' };
+const ORDER_STATUS = { type: 'string', enum: ORDER_STATUSES };
+const PAYMENT_STATUS = { type: 'string', enum: ['pending', 'authorized', 'captured', 'voided', 'refunded', 'failed'] };
+
+const CUSTOMER = object({
+    customer_id: TEXT,
+    first_name: OPTIONAL_TEXT,
+    last_name: OPTIONAL_TEXT,
+    email: OPTIONAL_TEXT,
+    phone: OPTIONAL_TEXT,
+    date_of_birth: OPTIONAL_TIMESTAMP,
+    created_at: TIMESTAMP,
+    updated_at: TIMESTAMP
+}, ['customer_id', 'first_name', 'last_name', 'email']);
+
+const ADDRESS = object({
+    address_id: TEXT,
+    customer_id: TEXT,
+    address_type: TEXT,
+    first_name: OPTIONAL_TEXT,
+    last_name: OPTIONAL_TEXT,
+    company: OPTIONAL_TEXT,
+    address_line_1: TEXT,
+    address_line_2: OPTIONAL_TEXT,
+    city: TEXT,
+    state_province: OPTIONAL_TEXT,
+    postal_code: TEXT,
+    country: TEXT,
+    is_default: { type: 'boolean' }
+}, ['address_id', 'customer_id', 'address_type', 'address_line_1', 'city', 'postal_code', 'country']);
+
+const ORDER_SUMMARY = object({
+    order_id: TEXT,
+    customer_id: TEXT,
+    order_status: ORDER_STATUS,
+    total_amount: AMOUNT,
+    currency: CURRENCY,
+    payment_method: OPTIONAL_TEXT,
+    payment_status: OPTIONAL_TEXT,
+    estimated_delivery: OPTIONAL_TIMESTAMP,
+    tracking_number: OPTIONAL_TEXT,
+    created_at: TIMESTAMP
+}, ['order_id', 'order_status', 'total_amount', 'currency', 'created_at']);
+
+const ORDER_ITEM = object({
+    id: { type: 'integer' },
+    game_id: TEXT,
+    game_name: TEXT,
+    quantity: { type: 'integer' },
+    unit_price: AMOUNT,
+    discount_price: OPTIONAL_AMOUNT,
+    total_price: AMOUNT
+}, ['game_id', 'game_name', 'quantity', 'unit_price', 'total_price']);
+
+const STATUS_CHANGE = object({
+    previous_status: { type: ['string', 'null'], enum: [...ORDER_STATUSES, null] },
+    new_status: ORDER_STATUS,
+    status_reason: OPTIONAL_TEXT,
+    changed_by: OPTIONAL_TEXT,
+    created_at: TIMESTAMP
+}, ['previous_status', 'new_status', 'created_at']);
+
+const DISCOUNT = object({
+    promotion_id: TEXT,
+    name: TEXT,
+    promotion_type: TEXT,
+    code: OPTIONAL_TEXT,
+    amount: AMOUNT
+}, ['promotion_id', 'name', 'promotion_type', 'amount']);
+
+const ORDER_DETAIL = object({
+    ...ORDER_SUMMARY.properties,
+    subtotal: AMOUNT,
+    tax_amount: AMOUNT,
+    shipping_cost: AMOUNT,
+    discount_amount: AMOUNT,
+    fx_rate: AMOUNT,
+    items: listOf(ORDER_ITEM),
+    discounts: listOf(DISCOUNT),
+    status_history: listOf(STATUS_CHANGE)
+}, [...ORDER_SUMMARY.required, 'customer_id', 'items', 'discounts', 'status_history']);
+
+// Priced order line (quotes and new orders)
+const ORDER_LINE = object({
+    game_id: TEXT,
+    game_name: TEXT,
+    category: TEXT,
+    is_digital: { type: 'boolean' },
+    quantity: { type: 'integer' },
+    unit_price: AMOUNT,
+    discount_price: OPTIONAL_AMOUNT,
+    total_price: AMOUNT
+}, ['game_id', 'game_name', 'quantity', 'unit_price', 'total_price']);
+
+const PRICING = object({
+    currency: CURRENCY,
+    fx_rate: TEXT,
+    subtotal: AMOUNT,
+    discounts: listOf(DISCOUNT),
+    discount_amount: AMOUNT,
+    tax_amount: AMOUNT,
+    shipping_cost: AMOUNT,
+    total_amount: AMOUNT,
+    tax: { type: 'object', description: 'Tax rates and taxable amounts applied' },
+    shipping: { type: 'object', description: 'Shipping rule applied' }
+}, ['currency', 'subtotal', 'discounts', 'discount_amount', 'tax_amount', 'shipping_cost', 'total_amount']);
+
+const ORDER_ITEM_ERRORS = problem({ items: { type: 'array', description: 'Problems per order item' } });
+
+const TOKENS = object({
+    access_token: TEXT,
+    refresh_token: TEXT,
+    token_type: { const: 'Bearer' },
+    expires_in: { type: 'integer', description: 'Access token lifetime in seconds' },
+    roles: listOf({ type: 'string', enum: ROLES })
+}, ['access_token', 'refresh_token', 'token_type', 'expires_in', 'roles']);
+
+const ROLE_ASSIGNMENTS = object({
+    customer_id: TEXT,
+    roles: listOf({ type: 'string', enum: ROLES }),
+    permissions: listOf(TEXT)
+}, ['customer_id', 'roles', 'permissions']);
+
+const PAYMENT = object({
+    payment_id: TEXT,
+    order_id: TEXT,
+    provider: TEXT,
+    provider_reference: OPTIONAL_TEXT,
+    status: PAYMENT_STATUS,
+    amount: AMOUNT,
+    currency: CURRENCY,
+    failure_reason: OPTIONAL_TEXT,
+    created_at: TIMESTAMP,
+    updated_at: TIMESTAMP
+}, ['payment_id', 'order_id', 'provider', 'status', 'amount', 'currency']);
+
+// Payments and refunds that did not go through still carry the record
+const unsuccessful = (data) => ({
+    type: 'object',
+    properties: { success: { const: false }, message: TEXT, data },
+    required: ['success', 'message', 'data']
+});
+
+const REFUND = object({
+    refund_id: TEXT,
+    order_id: TEXT,
+    payment_id: OPTIONAL_TEXT,
+    refund_type: { type: 'string', enum: ['full', 'partial'] },
+    status: TEXT,
+    amount: AMOUNT,
+    shipping_amount: AMOUNT,
+    currency: CURRENCY,
+    reason: TEXT,
+    note: OPTIONAL_TEXT,
+    failure_reason: OPTIONAL_TEXT,
+    created_by: OPTIONAL_TEXT,
+    created_at: TIMESTAMP,
+    items: listOf(object({
+        order_item_id: { type: 'integer' },
+        game_id: TEXT,
+        game_name: OPTIONAL_TEXT,
+        quantity: { type: 'integer' },
+        amount: AMOUNT,
+        restock: { type: 'boolean' },
+        restocked: { type: 'boolean' }
+    }, ['order_item_id', 'game_id', 'quantity', 'amount']))
+}, ['refund_id', 'order_id', 'refund_type', 'status', 'amount', 'currency', 'reason', 'items']);
+
+const CART = object({
+    cart_id: TEXT,
+    customer_id: OPTIONAL_TEXT,
+    status: TEXT,
+    expires_at: OPTIONAL_TIMESTAMP,
+    currency: CURRENCY,
+    items: listOf(object({
+        game_id: TEXT,
+        game_name: TEXT,
+        image_url: OPTIONAL_TEXT,
+        quantity: { type: 'integer' },
+        unit_price: AMOUNT,
+        discount_price: OPTIONAL_AMOUNT,
+        price: AMOUNT,
+        sale: nullable({ type: 'object' }),
+        added_price: AMOUNT,
+        price_changed: { type: 'boolean' },
+        available: { type: 'boolean' },
+        unavailable_reason: OPTIONAL_TEXT,
+        line_total: AMOUNT,
+        added_at: TIMESTAMP
+    }, ['game_id', 'game_name', 'quantity', 'price', 'price_changed', 'available', 'line_total'])),
+    item_count: { type: 'integer' },
+    subtotal: AMOUNT,
+    has_price_changes: { type: 'boolean' },
+    has_unavailable_items: { type: 'boolean' }
+}, ['cart_id', 'status', 'currency', 'items', 'item_count', 'subtotal', 'has_price_changes', 'has_unavailable_items']);
+
+const PROMOTION = object({
+    promotion_id: TEXT,
+    name: TEXT,
+    description: OPTIONAL_TEXT,
+    promotion_type: TEXT,
+    code: OPTIONAL_TEXT,
+    discount_type: TEXT,
+    discount_value: AMOUNT,
+    min_spend: OPTIONAL_AMOUNT,
+    category: OPTIONAL_TEXT,
+    game_ids: nullable(listOf(TEXT)),
+    max_uses: nullable({ type: 'integer' }),
+    per_customer_limit: nullable({ type: 'integer' }),
+    starts_at: TIMESTAMP,
+    ends_at: OPTIONAL_TIMESTAMP,
+    is_active: { type: 'boolean' }
+}, ['promotion_id', 'name', 'promotion_type', 'discount_type', 'discount_value', 'is_active']);
+
+const operations = {
+    // Service
+    'GET /health': {
+        tag: 'Service',
+        summary: 'Service health and database status',
+        responses: {
+            200: object({
+                status: TEXT,
+                service: TEXT,
+                timestamp: TIMESTAMP,
+                uptime: { type: 'number' },
+                version: TEXT,
+                database: { type: 'string', enum: ['connected', 'disconnected'] },
+                database_stats: { type: 'object' }
+            }, ['status', 'service', 'timestamp', 'uptime', 'version', 'database'])
+        }
+    },
+    'GET /api/orders/openapi.json': {
+        tag: 'Service',
+        summary: 'This OpenAPI document',
+        responses: { 200: object({ openapi: TEXT, info: { type: 'object' }, paths: { type: 'object' } }, ['openapi', 'info', 'paths']) }
+    },
+
+    // Orders
+    'GET /api/orders': {
+        tag: 'Orders',
+        summary: 'List orders with filtering and pagination',
+        responses: {
+            200: success(object({
+                orders: listOf(object({
+                    ...ORDER_SUMMARY.properties,
+                    subtotal: AMOUNT,
+                    first_name: OPTIONAL_TEXT,
+                    last_name: OPTIONAL_TEXT,
+                    email: OPTIONAL_TEXT
+                }, ORDER_SUMMARY.required)),
+                pagination: PAGINATION_SCHEMA,
+                filters: { type: 'object' }
+            }, ['orders', 'pagination', 'filters']))
+        }
+    },
+    'GET /api/orders/stats/summary': {
+        tag: 'Orders',
+        summary: 'Order and revenue statistics (base currency)',
+        responses: {
+            200: success(object({
+                currency: CURRENCY,
+                overall: object({
+                    total_orders: COUNT,
+                    delivered_orders: COUNT,
+                    paid_orders: COUNT,
+                    average_order_value: AMOUNT,
+                    total_revenue: AMOUNT,
+                    refunded_amount: AMOUNT,
+                    net_revenue: AMOUNT
+                }, ['total_orders', 'total_revenue', 'refunded_amount', 'net_revenue']),
+                by_currency: listOf(object({
+                    currency: CURRENCY,
+                    orders_count: COUNT,
+                    revenue: AMOUNT,
+                    refunded_amount: AMOUNT,
+                    net_revenue: AMOUNT
+                }, ['currency', 'orders_count', 'revenue', 'net_revenue'])),
+                daily_stats: listOf(object({
+                    order_date: TIMESTAMP,
+                    orders_count: COUNT,
+                    daily_revenue: AMOUNT
+                }, ['order_date', 'orders_count', 'daily_revenue']))
+            }, ['currency', 'overall', 'by_currency', 'daily_stats']))
+        }
+    },
+    'GET /api/orders/:id': {
+        tag: 'Orders',
+        summary: 'Get an order with its items, discounts and status history',
+        description: 'Open to the customer who placed the order, or with the `orders:read` permission.',
+        responses: { 200: success(ORDER_DETAIL), 403: PROBLEM, 404: PROBLEM }
+    },
+    'POST /api/orders/quote': {
+        tag: 'Orders',
+        summary: 'Price an order (discounts, tax, shipping) without placing it',
+        responses: {
+            200: success(object({
+                items: listOf(ORDER_LINE),
+                destination: nullable(object({ country: TEXT, region: OPTIONAL_TEXT })),
+                estimated_delivery: { type: 'string', format: 'date' },
+                pricing: PRICING
+            }, ['items', 'destination', 'estimated_delivery', 'pricing'])),
+            400: ORDER_ITEM_ERRORS,
+            409: ORDER_ITEM_ERRORS
+        }
+    },
+    'POST /api/orders': {
+        tag: 'Orders',
+        summary: 'Place an order',
+        description: 'Signed-in customers order for themselves; guests send `customer_id`, which must not belong ' +
+            'to a registered account. Accepts an `Idempotency-Key` header.',
+        responses: {
+            201: success(object({
+                order_id: TEXT,
+                total_amount: AMOUNT,
+                currency: CURRENCY,
+                status: ORDER_STATUS,
+                estimated_delivery: TIMESTAMP,
+                shipping_address: nullable(ADDRESS),
+                billing_address: nullable(ADDRESS),
+                items: listOf(ORDER_LINE),
+                pricing: PRICING
+            }, ['order_id', 'total_amount', 'currency', 'status', 'items', 'pricing'])),
+            400: ORDER_ITEM_ERRORS,
+            409: ORDER_ITEM_ERRORS
+        }
+    },
+    'PUT /api/orders/:id/status': {
+        tag: 'Orders',
+        summary: 'Move an order to its next lifecycle status',
+        responses: {
+            200: success(object({
+                order_id: TEXT,
+                previous_status: ORDER_STATUS,
+                new_status: ORDER_STATUS,
+                status_reason: OPTIONAL_TEXT,
+                updated_at: TIMESTAMP
+            }, ['order_id', 'previous_status', 'new_status', 'status_reason', 'updated_at'])),
+            404: PROBLEM,
+            409: PROBLEM
+        }
+    },
+    'GET /api/orders/:id/history': {
+        tag: 'Orders',
+        summary: 'Get the status timeline of an order',
+        description: 'Open to the customer who placed the order, or with the `orders:read` permission.',
+        responses: {
+            200: success(object({
+                order_id: TEXT,
+                current_status: ORDER_STATUS,
+                history: listOf(STATUS_CHANGE)
+            }, ['order_id', 'current_status', 'history'])),
+            403: PROBLEM,
+            404: PROBLEM
+        }
+    },
+    'GET /api/customers/:customerId/orders': {
+        tag: 'Orders',
+        summary: "List a customer's orders, newest first",
+        responses: {
+            200: success(object({
+                customer_id: TEXT,
+                orders: listOf(ORDER_SUMMARY),
+                pagination: PAGINATION_SCHEMA
+            }, ['customer_id', 'orders', 'pagination']))
+        }
+    },
+
+    // Customers
+    'POST /api/customers': {
+        tag: 'Customers',
+        summary: 'Create a customer without an account',
+        description: 'Customers sign up with POST /api/auth/register.',
+        responses: { 201: success(CUSTOMER), 409: PROBLEM }
+    },
+    'GET /api/customers/:id': {
+        tag: 'Customers',
+        summary: 'Get a customer',
+        responses: { 200: success(CUSTOMER), 404: PROBLEM }
+    },
+    'PATCH /api/customers/:id': {
+        tag: 'Customers',
+        summary: "Update a customer's profile",
+        responses: { 200: success(CUSTOMER), 404: PROBLEM, 409: PROBLEM }
+    },
+    'DELETE /api/customers/:id': {
+        tag: 'Customers',
+        summary: 'Delete a customer (personal data is anonymized, orders are kept)',
+        responses: {
+            200: success(object({
+                customer_id: TEXT,
+                analytics_tables: listOf(TEXT)
+            }, ['customer_id', 'analytics_tables'])),
+            404: PROBLEM,
+            409: PROBLEM
+        }
+    },
+    'GET /api/customers/:id/export': {
+        tag: 'Customers',
+        summary: 'Download everything stored about a customer',
+        responses: {
+            200: success(object({
+                exported_at: TIMESTAMP,
+                profile: CUSTOMER,
+                addresses: listOf(ADDRESS),
+                orders: listOf(ORDER_SUMMARY),
+                reviews: listOf({ type: 'object' })
+            }, ['exported_at', 'profile', 'addresses', 'orders', 'reviews'])),
+            404: PROBLEM
+        }
+    },
+
+    // Address book
+    'GET /api/customers/:id/addresses': {
+        tag: 'Address Book',
+        summary: "List a customer's saved addresses",
+        responses: { 200: success(listOf(ADDRESS), { count: { type: 'integer' } }) }
+    },
+    'GET /api/customers/:id/addresses/:addressId': {
+        tag: 'Address Book',
+        summary: 'Get a saved address',
+        responses: { 200: success(ADDRESS), 404: PROBLEM }
+    },
+    'POST /api/customers/:id/addresses': {
+        tag: 'Address Book',
+        summary: 'Add an address',
+        responses: { 201: success(ADDRESS), 404: PROBLEM }
+    },
+    'PATCH /api/customers/:id/addresses/:addressId': {
+        tag: 'Address Book',
+        summary: 'Update an address',
+        description: 'Addresses already used by orders are kept; the update gets a new `address_id`.',
+        responses: { 200: success(ADDRESS), 404: PROBLEM }
+    },
+    'DELETE /api/customers/:id/addresses/:addressId': {
+        tag: 'Address Book',
+        summary: 'Delete an address',
+        responses: { 200: success(object({ address_id: TEXT }, ['address_id'])), 404: PROBLEM }
+    },
+
+    // Authentication and roles
+    'POST /api/auth/register': {
+        tag: 'Authentication',
+        summary: 'Register a customer account',
+        responses: {
+            201: success(object({
+                customer: CUSTOMER,
+                tokens: TOKENS,
+                cart_id: OPTIONAL_TEXT
+            }, ['customer', 'tokens', 'cart_id'])),
+            409: PROBLEM
+        }
+    },
+    'POST /api/auth/login': {
+        tag: 'Authentication',
+        summary: 'Log in (returns access and refresh tokens)',
+        responses: {
+            200: success(object({
+                customer_id: TEXT,
+                tokens: TOKENS,
+                cart_id: OPTIONAL_TEXT
+            }, ['customer_id', 'tokens', 'cart_id'])),
+            401: PROBLEM
+        }
+    },
+    'POST /api/auth/refresh': {
+        tag: 'Authentication',
+        summary: 'Exchange a refresh token for a new token pair',
+        responses: { 200: success(object({ tokens: TOKENS }, ['tokens'])), 401: PROBLEM }
+    },
+    'POST /api/auth/logout': {
+        tag: 'Authentication',
+        summary: 'Revoke the current session',
+        responses: { 200: success(null) }
+    },
+    'GET /api/auth/me': {
+        tag: 'Authentication',
+        summary: 'Get the signed-in customer',
+        responses: {
+            200: success(object({
+                ...CUSTOMER.properties,
+                roles: listOf({ type: 'string', enum: ROLES })
+            }, [...CUSTOMER.required, 'roles'])),
+            404: PROBLEM
+        }
+    },
+    'GET /api/roles': {
+        tag: 'Roles',
+        summary: 'List roles and the permissions they grant',
+        responses: {
+            200: success(object({
+                roles: listOf(object({
+                    role: { type: 'string', enum: ROLES },
+                    permissions: listOf(TEXT)
+                }, ['role', 'permissions']))
+            }, ['roles']))
+        }
+    },
+    'GET /api/customers/:id/roles': {
+        tag: 'Roles',
+        summary: "Get a customer's role assignments",
+        responses: { 200: success(ROLE_ASSIGNMENTS), 404: PROBLEM }
+    },
+    'PUT /api/customers/:id/roles': {
+        tag: 'Roles',
+        summary: "Replace a customer's roles (effective on the next token refresh)",
+        responses: { 200: success(ROLE_ASSIGNMENTS), 404: PROBLEM, 409: PROBLEM }
+    },
+    'DELETE /api/customers/:id/roles/:role': {
+        tag: 'Roles',
+        summary: 'Revoke a role from a customer (effective on the next token refresh)',
+        responses: { 200: success(ROLE_ASSIGNMENTS), 404: PROBLEM, 409: PROBLEM }
+    },
+
+    // Payments and refunds
+    'POST /api/orders/:id/payments': {
+        tag: 'Payments',
+        summary: 'Pay for an order',
+        description: 'Open to the customer who placed the order; guest checkouts may pay without signing in.',
+        responses: {
+            201: success(PAYMENT),
+            202: success(PAYMENT),
+            401: PROBLEM,
+            402: unsuccessful(PAYMENT),
+            403: PROBLEM,
+            404: PROBLEM,
+            409: PROBLEM,
+            503: PROBLEM
+        }
+    },
+    'GET /api/orders/:id/payments': {
+        tag: 'Payments',
+        summary: 'List the payments of an order',
+        description: 'Open to the customer who placed the order, or with the `orders:read` permission.',
+        responses: {
+            200: success(object({ order_id: TEXT, payments: listOf(PAYMENT) }, ['order_id', 'payments'])),
+            403: PROBLEM,
+            404: PROBLEM
+        }
+    },
+    'POST /api/payments/:paymentId/capture': {
+        tag: 'Payments',
+        summary: 'Capture an authorized payment',
+        responses: { 200: { anyOf: [success(PAYMENT), unsuccessful(PAYMENT)] }, 404: PROBLEM, 409: PROBLEM, 503: PROBLEM }
+    },
+    'POST /api/payments/:paymentId/void': {
+        tag: 'Payments',
+        summary: 'Void an authorized payment (the order is cancelled)',
+        responses: { 200: { anyOf: [success(PAYMENT), unsuccessful(PAYMENT)] }, 404: PROBLEM, 409: PROBLEM, 503: PROBLEM }
+    },
+    'POST /api/payments/webhooks/:provider': {
+        tag: 'Payments',
+        summary: 'Payment provider webhook',
+        description: 'Authenticated by the `X-Lugx-Signature` header; events are deduplicated by id.',
+        responses: { 200: success(nullable(PAYMENT)), 401: PROBLEM, 404: PROBLEM }
+    },
+    'POST /api/orders/:id/refunds': {
+        tag: 'Refunds',
+        summary: 'Refund an order, fully or per order item',
+        responses: {
+            201: success(REFUND),
+            202: success(REFUND),
+            400: ORDER_ITEM_ERRORS,
+            404: PROBLEM,
+            409: ORDER_ITEM_ERRORS,
+            502: unsuccessful(REFUND),
+            503: PROBLEM
+        }
+    },
+    'GET /api/orders/:id/refunds': {
+        tag: 'Refunds',
+        summary: 'List the refunds of an order',
+        description: 'Open to the customer who placed the order, or with the `orders:read` permission.',
+        responses: {
+            200: success(object({ order_id: TEXT, refunds: listOf(REFUND) }, ['order_id', 'refunds'])),
+            403: PROBLEM,
+            404: PROBLEM
+        }
+    },
+
+    // Carts
+    'POST /api/carts': {
+        tag: 'Carts',
+        summary: "Open a cart (signed-in customers get their active cart)",
+        responses: { 200: success(CART), 201: success(CART) }
+    },
+    'GET /api/carts/:cartId/items': {
+        tag: 'Carts',
+        summary: 'Get cart items, repriced against the current catalog',
+        responses: { 200: success(CART), 403: PROBLEM, 404: PROBLEM }
+    },
+    'POST /api/carts/:cartId/items': {
+        tag: 'Carts',
+        summary: 'Add a game to the cart',
+        responses: { 201: success(CART), 403: PROBLEM, 404: PROBLEM, 409: PROBLEM }
+    },
+    'PATCH /api/carts/:cartId/items/:gameId': {
+        tag: 'Carts',
+        summary: 'Change the quantity of a game in the cart',
+        responses: { 200: success(CART), 403: PROBLEM, 404: PROBLEM, 409: PROBLEM }
+    },
+    'DELETE /api/carts/:cartId/items/:gameId': {
+        tag: 'Carts',
+        summary: 'Remove a game from the cart',
+        responses: { 200: success(CART), 403: PROBLEM, 404: PROBLEM }
+    },
+    'DELETE /api/carts/:cartId/items': {
+        tag: 'Carts',
+        summary: 'Empty the cart',
+        responses: { 200: success(CART), 403: PROBLEM, 404: PROBLEM }
+    },
+
+    // Promotions
+    'GET /api/promotions/active': {
+        tag: 'Promotions',
+        summary: 'Running sales and automatic promotions (coupons are not listed)',
+        responses: { 200: success(listOf(PROMOTION)) }
+    },
+    'GET /api/promotions': {
+        tag: 'Promotions',
+        summary: 'List all promotions, including coupons',
+        responses: { 200: success(listOf(PROMOTION)) }
+    },
+    'POST /api/promotions': {
+        tag: 'Promotions',
+        summary: 'Create a coupon, category or bundle promotion, or a scheduled sale',
+        responses: { 201: success(PROMOTION), 409: PROBLEM }
+    },
+    'PATCH /api/promotions/:id': {
+        tag: 'Promotions',
+        summary: 'Update or deactivate a promotion',
+        responses: { 200: success(PROMOTION), 404: PROBLEM, 409: PROBLEM }
+    }
+};
+
+module.exports = operations;
@@ -0,0 +1,177 @@
+// Server-side pricing and stock reservation for order creation.
+// Client-supplied prices and names are ignored: every line is resolved
+// against the games table inside the order transaction. Line prices are
+// money values (see money.js) in the order's currency.
+
+const { multiply } = require('./money');
+const { BASE_CURRENCY, fromBase } = require('./currencies');
+const { serialId } = require('./database');
+const { ValidationError, ConflictError } = require('./errors');
+
+const MAX_QUANTITY_PER_ITEM = 100;
+
+// Errors that abort the surrounding transaction carry per-item details
+// back to the client as the problem's `items`
+const insufficientStock = (itemErrors) => new ConflictError('Insufficient stock for some order items', {
+    code: 'INSUFFICIENT_STOCK',
+    items: itemErrors
+});
+
+// Validate the shape of the requested items (game reference + quantity)
+const normalizeOrderItems = (items) => {
+    const itemErrors = [];
+    const normalized = [];
+
+    items.forEach((item, index) => {
+        const gameId = item && item.game_id !== undefined && item.game_id !== null
+            ? String(item.game_id).trim()
+            : '';
+        const quantity = item ? Number(item.quantity === undefined ? 1 : item.quantity) : NaN;
+
+        if (!gameId) {
+            itemErrors.push({ index, error: 'game_id is required' });
+            return;
+        }
+        if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY_PER_ITEM) {
+            itemErrors.push({
+                index,
+                game_id: gameId,
+                error: `quantity must be an integer between 1 and ${MAX_QUANTITY_PER_ITEM}`
+            });
+            return;
+        }
+
+        normalized.push({ index, game_id: gameId, quantity });
+    });
+
+    if (itemErrors.length > 0) {
+        throw new ValidationError('Invalid order items', { code: 'INVALID_ITEMS', items: itemErrors });
+    }
+
+    return normalized;
+};
+
+// Load games by public game_id or numeric id. With forUpdate the rows are
+// locked (in a stable order to avoid deadlocks) until the transaction ends.
+const loadGames = async (client, gameRefs, { forUpdate = false } = {}) => {
+    const numericIds = gameRefs.map(serialId).filter(id => id !== null);
+
+    const result = await client.query(`
+        SELECT id, game_id, name, category, is_digital, price, discount_price, stock_quantity, is_archived
+        FROM games
+        WHERE game_id = ANY($1::text[]) OR id = ANY($2::int[])
+        ORDER BY id
+        ${forUpdate ? 'FOR UPDATE' : ''}
+    `, [gameRefs, numericIds]);
+
+    return result.rows;
+};
+
+const findGameForRef = (games, ref) =>
+    games.find(game => game.game_id === ref || game.id === serialId(ref));
+
+// Resolve and price every requested item, locking the game rows so the
+// stock check and decrement below cannot race with concurrent orders.
+// Catalog prices are converted to the target currency ({ currency, rate }).
+// With readOnly (quotes) rows are not locked and stock is not checked.
+const priceOrderItems = async (client, items, target = BASE_CURRENCY, { readOnly = false } = {}) => {
+    const requested = normalizeOrderItems(items);
+    const games = await loadGames(client, requested.map(item => item.game_id), { forUpdate: !readOnly });
+
+    const itemErrors = [];
+    const lines = new Map(); // game_id -> priced line (duplicates are merged)
+
+    for (const item of requested) {
+        const game = findGameForRef(games, item.game_id);
+
+        if (!game) {
+            itemErrors.push({ index: item.index, game_id: item.game_id, error: 'Game not found' });
+            continue;
+        }
+        if (game.is_archived) {
+            itemErrors.push({ index: item.index, game_id: game.game_id, error: 'Game is no longer available' });
+            continue;
+        }
+
+        const line = lines.get(game.game_id);
+        if (line) {
+            line.quantity += item.quantity;
+        } else {
+            lines.set(game.game_id, { game, quantity: item.quantity });
+        }
+    }
+
+    if (itemErrors.length > 0) {
+        throw new ValidationError('Some order items could not be resolved', { code: 'UNKNOWN_ITEMS', items: itemErrors });
+    }
+
+    const stockErrors = [];
+    for (const { game, quantity } of lines.values()) {
+        if (!readOnly && game.stock_quantity < quantity) {
+            stockErrors.push({
+                game_id: game.game_id,
+                error: 'Insufficient stock',
+                requested: quantity,
+                available: Math.max(game.stock_quantity, 0)
+            });
+        }
+    }
+
+    if (stockErrors.length > 0) {
+        throw insufficientStock(stockErrors);
+    }
+
+    return Array.from(lines.values()).map(({ game, quantity }) => {
+        const unitPrice = fromBase(game.price, target);
+        const discountPrice = game.discount_price !== null ? fromBase(game.discount_price, target) : null;
+        const effectivePrice = discountPrice !== null ? discountPrice : unitPrice;
+
+        return {
+            game_id: game.game_id,
+            game_name: game.name,
+            category: game.category,
+            is_digital: game.is_digital,
+            quantity,
+            unit_price: unitPrice,
+            discount_price: discountPrice,
+            total_price: multiply(effectivePrice, quantity)
+        };
+    });
+};
+
+// Decrement stock for priced lines; rows are already locked by priceOrderItems
+const reserveStock = async (client, lines) => {
+    for (const line of lines) {
+        const result = await client.query(`
+            UPDATE games
+            SET stock_quantity = stock_quantity - $1
+            WHERE game_id = $2 AND stock_quantity >= $1
+        `, [line.quantity, line.game_id]);
+
+        if (result.rowCount === 0) {
+            throw insufficientStock([
+                { game_id: line.game_id, error: 'Insufficient stock', requested: line.quantity }
+            ]);
+        }
+    }
+};
+
+// Return stock for order lines that will not be fulfilled (cancellations)
+const releaseStock = async (client, lines) => {
+    for (const line of lines) {
+        await client.query(`
+            UPDATE games
+            SET stock_quantity = stock_quantity + $1
+            WHERE game_id = $2
+        `, [line.quantity, line.game_id]);
+    }
+};
+
+module.exports = {
+    MAX_QUANTITY_PER_ITEM,
+    normalizeOrderItems,
+    loadGames,
+    priceOrderItems,
+    reserveStock,
+    releaseStock
+};
@@ -0,0 +1,124 @@
+// Order lifecycle: pending -> confirmed -> shipped -> delivered, with
+// cancellation before shipping and refunds once an order has been paid.
+// transitionOrder is the single place that changes orders.order_status; every
+// change is recorded in order_status_history by order_status_history_trigger,
+// which reads the reason and actor set here for the current transaction.
+
+const { serialId } = require('./database');
+const { releaseStock } = require('./order-pricing');
+const { NotFoundError, ConflictError } = require('./errors');
+
+const ORDER_STATUSES = ['pending', 'confirmed', 'shipped', 'delivered', 'cancelled', 'refunded'];
+
+const ORDER_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['shipped', 'cancelled', 'refunded'],
+    shipped: ['delivered', 'refunded'],
+    delivered: ['refunded'],
+    cancelled: [],
+    refunded: []
+};
+
+// Statuses support can set through the status endpoint. `refunded` is only
+// reached by a full refund (refunds.js), which also refunds the payment.
+const MANUAL_ORDER_STATUSES = ORDER_STATUSES.filter(status => status !== 'refunded');
+
+// Statuses in which the reserved stock has not left the warehouse
+const RESTOCK_ON_CANCEL = ['pending', 'confirmed'];
+
+const MAX_REASON_LENGTH = 500;
+
+const canTransition = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to);
+
+// Lock an order by public order_id (UUID) or numeric id
+const lockOrder = async (client, orderRef) => {
+    const result = await client.query(`
+        SELECT * FROM orders
+        WHERE order_id::text = $1 OR id = $2
+        FOR UPDATE
+    `, [String(orderRef), serialId(orderRef)]);
+
+    return result.rows[0] || null;
+};
+
+// Move an order to a new status inside the caller's transaction.
+// Throws 404 for unknown orders and 409 for transitions the lifecycle forbids.
+const transitionOrder = async (client, orderRef, newStatus, { reason = null, changedBy = 'system' } = {}) => {
+    const order = await lockOrder(client, orderRef);
+
+    if (!order) {
+        throw new NotFoundError('Order not found', { code: 'ORDER_NOT_FOUND' });
+    }
+
+    if (!canTransition(order.order_status, newStatus)) {
+        throw new ConflictError(`Cannot change order status from ${order.order_status} to ${newStatus}`, {
+            code: 'INVALID_STATUS_TRANSITION',
+            current_status: order.order_status,
+            allowed_transitions: ORDER_TRANSITIONS[order.order_status] || []
+        });
+    }
+
+    // Picked up by create_order_status_history() for this transaction only
+    await client.query(`
+        SELECT set_config('lugx.status_reason', $1, true),
+               set_config('lugx.changed_by', $2, true)
+    `, [reason || '', changedBy]);
+
+    const result = await client.query(`
+        UPDATE orders
+        SET order_status = $1,
+            actual_delivery = CASE WHEN $1 = 'delivered' THEN CURRENT_DATE ELSE actual_delivery END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+        RETURNING *
+    `, [newStatus, order.id]);
+
+    if (newStatus === 'cancelled' && RESTOCK_ON_CANCEL.includes(order.order_status)) {
+        const items = await client.query(
+            'SELECT game_id, quantity FROM order_items WHERE order_id = $1',
+            [order.order_id]
+        );
+        await releaseStock(client, items.rows);
+    }
+
+    return { previousStatus: order.order_status, order: result.rows[0] };
+};
+
+// Record the initial status of a newly created order
+const recordOrderCreated = async (client, order, { reason = 'Order placed', changedBy = 'system' } = {}) => {
+    await client.query(`
+        INSERT INTO order_status_history (order_id, previous_status, new_status, status_reason, changed_by)
+        VALUES ($1, NULL, $2, $3, $4)
+    `, [order.order_id, order.order_status, reason, changedBy]);
+};
+
+// Timeline entry that does not change the status (e.g. a partial refund)
+const recordOrderNote = async (client, orderId, { reason, changedBy = 'system' }) => {
+    await client.query(`
+        INSERT INTO order_status_history (order_id, previous_status, new_status, status_reason, changed_by)
+        SELECT order_id, order_status, order_status, $2, $3 FROM orders WHERE order_id = $1
+    `, [orderId, reason, changedBy]);
+};
+
+const getOrderHistory = async (db, orderId) => {
+    const result = await db.query(`
+        SELECT previous_status, new_status, status_reason, changed_by, created_at
+        FROM order_status_history
+        WHERE order_id = $1
+        ORDER BY created_at ASC, id ASC
+    `, [orderId]);
+
+    return result.rows;
+};
+
+module.exports = {
+    ORDER_STATUSES,
+    ORDER_TRANSITIONS,
+    MANUAL_ORDER_STATUSES,
+    MAX_REASON_LENGTH,
+    canTransition,
+    transitionOrder,
+    recordOrderCreated,
+    recordOrderNote,
+    getOrderHistory
+};
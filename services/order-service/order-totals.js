@@ -0,0 +1,217 @@
+const { priceOrderItems } = require('./order-pricing');
+const { calculateDiscounts } = require('./promotions');
+const {
+    zero, add, subtract, multiply, sum, applyRate, allocate, compare
+} = require('./money');
+const { BASE_CURRENCY, fromBase } = require('./currencies');
+const { ValidationError } = require('./errors');
+
+// Order totals: catalog prices, promotions, then tax and shipping from the
+// rules in tax_rates and shipping_zones.
+//
+// Tax rates are matched on the destination country and region
+// (state_province), falling back to the whole country and then to the '*'
+// default rule. Digital and physical games have separate rates. Shipping only
+// applies when the order contains physical games; the zone is the first one
+// listing the destination country, or the '*' zone.
+//
+// Discounts are spread over the lines in proportion to their totals before
+// tax, so a coupon lowers the taxable digital and physical amounts alike.
+// Amounts are money values: the discount split is exact (largest remainder)
+// and tax is rounded half-up separately for goods and for shipping. Orders
+// are priced in the customer's currency; shipping rates are stored in the base
+// currency and converted at the same exchange rate as the catalog prices.
+
+const DEFAULT_RULE = '*';
+const DEFAULT_DELIVERY_DAYS = 5;
+
+const normalizeRegion = (value) =>
+    typeof value === 'string' && value.trim() ? value.trim() : null;
+
+// Where the order ships to: an inline shipping_address, a saved address of
+// the customer, or the customer's default shipping address. Returns
+// { country, region } or null when nothing is known (default rules apply).
+// customerId must be the authenticated caller: the result is shown to them.
+const resolveDestination = async (db, { shippingAddress, shippingAddressId, customerId }) => {
+    if (shippingAddress && typeof shippingAddress === 'object') {
+        return {
+            country: normalizeRegion(shippingAddress.country),
+            region: normalizeRegion(shippingAddress.state_province)
+        };
+    }
+
+    if (shippingAddressId) {
+        if (!customerId) {
+            throw new ValidationError('Sign in to use a saved shipping address', { code: 'UNKNOWN_ADDRESS' });
+        }
+
+        const result = await db.query(`
+            SELECT country, state_province FROM customer_addresses
+            WHERE address_id::text = $1 AND customer_id = $2 AND NOT is_archived
+        `, [String(shippingAddressId), customerId]);
+
+        if (result.rows.length === 0) {
+            throw new ValidationError('Shipping address not found', { code: 'UNKNOWN_ADDRESS' });
+        }
+        return { country: result.rows[0].country, region: result.rows[0].state_province };
+    }
+
+    if (!customerId) {
+        return null;
+    }
+
+    const result = await db.query(`
+        SELECT country, state_province FROM customer_addresses
+        WHERE customer_id = $1 AND address_type = 'shipping' AND NOT is_archived
+        ORDER BY is_default DESC, created_at DESC
+        LIMIT 1
+    `, [customerId]);
+
+    return result.rows.length > 0
+        ? { country: result.rows[0].country, region: result.rows[0].state_province }
+        : null;
+};
+
+// Most specific active tax rule for the destination
+const findTaxRate = async (db, destination) => {
+    const result = await db.query(`
+        SELECT country, region, physical_rate, digital_rate, applies_to_shipping
+        FROM tax_rates
+        WHERE is_active AND (
+            (LOWER(country) = LOWER($1) AND (region IS NULL OR LOWER(region) = LOWER($2)))
+            OR country = $3
+        )
+        ORDER BY (country = $3), (region IS NULL)
+        LIMIT 1
+    `, [destination ? destination.country || '' : '', destination ? destination.region || '' : '', DEFAULT_RULE]);
+
+    if (result.rows.length === 0) {
+        throw new Error('No tax rule configured (add a default "*" row to tax_rates)');
+    }
+    return result.rows[0];
+};
+
+const findShippingZone = async (db, destination) => {
+    const result = await db.query(`
+        SELECT name, flat_rate, per_item_rate, free_shipping_threshold, estimated_days
+        FROM shipping_zones
+        WHERE is_active AND (
+            EXISTS (SELECT 1 FROM unnest(countries) c WHERE LOWER(c) = LOWER($1))
+            OR $2 = ANY(countries)
+        )
+        ORDER BY ($2 = ANY(countries)), id
+        LIMIT 1
+    `, [destination ? destination.country || '' : '', DEFAULT_RULE]);
+
+    if (result.rows.length === 0) {
+        throw new Error('No shipping zone configured (add a default "*" zone to shipping_zones)');
+    }
+    return result.rows[0];
+};
+
+// Tax and shipping for priced lines after discounts
+const calculateCharges = async (db, { lines, discountAmount, destination, target = BASE_CURRENCY }) => {
+    const currency = target.currency;
+    const physicalLines = lines.filter(line => !line.is_digital);
+    const physicalSubtotal = sum(physicalLines.map(line => line.total_price), currency);
+    const digitalSubtotal = sum(lines.filter(line => line.is_digital).map(line => line.total_price), currency);
+
+    const [physicalDiscount, digitalDiscount] = allocate(discountAmount, [physicalSubtotal, digitalSubtotal]);
+    const physicalAmount = subtract(physicalSubtotal, physicalDiscount);
+    const digitalAmount = subtract(digitalSubtotal, digitalDiscount);
+
+    const taxRate = await findTaxRate(db, destination);
+
+    let shippingCost = zero(currency);
+    let shipping = null;
+    let estimatedDays = DEFAULT_DELIVERY_DAYS;
+
+    if (physicalLines.length > 0) {
+        const zone = await findShippingZone(db, destination);
+        const threshold = zone.free_shipping_threshold !== null ? fromBase(zone.free_shipping_threshold, target) : null;
+        const physicalQuantity = physicalLines.reduce((total, line) => total + line.quantity, 0);
+        const freeShipping = threshold !== null && compare(physicalAmount, threshold) >= 0;
+
+        if (!freeShipping) {
+            shippingCost = add(
+                fromBase(zone.flat_rate, target),
+                multiply(fromBase(zone.per_item_rate, target), physicalQuantity)
+            );
+        }
+        estimatedDays = zone.estimated_days;
+        shipping = {
+            zone: zone.name,
+            free_shipping_threshold: threshold,
+            free_shipping: freeShipping,
+            estimated_days: zone.estimated_days
+        };
+    }
+
+    // Rates are DECIMAL strings and are applied exactly
+    const goodsTax = add(
+        applyRate(physicalAmount, taxRate.physical_rate),
+        applyRate(digitalAmount, taxRate.digital_rate)
+    );
+    const shippingTax = taxRate.applies_to_shipping ? applyRate(shippingCost, taxRate.physical_rate) : zero(currency);
+
+    return {
+        tax_amount: add(goodsTax, shippingTax),
+        shipping_cost: shippingCost,
+        estimated_days: estimatedDays,
+        tax: {
+            country: taxRate.country,
+            region: taxRate.region,
+            physical_rate: taxRate.physical_rate,
+            digital_rate: taxRate.digital_rate,
+            physical_taxable: physicalAmount,
+            digital_taxable: digitalAmount,
+            applies_to_shipping: taxRate.applies_to_shipping
+        },
+        shipping
+    };
+};
+
+// Price an order without side effects (used by checkout and quotes). Must run
+// inside a transaction: game and coupon rows stay locked until it ends.
+// readOnly prices without locking rows or checking stock, for quotes that
+// place nothing. target is the resolved order currency ({ currency, rate },
+// see currencies.js).
+const quoteOrder = async (client, {
+    items, customerId, couponCode = null, destination = null, target = BASE_CURRENCY, readOnly = false
+}) => {
+    const pricedLines = await priceOrderItems(client, items, target, { readOnly });
+
+    // Sales reprice the lines; automatic promotions and the coupon discount the subtotal
+    const { lines, discounts, discount_amount } = await calculateDiscounts(client, {
+        lines: pricedLines,
+        customerId,
+        couponCode,
+        target,
+        readOnly
+    });
+
+    const subtotal = sum(lines.map(line => line.total_price), target.currency);
+    const charges = await calculateCharges(client, { lines, discountAmount: discount_amount, destination, target });
+
+    return {
+        currency: target.currency,
+        fx_rate: String(target.rate),
+        lines,
+        discounts,
+        destination,
+        subtotal,
+        discount_amount,
+        tax_amount: charges.tax_amount,
+        shipping_cost: charges.shipping_cost,
+        total_amount: add(subtract(subtotal, discount_amount), add(charges.tax_amount, charges.shipping_cost)),
+        estimated_days: charges.estimated_days,
+        tax: charges.tax,
+        shipping: charges.shipping
+    };
+};
+
+module.exports = {
+    resolveDestination,
+    calculateCharges,
+    quoteOrder
+};
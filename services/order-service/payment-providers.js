@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+
+// Payment provider adapters.
+// Every provider implements the same interface so payments.js never needs to
+// know which gateway is behind an order:
+//
+//   authorize({ amount, currency, orderId, paymentMethod, paymentToken })
+//   capture(reference, amount)
+//   refund(reference, amount)  (the result's reference identifies the refund)
+//   void(reference)
+//   parseWebhook(body) -> { eventId, reference, status, failureReason, refund }
+//
+// Amounts are integers in the currency's minor unit (cents), as most gateways
+// expect. Each call resolves to { reference, status, failureReason } where status is
+// one of PAYMENT_STATUSES. A provider that settles asynchronously returns
+// 'pending' and later reports the outcome through a signed webhook. Webhook
+// events about a refund set `refund: true`; their reference is the refund's
+// and their status 'refunded' or 'failed'.
+
+const PAYMENT_STATUSES = ['pending', 'authorized', 'captured', 'voided', 'refunded', 'failed'];
+
+// Local provider for development and tests. Behaviour is driven by the
+// payment token, mirroring the test cards of real gateways:
+//   tok_decline - authorization is declined
+//   tok_async   - authorization, and later refunds, stay pending until a webhook arrives
+//   anything else (or no token) - authorization succeeds
+const createFakeProvider = () => {
+    const payments = new Map(); // reference -> { amount, captured, refunded, status, async } in minor units
+    const refunds = new Map(); // refund reference -> { payment, amount }
+
+    const result = (reference, status, failureReason = null) => ({ reference, status, failureReason });
+
+    const find = (reference) => {
+        const payment = payments.get(reference);
+        if (!payment) {
+            throw new Error(`Unknown fake payment ${reference}`);
+        }
+        return payment;
+    };
+
+    return {
+        name: 'fake',
+
+        authorize: async ({ amount, paymentToken }) => {
+            const reference = `fake_${crypto.randomUUID()}`;
+
+            if (paymentToken === 'tok_decline') {
+                payments.set(reference, { amount, captured: 0, refunded: 0, status: 'failed', async: false });
+                return result(reference, 'failed', 'Card declined');
+            }
+
+            const status = paymentToken === 'tok_async' ? 'pending' : 'authorized';
+            payments.set(reference, { amount, captured: 0, refunded: 0, status, async: paymentToken === 'tok_async' });
+            return result(reference, status);
+        },
+
+        capture: async (reference, amount) => {
+            const payment = find(reference);
+            if (payment.status !== 'authorized') {
+                return result(reference, 'failed', `Cannot capture a ${payment.status} payment`);
+            }
+            payment.captured = amount;
+            payment.status = 'captured';
+            return result(reference, 'captured');
+        },
+
+        refund: async (reference, amount) => {
+            const payment = find(reference);
+            if (payment.status !== 'captured' || payment.refunded + amount > payment.captured) {
+                return result(reference, 'failed', 'Refund exceeds captured amount');
+            }
+            payment.refunded += amount;
+
+            const refundReference = `fake_refund_${crypto.randomUUID()}`;
+            refunds.set(refundReference, { payment, amount });
+            if (payment.async) {
+                return result(refundReference, 'pending');
+            }
+            return result(refundReference, payment.refunded >= payment.captured ? 'refunded' : 'captured');
+        },
+
+        void: async (reference) => {
+            const payment = find(reference);
+            if (payment.status !== 'authorized' && payment.status !== 'pending') {
+                return result(reference, 'failed', `Cannot void a ${payment.status} payment`);
+            }
+            payment.status = 'voided';
+            return result(reference, 'voided');
+        },
+
+        // { id, type: 'payment.<status>', data: { reference, failure_reason } }
+        // { id, type: 'refund.succeeded' | 'refund.failed', data: { reference, failure_reason } }
+        parseWebhook: (body) => {
+            const [kind, outcome] = String(body.type || '').split('.');
+            if (!body.id || !body.data || !body.data.reference) {
+                return null;
+            }
+
+            if (kind === 'refund') {
+                const status = { succeeded: 'refunded', failed: 'failed' }[outcome];
+                if (!status) {
+                    return null;
+                }
+                const refund = refunds.get(body.data.reference);
+                if (refund && status === 'failed') {
+                    refund.payment.refunded -= refund.amount;
+                    refunds.delete(body.data.reference);
+                }
+                return {
+                    eventId: String(body.id),
+                    reference: body.data.reference,
+                    status,
+                    failureReason: body.data.failure_reason || null,
+                    refund: true
+                };
+            }
+
+            if (kind !== 'payment' || !PAYMENT_STATUSES.includes(outcome)) {
+                return null;
+            }
+            if (payments.has(body.data.reference)) {
+                payments.get(body.data.reference).status = outcome;
+            }
+            return {
+                eventId: String(body.id),
+                reference: body.data.reference,
+                status: outcome,
+                failureReason: body.data.failure_reason || null
+            };
+        }
+    };
+};
+
+// The fake provider approves any payment, so it is not registered in production
+// unless ENABLE_FAKE_PAYMENTS=true (e.g. for a production-mode test stack)
+const FAKE_PAYMENTS_ENABLED = process.env.NODE_ENV !== 'production' || process.env.ENABLE_FAKE_PAYMENTS === 'true';
+
+// Registered providers by name; add real gateway adapters here
+const providers = {
+    ...(FAKE_PAYMENTS_ENABLED && { fake: createFakeProvider() })
+};
+
+// Provider charged for new payments. It is configuration, never chosen by the client.
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || (FAKE_PAYMENTS_ENABLED ? 'fake' : null);
+
+const getPaymentProvider = (name) => (Object.prototype.hasOwnProperty.call(providers, name) ? providers[name] : null);
+
+if (!getPaymentProvider(PAYMENT_PROVIDER)) {
+    console.warn(`⚠️  Payment provider ${PAYMENT_PROVIDER || '(none)'} is not available - payments are disabled`);
+}
+
+module.exports = {
+    PAYMENT_STATUSES,
+    PAYMENT_PROVIDER,
+    getPaymentProvider
+};
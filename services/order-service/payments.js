@@ -0,0 +1,333 @@
+const crypto = require('crypto');
+
+const { query, transaction, serialId } = require('./database');
+const { getPaymentProvider, PAYMENT_PROVIDER } = require('./payment-providers');
+const { canTransition, transitionOrder } = require('./order-status');
+const { settleRefund } = require('./refunds');
+const { fromDecimal } = require('./money');
+const { ValidationError, NotFoundError, ConflictError, DependencyUnavailableError } = require('./errors');
+
+// Payment processing for orders.
+// Provider calls happen outside database transactions; their results are then
+// applied in one transaction that updates the payment, orders.payment_status
+// and, where the lifecycle allows it, the order status:
+//   captured -> order confirmed, failed/voided -> order cancelled (stock released)
+
+// Like JWT_SECRET, the development webhook secret is never used in production:
+// anyone knowing it could mark payments captured.
+if (!process.env.PAYMENT_WEBHOOK_SECRET && process.env.NODE_ENV === 'production') {
+    throw new Error('PAYMENT_WEBHOOK_SECRET must be set when NODE_ENV=production');
+}
+
+const PAYMENT_WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || 'lugx_dev_webhook_secret_change_me';
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+const PAYMENTS_ACTOR = 'system:payments';
+
+// Allowed payment status changes; anything else (late or replayed provider
+// results) is ignored so webhooks can safely arrive out of order
+const PAYMENT_TRANSITIONS = {
+    pending: ['authorized', 'captured', 'failed', 'voided'],
+    authorized: ['captured', 'voided', 'failed'],
+    captured: ['refunded'],
+    voided: [],
+    refunded: [],
+    failed: []
+};
+
+// Payment status -> orders.payment_status
+const ORDER_PAYMENT_STATUS = {
+    pending: 'pending',
+    authorized: 'authorized',
+    captured: 'paid',
+    voided: 'voided',
+    refunded: 'refunded',
+    failed: 'failed'
+};
+
+// Payments that block starting another one for the same order
+const ACTIVE_PAYMENT_STATUSES = ['pending', 'authorized', 'captured'];
+
+const PAYMENT_COLUMNS = `
+    payment_id, order_id, provider, provider_reference, status,
+    amount, currency, failure_reason, created_at, updated_at
+`;
+
+// Strip the internal serial id from payment rows returned to callers
+const publicPayment = ({ id, ...payment }) => payment;
+
+// Webhook signatures: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${rawBody}`>"
+const computeSignature = (timestamp, rawBody) => crypto
+    .createHmac('sha256', PAYMENT_WEBHOOK_SECRET)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+
+const signWebhookPayload = (rawBody, timestamp = Math.floor(Date.now() / 1000)) =>
+    `t=${timestamp},v1=${computeSignature(timestamp, rawBody)}`;
+
+const verifyWebhookSignature = (rawBody, header) => {
+    const parts = Object.fromEntries(String(header || '')
+        .split(',')
+        .map(part => part.trim().split('='))
+        .filter(pair => pair.length === 2));
+
+    const timestamp = parseInt(parts.t);
+    if (!timestamp || !parts.v1 || !/^[0-9a-f]{64}$/.test(parts.v1)) {
+        return false;
+    }
+    if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+        return false;
+    }
+
+    const expected = Buffer.from(computeSignature(timestamp, rawBody), 'hex');
+    return crypto.timingSafeEqual(expected, Buffer.from(parts.v1, 'hex'));
+};
+
+// Apply a provider result to a locked payment row inside a transaction
+const applyPaymentResult = async (client, payment, result, actor = PAYMENTS_ACTOR) => {
+    const { status, reference, failureReason } = result;
+
+    if (status === payment.status || !PAYMENT_TRANSITIONS[payment.status].includes(status)) {
+        return publicPayment(payment);
+    }
+
+    const updated = await client.query(`
+        UPDATE payments
+        SET status = $1,
+            provider_reference = COALESCE($2, provider_reference),
+            failure_reason = $3,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $4
+        RETURNING ${PAYMENT_COLUMNS}
+    `, [status, reference || null, failureReason || null, payment.id]);
+
+    const orderResult = await client.query(
+        'SELECT order_id, order_status FROM orders WHERE order_id = $1 FOR UPDATE',
+        [payment.order_id]
+    );
+    const order = orderResult.rows[0];
+
+    await client.query(
+        'UPDATE orders SET payment_status = $1, updated_at = CURRENT_TIMESTAMP WHERE order_id = $2',
+        [ORDER_PAYMENT_STATUS[status], payment.order_id]
+    );
+
+    const orderTransitions = {
+        captured: ['confirmed', 'Payment captured'],
+        failed: ['cancelled', `Payment failed${failureReason ? `: ${failureReason}` : ''}`],
+        voided: ['cancelled', 'Payment voided'],
+        refunded: ['refunded', 'Payment refunded']
+    };
+
+    if (order && orderTransitions[status] && canTransition(order.order_status, orderTransitions[status][0])) {
+        const [newStatus, reason] = orderTransitions[status];
+        await transitionOrder(client, order.order_id, newStatus, { reason, changedBy: actor });
+    }
+
+    return updated.rows[0];
+};
+
+const lockPayment = async (client, paymentId) => {
+    const result = await client.query(
+        'SELECT * FROM payments WHERE payment_id::text = $1 FOR UPDATE',
+        [String(paymentId)]
+    );
+    return result.rows[0] || null;
+};
+
+const recordResult = (paymentId, result, actor) => transaction(async (client) => {
+    const payment = await lockPayment(client, paymentId);
+    return applyPaymentResult(client, payment, result, actor);
+});
+
+// Call the provider; provider outages leave the order untouched so it can be retried
+const callProvider = async (paymentId, action) => {
+    try {
+        return await action();
+    } catch (error) {
+        console.error(`❌ Payment provider error for ${paymentId}:`, error.message);
+        await query(`
+            UPDATE payments SET status = 'failed', failure_reason = $1, updated_at = CURRENT_TIMESTAMP
+            WHERE payment_id = $2 AND status = 'pending'
+        `, ['Payment provider unavailable', paymentId]);
+        throw new DependencyUnavailableError('payment-provider', 'Payment provider unavailable', {
+            code: 'PAYMENT_PROVIDER_UNAVAILABLE'
+        });
+    }
+};
+
+// Providers of payments (and new payments) that are not registered, e.g. the
+// fake provider in production, cannot be called
+const requireProvider = (name) => {
+    const provider = getPaymentProvider(name);
+    if (!provider) {
+        throw new DependencyUnavailableError('payment-provider', `Payment provider ${name || '(none)'} is not available`, {
+            code: 'PAYMENT_PROVIDER_UNAVAILABLE'
+        });
+    }
+    return provider;
+};
+
+// Authorize (and by default capture) the full amount of a pending order with
+// the configured PAYMENT_PROVIDER
+const startPayment = async (orderRef, { paymentToken, capture = true, actor }) => {
+    const provider = requireProvider(PAYMENT_PROVIDER);
+
+    const { order, payment } = await transaction(async (client) => {
+        const orderResult = await client.query(`
+            SELECT * FROM orders WHERE order_id::text = $1 OR id = $2 FOR UPDATE
+        `, [String(orderRef), serialId(orderRef)]);
+
+        const order = orderResult.rows[0];
+        if (!order) {
+            throw new NotFoundError('Order not found', { code: 'ORDER_NOT_FOUND' });
+        }
+        if (order.order_status !== 'pending') {
+            throw new ConflictError(`Cannot pay for a ${order.order_status} order`, { code: 'ORDER_NOT_PAYABLE' });
+        }
+
+        const active = await client.query(
+            'SELECT 1 FROM payments WHERE order_id = $1 AND status = ANY($2::text[])',
+            [order.order_id, ACTIVE_PAYMENT_STATUSES]
+        );
+        if (active.rows.length > 0) {
+            throw new ConflictError('Order already has an active payment', { code: 'PAYMENT_IN_PROGRESS' });
+        }
+
+        const inserted = await client.query(`
+            INSERT INTO payments (order_id, provider, status, amount, currency)
+            VALUES ($1, $2, 'pending', $3, $4)
+            RETURNING ${PAYMENT_COLUMNS}
+        `, [order.order_id, provider.name, order.total_amount, order.currency]);
+
+        return { order, payment: inserted.rows[0] };
+    });
+
+    const authorization = await callProvider(payment.payment_id, () => provider.authorize({
+        amount: fromDecimal(payment.amount, payment.currency).minor,
+        currency: payment.currency,
+        orderId: order.order_id,
+        paymentMethod: order.payment_method,
+        paymentToken
+    }));
+
+    let current = await recordResult(payment.payment_id, authorization, actor);
+
+    if (capture && current.status === 'authorized') {
+        const captured = await callProvider(payment.payment_id, () =>
+            provider.capture(current.provider_reference, fromDecimal(current.amount, current.currency).minor));
+        current = await recordResult(payment.payment_id, captured, actor);
+    }
+
+    return current;
+};
+
+// Capture or void an authorized payment (staff)
+const settlePayment = async (paymentId, action, actor) => {
+    const paymentResult = await query('SELECT * FROM payments WHERE payment_id::text = $1', [String(paymentId)]);
+    const payment = paymentResult.rows[0];
+
+    if (!payment) {
+        throw new NotFoundError('Payment not found', { code: 'PAYMENT_NOT_FOUND' });
+    }
+    if (payment.status !== 'authorized') {
+        throw new ConflictError(`Cannot ${action} a ${payment.status} payment`, { code: 'INVALID_PAYMENT_STATE' });
+    }
+
+    const provider = requireProvider(payment.provider);
+    const result = await callProvider(payment.payment_id, () => (action === 'capture'
+        ? provider.capture(payment.provider_reference, fromDecimal(payment.amount, payment.currency).minor)
+        : provider.void(payment.provider_reference)));
+
+    return recordResult(payment.payment_id, result, actor);
+};
+
+const capturePayment = (paymentId, actor) => settlePayment(paymentId, 'capture', actor);
+
+const voidPayment = (paymentId, actor) => settlePayment(paymentId, 'void', actor);
+
+// Apply an asynchronous provider result to its payment, or to its pending
+// refund for refund events. Each provider event is processed once.
+const handleWebhook = async (providerName, body) => {
+    const provider = getPaymentProvider(providerName);
+    if (!provider) {
+        throw new NotFoundError(`Unknown payment provider: ${providerName}`, { code: 'UNKNOWN_PAYMENT_PROVIDER' });
+    }
+
+    const event = provider.parseWebhook(body || {});
+    if (!event) {
+        throw new ValidationError('Unrecognised webhook payload', { code: 'INVALID_WEBHOOK_PAYLOAD' });
+    }
+
+    // Returns false when the event was already processed
+    const recordEvent = async (client, paymentId) => {
+        const recorded = await client.query(`
+            INSERT INTO payment_webhook_events (provider, event_id, payment_id, status, payload)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (provider, event_id) DO NOTHING
+            RETURNING id
+        `, [provider.name, event.eventId, paymentId, event.status, JSON.stringify(body)]);
+        return recorded.rows.length > 0;
+    };
+
+    if (event.refund) {
+        return transaction(async (client) => {
+            const refundResult = await client.query(`
+                SELECT r.refund_id, r.payment_id FROM refunds r
+                JOIN payments p ON p.payment_id = r.payment_id
+                WHERE p.provider = $1 AND r.provider_reference = $2
+            `, [provider.name, event.reference]);
+            const refund = refundResult.rows[0];
+
+            if (!refund) {
+                throw new NotFoundError('Refund not found', { code: 'REFUND_NOT_FOUND' });
+            }
+            if (!(await recordEvent(client, refund.payment_id))) {
+                return { duplicate: true, payment: null };
+            }
+
+            await settleRefund(client, refund.refund_id, event, PAYMENTS_ACTOR);
+            const payment = await client.query(
+                `SELECT ${PAYMENT_COLUMNS} FROM payments WHERE payment_id = $1`,
+                [refund.payment_id]
+            );
+            return { duplicate: false, payment: payment.rows[0] };
+        });
+    }
+
+    return transaction(async (client) => {
+        const paymentResult = await client.query(
+            'SELECT * FROM payments WHERE provider = $1 AND provider_reference = $2 FOR UPDATE',
+            [provider.name, event.reference]
+        );
+        const payment = paymentResult.rows[0];
+
+        if (!payment) {
+            throw new NotFoundError('Payment not found', { code: 'PAYMENT_NOT_FOUND' });
+        }
+        if (!(await recordEvent(client, payment.payment_id))) {
+            return { duplicate: true, payment: null };
+        }
+
+        return { duplicate: false, payment: await applyPaymentResult(client, payment, event) };
+    });
+};
+
+const getOrderPayments = async (orderId) => {
+    const result = await query(`
+        SELECT ${PAYMENT_COLUMNS} FROM payments
+        WHERE order_id = $1
+        ORDER BY created_at ASC, id ASC
+    `, [orderId]);
+
+    return result.rows;
+};
+
+module.exports = {
+    signWebhookPayload,
+    verifyWebhookSignature,
+    startPayment,
+    capturePayment,
+    voidPayment,
+    handleWebhook,
+    getOrderPayments
+};
@@ -0,0 +1,98 @@
+const { ForbiddenError } = require('./errors');
+
+// Role-based access control shared by order-service, game-service and
+// analytics-service. Keep this file identical in all three services.
+//
+// Access tokens carry role names; permissions are resolved from roles on
+// every request, so changing this map takes effect without reissuing tokens.
+// Role assignments themselves are picked up on the next token refresh.
+
+const ROLES = ['customer', 'support', 'catalog-manager', 'analyst', 'admin'];
+
+const ROLE_PERMISSIONS = {
+    // Customers only reach their own resources (owner checks in each route)
+    customer: [],
+    support: [
+        'orders:read',
+        'orders:update_status',
+        'customers:read',
+        'reviews:moderate'
+    ],
+    'catalog-manager': [
+        'catalog:write',
+        'catalog:stats',
+        'promotions:manage',
+        'reviews:moderate'
+    ],
+    analyst: [
+        'analytics:read',
+        'analytics:reports',
+        'orders:stats',
+        'catalog:stats'
+    ],
+    // Admin-only permissions: orders:create_any, orders:refund, customers:write, roles:manage,
+    // payments:manage
+    admin: ['*']
+};
+
+const permissionsForRoles = (roles = []) => {
+    const permissions = new Set();
+    roles.forEach(role => {
+        (ROLE_PERMISSIONS[role] || []).forEach(permission => permissions.add(permission));
+    });
+    return Array.from(permissions);
+};
+
+const hasPermission = (user, permission) => {
+    if (!user) {
+        return false;
+    }
+    const permissions = permissionsForRoles(user.roles);
+    return permissions.includes('*') || permissions.includes(permission);
+};
+
+// Error for callers whose roles lack the permission (also used by owner checks in routes)
+const permissionRequired = (permission) => new ForbiddenError('You do not have access to this resource', {
+    code: 'PERMISSION_REQUIRED',
+    required_permission: permission
+});
+
+// The middleware below keep their rule (middleware.access) for the OpenAPI document
+
+// Use after authenticate: allow only users whose roles grant the permission
+const requirePermission = (permission) => {
+    const middleware = (req, res, next) => {
+        if (!hasPermission(req.user, permission)) {
+            return next(permissionRequired(permission));
+        }
+        next();
+    };
+    middleware.access = { permission };
+    return middleware;
+};
+
+// Use after authenticate: allow the customer named by req.params[param],
+// or users whose roles grant the permission
+const requireSelfOrPermission = (param, permission) => {
+    const middleware = (req, res, next) => {
+        if (req.user && req.user.customer_id === req.params[param]) {
+            return next();
+        }
+        if (!hasPermission(req.user, permission)) {
+            return next(permissionRequired(permission));
+        }
+        next();
+    };
+    middleware.access = { permission, self: param };
+    return middleware;
+};
+
+module.exports = {
+    ROLES,
+    ROLE_PERMISSIONS,
+    permissionsForRoles,
+    hasPermission,
+    permissionRequired,
+    requirePermission,
+    requireSelfOrPermission
+};
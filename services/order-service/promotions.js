@@ -0,0 +1,426 @@
+const { query, transaction } = require('./database');
+const {
+    toDecimal, zero, subtract, multiply, sum, percentage, compare, min, isPositive
+} = require('./money');
+const { BASE_CURRENCY, fromBase } = require('./currencies');
+const { salePriceFor } = require('./sales');
+const { ValidationError, AuthenticationError, NotFoundError, ConflictError } = require('./errors');
+
+// Promotions engine for order totals.
+//
+//   sale     - scheduled price cut on games (game_ids and/or a category) for a
+//              window; changes the effective unit price of matching lines
+//              (sales.js, shared with game-service's catalog)
+//   category - automatic discount on the lines of one category
+//   bundle   - automatic discount for every complete set of game_ids ordered
+//   coupon   - discount unlocked by a code, on the order or one category
+//
+// Sales are applied to the lines first, then every applicable automatic
+// promotion, then at most one coupon. Discounts never exceed the subtotal.
+// Redemptions are recorded per order for usage limits; redemptions of
+// cancelled orders do not count towards them. Percentage discounts and sale
+// prices are rounded half-up to the minor unit. Fixed amounts (discount_value,
+// min_spend) are in the base currency and converted to the order's currency.
+
+const PROMOTION_TYPES = ['coupon', 'category', 'bundle', 'sale'];
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+const COUPON_CODE_PATTERN = /^[A-Z0-9_-]{3,50}$/;
+const MAX_PRICE = 99999999.99; // DECIMAL(10, 2)
+const MAX_NAME_LENGTH = 200;
+const MAX_BUNDLE_GAMES = 20;
+
+const PROMOTION_COLUMNS = `
+    promotion_id, name, description, promotion_type, code, discount_type, discount_value,
+    min_spend, category, game_ids, max_uses, per_customer_limit, starts_at, ends_at,
+    is_active, created_at, updated_at
+`;
+
+// Fields accepted on create and update; promotion_type is fixed once created
+const PROMOTION_FIELDS = [
+    'name', 'description', 'code', 'discount_type', 'discount_value', 'min_spend', 'category',
+    'game_ids', 'max_uses', 'per_customer_limit', 'starts_at', 'ends_at', 'is_active'
+];
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const parseDate = (value) => {
+    const date = typeof value === 'string' || value instanceof Date ? new Date(value) : null;
+    return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+const optionalPositiveInteger = (field, value, errors) => {
+    if (isBlank(value)) {
+        return null;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        errors.push(`${field} must be a positive integer`);
+    }
+    return number;
+};
+
+// Validate a full promotion definition. Returns { errors, promotion } with
+// normalized values (upper-case code, numbers, Dates).
+const validatePromotion = (input = {}) => {
+    const errors = [];
+    const promotion = {};
+
+    promotion.promotion_type = input.promotion_type;
+    if (!PROMOTION_TYPES.includes(input.promotion_type)) {
+        errors.push(`promotion_type must be one of: ${PROMOTION_TYPES.join(', ')}`);
+    }
+
+    if (typeof input.name !== 'string' || !input.name.trim() || input.name.trim().length > MAX_NAME_LENGTH) {
+        errors.push(`name is required (max ${MAX_NAME_LENGTH} characters)`);
+    } else {
+        promotion.name = input.name.trim();
+    }
+
+    if (!isBlank(input.description) && typeof input.description !== 'string') {
+        errors.push('description must be a string');
+    }
+    promotion.description = isBlank(input.description) ? null : input.description;
+
+    promotion.discount_type = input.discount_type;
+    if (!DISCOUNT_TYPES.includes(input.discount_type)) {
+        errors.push(`discount_type must be one of: ${DISCOUNT_TYPES.join(', ')}`);
+    }
+
+    promotion.discount_value = Number(input.discount_value);
+    if (isBlank(input.discount_value) || !Number.isFinite(promotion.discount_value) ||
+        promotion.discount_value <= 0 || promotion.discount_value > MAX_PRICE) {
+        errors.push('discount_value must be a positive number');
+    } else if (input.discount_type === 'percentage' && promotion.discount_value > 100) {
+        errors.push('discount_value must not exceed 100 for percentage discounts');
+    }
+
+    promotion.min_spend = isBlank(input.min_spend) ? 0 : Number(input.min_spend);
+    if (!Number.isFinite(promotion.min_spend) || promotion.min_spend < 0 || promotion.min_spend > MAX_PRICE) {
+        errors.push('min_spend must be a non-negative number');
+    }
+
+    promotion.code = null;
+    if (input.promotion_type === 'coupon') {
+        promotion.code = typeof input.code === 'string' ? input.code.trim().toUpperCase() : '';
+        if (!COUPON_CODE_PATTERN.test(promotion.code)) {
+            errors.push('code is required for coupons (3-50 letters, numbers, "_" or "-")');
+        }
+    } else if (!isBlank(input.code)) {
+        errors.push('code is only allowed on coupon promotions');
+    }
+
+    promotion.category = null;
+    if (!isBlank(input.category)) {
+        if (typeof input.category !== 'string' || input.category.trim().length > 100) {
+            errors.push('category must be a string (max 100 characters)');
+        } else {
+            promotion.category = input.category.trim();
+        }
+    }
+
+    promotion.game_ids = null;
+    if (!isBlank(input.game_ids)) {
+        if (!Array.isArray(input.game_ids) || input.game_ids.length > MAX_BUNDLE_GAMES ||
+            !input.game_ids.every(gameId => typeof gameId === 'string' && gameId.trim())) {
+            errors.push(`game_ids must be an array of up to ${MAX_BUNDLE_GAMES} game ids`);
+        } else {
+            promotion.game_ids = Array.from(new Set(input.game_ids.map(gameId => gameId.trim())));
+        }
+    }
+
+    if (input.promotion_type === 'category' && !promotion.category) {
+        errors.push('category is required for category promotions');
+    }
+    if (input.promotion_type === 'bundle' && (!promotion.game_ids || promotion.game_ids.length < 2)) {
+        errors.push('game_ids must list at least two games for bundle promotions');
+    }
+    if (input.promotion_type === 'sale' && !promotion.category && !promotion.game_ids) {
+        errors.push('sales need game_ids or a category');
+    }
+
+    promotion.max_uses = optionalPositiveInteger('max_uses', input.max_uses, errors);
+    promotion.per_customer_limit = optionalPositiveInteger('per_customer_limit', input.per_customer_limit, errors);
+
+    promotion.starts_at = isBlank(input.starts_at) ? new Date() : parseDate(input.starts_at);
+    promotion.ends_at = isBlank(input.ends_at) ? null : parseDate(input.ends_at);
+    if (!promotion.starts_at) {
+        errors.push('starts_at must be an ISO 8601 timestamp');
+    }
+    if (!isBlank(input.ends_at) && !promotion.ends_at) {
+        errors.push('ends_at must be an ISO 8601 timestamp');
+    }
+    if (input.promotion_type === 'sale' && isBlank(input.ends_at)) {
+        errors.push('ends_at is required for sales');
+    }
+    if (promotion.starts_at && promotion.ends_at && promotion.ends_at <= promotion.starts_at) {
+        errors.push('ends_at must be after starts_at');
+    }
+
+    if (!isBlank(input.is_active) && typeof input.is_active !== 'boolean') {
+        errors.push('is_active must be a boolean');
+    }
+    promotion.is_active = input.is_active !== false;
+
+    return { errors, promotion };
+};
+
+const listPromotions = async ({ activeOnly = false } = {}) => {
+    const result = await query(`
+        SELECT ${PROMOTION_COLUMNS} FROM promotions
+        ${activeOnly ? 'WHERE is_active AND starts_at <= CURRENT_TIMESTAMP AND (ends_at IS NULL OR ends_at > CURRENT_TIMESTAMP)' : ''}
+        ORDER BY created_at DESC, id DESC
+    `);
+    return result.rows;
+};
+
+const createPromotion = async (promotion) => {
+    const columns = ['promotion_type', ...PROMOTION_FIELDS];
+    const result = await query(`
+        INSERT INTO promotions (${columns.join(', ')})
+        VALUES (${columns.map((column, index) => `$${index + 1}`).join(', ')})
+        RETURNING ${PROMOTION_COLUMNS}
+    `, columns.map(column => promotion[column]));
+    return result.rows[0];
+};
+
+// Apply a partial update; the merged promotion is validated as a whole
+const updatePromotion = (promotionId, changes) => transaction(async (client) => {
+    const current = await client.query(
+        `SELECT ${PROMOTION_COLUMNS} FROM promotions WHERE promotion_id::text = $1 FOR UPDATE`,
+        [String(promotionId)]
+    );
+    if (current.rows.length === 0) {
+        throw new NotFoundError('Promotion not found', { code: 'PROMOTION_NOT_FOUND' });
+    }
+    if (changes.promotion_type !== undefined && changes.promotion_type !== current.rows[0].promotion_type) {
+        throw new ValidationError('Invalid promotion', { details: ['promotion_type cannot be changed'] });
+    }
+
+    const { errors, promotion } = validatePromotion({ ...current.rows[0], ...changes });
+    if (errors.length > 0) {
+        throw new ValidationError('Invalid promotion', { details: errors });
+    }
+
+    const result = await client.query(`
+        UPDATE promotions
+        SET ${PROMOTION_FIELDS.map((field, index) => `${field} = $${index + 1}`).join(', ')}
+        WHERE promotion_id = $${PROMOTION_FIELDS.length + 1}
+        RETURNING ${PROMOTION_COLUMNS}
+    `, [...PROMOTION_FIELDS.map(field => promotion[field]), current.rows[0].promotion_id]);
+
+    return result.rows[0];
+});
+
+// Automatic promotions and sales running right now (coupons are looked up by code)
+const loadActivePromotions = async (db) => {
+    const result = await db.query(`
+        SELECT ${PROMOTION_COLUMNS} FROM promotions
+        WHERE is_active AND promotion_type <> 'coupon'
+          AND starts_at <= CURRENT_TIMESTAMP
+          AND (ends_at IS NULL OR ends_at > CURRENT_TIMESTAMP)
+        ORDER BY id
+    `);
+    return result.rows;
+};
+
+// Reprice order lines for running sales (the sale price becomes the line's discount_price)
+const applySalePrices = (lines, promotions, target) => lines.map(line => {
+    const { price, sale } = salePriceFor(line, promotions, target);
+    if (!sale) {
+        return line;
+    }
+    return { ...line, discount_price: price, total_price: multiply(price, line.quantity), sale };
+});
+
+const discountFor = (promotion, base, target) => (promotion.discount_type === 'percentage'
+    ? percentage(base, promotion.discount_value)
+    : min(fromBase(promotion.discount_value, target), base));
+
+const categorySubtotal = (lines, category, target) => sum(lines
+    .filter(line => line.category === category)
+    .map(line => line.total_price), target.currency);
+
+// Discount for complete bundles in the order (zero when a bundle game is missing)
+const bundleDiscount = (promotion, lines, target) => {
+    const bundleLines = promotion.game_ids.map(gameId => lines.find(line => line.game_id === gameId));
+    if (bundleLines.some(line => !line)) {
+        return zero(target.currency);
+    }
+    const bundles = Math.min(...bundleLines.map(line => line.quantity));
+    const bundlePrice = multiply(sum(bundleLines.map(line =>
+        line.discount_price !== null ? line.discount_price : line.unit_price), target.currency), bundles);
+
+    return promotion.discount_type === 'percentage'
+        ? discountFor(promotion, bundlePrice, target)
+        : min(multiply(fromBase(promotion.discount_value, target), bundles), bundlePrice);
+};
+
+// Redemptions that count towards a promotion's limits (total and for one customer)
+const countRedemptions = async (client, promotionId, customerId) => {
+    const result = await client.query(`
+        SELECT
+            COUNT(*) as total_uses,
+            COUNT(*) FILTER (WHERE pr.customer_id = $2) as customer_uses
+        FROM promotion_redemptions pr
+        JOIN orders o ON o.order_id = pr.order_id
+        WHERE pr.promotion_id = $1 AND o.order_status <> 'cancelled'
+    `, [promotionId, customerId]);
+
+    return {
+        totalUses: parseInt(result.rows[0].total_uses),
+        customerUses: parseInt(result.rows[0].customer_uses)
+    };
+};
+
+// Why a promotion cannot be used by this customer right now, or null.
+// customerId is the signed-in customer; per-customer limits cannot be checked
+// for guests (they could send any customer_id), so guests cannot use them.
+const usageLimitReached = async (client, promotion, customerId) => {
+    if (!promotion.max_uses && !promotion.per_customer_limit) {
+        return null;
+    }
+    if (promotion.per_customer_limit && !customerId) {
+        return 'requires signing in';
+    }
+    const { totalUses, customerUses } = await countRedemptions(client, promotion.promotion_id, customerId);
+    if (promotion.max_uses && totalUses >= promotion.max_uses) {
+        return 'has reached its usage limit';
+    }
+    if (promotion.per_customer_limit && customerUses >= promotion.per_customer_limit) {
+        return 'has already been used the maximum number of times on this account';
+    }
+    return null;
+};
+
+// Lock and check a coupon for this order (readOnly checks it without the
+// lock). Throws 400 for unknown, expired or inapplicable codes, 401 for guests
+// using a coupon limited per customer and 409 once usage limits are reached.
+const resolveCoupon = async (client, couponCode, customerId, subtotal, target, { readOnly = false } = {}) => {
+    const code = String(couponCode).trim().toUpperCase();
+    const result = await client.query(`
+        SELECT ${PROMOTION_COLUMNS},
+               starts_at <= CURRENT_TIMESTAMP AND (ends_at IS NULL OR ends_at > CURRENT_TIMESTAMP) as is_running
+        FROM promotions
+        WHERE code = $1 AND promotion_type = 'coupon'
+        ${readOnly ? '' : 'FOR UPDATE'}
+    `, [code]);
+    const coupon = result.rows[0];
+
+    if (!coupon || !coupon.is_active) {
+        throw new ValidationError(`Coupon ${code} is not valid`, { code: 'INVALID_COUPON' });
+    }
+    if (!coupon.is_running) {
+        throw new ValidationError(`Coupon ${code} has expired or is not active yet`, { code: 'COUPON_NOT_ACTIVE' });
+    }
+    const minSpend = fromBase(coupon.min_spend, target);
+    if (compare(subtotal, minSpend) < 0) {
+        throw new ValidationError(`Coupon ${code} requires a minimum spend of ${toDecimal(minSpend)} ${minSpend.currency}`, {
+            code: 'COUPON_MIN_SPEND_NOT_MET'
+        });
+    }
+
+    if (coupon.per_customer_limit && !customerId) {
+        throw new AuthenticationError(`Sign in to use coupon ${code}`, { code: 'COUPON_SIGN_IN_REQUIRED' });
+    }
+    const limitReason = await usageLimitReached(client, coupon, customerId);
+    if (limitReason) {
+        throw new ConflictError(`Coupon ${code} ${limitReason}`, { code: 'COUPON_LIMIT_REACHED' });
+    }
+
+    return coupon;
+};
+
+// Price the order's promotions inside the order transaction.
+// Returns { lines, discounts, discount_amount } where lines carry sale prices
+// and discounts is the per-promotion breakdown (amounts as money values in
+// the target currency of the lines). customerId is the signed-in customer the
+// per-customer limits apply to, or null for guests. readOnly (quotes) leaves
+// the coupon row unlocked.
+const calculateDiscounts = async (client, { lines, customerId, couponCode = null, target = BASE_CURRENCY, readOnly = false }) => {
+    const promotions = await loadActivePromotions(client);
+    const pricedLines = applySalePrices(lines, promotions, target);
+    const subtotal = sum(pricedLines.map(line => line.total_price), target.currency);
+
+    const discounts = [];
+    let remaining = subtotal;
+
+    const addDiscount = (promotion, amount) => {
+        const applied = min(amount, remaining);
+        if (isPositive(applied)) {
+            remaining = subtract(remaining, applied);
+            discounts.push({
+                promotion_id: promotion.promotion_id,
+                name: promotion.name,
+                promotion_type: promotion.promotion_type,
+                code: promotion.code,
+                amount: applied
+            });
+        }
+    };
+
+    for (const promotion of promotions) {
+        if (promotion.promotion_type === 'sale' ||
+            compare(subtotal, fromBase(promotion.min_spend, target)) < 0) {
+            continue;
+        }
+
+        const amount = promotion.promotion_type === 'category'
+            ? discountFor(promotion, categorySubtotal(pricedLines, promotion.category, target), target)
+            : bundleDiscount(promotion, pricedLines, target);
+
+        if (isPositive(amount) && !(await usageLimitReached(client, promotion, customerId))) {
+            addDiscount(promotion, amount);
+        }
+    }
+
+    if (couponCode) {
+        const coupon = await resolveCoupon(client, couponCode, customerId, subtotal, target, { readOnly });
+        const base = coupon.category ? categorySubtotal(pricedLines, coupon.category, target) : remaining;
+
+        if (!isPositive(base)) {
+            throw new ValidationError(`Coupon ${coupon.code} only applies to ${coupon.category} games`, {
+                code: 'COUPON_NOT_APPLICABLE'
+            });
+        }
+        addDiscount(coupon, discountFor(coupon, base, target));
+    }
+
+    return {
+        lines: pricedLines,
+        discounts,
+        discount_amount: subtract(subtotal, remaining)
+    };
+};
+
+const recordRedemptions = async (client, order, discounts) => {
+    for (const discount of discounts) {
+        await client.query(`
+            INSERT INTO promotion_redemptions (promotion_id, order_id, customer_id, code, discount_amount)
+            VALUES ($1, $2, $3, $4, $5)
+        `, [discount.promotion_id, order.order_id, order.customer_id, discount.code, toDecimal(discount.amount)]);
+    }
+};
+
+const getOrderDiscounts = async (db, orderId) => {
+    const result = await db.query(`
+        SELECT pr.promotion_id, p.name, p.promotion_type, pr.code, pr.discount_amount as amount
+        FROM promotion_redemptions pr
+        JOIN promotions p ON p.promotion_id = pr.promotion_id
+        WHERE pr.order_id = $1
+        ORDER BY pr.id ASC
+    `, [orderId]);
+    return result.rows;
+};
+
+module.exports = {
+    PROMOTION_TYPES,
+    DISCOUNT_TYPES,
+    validatePromotion,
+    listPromotions,
+    createPromotion,
+    updatePromotion,
+    loadActivePromotions,
+    calculateDiscounts,
+    recordRedemptions,
+    getOrderDiscounts
+};
@@ -0,0 +1,355 @@
+const { query, transaction, serialId } = require('./database');
+const { getPaymentProvider } = require('./payment-providers');
+const { transitionOrder, recordOrderNote, MAX_REASON_LENGTH } = require('./order-status');
+const { releaseStock } = require('./order-pricing');
+const { fromDecimal, toDecimal, zero, add, subtract, sum, allocate, isZero } = require('./money');
+const { ValidationError, NotFoundError, ConflictError, DependencyUnavailableError } = require('./errors');
+
+// Refunds of captured payments, for the whole order or per order item.
+//
+// Each order item's share of the amount paid is its part of the order total
+// excluding shipping (discount and tax included), allocated exactly by line
+// totals. Refunding some units of an item refunds their proportional share of
+// what is left of that item, so a series of partial refunds adds up to exactly
+// what was paid. Shipping is refunded with the refund that covers the last
+// remaining units; that refund also refunds the payment and moves the order to
+// 'refunded'.
+//
+// Like payments, the refund is recorded (pending) in one transaction, the
+// provider is called outside it, and the result is applied in a second
+// transaction: stock is returned for restocked items and the order timeline
+// gets an entry. Pending refunds count as refunded so concurrent requests
+// cannot refund the same units twice. A refund the provider settles later
+// stays pending with its provider_reference until the payment webhook reports
+// the outcome (payments.js handleWebhook -> settleRefund).
+
+const REFUND_REASONS = [
+    'customer_request',
+    'damaged',
+    'defective',
+    'wrong_item',
+    'not_received',
+    'duplicate',
+    'fraudulent',
+    'other'
+];
+
+// Orders whose payment can be refunded
+const REFUNDABLE_ORDER_STATUSES = ['confirmed', 'shipped', 'delivered'];
+
+// Refunds that hold their units and amount
+const OPEN_REFUND_STATUSES = ['pending', 'succeeded'];
+
+const REFUND_COLUMNS = `
+    refund_id, order_id, payment_id, refund_type, status, amount, shipping_amount,
+    currency, reason, note, failure_reason, created_by, created_at, updated_at
+`;
+
+// Validate { items, reason, note, restock }; items omitted means everything
+// not refunded yet. Returns null or an error message.
+const validateRefundRequest = ({ items, reason, note, restock }) => {
+    if (!REFUND_REASONS.includes(reason)) {
+        return `reason must be one of: ${REFUND_REASONS.join(', ')}`;
+    }
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MAX_REASON_LENGTH)) {
+        return `note must be a string of at most ${MAX_REASON_LENGTH} characters`;
+    }
+    if (restock !== undefined && typeof restock !== 'boolean') {
+        return 'restock must be a boolean';
+    }
+    if (items === undefined || items === null) {
+        return null;
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+        return 'items must be a non-empty array of { order_item_id, quantity }';
+    }
+    for (const item of items) {
+        if (!item || !Number.isInteger(item.order_item_id) || !Number.isInteger(item.quantity) || item.quantity < 1) {
+            return 'Each item needs an integer order_item_id and a positive integer quantity';
+        }
+        if (item.restock !== undefined && typeof item.restock !== 'boolean') {
+            return 'Item restock must be a boolean';
+        }
+    }
+    if (new Set(items.map(item => item.order_item_id)).size !== items.length) {
+        return 'Each order_item_id may only be listed once';
+    }
+    return null;
+};
+
+// Order items with the units and amounts still refundable
+const loadRefundableItems = async (client, order) => {
+    const result = await client.query(`
+        SELECT oi.id, oi.game_id, oi.game_name, oi.quantity, oi.total_price,
+               COALESCE(SUM(ri.quantity), 0)::int as refunded_quantity,
+               COALESCE(SUM(ri.amount), 0) as refunded_amount
+        FROM order_items oi
+        LEFT JOIN refund_items ri ON ri.order_item_id = oi.id
+            AND ri.refund_id IN (SELECT refund_id FROM refunds WHERE order_id = $1 AND status = ANY($2::text[]))
+        WHERE oi.order_id = $1
+        GROUP BY oi.id
+        ORDER BY oi.id
+    `, [order.order_id, OPEN_REFUND_STATUSES]);
+
+    const currency = order.currency;
+    const goodsPaid = subtract(fromDecimal(order.total_amount, currency), fromDecimal(order.shipping_cost || '0', currency));
+    const shares = allocate(goodsPaid, result.rows.map(row => fromDecimal(row.total_price, currency)));
+
+    return result.rows.map((row, index) => ({
+        ...row,
+        remaining_quantity: row.quantity - row.refunded_quantity,
+        remaining_amount: subtract(shares[index], fromDecimal(row.refunded_amount, currency))
+    }));
+};
+
+// Lines and amounts of a new refund; throws 400 with per-item errors
+const planRefund = (order, refundable, { items, restock = true }, refundedShipping) => {
+    const requested = items || refundable
+        .filter(item => item.remaining_quantity > 0)
+        .map(item => ({ order_item_id: item.id, quantity: item.remaining_quantity }));
+
+    const itemErrors = [];
+    const lines = requested.map((request, index) => {
+        const item = refundable.find(candidate => candidate.id === request.order_item_id);
+        if (!item) {
+            itemErrors.push({ index, order_item_id: request.order_item_id, error: 'Order item not found' });
+            return null;
+        }
+        if (request.quantity > item.remaining_quantity) {
+            itemErrors.push({
+                index,
+                order_item_id: item.id,
+                error: `Only ${item.remaining_quantity} of ${item.quantity} can still be refunded`
+            });
+            return null;
+        }
+
+        const amount = request.quantity === item.remaining_quantity
+            ? item.remaining_amount
+            : allocate(item.remaining_amount, [request.quantity, item.remaining_quantity - request.quantity])[0];
+
+        return {
+            order_item_id: item.id,
+            game_id: item.game_id,
+            game_name: item.game_name,
+            quantity: request.quantity,
+            amount,
+            restock: request.restock !== undefined ? request.restock : restock
+        };
+    });
+
+    if (itemErrors.length > 0) {
+        throw new ValidationError('Some items cannot be refunded', { code: 'INVALID_REFUND_ITEMS', items: itemErrors });
+    }
+    if (lines.length === 0) {
+        throw new ConflictError('Order has already been fully refunded', { code: 'ALREADY_REFUNDED' });
+    }
+
+    const refundsEverything = refundable.every(item => {
+        const line = lines.find(candidate => candidate.order_item_id === item.id);
+        return item.remaining_quantity === (line ? line.quantity : 0);
+    });
+    const shippingAmount = refundsEverything
+        ? subtract(fromDecimal(order.shipping_cost || '0', order.currency), refundedShipping)
+        : zero(order.currency);
+
+    return {
+        lines,
+        refundType: refundsEverything ? 'full' : 'partial',
+        shippingAmount,
+        amount: add(sum(lines.map(line => line.amount), order.currency), shippingAmount)
+    };
+};
+
+const getRefund = async (db, refundId) => {
+    const refundResult = await db.query(`SELECT ${REFUND_COLUMNS} FROM refunds WHERE refund_id = $1`, [refundId]);
+    const itemsResult = await db.query(`
+        SELECT ri.order_item_id, ri.game_id, oi.game_name, ri.quantity, ri.amount, ri.restock, ri.restocked
+        FROM refund_items ri
+        LEFT JOIN order_items oi ON oi.id = ri.order_item_id
+        WHERE ri.refund_id = $1
+        ORDER BY ri.id
+    `, [refundId]);
+
+    return { ...refundResult.rows[0], items: itemsResult.rows };
+};
+
+// Record a pending refund for a locked, paid order
+const createPendingRefund = (orderRef, request, actor) => transaction(async (client) => {
+    const orderResult = await client.query(`
+        SELECT * FROM orders WHERE order_id::text = $1 OR id = $2 FOR UPDATE
+    `, [String(orderRef), serialId(orderRef)]);
+
+    const order = orderResult.rows[0];
+    if (!order) {
+        throw new NotFoundError('Order not found', { code: 'ORDER_NOT_FOUND' });
+    }
+    if (!REFUNDABLE_ORDER_STATUSES.includes(order.order_status)) {
+        throw new ConflictError(`Cannot refund a ${order.order_status} order`, { code: 'ORDER_NOT_REFUNDABLE' });
+    }
+
+    const paymentResult = await client.query(`
+        SELECT * FROM payments
+        WHERE order_id = $1 AND status = 'captured'
+        ORDER BY created_at DESC, id DESC
+        LIMIT 1
+        FOR UPDATE
+    `, [order.order_id]);
+
+    const payment = paymentResult.rows[0];
+    if (!payment) {
+        throw new ConflictError('Order has no captured payment to refund', { code: 'NO_CAPTURED_PAYMENT' });
+    }
+
+    const shippingResult = await client.query(
+        'SELECT COALESCE(SUM(shipping_amount), 0) as refunded_shipping FROM refunds WHERE order_id = $1 AND status = ANY($2::text[])',
+        [order.order_id, OPEN_REFUND_STATUSES]
+    );
+
+    const refundable = await loadRefundableItems(client, order);
+    const plan = planRefund(order, refundable, request,
+        fromDecimal(shippingResult.rows[0].refunded_shipping, order.currency));
+
+    const inserted = await client.query(`
+        INSERT INTO refunds (order_id, payment_id, refund_type, status, amount, shipping_amount, currency, reason, note, created_by)
+        VALUES ($1, $2, $3, 'pending', $4, $5, $6, $7, $8, $9)
+        RETURNING refund_id
+    `, [
+        order.order_id,
+        payment.payment_id,
+        plan.refundType,
+        toDecimal(plan.amount),
+        toDecimal(plan.shippingAmount),
+        order.currency,
+        request.reason,
+        request.note || null,
+        actor
+    ]);
+
+    const refundId = inserted.rows[0].refund_id;
+    for (const line of plan.lines) {
+        await client.query(`
+            INSERT INTO refund_items (refund_id, order_item_id, game_id, quantity, amount, restock)
+            VALUES ($1, $2, $3, $4, $5, $6)
+        `, [refundId, line.order_item_id, line.game_id, line.quantity, toDecimal(line.amount), line.restock]);
+    }
+
+    return { refundId, payment, amount: plan.amount };
+});
+
+// Apply the provider result inside the caller's transaction: restock, refund
+// the payment and order when the refund covers everything, and add an order
+// timeline entry. Results for refunds that are no longer pending are ignored.
+const settleRefund = async (client, refundId, result, actor) => {
+    const refundResult = await client.query('SELECT * FROM refunds WHERE refund_id = $1 FOR UPDATE', [refundId]);
+    const refund = refundResult.rows[0];
+
+    if (refund.status !== 'pending') {
+        return getRefund(client, refundId);
+    }
+
+    if (result.reference && result.reference !== refund.provider_reference) {
+        await client.query(
+            'UPDATE refunds SET provider_reference = $1, updated_at = CURRENT_TIMESTAMP WHERE refund_id = $2',
+            [result.reference, refundId]
+        );
+    }
+
+    if (result.status === 'failed') {
+        await client.query(`
+            UPDATE refunds SET status = 'failed', failure_reason = $1, updated_at = CURRENT_TIMESTAMP
+            WHERE refund_id = $2
+        `, [result.failureReason || 'Refund declined by the payment provider', refundId]);
+        return getRefund(client, refundId);
+    }
+
+    // The provider settles the refund later and reports it through the webhook
+    if (result.status !== 'refunded' && result.status !== 'captured') {
+        return getRefund(client, refundId);
+    }
+
+    await client.query(
+        "UPDATE refunds SET status = 'succeeded', updated_at = CURRENT_TIMESTAMP WHERE refund_id = $1",
+        [refundId]
+    );
+
+    const restocked = await client.query(`
+        UPDATE refund_items SET restocked = TRUE
+        WHERE refund_id = $1 AND restock
+        RETURNING game_id, quantity
+    `, [refundId]);
+    await releaseStock(client, restocked.rows.filter(line => line.game_id));
+
+    const description = `${refund.refund_type === 'full' ? 'Refund' : 'Partial refund'} of ${refund.amount} ${refund.currency}: ` +
+        `${refund.reason}${refund.note ? ` - ${refund.note}` : ''}`;
+
+    if (refund.refund_type === 'full') {
+        await client.query(
+            "UPDATE payments SET status = 'refunded', updated_at = CURRENT_TIMESTAMP WHERE payment_id = $1",
+            [refund.payment_id]
+        );
+        await client.query(
+            "UPDATE orders SET payment_status = 'refunded', updated_at = CURRENT_TIMESTAMP WHERE order_id = $1",
+            [refund.order_id]
+        );
+        await transitionOrder(client, refund.order_id, 'refunded', { reason: description, changedBy: actor });
+    } else {
+        await recordOrderNote(client, refund.order_id, { reason: description, changedBy: actor });
+    }
+
+    return getRefund(client, refundId);
+};
+
+const applyRefundResult = (refundId, result, actor) =>
+    transaction(client => settleRefund(client, refundId, result, actor));
+
+// Refund an order (all remaining items when request.items is omitted).
+// Throws 4xx errors for invalid requests and 503 when the provider is down.
+const refundOrder = async (orderRef, request, actor) => {
+    const validationError = validateRefundRequest(request);
+    if (validationError) {
+        throw new ValidationError(validationError);
+    }
+
+    const { refundId, payment, amount } = await createPendingRefund(orderRef, request, actor);
+
+    // Fully discounted items leave nothing to send back to the provider
+    if (isZero(amount)) {
+        return applyRefundResult(refundId, { status: 'refunded' }, actor);
+    }
+
+    const provider = getPaymentProvider(payment.provider);
+    let result;
+    try {
+        result = await provider.refund(payment.provider_reference, amount.minor);
+    } catch (error) {
+        console.error(`❌ Payment provider error for refund ${refundId}:`, error.message);
+        await applyRefundResult(refundId, { status: 'failed', failureReason: 'Payment provider unavailable' }, actor);
+        throw new DependencyUnavailableError('payment-provider', 'Payment provider unavailable', {
+            code: 'PAYMENT_PROVIDER_UNAVAILABLE'
+        });
+    }
+
+    return applyRefundResult(refundId, result, actor);
+};
+
+const getOrderRefunds = async (orderId) => {
+    const result = await query(`
+        SELECT refund_id FROM refunds
+        WHERE order_id = $1
+        ORDER BY created_at ASC, id ASC
+    `, [orderId]);
+
+    const refunds = [];
+    for (const row of result.rows) {
+        refunds.push(await getRefund({ query }, row.refund_id));
+    }
+    return refunds;
+};
+
+module.exports = {
+    REFUND_REASONS,
+    refundOrder,
+    settleRefund,
+    getOrderRefunds
+};
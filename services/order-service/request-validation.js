@@ -0,0 +1,133 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+const { ValidationError } = require('./errors');
+
+// Request validation shared by order-service, game-service and
+// analytics-service. Keep this file identical in all three services.
+//
+// Routes declare JSON Schemas for their path parameters, query string and
+// body with validate({ params, query, body }). A request that does not match
+// is answered with a 400 problem (errors.js) listing every invalid field before
+// the handler runs, so malformed input never reaches the database:
+//
+//   { "status": 400, "code": "VALIDATION_FAILED", "detail": "Invalid request", ...,
+//     "details": [{ "location": "body", "field": "items[0].quantity", "error": "must be >= 1" }] }
+//
+// Path parameters and query strings are strings on the wire. They are checked
+// as if converted to the schema types (?limit=5 matches { type: 'integer' }
+// and a single ?platform=PC matches an array schema), but handlers still see
+// the original strings. Bodies are JSON and must match as sent.
+//
+// The middleware keeps its schemas (validate(...).schemas); openapi.js reads
+// them from the registered routes, so the OpenAPI document describes exactly
+// what is enforced.
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// verbose: errors carry their schema, so pattern errors can use its description
+const OPTIONS = { allErrors: true, allowUnionTypes: true, verbose: true };
+
+const bodyValidator = addFormats(new Ajv(OPTIONS));
+const stringValidator = addFormats(new Ajv({ ...OPTIONS, coerceTypes: 'array' }));
+
+// JSON pointer ("/items/0/quantity") as a field path ("items[0].quantity")
+const fieldPath = (instancePath, property) => {
+    const segments = instancePath.split('/').slice(1)
+        .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+    if (property !== undefined) {
+        segments.push(property);
+    }
+    return segments.reduce((path, segment) => {
+        if (/^\d+$/.test(segment)) {
+            return `${path}[${segment}]`;
+        }
+        return path ? `${path}.${segment}` : segment;
+    }, '');
+};
+
+const describeError = (error) => {
+    switch (error.keyword) {
+        case 'required':
+            return { field: fieldPath(error.instancePath, error.params.missingProperty), error: 'is required' };
+        case 'additionalProperties':
+            return { field: fieldPath(error.instancePath, error.params.additionalProperty), error: 'is not allowed' };
+        case 'enum':
+            return { field: fieldPath(error.instancePath), error: `must be one of: ${error.params.allowedValues.join(', ')}` };
+        case 'type':
+            return { field: fieldPath(error.instancePath), error: `must be ${[].concat(error.params.type).join(' or ')}` };
+        case 'format':
+            return { field: fieldPath(error.instancePath), error: `must be a valid ${error.params.format}` };
+        case 'minLength':
+            if (error.params.limit === 1) {
+                return { field: fieldPath(error.instancePath), error: 'must not be empty' };
+            }
+            return { field: fieldPath(error.instancePath), error: error.message };
+        case 'pattern':
+            return {
+                field: fieldPath(error.instancePath),
+                error: error.parentSchema.description ? `must be ${error.parentSchema.description}` : 'has an invalid format'
+            };
+        default:
+            return { field: fieldPath(error.instancePath), error: error.message };
+    }
+};
+
+// One entry per invalid field (the first problem found with it)
+const describeErrors = (location, errors) => {
+    const details = [];
+    errors.forEach(error => {
+        const { field, error: message } = describeError(error);
+        const detail = { location, field: field || location, error: message };
+        if (!details.some(existing => existing.field === detail.field)) {
+            details.push(detail);
+        }
+    });
+    return details;
+};
+
+// Schema helpers: a schema that also accepts null, and an object schema
+const nullable = (schema) => ({ ...schema, type: [].concat(schema.type, 'null') });
+
+const object = (properties, required = []) => ({
+    type: 'object',
+    properties,
+    ...(required.length > 0 && { required })
+});
+
+// Express middleware checking req.params, req.query and req.body against the
+// given schemas (each optional)
+const validate = (schemas) => {
+    const checks = LOCATIONS.filter(location => schemas[location]).map(location => ({
+        location,
+        check: (location === 'body' ? bodyValidator : stringValidator).compile(schemas[location])
+    }));
+
+    const middleware = (req, res, next) => {
+        const details = [];
+
+        checks.forEach(({ location, check }) => {
+            // Coercion rewrites what it checks, so strings are checked on a copy
+            const input = location === 'body'
+                ? (req.body === undefined ? {} : req.body)
+                : structuredClone({ ...req[location] });
+            if (!check(input)) {
+                details.push(...describeErrors(location, check.errors));
+            }
+        });
+
+        if (details.length > 0) {
+            return next(new ValidationError('Invalid request', { details }));
+        }
+        next();
+    };
+
+    middleware.schemas = schemas;
+    return middleware;
+};
+
+module.exports = {
+    nullable,
+    object,
+    validate
+};
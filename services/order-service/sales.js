@@ -0,0 +1,78 @@
+const { zero, subtract, percentage, compare, max, toDecimal } = require('./money');
+const { BASE_CURRENCY, fromBase, localizePrices } = require('./currencies');
+
+// Scheduled sales (promotions with promotion_type 'sale').
+// Shared by order-service (carts and order pricing) and game-service (catalog
+// listings and product pages), so shoppers see the price they will pay.
+// Keep this file identical in both services.
+//
+// A sale cuts the regular unit price of its game_ids and/or category by a
+// percentage or a fixed base-currency amount while it runs. The lowest of the
+// running sales and the regular discount price wins.
+
+const promotionMatchesLine = (promotion, line) =>
+    (promotion.game_ids && promotion.game_ids.includes(line.game_id)) ||
+    (promotion.category && promotion.category === line.category);
+
+// Sales running right now
+const loadRunningSales = async (db) => {
+    const result = await db.query(`
+        SELECT promotion_id, name, promotion_type, discount_type, discount_value, category, game_ids, ends_at
+        FROM promotions
+        WHERE is_active AND promotion_type = 'sale'
+          AND starts_at <= CURRENT_TIMESTAMP
+          AND (ends_at IS NULL OR ends_at > CURRENT_TIMESTAMP)
+        ORDER BY id
+    `);
+    return result.rows;
+};
+
+// Best price for one line ({ game_id, category, unit_price, discount_price },
+// prices as money values in the target currency) under the running sales.
+// Returns { price, sale } where sale is null when the regular (discount) price
+// is already the lowest. Promotions that are not sales are ignored.
+const salePriceFor = (line, promotions, target = BASE_CURRENCY) => {
+    let price = line.discount_price !== null ? line.discount_price : line.unit_price;
+    let sale = null;
+
+    promotions
+        .filter(promotion => promotion.promotion_type === 'sale' && promotionMatchesLine(promotion, line))
+        .forEach(promotion => {
+            const cut = promotion.discount_type === 'percentage'
+                ? percentage(line.unit_price, promotion.discount_value)
+                : fromBase(promotion.discount_value, target);
+            const salePrice = max(subtract(line.unit_price, cut), zero(line.unit_price.currency));
+
+            if (compare(salePrice, price) < 0) {
+                price = salePrice;
+                sale = { promotion_id: promotion.promotion_id, name: promotion.name, ends_at: promotion.ends_at };
+            }
+        });
+
+    return { price, sale };
+};
+
+// Catalog row ({ game_id, category, price, discount_price } in the base
+// currency) with its prices localized to the target currency. A running sale
+// becomes the discount_price and is described in `sale` (null otherwise).
+const priceCatalogGame = (row, sales, target = BASE_CURRENCY) => {
+    const localized = localizePrices(row, target);
+    const { price, sale } = salePriceFor({
+        game_id: row.game_id,
+        category: row.category,
+        unit_price: fromBase(row.price, target),
+        discount_price: row.discount_price !== null && row.discount_price !== undefined
+            ? fromBase(row.discount_price, target)
+            : null
+    }, sales, target);
+
+    return sale
+        ? { ...localized, discount_price: toDecimal(price), sale }
+        : { ...localized, sale: null };
+};
+
+module.exports = {
+    loadRunningSales,
+    salePriceFor,
+    priceCatalogGame
+};
@@ -0,0 +1,248 @@
+const { nullable, object } = require('./request-validation');
+const { pageQueryProperties } = require('./pagination');
+const { ORDER_STATUSES, MANUAL_ORDER_STATUSES, MAX_REASON_LENGTH } = require('./order-status');
+const { MAX_QUANTITY_PER_ITEM } = require('./order-pricing');
+const { ADDRESS_TYPES } = require('./addresses');
+const { PROMOTION_TYPES, DISCOUNT_TYPES } = require('./promotions');
+const { REFUND_REASONS } = require('./refunds');
+const { ROLES } = require('./permissions');
+
+// JSON Schemas for the Order Service routes, used with validate() from
+// request-validation.js and published in the OpenAPI document.
+//
+// The schemas check shapes, types and limits. Rules that depend on stored
+// data or on several fields at once (stock, order transitions, promotion
+// types, address books) stay in the domain modules. Unknown body fields are
+// ignored, as before, so older clients keep working.
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+
+// Orders are addressed by their public order_id or by their numeric id
+const ORDER_REF = {
+    type: 'string',
+    pattern: '^([0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}|[0-9]{1,9})$',
+    description: 'an order_id (UUID) or numeric order id'
+};
+const UUID = { type: 'string', format: 'uuid' };
+const CUSTOMER_ID = { type: 'string', minLength: 1, maxLength: 100 };
+const GAME_REF = {
+    type: ['string', 'integer'],
+    minLength: 1,
+    maxLength: 100,
+    description: 'a game_id or numeric game id'
+};
+const QUANTITY = { type: 'integer', minimum: 1, maximum: MAX_QUANTITY_PER_ITEM };
+const CURRENCY = {
+    type: 'string',
+    pattern: '^[A-Za-z]{3}$',
+    description: 'a 3-letter ISO 4217 currency code'
+};
+const EMAIL = { type: 'string', format: 'email', maxLength: 255 };
+const NAME = { type: 'string', minLength: 1, maxLength: 100 };
+const PHONE = {
+    type: 'string',
+    pattern: '^\\+?[0-9 ()-]{5,20}$',
+    description: 'a phone number (5-20 digits, spaces, "+", "-" or parentheses)'
+};
+const DATE = { type: 'string', format: 'date' };
+const TIMESTAMP = { type: 'string', format: 'date-time' };
+const MONEY = { type: ['number', 'string'], description: 'Decimal amount' };
+
+const ADDRESS_PROPERTIES = {
+    first_name: nullable({ type: 'string', maxLength: 100 }),
+    last_name: nullable({ type: 'string', maxLength: 100 }),
+    company: nullable({ type: 'string', maxLength: 200 }),
+    address_line_1: { type: 'string', minLength: 1, maxLength: 255 },
+    address_line_2: nullable({ type: 'string', maxLength: 255 }),
+    city: { type: 'string', minLength: 1, maxLength: 100 },
+    state_province: nullable({ type: 'string', maxLength: 100 }),
+    postal_code: { type: 'string', minLength: 1, maxLength: 20 },
+    country: { type: 'string', minLength: 1, maxLength: 100 }
+};
+const ADDRESS = object(ADDRESS_PROPERTIES, ['address_line_1', 'city', 'postal_code', 'country']);
+
+const ORDER_ITEMS = {
+    type: 'array',
+    minItems: 1,
+    items: object({ game_id: GAME_REF, quantity: QUANTITY }, ['game_id'])
+};
+
+const CURRENCY_QUERY = object({ currency: CURRENCY });
+
+// Path parameters
+const orderParams = object({ id: ORDER_REF });
+const customerParams = object({ id: CUSTOMER_ID });
+const customerOrdersParams = object({ customerId: CUSTOMER_ID });
+const addressParams = object({ id: CUSTOMER_ID, addressId: UUID });
+const customerRoleParams = object({ id: CUSTOMER_ID, role: { type: 'string', enum: ROLES } });
+const paymentParams = object({ paymentId: UUID });
+const webhookParams = object({
+    provider: { type: 'string', pattern: '^[a-z0-9_-]{1,50}$', description: 'a payment provider name' }
+});
+const cartParams = object({ cartId: UUID });
+const cartItemParams = object({ cartId: UUID, gameId: { ...GAME_REF, type: 'string' } });
+const promotionParams = object({ id: UUID });
+
+// Orders
+const listOrdersQuery = object({
+    status: { type: 'string', enum: ORDER_STATUSES },
+    customerId: CUSTOMER_ID,
+    sortBy: { type: 'string', enum: ['created_at', 'total_amount', 'order_status'] },
+    sortOrder: { type: 'string', enum: ['ASC', 'DESC', 'asc', 'desc'] },
+    ...pageQueryProperties()
+});
+const customerOrdersQuery = object(pageQueryProperties());
+
+const ORDER_BODY_PROPERTIES = {
+    items: ORDER_ITEMS,
+    shipping_address: nullable(ADDRESS),
+    shipping_address_id: nullable(UUID),
+    coupon_code: nullable({ type: 'string', maxLength: 50 }),
+    currency: CURRENCY
+};
+const quoteOrderBody = object(ORDER_BODY_PROPERTIES, ['items']);
+const createOrderBody = object({
+    ...ORDER_BODY_PROPERTIES,
+    customer_id: CUSTOMER_ID,
+    billing_address: nullable(ADDRESS),
+    billing_address_id: nullable(UUID),
+    payment_method: nullable({ type: 'string', maxLength: 50 }),
+    order_notes: nullable({ type: 'string', maxLength: 2000 }),
+    cart_id: nullable(UUID)
+}, ['items']);
+
+const updateOrderStatusBody = object({
+    status: { type: 'string', enum: MANUAL_ORDER_STATUSES },
+    reason: nullable({ type: 'string', maxLength: MAX_REASON_LENGTH })
+}, ['status']);
+
+// Customers and addresses
+const CUSTOMER_PROPERTIES = {
+    first_name: NAME,
+    last_name: NAME,
+    email: EMAIL,
+    phone: nullable(PHONE),
+    date_of_birth: nullable(DATE)
+};
+const createCustomerBody = object({ ...CUSTOMER_PROPERTIES, customer_id: CUSTOMER_ID },
+    ['first_name', 'last_name', 'email']);
+const updateCustomerBody = object(CUSTOMER_PROPERTIES);
+
+const addressListQuery = object({ type: { type: 'string', enum: ADDRESS_TYPES } });
+const ADDRESS_BOOK_PROPERTIES = {
+    ...ADDRESS_PROPERTIES,
+    address_type: { type: 'string', enum: ADDRESS_TYPES },
+    is_default: nullable({ type: 'boolean' })
+};
+const createAddressBody = object(ADDRESS_BOOK_PROPERTIES, ADDRESS.required);
+const updateAddressBody = object(ADDRESS_BOOK_PROPERTIES);
+
+// Accounts
+const PASSWORD = { type: 'string', minLength: MIN_PASSWORD_LENGTH, maxLength: MAX_PASSWORD_LENGTH };
+const GUEST_CART = { ...nullable({ type: 'string' }), description: 'Anonymous cart to merge into the account' };
+const registerBody = object({
+    ...CUSTOMER_PROPERTIES,
+    password: PASSWORD,
+    cart_id: GUEST_CART
+}, ['email', 'password', 'first_name', 'last_name']);
+const loginBody = object({
+    email: { type: 'string', minLength: 1 },
+    password: { type: 'string', minLength: 1 },
+    cart_id: GUEST_CART
+}, ['email', 'password']);
+const refreshBody = object({ refresh_token: { type: 'string', minLength: 1 } }, ['refresh_token']);
+const logoutBody = object({
+    refresh_token: { type: 'string' },
+    all_sessions: { type: 'boolean' }
+});
+const updateRolesBody = object({
+    roles: { type: 'array', minItems: 1, items: { type: 'string', enum: ROLES } }
+}, ['roles']);
+
+// Payments and refunds
+const paymentBody = object({
+    payment_token: { type: 'string', maxLength: 255 },
+    capture: { type: 'boolean' }
+});
+const refundBody = object({
+    items: {
+        type: ['array', 'null'],
+        description: 'Order items to refund (the whole order when omitted)',
+        minItems: 1,
+        items: object({
+            order_item_id: { type: 'integer', minimum: 1 },
+            quantity: { type: 'integer', minimum: 1 },
+            restock: { type: 'boolean' }
+        }, ['order_item_id', 'quantity'])
+    },
+    reason: { type: 'string', enum: REFUND_REASONS },
+    note: nullable({ type: 'string', maxLength: MAX_REASON_LENGTH }),
+    restock: { type: 'boolean' }
+}, ['reason']);
+
+// Carts
+const addCartItemBody = object({ game_id: GAME_REF, quantity: QUANTITY }, ['game_id']);
+const updateCartItemBody = object({ quantity: QUANTITY }, ['quantity']);
+
+// Promotions
+const listPromotionsQuery = object({ active: { type: 'string', enum: ['true', 'false'] } });
+const PROMOTION_PROPERTIES = {
+    promotion_type: { type: 'string', enum: PROMOTION_TYPES },
+    name: { type: 'string', minLength: 1, maxLength: 200 },
+    description: nullable({ type: 'string' }),
+    code: nullable({
+        type: 'string',
+        pattern: '^[A-Za-z0-9_-]{3,50}$',
+        description: 'a coupon code (3-50 letters, numbers, "_" or "-")'
+    }),
+    discount_type: { type: 'string', enum: DISCOUNT_TYPES },
+    discount_value: MONEY,
+    min_spend: nullable(MONEY),
+    category: nullable({ type: 'string', maxLength: 100 }),
+    game_ids: nullable({ type: 'array', maxItems: 20, items: { type: 'string', minLength: 1 } }),
+    max_uses: nullable({ type: 'integer', minimum: 1 }),
+    per_customer_limit: nullable({ type: 'integer', minimum: 1 }),
+    starts_at: nullable(TIMESTAMP),
+    ends_at: nullable(TIMESTAMP),
+    is_active: { type: 'boolean' }
+};
+const createPromotionBody = object(PROMOTION_PROPERTIES,
+    ['promotion_type', 'name', 'discount_type', 'discount_value']);
+const updatePromotionBody = object(PROMOTION_PROPERTIES);
+
+module.exports = {
+    CURRENCY_QUERY,
+    orderParams,
+    customerParams,
+    customerOrdersParams,
+    addressParams,
+    customerRoleParams,
+    paymentParams,
+    webhookParams,
+    cartParams,
+    cartItemParams,
+    promotionParams,
+    listOrdersQuery,
+    customerOrdersQuery,
+    quoteOrderBody,
+    createOrderBody,
+    updateOrderStatusBody,
+    createCustomerBody,
+    updateCustomerBody,
+    addressListQuery,
+    createAddressBody,
+    updateAddressBody,
+    registerBody,
+    loginBody,
+    refreshBody,
+    logoutBody,
+    updateRolesBody,
+    paymentBody,
+    refundBody,
+    addCartItemBody,
+    updateCartItemBody,
+    listPromotionsQuery,
+    createPromotionBody,
+    updatePromotionBody
+};
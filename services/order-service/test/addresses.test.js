@@ -0,0 +1,78 @@
+// Order addresses (addresses.js resolveOrderAddresses)
+
+jest.mock('../database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+
+const { resolveOrderAddresses } = require('../addresses');
+
+const CUSTOMER_ID = 'CUST-1001';
+const ADDRESS_ID = '3c9e2a7b-5d41-4f6e-8a2b-1c0d9e8f7a6b';
+
+const saved = {
+    address_id: ADDRESS_ID,
+    customer_id: CUSTOMER_ID,
+    address_type: 'shipping',
+    address_line_1: '12 Galle Road',
+    city: 'Colombo',
+    postal_code: '00300',
+    country: 'Sri Lanka',
+    is_default: true
+};
+
+const inline = { address_line_1: '1 Main Street', city: 'Kandy', postal_code: '20000', country: 'Sri Lanka' };
+
+// Every customer_addresses read finds `saved`; inserts return the inserted row
+const addressClient = () => ({
+    query: jest.fn(async (sql, params) => {
+        if (/INSERT INTO customer_addresses/.test(sql)) {
+            return { rows: [{ address_id: 'new-address', address_type: params[0] }], rowCount: 1 };
+        }
+        if (/FROM customer_addresses/.test(sql)) {
+            return { rows: [saved], rowCount: 1 };
+        }
+        return { rows: [], rowCount: 0 };
+    })
+});
+
+describe('resolveOrderAddresses', () => {
+    test('the signed-in owner uses saved and default addresses', async () => {
+        const client = addressClient();
+        const addresses = await resolveOrderAddresses(client, CUSTOMER_ID, { shippingAddressId: ADDRESS_ID }, { ownAddressBook: true });
+
+        expect(addresses.shipping).toBe(saved);
+        expect(addresses.billing).toBe(saved);
+    });
+
+    test('the signed-in owner adds inline addresses to the address book', async () => {
+        const client = addressClient();
+        await resolveOrderAddresses(client, CUSTOMER_ID, { shippingAddress: inline }, { ownAddressBook: true });
+
+        const [sql] = client.query.mock.calls.find(([statement]) => /INSERT INTO customer_addresses/.test(statement));
+        expect(sql).not.toMatch(/is_archived/);
+    });
+
+    test('other callers cannot use a saved address of the customer', async () => {
+        const client = addressClient();
+
+        await expect(resolveOrderAddresses(client, CUSTOMER_ID, { shippingAddressId: ADDRESS_ID }))
+            .rejects.toMatchObject({ status: 400, code: 'UNKNOWN_ADDRESS' });
+        expect(client.query).not.toHaveBeenCalled();
+    });
+
+    test('other callers do not get the default addresses of the customer', async () => {
+        const client = addressClient();
+
+        expect(await resolveOrderAddresses(client, CUSTOMER_ID, {})).toEqual({ shipping: null, billing: null });
+        expect(client.query).not.toHaveBeenCalled();
+    });
+
+    test('inline addresses of other callers are kept with the order only', async () => {
+        const client = addressClient();
+        const addresses = await resolveOrderAddresses(client, CUSTOMER_ID, { shippingAddress: inline });
+
+        const statements = client.query.mock.calls.map(([sql]) => sql);
+        expect(statements).toHaveLength(1);
+        expect(statements[0]).toMatch(/INSERT INTO customer_addresses[\s\S]*FALSE, TRUE\)/);
+        expect(addresses.shipping.address_id).toBe('new-address');
+        expect(addresses.billing).toBe(addresses.shipping);
+    });
+});
@@ -0,0 +1,226 @@
+// Cart pricing and access (carts.js)
+
+jest.mock('../database', () => ({
+    query: jest.fn(),
+    transaction: jest.fn(),
+    serialId: jest.requireActual('../database').serialId
+}));
+
+const database = require('../database');
+const { toDecimal } = require('../money');
+const { getCart, addCartItem, removeCartItems } = require('../carts');
+
+const CART_ID = '8e2b4f6a-1c3d-4e5f-a7b9-0c1d2e3f4a5b';
+
+const rows = (list) => ({ rows: list, rowCount: list.length });
+
+const activeCart = { cart_id: CART_ID, customer_id: null, status: 'active', expires_at: '2026-11-18T00:00:00.000Z', is_expired: false };
+
+const cartLine = (overrides) => ({
+    game_id: 'GAME-STARFALL',
+    quantity: 1,
+    added_price: '29.99',
+    added_at: '2026-10-01T00:00:00.000Z',
+    game_name: 'Starfall',
+    category: 'RPG',
+    image_url: null,
+    price: '29.99',
+    discount_price: null,
+    stock_quantity: 10,
+    is_archived: false,
+    ...overrides
+});
+
+// A cart database with the given cart row, lines, running promotions and
+// catalog games; runs every transaction on the same client
+const cartDatabase = ({ cart = activeCart, lines = [], promotions = [], games = [], quantity = null } = {}) => {
+    const client = {
+        query: jest.fn(async (sql, params) => {
+            if (/FROM exchange_rates/.test(sql)) {
+                return rows(params[0] === 'LKR' ? [{ currency: 'LKR', rate: '300.5000', symbol: 'Rs' }] : []);
+            }
+            if (/FROM carts WHERE cart_id::text/.test(sql)) {
+                return rows(cart ? [cart] : []);
+            }
+            if (/FROM cart_items ci\s+JOIN games/.test(sql)) {
+                return rows(lines);
+            }
+            if (/promotion_type <> 'coupon'/.test(sql)) {
+                return rows(promotions);
+            }
+            if (/FROM games\s+WHERE game_id = ANY/.test(sql)) {
+                return rows(games);
+            }
+            if (/SELECT quantity FROM cart_items/.test(sql)) {
+                return rows(quantity === null ? [] : [{ quantity }]);
+            }
+            if (/UPDATE carts\s+SET updated_at/.test(sql)) {
+                return rows([cart]);
+            }
+            if (/DELETE FROM cart_items ci/.test(sql)) {
+                return rows([]);
+            }
+            return rows([]);
+        })
+    };
+    database.transaction.mockImplementation(callback => callback(client));
+    return client;
+};
+
+const sale = (overrides) => ({
+    promotion_id: 'promo-sale',
+    name: 'Autumn sale',
+    promotion_type: 'sale',
+    discount_type: 'percentage',
+    discount_value: '20',
+    category: null,
+    game_ids: ['GAME-STARFALL'],
+    ends_at: '2026-10-31T00:00:00.000Z',
+    ...overrides
+});
+
+afterEach(() => {
+    database.transaction.mockReset();
+});
+
+describe('cart pricing', () => {
+    test('lines are priced at the current catalog price and flag changes since they were added', async () => {
+        cartDatabase({
+            lines: [
+                cartLine({ added_price: '24.99' }),
+                cartLine({ game_id: 'GAME-DRIFT', game_name: 'Drift', added_price: '15.00', price: '19.99', discount_price: '15.00', quantity: 2 })
+            ]
+        });
+
+        const cart = await getCart(CART_ID, null);
+
+        expect(cart.items.map(item => [item.game_id, toDecimal(item.price), item.price_changed, toDecimal(item.line_total)])).toEqual([
+            ['GAME-STARFALL', '29.99', true, '29.99'],
+            ['GAME-DRIFT', '15.00', false, '30.00']
+        ]);
+        expect(toDecimal(cart.subtotal)).toBe('59.99');
+        expect(cart.item_count).toBe(3);
+        expect(cart.has_price_changes).toBe(true);
+    });
+
+    test('running sales lower the price and are reported on the line', async () => {
+        cartDatabase({ lines: [cartLine({ added_price: '23.99' })], promotions: [sale()] });
+
+        const [item] = (await getCart(CART_ID, null)).items;
+
+        expect(toDecimal(item.price)).toBe('23.99');
+        expect(toDecimal(item.unit_price)).toBe('29.99');
+        expect(item.sale).toMatchObject({ promotion_id: 'promo-sale', name: 'Autumn sale' });
+        expect(item.price_changed).toBe(false);
+    });
+
+    test('unavailable lines are listed but not counted in the subtotal', async () => {
+        cartDatabase({
+            lines: [
+                cartLine(),
+                cartLine({ game_id: 'GAME-OLD', is_archived: true }),
+                cartLine({ game_id: 'GAME-RARE', quantity: 3, stock_quantity: 2 }),
+                cartLine({ game_id: 'GAME-GONE', stock_quantity: -1 })
+            ]
+        });
+
+        const cart = await getCart(CART_ID, null);
+
+        expect(cart.items.map(item => item.unavailable_reason)).toEqual([
+            null, 'Game is no longer available', 'Only 2 in stock', 'Only 0 in stock'
+        ]);
+        expect(toDecimal(cart.subtotal)).toBe('29.99');
+        expect(cart.item_count).toBe(1);
+        expect(cart.has_unavailable_items).toBe(true);
+    });
+
+    test('other currencies are converted without reporting exchange rate changes as price changes', async () => {
+        cartDatabase({ lines: [cartLine({ quantity: 2 })] });
+
+        const cart = await getCart(CART_ID, null, 'lkr');
+
+        expect(cart.currency).toBe('LKR');
+        const [item] = cart.items;
+        expect([toDecimal(item.price), toDecimal(item.added_price), toDecimal(item.line_total)]).toEqual(['9012.00', '9012.00', '18024.00']);
+        expect(item.price_changed).toBe(false);
+        expect(JSON.parse(JSON.stringify(cart)).subtotal).toBe('18024.00');
+    });
+
+    test('an empty cart does not load promotions', async () => {
+        const client = cartDatabase();
+
+        const cart = await getCart(CART_ID, null);
+
+        expect(toDecimal(cart.subtotal)).toBe('0.00');
+        expect(client.query.mock.calls.some(([sql]) => /FROM promotions/.test(sql))).toBe(false);
+    });
+});
+
+describe('adding to the cart', () => {
+    const starfall = { id: 3, game_id: 'GAME-STARFALL', name: 'Starfall', category: 'RPG', price: '29.99', discount_price: null, stock_quantity: 10, is_archived: false };
+
+    test('the current sale price is stored in the base currency', async () => {
+        const client = cartDatabase({ games: [starfall], promotions: [sale()], quantity: 1 });
+
+        await addCartItem(CART_ID, null, { game_id: 'GAME-STARFALL', quantity: 2 }, 'LKR');
+
+        const [, params] = client.query.mock.calls.find(([sql]) => /INSERT INTO cart_items/.test(sql));
+        expect(params).toEqual([CART_ID, 'GAME-STARFALL', 3, '23.99']);
+    });
+
+    test('quantities already in the cart count towards the per-item limit', async () => {
+        cartDatabase({ games: [starfall], quantity: 99 });
+
+        await expect(addCartItem(CART_ID, null, { game_id: 'GAME-STARFALL', quantity: 2 }))
+            .rejects.toMatchObject({ status: 400, code: 'INVALID_ITEMS' });
+    });
+
+    test('archived and unknown games cannot be added', async () => {
+        cartDatabase({ games: [{ ...starfall, is_archived: true }] });
+        await expect(addCartItem(CART_ID, null, { game_id: 'GAME-STARFALL' }))
+            .rejects.toMatchObject({ status: 409, code: 'GAME_UNAVAILABLE' });
+
+        cartDatabase();
+        await expect(addCartItem(CART_ID, null, { game_id: 'GAME-NONE' }))
+            .rejects.toMatchObject({ status: 404, code: 'GAME_NOT_FOUND' });
+    });
+
+    test('removing by a reference that is not a serial id never compares against the id column', async () => {
+        const client = cartDatabase();
+
+        await expect(removeCartItems(CART_ID, null, '99999999999')).rejects.toMatchObject({ status: 404, code: 'CART_ITEM_NOT_FOUND' });
+
+        const [, params] = client.query.mock.calls.find(([sql]) => /DELETE FROM cart_items ci/.test(sql));
+        expect(params).toEqual([CART_ID, '99999999999', null]);
+    });
+});
+
+describe('cart access', () => {
+    const customerCart = { ...activeCart, customer_id: 7 };
+
+    test('unknown carts are 404', async () => {
+        cartDatabase({ cart: null });
+        await expect(getCart(CART_ID, null)).rejects.toMatchObject({ status: 404, code: 'CART_NOT_FOUND' });
+    });
+
+    test('customer carts need their customer', async () => {
+        cartDatabase({ cart: customerCart });
+        await expect(getCart(CART_ID, null)).rejects.toMatchObject({ status: 401 });
+        await expect(getCart(CART_ID, { customer_id: 8 })).rejects.toMatchObject({ status: 403, code: 'CART_OWNED_BY_OTHER' });
+        await expect(getCart(CART_ID, { customer_id: 7 })).resolves.toMatchObject({ customer_id: 7 });
+    });
+
+    test('expired carts are closed on first use', async () => {
+        const client = cartDatabase({ cart: { ...activeCart, is_expired: true } });
+
+        await expect(getCart(CART_ID, null)).rejects.toMatchObject({
+            status: 410, code: 'CART_CLOSED', members: { cart_status: 'expired' }
+        });
+        expect(client.query.mock.calls.some(([sql]) => /SET status = 'expired'/.test(sql))).toBe(true);
+    });
+
+    test('merged and converted carts are closed', async () => {
+        cartDatabase({ cart: { ...activeCart, status: 'converted' } });
+        await expect(getCart(CART_ID, null)).rejects.toMatchObject({ status: 410, members: { cart_status: 'converted' } });
+    });
+});
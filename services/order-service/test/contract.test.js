@@ -0,0 +1,442 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Contract test: responses sent by the routes must match the schemas declared
+// in operations.js (and published in /api/orders/openapi.json). The database
+// is replaced by canned rows shaped like the real tables, so this runs without
+// Postgres; a handler that changes its response shape fails here until its
+// operations.js entry is updated too.
+
+jest.mock('../database', () => ({
+    query: jest.fn(),
+    transaction: jest.fn(),
+    serialId: jest.requireActual('../database').serialId,
+    testConnection: jest.fn(async () => true),
+    closePool: jest.fn(async () => {})
+}));
+
+const database = require('../database');
+const { app, startServer } = require('../app');
+const { listRoutes, checkResponse } = require('../openapi');
+const operations = require('../operations');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'lugx_dev_jwt_secret_change_me';
+
+const CUSTOMER_ID = 'CUST-1001';
+const ORDER_ID = '6f1c1d6e-2b9a-4c3e-9a51-0d2f8e4b7a10';
+const MISSING_ORDER_ID = '00000000-0000-4000-8000-000000000000';
+const BROKEN_ORDER_ID = '99999';
+const ADDRESS_ID = '2a7d9c1e-5f3b-4e8a-b6d2-7c9e1f4a3b58';
+const CART_ID = '8e2b4f6a-1c3d-4e5f-a7b9-0c1d2e3f4a5b';
+const PAYMENT_ID = 'c4d5e6f7-0819-4a2b-8c3d-4e5f60718293';
+const REFUND_ID = 'd1e2f3a4-b5c6-4d7e-8f90-a1b2c3d4e5f6';
+const PROMOTION_ID = 'f0e1d2c3-b4a5-4968-8776-655443322110';
+const CREATED_AT = new Date('2026-01-15T10:30:00Z');
+
+const accessToken = (customerId, roles) => jwt.sign({ roles, type: 'access' }, JWT_SECRET, {
+    subject: customerId,
+    jwtid: crypto.randomUUID(),
+    issuer: 'lugx-gaming',
+    expiresIn: 300
+});
+
+const ADMIN_TOKEN = accessToken('CUST-ADMIN', ['admin']);
+const CUSTOMER_TOKEN = accessToken(CUSTOMER_ID, ['customer']);
+
+// Canned rows
+const customer = {
+    customer_id: CUSTOMER_ID,
+    first_name: 'Ada',
+    last_name: 'Lovelace',
+    email: 'ada@example.com',
+    phone: null,
+    date_of_birth: null,
+    created_at: CREATED_AT,
+    updated_at: CREATED_AT
+};
+
+const address = {
+    address_id: ADDRESS_ID,
+    customer_id: CUSTOMER_ID,
+    address_type: 'shipping',
+    first_name: 'Ada',
+    last_name: 'Lovelace',
+    company: null,
+    address_line_1: '12 Analytical Row',
+    address_line_2: null,
+    city: 'London',
+    state_province: null,
+    postal_code: 'N1 9GU',
+    country: 'GB',
+    is_default: true,
+    created_at: CREATED_AT,
+    updated_at: CREATED_AT
+};
+
+const order = {
+    id: 42,
+    order_id: ORDER_ID,
+    customer_id: CUSTOMER_ID,
+    order_status: 'confirmed',
+    subtotal: '59.98',
+    tax_amount: '12.00',
+    shipping_cost: '0.00',
+    discount_amount: '0.00',
+    total_amount: '71.98',
+    currency: 'USD',
+    fx_rate: '1.000000',
+    payment_method: 'card',
+    payment_status: 'paid',
+    order_notes: null,
+    estimated_delivery: CREATED_AT,
+    actual_delivery: null,
+    tracking_number: null,
+    created_at: CREATED_AT,
+    updated_at: CREATED_AT,
+    first_name: 'Ada',
+    last_name: 'Lovelace',
+    email: 'ada@example.com',
+    phone: null
+};
+
+const orderItem = {
+    id: 7,
+    order_id: ORDER_ID,
+    game_id: '3',
+    game_name: 'Starfall',
+    quantity: 2,
+    unit_price: '29.99',
+    discount_price: null,
+    total_price: '59.98',
+    created_at: CREATED_AT
+};
+
+const statusChange = {
+    previous_status: null,
+    new_status: 'confirmed',
+    status_reason: 'Order placed',
+    changed_by: CUSTOMER_ID,
+    created_at: CREATED_AT
+};
+
+const payment = {
+    payment_id: PAYMENT_ID,
+    order_id: ORDER_ID,
+    provider: 'mock',
+    provider_reference: 'mock_123',
+    status: 'captured',
+    amount: '71.98',
+    currency: 'USD',
+    failure_reason: null,
+    created_at: CREATED_AT,
+    updated_at: CREATED_AT
+};
+
+const refund = {
+    refund_id: REFUND_ID,
+    order_id: ORDER_ID,
+    payment_id: PAYMENT_ID,
+    refund_type: 'partial',
+    status: 'succeeded',
+    amount: '29.99',
+    shipping_amount: '0.00',
+    currency: 'USD',
+    reason: 'Damaged disc',
+    note: null,
+    failure_reason: null,
+    created_by: 'CUST-ADMIN',
+    created_at: CREATED_AT,
+    updated_at: CREATED_AT
+};
+
+const refundItem = {
+    refund_id: REFUND_ID,
+    order_item_id: 7,
+    game_id: '3',
+    game_name: 'Starfall',
+    quantity: 1,
+    amount: '29.99',
+    restock: true,
+    restocked: true
+};
+
+const promotion = {
+    promotion_id: PROMOTION_ID,
+    name: 'Spring sale',
+    description: null,
+    promotion_type: 'sale',
+    code: null,
+    discount_type: 'percentage',
+    discount_value: '20.00',
+    min_spend: null,
+    category: 'Action',
+    game_ids: null,
+    max_uses: null,
+    per_customer_limit: null,
+    starts_at: CREATED_AT,
+    ends_at: null,
+    is_active: true,
+    created_at: CREATED_AT,
+    updated_at: CREATED_AT
+};
+
+// Rows returned for each statement, matched in order (first match wins)
+const FIXTURES = [
+    [/FROM revoked_tokens/, []],
+    [/COUNT\(\*\) as total\b/, [{ total: '1' }]],
+    [/COUNT\(\*\) as total_orders/, [{
+        total_orders: '1', pending_orders: '0', shipped_orders: '0', delivered_orders: '0', paid_orders: '1',
+        average_order_value: '71.98', total_revenue: '71.98', unique_customers: '1'
+    }]],
+    [/COUNT\(\*\) as refunds_count/, [{ refunds_count: '1', full_refunds: '0', refunded_amount: '29.99' }]],
+    [/GROUP BY o\.currency/, [{ currency: 'USD', orders_count: '1', revenue: '71.98', refunded_amount: '29.99' }]],
+    [/GROUP BY DATE\(created_at\)/, [{ order_date: CREATED_AT, orders_count: '1', daily_revenue: '71.98' }]],
+    [/FROM order_status_history/, [statusChange]],
+    [/FROM order_items/, [orderItem]],
+    [/FROM order_discounts|FROM order_promotions/, []],
+    [/FROM refund_items/, [refundItem]],
+    [/FROM refunds/, [refund]],
+    [/FROM payments/, [payment]],
+    [/FROM orders/, [order]],
+    [/FROM customer_roles/, [{ role: 'customer' }]],
+    [/FROM customer_addresses/, [address]],
+    [/FROM customers/, [customer]],
+    [/FROM promotions/, [promotion]],
+    [/FROM game_reviews|FROM reviews/, []],
+    [/INSERT INTO carts/, [{
+        cart_id: CART_ID, customer_id: null, status: 'active', expires_at: CREATED_AT, currency: 'USD'
+    }]]
+];
+
+// Statements naming MISSING_ORDER_ID find nothing; BROKEN_ORDER_ID fails
+const runQuery = async (sql, params = []) => {
+    if (params.includes(BROKEN_ORDER_ID)) {
+        throw new Error('connection terminated unexpectedly');
+    }
+    if (params.includes(MISSING_ORDER_ID)) {
+        return { rows: [], rowCount: 0 };
+    }
+    const fixture = FIXTURES.find(([pattern]) => pattern.test(sql));
+    const rows = fixture ? fixture[1] : [];
+    return { rows, rowCount: rows.length };
+};
+
+database.query.mockImplementation(runQuery);
+database.transaction.mockImplementation(callback => callback({ query: runQuery }));
+
+// [expected status, method, route path, url, token, body]
+const CASES = [
+    [200, 'GET', '/health', '/health'],
+    [200, 'GET', '/api/orders', '/api/orders?limit=5', ADMIN_TOKEN],
+    [400, 'GET', '/api/orders', '/api/orders?limit=500', ADMIN_TOKEN],
+    [403, 'GET', '/api/orders', '/api/orders', CUSTOMER_TOKEN],
+    [401, 'GET', '/api/orders', '/api/orders'],
+    [200, 'GET', '/api/orders/stats/summary', '/api/orders/stats/summary', ADMIN_TOKEN],
+    [200, 'GET', '/api/orders/:id', `/api/orders/${ORDER_ID}`, CUSTOMER_TOKEN],
+    [404, 'GET', '/api/orders/:id', `/api/orders/${MISSING_ORDER_ID}`, ADMIN_TOKEN],
+    [500, 'GET', '/api/orders/:id', `/api/orders/${BROKEN_ORDER_ID}`, ADMIN_TOKEN],
+    [400, 'GET', '/api/orders/:id', '/api/orders/not-an-order', ADMIN_TOKEN],
+    [401, 'POST', '/api/orders', '/api/orders', null, { customer_id: CUSTOMER_ID, items: [{ game_id: 'GAME-1', quantity: 1 }] }],
+    [400, 'PUT', '/api/orders/:id/status', `/api/orders/${ORDER_ID}/status`, ADMIN_TOKEN, { status: 'refunded' }],
+    [200, 'GET', '/api/orders/:id/history', `/api/orders/${ORDER_ID}/history`, ADMIN_TOKEN],
+    [200, 'GET', '/api/customers/:customerId/orders', `/api/customers/${CUSTOMER_ID}/orders`, CUSTOMER_TOKEN],
+    [403, 'GET', '/api/customers/:customerId/orders', '/api/customers/CUST-2002/orders', CUSTOMER_TOKEN],
+    [200, 'GET', '/api/customers/:id', `/api/customers/${CUSTOMER_ID}`, CUSTOMER_TOKEN],
+    [200, 'GET', '/api/customers/:id/export', `/api/customers/${CUSTOMER_ID}/export`, CUSTOMER_TOKEN],
+    [200, 'GET', '/api/customers/:id/addresses', `/api/customers/${CUSTOMER_ID}/addresses`, CUSTOMER_TOKEN],
+    [200, 'GET', '/api/customers/:id/addresses/:addressId', `/api/customers/${CUSTOMER_ID}/addresses/${ADDRESS_ID}`, CUSTOMER_TOKEN],
+    [200, 'GET', '/api/auth/me', '/api/auth/me', CUSTOMER_TOKEN],
+    [400, 'POST', '/api/auth/login', '/api/auth/login', null, {}],
+    [200, 'GET', '/api/roles', '/api/roles', CUSTOMER_TOKEN],
+    [200, 'GET', '/api/customers/:id/roles', `/api/customers/${CUSTOMER_ID}/roles`, ADMIN_TOKEN],
+    [200, 'GET', '/api/orders/:id/payments', `/api/orders/${ORDER_ID}/payments`, CUSTOMER_TOKEN],
+    [200, 'GET', '/api/orders/:id/refunds', `/api/orders/${ORDER_ID}/refunds`, CUSTOMER_TOKEN],
+    [201, 'POST', '/api/carts', '/api/carts', null, {}],
+    [200, 'GET', '/api/promotions/active', '/api/promotions/active'],
+    [200, 'GET', '/api/promotions', '/api/promotions', ADMIN_TOKEN],
+    [200, 'GET', '/api/orders/openapi.json', '/api/orders/openapi.json']
+];
+
+describe('order-service API contract', () => {
+    let server;
+    let baseUrl;
+    let document;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        server = await startServer(0);
+        baseUrl = `http://localhost:${server.address().port}`;
+        document = await (await fetch(`${baseUrl}/api/orders/openapi.json`)).json();
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+        jest.restoreAllMocks();
+    });
+
+    test('every route has an operations.js entry and every entry a route', () => {
+        const routes = listRoutes(app).map(({ method, path }) => `${method} ${path}`);
+
+        routes.forEach(route => {
+            expect(operations[route]).toBeDefined();
+            expect(operations[route].summary).toEqual(expect.any(String));
+            expect(Object.keys(operations[route].responses).some(status => status.startsWith('2'))).toBe(true);
+        });
+        expect(Object.keys(operations).filter(route => !routes.includes(route))).toEqual([]);
+    });
+
+    test('the OpenAPI document lists every route', () => {
+        expect(document.openapi).toMatch(/^3\./);
+        listRoutes(app).forEach(({ method, path }) => {
+            expect(document.paths[path.replace(/:(\w+)/g, '{$1}')][method.toLowerCase()]).toBeDefined();
+        });
+    });
+
+    test('the API explorer is served', async () => {
+        const page = await fetch(`${baseUrl}/api/orders/docs/`);
+        expect(page.status).toBe(200);
+        expect(await page.text()).toContain('swagger-ui-bundle.js');
+
+        const bundle = await fetch(`${baseUrl}/api/orders/docs/swagger-ui-bundle.js`);
+        expect(bundle.status).toBe(200);
+    });
+
+    test('errors are problem documents carrying the correlation id', async () => {
+        const response = await fetch(`${baseUrl}/api/orders/${MISSING_ORDER_ID}`, {
+            headers: { Authorization: `Bearer ${ADMIN_TOKEN}`, 'X-Request-ID': 'contract-test-1' }
+        });
+        expect(response.headers.get('Content-Type')).toMatch(/^application\/problem\+json/);
+        expect(response.headers.get('X-Request-ID')).toBe('contract-test-1');
+        expect(await response.json()).toMatchObject({
+            status: 404,
+            code: 'ORDER_NOT_FOUND',
+            instance: `/api/orders/${MISSING_ORDER_ID}`,
+            correlation_id: 'contract-test-1'
+        });
+
+        const failure = await (await fetch(`${baseUrl}/api/orders/${BROKEN_ORDER_ID}`, { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } })).json();
+        expect(failure).toMatchObject({ status: 500, code: 'INTERNAL_ERROR', detail: 'Failed to fetch order' });
+        expect(JSON.stringify(failure)).not.toContain('connection terminated');
+    });
+
+    test('only plain int4 digits are priced as serial game ids', async () => {
+        const transactionQuery = jest.fn(runQuery);
+        database.transaction.mockImplementationOnce(callback => callback({ query: transactionQuery }));
+
+        await fetch(`${baseUrl}/api/orders/quote`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ items: [{ game_id: 3 }, { game_id: '12abc' }, { game_id: 99999999999 }] })
+        });
+        const [, params] = transactionQuery.mock.calls.find(([sql]) => /FROM games/.test(sql));
+        expect(params[1]).toEqual([3]);
+    });
+
+    test('payments use the configured provider, not one named by the client', async () => {
+        const transactionQuery = jest.fn(async (sql, params) => {
+            if (/SELECT 1 FROM payments/.test(sql)) {
+                return { rows: [], rowCount: 0 };
+            }
+            if (/INSERT INTO payments/.test(sql)) {
+                return { rows: [payment], rowCount: 1 };
+            }
+            if (/FROM orders/.test(sql)) {
+                return { rows: [{ ...order, order_status: 'pending' }], rowCount: 1 };
+            }
+            return runQuery(sql, params);
+        });
+        database.transaction.mockImplementationOnce(callback => callback({ query: transactionQuery }));
+
+        await fetch(`${baseUrl}/api/orders/${ORDER_ID}/payments`, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${CUSTOMER_TOKEN}`, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ provider: 'mock', payment_token: 'tok_visa' })
+        });
+        const [, params] = transactionQuery.mock.calls.find(([sql]) => /INSERT INTO payments/.test(sql));
+        expect(params[1]).toBe('fake');
+    });
+
+    test('order statistics only count paid orders as revenue', async () => {
+        database.query.mockClear();
+        const response = await fetch(`${baseUrl}/api/orders/stats/summary`, {
+            headers: { Authorization: `Bearer ${ADMIN_TOKEN}` }
+        });
+        expect(response.status).toBe(200);
+        expect((await response.json()).data.overall).toMatchObject({
+            total_revenue: '71.98', refunded_amount: '29.99', net_revenue: '41.99'
+        });
+
+        const statements = database.query.mock.calls.map(([sql]) => sql);
+        const [stats] = statements.filter(sql => /as total_orders/.test(sql));
+        expect(stats).toMatch(/SUM\(CASE WHEN payment_status IN \('paid', 'refunded'\) THEN total_amount \/ fx_rate END\) as total_revenue/);
+        expect(stats).toMatch(/order_status = 'delivered'/);
+        expect(stats).not.toMatch(/'completed'/);
+        expect(statements.find(sql => /daily_revenue/.test(sql))).toMatch(/CASE WHEN payment_status IN/);
+        expect(statements.find(sql => /GROUP BY o.currency/.test(sql))).toMatch(/CASE WHEN o.payment_status IN/);
+    });
+
+    test('quotes only use the saved addresses of the signed-in customer', async () => {
+        const starfall = {
+            id: 3, game_id: 'GAME-STARFALL', name: 'Starfall', category: 'Strategy', is_digital: true,
+            price: '29.99', discount_price: null, stock_quantity: 12, is_archived: false
+        };
+        const defaultTaxRule = { country: '*', region: null, physical_rate: '0', digital_rate: '0', applies_to_shipping: false };
+        const quote = async (token, body) => {
+            const transactionQuery = jest.fn(async (sql, params) => {
+                if (/FROM games/.test(sql)) {
+                    return { rows: [starfall], rowCount: 1 };
+                }
+                if (/FROM tax_rates/.test(sql)) {
+                    return { rows: [defaultTaxRule], rowCount: 1 };
+                }
+                return runQuery(sql, params);
+            });
+            database.transaction.mockImplementationOnce(callback => callback({ query: transactionQuery }));
+
+            const response = await fetch(`${baseUrl}/api/orders/quote`, {
+                method: 'POST',
+                headers: { ...(token && { Authorization: `Bearer ${token}` }), 'Content-Type': 'application/json' },
+                body: JSON.stringify({ items: [{ game_id: 3 }], ...body })
+            });
+            const addressLookups = transactionQuery.mock.calls.filter(([sql]) => /FROM customer_addresses/.test(sql));
+            return { status: response.status, body: await response.json(), addressLookups };
+        };
+
+        const anonymous = await quote(null, { customer_id: CUSTOMER_ID });
+        expect(anonymous.status).toBe(200);
+        expect(anonymous.addressLookups).toEqual([]);
+        expect(anonymous.body.data.destination).toBeNull();
+
+        const guessedAddress = await quote(null, { shipping_address_id: ADDRESS_ID });
+        expect(guessedAddress.status).toBe(400);
+        expect(guessedAddress.addressLookups).toEqual([]);
+
+        const owner = await quote(CUSTOMER_TOKEN, {});
+        expect(owner.addressLookups.map(([, params]) => params)).toEqual([[CUSTOMER_ID]]);
+        expect(owner.body.data.destination).toEqual({ country: address.country, region: address.state_province });
+    });
+
+    const cases = CASES.map(([status, method, path, url, token, body]) => ({ status, method, path, url, token, body }));
+
+    test.each(cases)('$method $url ($status) matches its declared response', async ({ status, method, path, url, token, body }) => {
+        const response = await fetch(`${baseUrl}${url}`, {
+            method,
+            headers: {
+                ...(token && { Authorization: `Bearer ${token}` }),
+                ...(body && { 'Content-Type': 'application/json' })
+            },
+            ...(body && { body: JSON.stringify(body) })
+        });
+        expect(response.status).toBe(status);
+
+        const problems = checkResponse(document, {
+            method,
+            path,
+            status: response.status,
+            contentType: response.headers.get('Content-Type'),
+            body: await response.json()
+        });
+        expect(problems).toEqual([]);
+    });
+});
@@ -0,0 +1,75 @@
+// Currency conversion (currencies.js and money.js convert, shared with game-service)
+
+const { money, convert, toDecimal } = require('../money');
+const { BASE_CURRENCY, resolveCurrency, fromBase, localizePrices } = require('../currencies');
+
+const LKR = { currency: 'LKR', rate: '300.5000', symbol: 'Rs' };
+const JPY = { currency: 'JPY', rate: '151.37', symbol: '¥' };
+
+// exchange_rates holding the given active rows
+const ratesDb = (rows) => ({
+    query: jest.fn(async (sql, [currency]) => {
+        const found = rows.filter(row => row.currency === currency);
+        return { rows: found, rowCount: found.length };
+    })
+});
+
+describe('convert', () => {
+    test('converts at the rate and rounds half-up to the target minor unit', () => {
+        expect(convert(money(1000, 'USD'), 'LKR', '300.5')).toMatchObject({ minor: 300500, currency: 'LKR' });
+        expect(convert(money(1999, 'USD'), 'LKR', '300.5').minor).toBe(600700); // 6006.995 -> 6007.00
+        expect(convert(money(1, 'USD'), 'INR', '83.125').minor).toBe(83); // 0.83125
+    });
+
+    test('accounts for currencies with a different exponent', () => {
+        expect(convert(money(1999, 'USD'), 'JPY', '151.37').minor).toBe(3026); // 3025.8863
+        expect(convert(money(3026, 'JPY'), 'USD', '0.0066').minor).toBe(1997); // 19.9716
+    });
+
+    test('a rate of 1 keeps the amount', () => {
+        expect(convert(money(1999, 'USD'), 'USD', '1').minor).toBe(1999);
+    });
+});
+
+describe('fromBase and localizePrices', () => {
+    test('base-currency decimals are converted to the target currency', () => {
+        expect(toDecimal(fromBase('29.99', LKR))).toBe('9012.00'); // 9011.995
+        expect(toDecimal(fromBase('29.99', JPY))).toBe('4540'); // 4539.5863
+        expect(toDecimal(fromBase('29.99'))).toBe('29.99');
+    });
+
+    test('price fields are localized and null prices stay null', () => {
+        const row = { game_id: 'GAME-1', price: '29.99', discount_price: null };
+
+        expect(localizePrices(row, LKR)).toEqual({
+            game_id: 'GAME-1', price: '9012.00', discount_price: null, currency: 'LKR'
+        });
+        expect(row.price).toBe('29.99');
+        expect(localizePrices(row)).toMatchObject({ price: '29.99', currency: BASE_CURRENCY.currency });
+    });
+});
+
+describe('resolveCurrency', () => {
+    test('a missing code is the base currency at rate 1', async () => {
+        const currency = await resolveCurrency(ratesDb([]), undefined);
+        expect(currency).toMatchObject({ currency: BASE_CURRENCY.currency, rate: '1' });
+    });
+
+    test('codes are matched case-insensitively against active rates', async () => {
+        expect(await resolveCurrency(ratesDb([LKR]), ' lkr ')).toBe(LKR);
+    });
+
+    test('the base currency ignores its exchange_rates rate but keeps the symbol', async () => {
+        const currency = await resolveCurrency(
+            ratesDb([{ currency: BASE_CURRENCY.currency, rate: '2', symbol: '$' }]), BASE_CURRENCY.currency);
+        expect(currency).toEqual({ currency: BASE_CURRENCY.currency, rate: '1', symbol: '$' });
+    });
+
+    test.each(['US', 'USDX', '12A', 42])('malformed code %p is rejected', async (code) => {
+        await expect(resolveCurrency(ratesDb([]), code)).rejects.toMatchObject({ status: 400, code: 'INVALID_CURRENCY' });
+    });
+
+    test('unknown or inactive currencies are rejected', async () => {
+        await expect(resolveCurrency(ratesDb([LKR]), 'EUR')).rejects.toMatchObject({ status: 400, code: 'UNSUPPORTED_CURRENCY' });
+    });
+});
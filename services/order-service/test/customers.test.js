@@ -0,0 +1,99 @@
+// Right to erasure (customers.js eraseCustomer)
+
+jest.mock('../database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+
+const database = require('../database');
+const { eraseCustomer } = require('../customers');
+
+const CUSTOMER_ID = 'CUST-0042';
+const HEADERS = { Authorization: 'Bearer token' };
+
+const rows = (list) => ({ rows: list, rowCount: list.length });
+
+// A customer database: { exists, openOrders, isAdmin, otherAdmins }; the
+// client also records when analytics-service was called
+const customerClient = ({ exists = true, openOrders = 0, isAdmin = 0, otherAdmins = 1 } = {}, events) => {
+    const client = {
+        query: jest.fn(async (sql) => {
+            events.push(sql.trim().split(/\s+/).slice(0, 2).join(' '));
+            if (/FROM customers WHERE customer_id/.test(sql)) {
+                return rows(exists ? [{ customer_id: CUSTOMER_ID }] : []);
+            }
+            if (/as open_orders/.test(sql)) {
+                return rows([{ open_orders: String(openOrders) }]);
+            }
+            if (/as other_admins/.test(sql)) {
+                return rows([{ other_admins: String(otherAdmins), is_admin: String(isAdmin) }]);
+            }
+            return rows([]);
+        })
+    };
+    database.transaction.mockImplementation(callback => callback(client));
+    return client;
+};
+
+describe('eraseCustomer', () => {
+    let events;
+
+    beforeEach(() => {
+        events = [];
+        jest.spyOn(global, 'fetch').mockImplementation(async () => {
+            events.push('analytics');
+            return { ok: true, status: 200, json: async () => ({ data: { tables: ['page_views'] } }) };
+        });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        database.transaction.mockReset();
+    });
+
+    test('checks run before analytics is erased, and Postgres is anonymized after it', async () => {
+        customerClient({}, events);
+
+        const result = await eraseCustomer(CUSTOMER_ID, HEADERS);
+
+        expect(result).toEqual({ customer_id: CUSTOMER_ID, analytics_tables: ['page_views'] });
+        const analytics = events.indexOf('analytics');
+        expect(events.slice(0, analytics)).toEqual(['SELECT customer_id', 'SELECT COUNT(*)', 'SELECT COUNT(*)']);
+        expect(events.slice(analytics + 1)).toContain('UPDATE customers');
+        expect(fetch).toHaveBeenCalledWith(
+            expect.stringMatching(/\/api\/analytics\/users\/CUST-0042$/),
+            expect.objectContaining({ method: 'DELETE', headers: HEADERS })
+        );
+    });
+
+    test.each([
+        [{ exists: false }, 404, 'CUSTOMER_NOT_FOUND'],
+        [{ openOrders: 1 }, 409, 'CUSTOMER_HAS_OPEN_ORDERS'],
+        [{ isAdmin: 1, otherAdmins: 0 }, 409, 'LAST_ADMIN']
+    ])('a rejected erasure (%p) never reaches analytics', async (state, status, code) => {
+        customerClient(state, events);
+
+        await expect(eraseCustomer(CUSTOMER_ID, HEADERS)).rejects.toMatchObject({ status, code });
+        expect(fetch).not.toHaveBeenCalled();
+        expect(events).not.toContain('UPDATE customers');
+    });
+
+    test('admins can be erased while another admin remains', async () => {
+        customerClient({ isAdmin: 1, otherAdmins: 1 }, events);
+        await expect(eraseCustomer(CUSTOMER_ID, HEADERS)).resolves.toMatchObject({ customer_id: CUSTOMER_ID });
+    });
+
+    test('a failed analytics erasure leaves the account unchanged', async () => {
+        customerClient({}, events);
+        fetch.mockResolvedValueOnce({ ok: false, status: 500 });
+
+        await expect(eraseCustomer(CUSTOMER_ID, HEADERS)).rejects.toMatchObject({ status: 503 });
+        expect(events).not.toContain('UPDATE customers');
+    });
+
+    test('an unreachable analytics-service is a 503', async () => {
+        customerClient({}, events);
+        fetch.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+
+        await expect(eraseCustomer(CUSTOMER_ID, HEADERS)).rejects.toMatchObject({ status: 503, code: 'DEPENDENCY_UNAVAILABLE' });
+        expect(events).not.toContain('UPDATE customers');
+    });
+});
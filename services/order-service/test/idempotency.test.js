@@ -0,0 +1,53 @@
+// Idempotency-Key scoping (idempotency.js)
+
+jest.mock('../database', () => ({ query: jest.fn() }));
+
+const { query } = require('../database');
+const { idempotent } = require('../idempotency');
+
+const request = ({ user = null, path = '/api/orders', body = {} } = {}) => ({
+    method: 'POST',
+    baseUrl: '',
+    path,
+    body,
+    user,
+    get: (header) => (header === 'Idempotency-Key' ? 'retry-1' : undefined)
+});
+
+const response = () => ({ json: jest.fn(), once: jest.fn() });
+
+// Run the middleware as a first request for the key and return the scope it claimed
+const claimedScope = async (req) => {
+    query.mockReset();
+    query.mockImplementation(async (sql) => (/INSERT INTO idempotency_keys/.test(sql)
+        ? { rows: [{ id: 1 }], rowCount: 1 }
+        : { rows: [], rowCount: 0 }));
+
+    const next = jest.fn();
+    await idempotent(req, response(), next);
+    expect(next).toHaveBeenCalledWith();
+
+    const [, params] = query.mock.calls.find(([sql]) => /INSERT INTO idempotency_keys/.test(sql));
+    return params[0];
+};
+
+describe('idempotency scope', () => {
+    test('signed-in callers are scoped to their customer id', async () => {
+        expect(await claimedScope(request({ user: { customer_id: 'CUST-1001' } }))).toBe('customer:CUST-1001');
+    });
+
+    test('anonymous callers reusing a key for different requests do not share a scope', async () => {
+        const first = await claimedScope(request({ body: { customer_id: 'guest_1', cart_id: 'cart-a' } }));
+        const second = await claimedScope(request({ body: { customer_id: 'guest_2', cart_id: 'cart-b' } }));
+        const otherRoute = await claimedScope(request({ path: '/api/carts/cart-b/items', body: { customer_id: 'guest_1', cart_id: 'cart-a' } }));
+
+        expect(first).toMatch(/^anonymous:[0-9a-f]{64}$/);
+        expect(second).not.toBe(first);
+        expect(otherRoute).not.toBe(first);
+    });
+
+    test('an anonymous retry of the same request finds its stored response', async () => {
+        const req = request({ body: { customer_id: 'guest_1', cart_id: 'cart-a' } });
+        expect(await claimedScope(req)).toBe(await claimedScope({ ...req }));
+    });
+});
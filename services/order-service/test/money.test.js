@@ -0,0 +1,138 @@
+// Exact money arithmetic (money.js, shared with game-service)
+
+const {
+    money, fromDecimal, toDecimal, zero, add, subtract, multiply, sum,
+    applyRate, percentage, allocate, compare, min, max
+} = require('../money');
+
+const minors = (amounts) => amounts.map(amount => amount.minor);
+
+describe('parsing and formatting', () => {
+    test.each([
+        ['19.99', 1999],
+        [19.99, 1999],
+        ['7', 700],
+        ['.5', 50],
+        [' 3.10 ', 310],
+        ['-4.25', -425]
+    ])('fromDecimal(%p) is %p minor units', (value, minor) => {
+        expect(fromDecimal(value).minor).toBe(minor);
+    });
+
+    test('float inputs are read exactly, not through binary arithmetic', () => {
+        expect(toDecimal(add(fromDecimal(0.1), fromDecimal(0.2)))).toBe('0.30');
+    });
+
+    test.each(['', '.', 'abc', '1.2.3', '1e5', NaN, Infinity, null, {}])('fromDecimal(%p) is rejected', (value) => {
+        expect(() => fromDecimal(value)).toThrow();
+    });
+
+    test('toDecimal pads to the currency exponent', () => {
+        expect(toDecimal(money(5))).toBe('0.05');
+        expect(toDecimal(money(-5))).toBe('-0.05');
+        expect(toDecimal(money(123456))).toBe('1234.56');
+        expect(toDecimal(fromDecimal('1234', 'JPY'))).toBe('1234');
+    });
+
+    test('money values serialize as decimal strings', () => {
+        expect(JSON.stringify({ total: money(1999) })).toBe('{"total":"19.99"}');
+    });
+
+    test('there is no negative zero', () => {
+        expect(Object.is(money(-0).minor, 0)).toBe(true);
+        expect(Object.is(subtract(money(5), money(5)).minor, 0)).toBe(true);
+    });
+
+    test('amounts must be whole, safe minor units', () => {
+        expect(() => money(1.5)).toThrow('whole minor units');
+        expect(() => money(Number.MAX_SAFE_INTEGER + 1)).toThrow();
+    });
+});
+
+describe('rounding', () => {
+    test.each([
+        ['1.005', 'half-up', 101],
+        ['1.015', 'half-up', 102],
+        ['-1.005', 'half-up', -101],
+        ['1.005', 'half-even', 100],
+        ['1.015', 'half-even', 102],
+        ['1.0051', 'half-even', 101],
+        ['1.019', 'down', 101],
+        ['-1.019', 'down', -101],
+        ['1.011', 'up', 102],
+        ['-1.011', 'up', -102]
+    ])('%s rounded %s is %p', (value, rounding, minor) => {
+        expect(fromDecimal(value, 'USD', rounding).minor).toBe(minor);
+    });
+
+    test('currencies without minor units round to whole units', () => {
+        expect(fromDecimal('12.5', 'JPY').minor).toBe(13);
+        expect(fromDecimal('12.49', 'JPY').minor).toBe(12);
+    });
+
+    test('unknown rounding modes are rejected', () => {
+        expect(() => fromDecimal('1.005', 'USD', 'nearest')).toThrow('Unknown rounding mode');
+    });
+
+    test('applyRate rounds the product once', () => {
+        expect(applyRate(money(1999), '0.0825').minor).toBe(165); // 164.9175
+        expect(applyRate(money(1999), '0.0825', 'down').minor).toBe(164);
+        expect(applyRate(money(1000), '0.08').minor).toBe(80);
+    });
+
+    test('percentage takes whole and fractional percents', () => {
+        expect(percentage(money(1999), 15).minor).toBe(300); // 299.85
+        expect(percentage(money(1000), '12.5').minor).toBe(125);
+        expect(percentage(money(1), 50).minor).toBe(1); // 0.5 rounds half-up
+    });
+});
+
+describe('arithmetic', () => {
+    test('multiply only takes whole quantities', () => {
+        expect(multiply(money(1999), 3).minor).toBe(5997);
+        expect(() => multiply(money(1999), 1.5)).toThrow('Quantities must be integers');
+    });
+
+    test('sum of nothing is zero in the given currency', () => {
+        expect(sum([], 'LKR')).toMatchObject({ minor: 0, currency: 'LKR' });
+        expect(sum([money(1), money(2), money(3)]).minor).toBe(6);
+    });
+
+    test('amounts in different currencies cannot be combined', () => {
+        expect(() => add(money(100, 'USD'), money(100, 'LKR'))).toThrow('Currency mismatch');
+        expect(() => compare(money(100, 'USD'), zero('INR'))).toThrow('Currency mismatch');
+    });
+
+    test('compare, min and max', () => {
+        expect(compare(money(1), money(2))).toBe(-1);
+        expect(compare(money(2), money(2))).toBe(0);
+        expect(min(money(1), money(2)).minor).toBe(1);
+        expect(max(money(1), money(2)).minor).toBe(2);
+    });
+});
+
+describe('allocate', () => {
+    test('leftover minor units go to the largest remainders', () => {
+        expect(minors(allocate(money(100), [1, 1, 1]))).toEqual([34, 33, 33]);
+        expect(minors(allocate(money(1000), [money(333), money(667)]))).toEqual([333, 667]);
+        expect(minors(allocate(money(10), [1, 2, 3, 4]))).toEqual([1, 2, 3, 4]);
+        expect(minors(allocate(money(100), [1, 3]))).toEqual([25, 75]);
+        expect(minors(allocate(money(5), [2, 1]))).toEqual([3, 2]); // 3.33 + 1.67: the larger remainder wins
+    });
+
+    test('parts always add up to the amount', () => {
+        const weights = [money(1999), money(4550), money(1), money(333)];
+        [1, 7, 99, 1000, 123457].forEach(total => {
+            expect(sum(allocate(money(total), weights)).minor).toBe(total);
+        });
+    });
+
+    test('negative amounts are split the same way', () => {
+        expect(minors(allocate(money(-100), [1, 1, 1]))).toEqual([-34, -33, -33]);
+    });
+
+    test('zero weights split evenly and no weights give no parts', () => {
+        expect(minors(allocate(money(5), [0, 0]))).toEqual([3, 2]);
+        expect(allocate(money(5), [])).toEqual([]);
+    });
+});
@@ -0,0 +1,151 @@
+// Order lifecycle (order-status.js) and the status history trigger
+
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('../database', () => ({ serialId: jest.requireActual('../database').serialId }));
+
+const {
+    ORDER_STATUSES, ORDER_TRANSITIONS, MANUAL_ORDER_STATUSES, canTransition, transitionOrder
+} = require('../order-status');
+
+const ORDER_ID = '6f1c1d6e-2b9a-4c3e-9a51-0d2f8e4b7a10';
+
+// A client holding one order; returns the statements it ran
+const orderClient = (order) => ({
+    query: jest.fn(async (sql, params) => {
+        if (/SELECT \* FROM orders/.test(sql)) {
+            return { rows: order ? [order] : [], rowCount: order ? 1 : 0 };
+        }
+        if (/UPDATE orders/.test(sql)) {
+            return { rows: [{ ...order, order_status: params[0] }], rowCount: 1 };
+        }
+        if (/FROM order_items/.test(sql)) {
+            return { rows: [{ game_id: 'GAME-STARFALL', quantity: 2 }], rowCount: 1 };
+        }
+        return { rows: [], rowCount: 0 };
+    })
+});
+
+const pendingOrder = { id: 12, order_id: ORDER_ID, order_status: 'pending' };
+
+describe('order state machine', () => {
+    test.each([
+        ['pending', 'confirmed'],
+        ['pending', 'cancelled'],
+        ['confirmed', 'shipped'],
+        ['confirmed', 'cancelled'],
+        ['confirmed', 'refunded'],
+        ['shipped', 'delivered'],
+        ['shipped', 'refunded'],
+        ['delivered', 'refunded']
+    ])('%s -> %s is allowed', (from, to) => {
+        expect(canTransition(from, to)).toBe(true);
+    });
+
+    test.each([
+        ['pending', 'shipped'],
+        ['pending', 'refunded'],
+        ['shipped', 'cancelled'],
+        ['delivered', 'cancelled'],
+        ['delivered', 'shipped'],
+        ['cancelled', 'pending'],
+        ['refunded', 'confirmed'],
+        ['pending', 'pending'],
+        ['unknown', 'confirmed']
+    ])('%s -> %s is rejected', (from, to) => {
+        expect(canTransition(from, to)).toBe(false);
+    });
+
+    test('every status has transitions to known statuses only', () => {
+        expect(Object.keys(ORDER_TRANSITIONS).sort()).toEqual([...ORDER_STATUSES].sort());
+        Object.values(ORDER_TRANSITIONS).flat().forEach(status => expect(ORDER_STATUSES).toContain(status));
+    });
+
+    test('cancelled and refunded are final', () => {
+        expect(ORDER_TRANSITIONS.cancelled).toEqual([]);
+        expect(ORDER_TRANSITIONS.refunded).toEqual([]);
+    });
+
+    test('refunded cannot be set through the status endpoint', () => {
+        expect(MANUAL_ORDER_STATUSES).not.toContain('refunded');
+        expect(MANUAL_ORDER_STATUSES).toEqual(ORDER_STATUSES.filter(status => status !== 'refunded'));
+    });
+});
+
+describe('transitionOrder', () => {
+    test('unknown orders are 404', async () => {
+        await expect(transitionOrder(orderClient(null), ORDER_ID, 'confirmed'))
+            .rejects.toMatchObject({ status: 404, code: 'ORDER_NOT_FOUND' });
+    });
+
+    test('forbidden transitions are 409 with the allowed transitions', async () => {
+        const client = orderClient({ ...pendingOrder, order_status: 'shipped' });
+
+        await expect(transitionOrder(client, ORDER_ID, 'cancelled')).rejects.toMatchObject({
+            status: 409,
+            code: 'INVALID_STATUS_TRANSITION',
+            members: { current_status: 'shipped', allowed_transitions: ['delivered', 'refunded'] }
+        });
+        expect(client.query.mock.calls.some(([sql]) => /UPDATE orders/.test(sql))).toBe(false);
+    });
+
+    test('the reason and actor are set for the transaction before the update', async () => {
+        const client = orderClient(pendingOrder);
+
+        const { previousStatus, order } = await transitionOrder(client, ORDER_ID, 'confirmed', {
+            reason: 'Payment captured', changedBy: 'system:payments'
+        });
+
+        expect(previousStatus).toBe('pending');
+        expect(order.order_status).toBe('confirmed');
+
+        const statements = client.query.mock.calls.map(([sql]) => sql);
+        const settings = statements.findIndex(sql => /set_config/.test(sql));
+        expect(settings).toBeGreaterThan(-1);
+        expect(settings).toBeLessThan(statements.findIndex(sql => /UPDATE orders/.test(sql)));
+        expect(statements[settings]).toMatch(/set_config\('lugx\.status_reason', \$1, true\)/);
+        expect(client.query.mock.calls[settings][1]).toEqual(['Payment captured', 'system:payments']);
+    });
+
+    test('without a reason the trigger default applies', async () => {
+        const client = orderClient(pendingOrder);
+        await transitionOrder(client, ORDER_ID, 'confirmed');
+
+        const [, params] = client.query.mock.calls.find(([sql]) => /set_config/.test(sql));
+        expect(params).toEqual(['', 'system']);
+    });
+
+    test('cancelling a pending order returns its items to stock', async () => {
+        const client = orderClient(pendingOrder);
+        await transitionOrder(client, ORDER_ID, 'cancelled');
+
+        const restock = client.query.mock.calls.find(([sql]) => /UPDATE games/.test(sql));
+        expect(restock[1]).toEqual([2, 'GAME-STARFALL']);
+    });
+
+    test('other transitions leave stock alone', async () => {
+        const client = orderClient({ ...pendingOrder, order_status: 'confirmed' });
+        await transitionOrder(client, ORDER_ID, 'shipped');
+
+        expect(client.query.mock.calls.some(([sql]) => /UPDATE games/.test(sql))).toBe(false);
+    });
+});
+
+describe('order_status_history_trigger', () => {
+    const schema = fs.readFileSync(path.join(__dirname, '../../../database/schema.sql'), 'utf8');
+    const historyFunction = schema.match(/FUNCTION create_order_status_history\(\)[\s\S]*?\$\$ language/)[0];
+
+    test('fires after every order update', () => {
+        expect(schema).toMatch(/CREATE TRIGGER order_status_history_trigger\s+AFTER UPDATE ON orders\s+FOR EACH ROW\s+EXECUTE FUNCTION create_order_status_history\(\)/);
+    });
+
+    test('only records actual status changes', () => {
+        expect(historyFunction).toMatch(/IF OLD\.order_status IS DISTINCT FROM NEW\.order_status THEN/);
+    });
+
+    test('reads the settings transitionOrder sets', () => {
+        expect(historyFunction).toContain("current_setting('lugx.status_reason', true)");
+        expect(historyFunction).toContain("current_setting('lugx.changed_by', true)");
+    });
+});
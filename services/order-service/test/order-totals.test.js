@@ -0,0 +1,92 @@
+// Order quotes (order-totals.js quoteOrder): checkout pricing vs read-only quotes
+
+jest.mock('../database', () => ({
+    query: jest.fn(),
+    transaction: jest.fn(),
+    serialId: jest.requireActual('../database').serialId
+}));
+
+const { toDecimal } = require('../money');
+const { quoteOrder } = require('../order-totals');
+
+const starfall = {
+    id: 3, game_id: 'GAME-STARFALL', name: 'Starfall', category: 'Strategy', is_digital: true,
+    price: '29.99', discount_price: null, stock_quantity: 1, is_archived: false
+};
+
+const save10 = {
+    promotion_id: 'promo-save10', name: 'Save 10', promotion_type: 'coupon', code: 'SAVE10',
+    discount_type: 'percentage', discount_value: '10.00', min_spend: '0.00', category: null, game_ids: null,
+    max_uses: 100, per_customer_limit: null, is_active: true, is_running: true
+};
+
+const defaultTaxRule = { country: '*', region: null, physical_rate: '0', digital_rate: '0', applies_to_shipping: false };
+
+// A client with one game in stock, the SAVE10 coupon and a zero-rate tax rule
+const catalogClient = () => ({
+    query: jest.fn(async (sql) => {
+        if (/FROM games/.test(sql)) {
+            return { rows: [starfall] };
+        }
+        if (/WHERE code = \$1/.test(sql)) {
+            return { rows: [save10] };
+        }
+        if (/FROM promotion_redemptions/.test(sql)) {
+            return { rows: [{ total_uses: '0', customer_uses: '0' }] };
+        }
+        if (/FROM tax_rates/.test(sql)) {
+            return { rows: [defaultTaxRule] };
+        }
+        return { rows: [] };
+    })
+});
+
+const statements = (client) => client.query.mock.calls.map(([sql]) => sql);
+
+describe('quoteOrder', () => {
+    const order = (quantity, options) => ({
+        items: [{ game_id: 'GAME-STARFALL', quantity }],
+        customerId: 'CUST-1001',
+        couponCode: 'SAVE10',
+        ...options
+    });
+
+    test('checkout pricing locks the game and coupon rows', async () => {
+        const client = catalogClient();
+
+        const quote = await quoteOrder(client, order(1));
+
+        expect(toDecimal(quote.total_amount)).toBe('26.99');
+        expect(statements(client).find(sql => /FROM games/.test(sql))).toMatch(/FOR UPDATE/);
+        expect(statements(client).find(sql => /WHERE code = \$1/.test(sql))).toMatch(/FOR UPDATE/);
+    });
+
+    test('checkout pricing rejects quantities above the stock', async () => {
+        await expect(quoteOrder(catalogClient(), order(2))).rejects.toMatchObject({
+            status: 409,
+            code: 'INSUFFICIENT_STOCK',
+            members: { items: [{ game_id: 'GAME-STARFALL', requested: 2, available: 1 }] }
+        });
+    });
+
+    test('read-only quotes lock no rows and do not check stock', async () => {
+        const client = catalogClient();
+
+        const quote = await quoteOrder(client, order(2, { readOnly: true }));
+
+        expect(toDecimal(quote.subtotal)).toBe('59.98');
+        expect(toDecimal(quote.discount_amount)).toBe('6.00');
+        expect(quote.discounts.map(discount => discount.code)).toEqual(['SAVE10']);
+        expect(statements(client).filter(sql => /FOR UPDATE/.test(sql))).toEqual([]);
+    });
+
+    test('read-only quotes still validate the items', async () => {
+        const client = catalogClient();
+        client.query.mockImplementationOnce(async () => ({ rows: [{ ...starfall, is_archived: true }] }));
+
+        await expect(quoteOrder(client, order(1, { readOnly: true }))).rejects.toMatchObject({
+            status: 400,
+            code: 'UNKNOWN_ITEMS'
+        });
+    });
+});
@@ -0,0 +1,149 @@
+// Offset and keyset pagination (pagination.js, shared with game-service)
+
+const { defineSort, parsePagination, pageSql, buildPage, setPageLinks } = require('../pagination');
+
+const NEWEST = defineSort('newest', [
+    { expression: 'o.created_at', direction: 'DESC' },
+    { expression: 'o.id', direction: 'DESC' }
+]);
+const CHEAPEST = defineSort('price_asc', [
+    { expression: 'COALESCE(g.discount_price, g.price)', direction: 'ASC' },
+    { expression: 'g.rating', direction: 'DESC' },
+    { expression: 'g.id', direction: 'ASC' }
+]);
+
+const cursorFor = (sort, values) => Buffer.from(JSON.stringify({ sort: sort.name, values })).toString('base64url');
+
+// Rows as fetched with pageSql: limit + 1 at most, each with its page_cursor
+const fetched = (count) => Array.from({ length: count }, (value, index) => ({
+    id: index + 1, page_cursor: ['2026-10-01 10:00:00+00', String(100 - index)]
+}));
+
+describe('parsePagination', () => {
+    test('defaults to the first offset page', () => {
+        expect(parsePagination({}, NEWEST)).toEqual({
+            errors: [], page: { limit: 10, page: 1, after: null, sort: NEWEST }
+        });
+    });
+
+    test('a cursor for the same sort pages by keyset', () => {
+        const { errors, page } = parsePagination({ after: cursorFor(NEWEST, ['2026-10-01', '42']), limit: '5' }, NEWEST);
+        expect(errors).toEqual([]);
+        expect(page).toMatchObject({ limit: 5, page: null, after: ['2026-10-01', '42'] });
+    });
+
+    test.each([
+        ['a cursor of another sort', cursorFor(CHEAPEST, ['1', '2', '3'])],
+        ['a cursor with the wrong number of values', cursorFor(NEWEST, ['2026-10-01'])],
+        ['a cursor that is not base64url JSON', 'not-a-cursor'],
+        ['a cursor without values', Buffer.from(JSON.stringify({ sort: 'newest' })).toString('base64url')]
+    ])('%s is rejected', (description, after) => {
+        expect(parsePagination({ after }, NEWEST).errors)
+            .toEqual(['after must be a nextCursor returned by this list with the same sort order']);
+    });
+
+    test('page and after cannot be combined', () => {
+        expect(parsePagination({ after: cursorFor(NEWEST, ['2026-10-01', '42']), page: '2' }, NEWEST).errors)
+            .toEqual(['Send either page or after, not both']);
+    });
+
+    test.each([
+        [{ limit: '0' }, 'limit must be an integer between 1 and 100'],
+        [{ limit: '101' }, 'limit must be an integer between 1 and 100'],
+        [{ limit: '2.5' }, 'limit must be an integer between 1 and 100'],
+        [{ page: '0' }, 'page must be a positive integer']
+    ])('%p is rejected', (query, error) => {
+        expect(parsePagination(query, NEWEST).errors).toEqual([error]);
+    });
+
+    test('each list can lower the maximum limit', () => {
+        expect(parsePagination({ limit: '30' }, NEWEST, { maxLimit: 25 }).errors)
+            .toEqual(['limit must be an integer between 1 and 25']);
+    });
+});
+
+describe('pageSql', () => {
+    test('offset pages fetch one extra row', () => {
+        const sql = pageSql({ limit: 10, page: 3, after: null, sort: NEWEST }, 4);
+
+        expect(sql.condition).toBeNull();
+        expect(sql.orderBy).toBe('o.created_at DESC, o.id DESC');
+        expect(sql.limitClause).toBe('LIMIT $4 OFFSET $5');
+        expect(sql.params).toEqual([11, 20]);
+    });
+
+    test('cursor pages start strictly after the last row, whatever the column directions', () => {
+        const sql = pageSql({ limit: 10, page: null, after: ['19.99', '4.5', '17'], sort: CHEAPEST }, 2);
+
+        expect(sql.condition).toBe('(' + [
+            '(COALESCE(g.discount_price, g.price) > $2)',
+            '(COALESCE(g.discount_price, g.price) = $2 AND g.rating < $3)',
+            '(COALESCE(g.discount_price, g.price) = $2 AND g.rating = $3 AND g.id > $4)'
+        ].join(' OR ') + ')');
+        expect(sql.limitClause).toBe('LIMIT $5 OFFSET $6');
+        expect(sql.params).toEqual(['19.99', '4.5', '17', 11, 0]);
+    });
+
+    test('the cursor column captures every sort expression as text', () => {
+        expect(pageSql({ limit: 10, page: 1, after: null, sort: NEWEST }, 1).cursorColumn)
+            .toBe('json_build_array((o.created_at)::text, (o.id)::text) as page_cursor');
+    });
+});
+
+describe('buildPage', () => {
+    test('the extra row only signals a next page, and its cursor is the last returned row', () => {
+        const page = { limit: 3, page: null, after: ['2026-10-02', '200'], sort: NEWEST };
+        const { items, pagination } = buildPage(fetched(4), page, 50);
+
+        expect(items).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }]);
+        expect(pagination).toMatchObject({ currentPage: null, hasNextPage: true, hasPreviousPage: true, totalPages: 17 });
+
+        const next = parsePagination({ after: pagination.nextCursor }, NEWEST);
+        expect(next.page.after).toEqual(['2026-10-01 10:00:00+00', '98']);
+    });
+
+    test('the last page has no cursor', () => {
+        const { pagination } = buildPage(fetched(2), { limit: 3, page: 4, after: null, sort: NEWEST }, 11);
+
+        expect(pagination).toEqual({
+            currentPage: 4,
+            totalPages: 4,
+            totalItems: 11,
+            itemsPerPage: 3,
+            hasNextPage: false,
+            hasPreviousPage: true,
+            nextCursor: null
+        });
+    });
+
+    test('the first offset page has no previous page', () => {
+        expect(buildPage([], { limit: 10, page: 1, after: null, sort: NEWEST }, 0).pagination)
+            .toMatchObject({ hasPreviousPage: false, totalPages: 0, nextCursor: null });
+    });
+});
+
+describe('setPageLinks', () => {
+    const links = (query, pagination) => {
+        const res = { set: jest.fn() };
+        setPageLinks({ originalUrl: '/api/orders?ignored=1', query }, res, pagination);
+        return res.set.mock.calls[0][1];
+    };
+
+    test('offset pages link to first, prev, next and last and keep other parameters', () => {
+        expect(links({ status: 'shipped', page: '2', limit: '5' }, {
+            currentPage: 2, totalPages: 4, hasNextPage: true, nextCursor: 'abc'
+        })).toBe([
+            '</api/orders?status=shipped&limit=5>; rel="first"',
+            '</api/orders?status=shipped&limit=5&page=1>; rel="prev"',
+            '</api/orders?status=shipped&limit=5&page=3>; rel="next"',
+            '</api/orders?status=shipped&limit=5&page=4>; rel="last"'
+        ].join(', '));
+    });
+
+    test('cursor pages link to the first page and the next cursor only', () => {
+        expect(links({ after: 'old', tag: ['a', 'b'] }, { currentPage: null, totalPages: 9, hasNextPage: true, nextCursor: 'next-cursor' }))
+            .toBe('</api/orders?tag=a&tag=b>; rel="first", </api/orders?tag=a&tag=b&after=next-cursor>; rel="next"');
+        expect(links({ after: 'old' }, { currentPage: null, totalPages: 9, hasNextPage: false, nextCursor: null }))
+            .toBe('</api/orders>; rel="first"');
+    });
+});
@@ -0,0 +1,79 @@
+// Production safeguards of payment-providers.js and payments.js
+
+jest.mock('../database', () => ({ query: jest.fn(), transaction: jest.fn(), serialId: jest.fn() }));
+
+const load = (modulePath, env) => {
+    const saved = { ...process.env };
+    Object.assign(process.env, env);
+    Object.keys(env).filter(key => env[key] === undefined).forEach(key => delete process.env[key]);
+    try {
+        let loaded;
+        jest.isolateModules(() => {
+            loaded = require(modulePath);
+        });
+        return loaded;
+    } finally {
+        process.env = saved;
+    }
+};
+
+beforeAll(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+describe('fake payment provider', () => {
+    test('is the default outside production', () => {
+        const providers = load('../payment-providers', { NODE_ENV: 'development', PAYMENT_PROVIDER: undefined });
+        expect(providers.PAYMENT_PROVIDER).toBe('fake');
+        expect(providers.getPaymentProvider('fake')).not.toBeNull();
+    });
+
+    test('is not registered in production', () => {
+        const providers = load('../payment-providers', {
+            NODE_ENV: 'production', PAYMENT_PROVIDER: undefined, ENABLE_FAKE_PAYMENTS: undefined
+        });
+        expect(providers.PAYMENT_PROVIDER).toBeNull();
+        expect(providers.getPaymentProvider('fake')).toBeNull();
+    });
+
+    test('cannot be selected through PAYMENT_PROVIDER in production', () => {
+        const providers = load('../payment-providers', {
+            NODE_ENV: 'production', PAYMENT_PROVIDER: 'fake', ENABLE_FAKE_PAYMENTS: undefined
+        });
+        expect(providers.getPaymentProvider(providers.PAYMENT_PROVIDER)).toBeNull();
+    });
+
+    test('is registered in production with ENABLE_FAKE_PAYMENTS=true', () => {
+        const providers = load('../payment-providers', {
+            NODE_ENV: 'production', PAYMENT_PROVIDER: undefined, ENABLE_FAKE_PAYMENTS: 'true'
+        });
+        expect(providers.getPaymentProvider('fake')).not.toBeNull();
+    });
+
+    test('only registered names resolve to a provider', () => {
+        const { getPaymentProvider } = load('../payment-providers', { NODE_ENV: 'development' });
+        expect(getPaymentProvider('constructor')).toBeNull();
+        expect(getPaymentProvider(undefined)).toBeNull();
+    });
+});
+
+describe('PAYMENT_WEBHOOK_SECRET', () => {
+    test('production refuses to start without it', () => {
+        expect(() => load('../payments', { NODE_ENV: 'production', PAYMENT_WEBHOOK_SECRET: undefined }))
+            .toThrow('PAYMENT_WEBHOOK_SECRET must be set when NODE_ENV=production');
+    });
+
+    test('webhook signatures use the configured secret', () => {
+        const body = JSON.stringify({ id: 'evt_1' });
+        const signed = load('../payments', { NODE_ENV: 'production', PAYMENT_WEBHOOK_SECRET: 'a-real-secret' });
+        const development = load('../payments', { NODE_ENV: 'development', PAYMENT_WEBHOOK_SECRET: undefined });
+
+        const signature = signed.signWebhookPayload(body);
+        expect(signed.verifyWebhookSignature(body, signature)).toBe(true);
+        expect(development.verifyWebhookSignature(body, signature)).toBe(false);
+    });
+});
@@ -0,0 +1,269 @@
+// Promotion pricing (promotions.js): sales, stacking order and usage limits
+
+jest.mock('../database', () => ({ query: jest.fn(), transaction: jest.fn() }));
+
+const { fromDecimal, toDecimal, multiply } = require('../money');
+const { validatePromotion, calculateDiscounts } = require('../promotions');
+const { salePriceFor } = require('../sales');
+
+const LKR = { currency: 'LKR', rate: '300.5000', symbol: 'Rs' };
+
+const line = (game_id, category, unitPrice, quantity = 1, discountPrice = null, currency = 'USD') => {
+    const unit_price = fromDecimal(unitPrice, currency);
+    const discount_price = discountPrice === null ? null : fromDecimal(discountPrice, currency);
+    return {
+        game_id,
+        category,
+        quantity,
+        unit_price,
+        discount_price,
+        total_price: multiply(discount_price || unit_price, quantity)
+    };
+};
+
+let nextId = 1;
+const promotion = (overrides) => ({
+    promotion_id: `promo-${nextId++}`,
+    name: 'Promotion',
+    code: null,
+    discount_type: 'percentage',
+    discount_value: '10.00',
+    min_spend: '0.00',
+    category: null,
+    game_ids: null,
+    max_uses: null,
+    per_customer_limit: null,
+    is_active: true,
+    ...overrides
+});
+
+// A client with the given running automatic promotions, coupons by code and
+// redemption counts per promotion_id ({ total, customer })
+const promotionsClient = ({ automatic = [], coupons = [], redemptions = {} } = {}) => ({
+    query: jest.fn(async (sql, params) => {
+        if (/promotion_type <> 'coupon'/.test(sql)) {
+            return { rows: automatic };
+        }
+        if (/WHERE code = \$1/.test(sql)) {
+            return { rows: coupons.filter(coupon => coupon.code === params[0]).map(coupon => ({ is_running: true, ...coupon })) };
+        }
+        if (/FROM promotion_redemptions/.test(sql)) {
+            const counts = redemptions[params[0]] || {};
+            return { rows: [{ total_uses: String(counts.total || 0), customer_uses: String(counts.customer || 0) }] };
+        }
+        return { rows: [] };
+    })
+});
+
+const breakdown = ({ discounts }) => discounts.map(discount => [discount.name, toDecimal(discount.amount)]);
+
+// 100.00 in total: 80.00 of RPG and 20.00 of Action
+const cart = () => [line('GAME-A', 'RPG', '40.00', 2), line('GAME-B', 'Action', '20.00')];
+
+const rpgPromotion = () => promotion({ name: 'RPG week', promotion_type: 'category', category: 'RPG' });
+const bundlePromotion = () => promotion({
+    name: 'A+B bundle', promotion_type: 'bundle', discount_type: 'fixed', discount_value: '5.00', game_ids: ['GAME-A', 'GAME-B']
+});
+const coupon = (overrides) => promotion({ name: 'Coupon', promotion_type: 'coupon', code: 'SAVE20', discount_value: '20', ...overrides });
+
+describe('salePriceFor', () => {
+    const sale = (overrides) => promotion({ name: 'Sale', promotion_type: 'sale', game_ids: ['GAME-A'], ...overrides });
+
+    test('the lowest of the running sales wins', () => {
+        const small = sale({ discount_value: '10' });
+        const large = sale({ discount_value: '25' });
+
+        const { price, sale: applied } = salePriceFor(line('GAME-A', 'RPG', '40.00'), [small, large]);
+        expect(toDecimal(price)).toBe('30.00');
+        expect(applied.promotion_id).toBe(large.promotion_id);
+    });
+
+    test('a regular discount price lower than the sale price is kept', () => {
+        const { price, sale: applied } = salePriceFor(line('GAME-A', 'RPG', '40.00', 1, '25.00'), [sale({ discount_value: '25' })]);
+        expect(toDecimal(price)).toBe('25.00');
+        expect(applied).toBeNull();
+    });
+
+    test('fixed cuts are converted from the base currency and never go below zero', () => {
+        const fixed = sale({ discount_type: 'fixed', discount_value: '1.00' });
+        expect(toDecimal(salePriceFor(line('GAME-A', 'RPG', '3000.00', 1, null, 'LKR'), [fixed], LKR).price)).toBe('2699.50');
+        expect(toDecimal(salePriceFor(line('GAME-A', 'RPG', '0.50'), [fixed]).price)).toBe('0.00');
+    });
+
+    test('sales match by game id or category only', () => {
+        const rpgSale = sale({ game_ids: null, category: 'RPG', discount_value: '50' });
+        expect(salePriceFor(line('GAME-B', 'Action', '20.00'), [rpgSale]).sale).toBeNull();
+        expect(toDecimal(salePriceFor(line('GAME-C', 'RPG', '20.00'), [rpgSale]).price)).toBe('10.00');
+    });
+});
+
+describe('calculateDiscounts', () => {
+    test('automatic promotions apply first and the coupon applies to what is left', async () => {
+        const client = promotionsClient({ automatic: [rpgPromotion(), bundlePromotion()], coupons: [coupon()] });
+
+        const result = await calculateDiscounts(client, { lines: cart(), customerId: 7, couponCode: ' save20 ' });
+
+        expect(breakdown(result)).toEqual([['RPG week', '8.00'], ['A+B bundle', '5.00'], ['Coupon', '17.40']]);
+        expect(toDecimal(result.discount_amount)).toBe('30.40');
+    });
+
+    test('sale prices are applied to the lines before any discount', async () => {
+        const sale = promotion({ name: 'Sale', promotion_type: 'sale', game_ids: ['GAME-B'], discount_value: '50' });
+        const client = promotionsClient({ automatic: [sale, rpgPromotion()], coupons: [coupon()] });
+
+        const result = await calculateDiscounts(client, { lines: cart(), customerId: 7, couponCode: 'SAVE20' });
+
+        expect(toDecimal(result.lines[1].total_price)).toBe('10.00');
+        expect(result.lines[1].sale.promotion_id).toBe(sale.promotion_id);
+        expect(breakdown(result)).toEqual([['RPG week', '8.00'], ['Coupon', '16.40']]);
+    });
+
+    test('discounts never exceed the subtotal', async () => {
+        const client = promotionsClient({
+            automatic: [rpgPromotion()],
+            coupons: [coupon({ discount_type: 'fixed', discount_value: '500.00' })]
+        });
+
+        const result = await calculateDiscounts(client, { lines: cart(), customerId: 7, couponCode: 'SAVE20' });
+
+        expect(breakdown(result)).toEqual([['RPG week', '8.00'], ['Coupon', '92.00']]);
+        expect(toDecimal(result.discount_amount)).toBe('100.00');
+    });
+
+    test('bundles are discounted once per complete set', async () => {
+        const client = promotionsClient({ automatic: [bundlePromotion()] });
+        const lines = [line('GAME-A', 'RPG', '40.00', 3), line('GAME-B', 'Action', '20.00', 2)];
+
+        expect(breakdown(await calculateDiscounts(client, { lines, customerId: 7 }))).toEqual([['A+B bundle', '10.00']]);
+        expect(breakdown(await calculateDiscounts(client, { lines: lines.slice(0, 1), customerId: 7 }))).toEqual([]);
+    });
+
+    test('automatic promotions below their minimum spend are skipped', async () => {
+        const client = promotionsClient({ automatic: [promotion({ ...rpgPromotion(), min_spend: '100.01' })] });
+
+        expect(breakdown(await calculateDiscounts(client, { lines: cart(), customerId: 7 }))).toEqual([]);
+    });
+
+    test('automatic promotions at their usage limit are skipped', async () => {
+        const limited = promotion({ ...rpgPromotion(), max_uses: 100 });
+        const perCustomer = promotion({ ...bundlePromotion(), per_customer_limit: 1 });
+        const client = promotionsClient({
+            automatic: [limited, perCustomer],
+            redemptions: { [limited.promotion_id]: { total: 100 }, [perCustomer.promotion_id]: { total: 5, customer: 1 } }
+        });
+
+        expect(breakdown(await calculateDiscounts(client, { lines: cart(), customerId: 7 }))).toEqual([]);
+    });
+
+    test('guests do not get automatic promotions limited per customer', async () => {
+        const perCustomer = promotion({ ...rpgPromotion(), per_customer_limit: 1 });
+        const client = promotionsClient({ automatic: [perCustomer, bundlePromotion()] });
+
+        expect(breakdown(await calculateDiscounts(client, { lines: cart(), customerId: null }))).toEqual([['A+B bundle', '5.00']]);
+        expect(breakdown(await calculateDiscounts(client, { lines: cart(), customerId: 7 })))
+            .toEqual([['RPG week', '8.00'], ['A+B bundle', '5.00']]);
+    });
+
+    test('promotions without limits do not count redemptions', async () => {
+        const client = promotionsClient({ automatic: [rpgPromotion()] });
+        await calculateDiscounts(client, { lines: cart(), customerId: 7 });
+
+        expect(client.query.mock.calls.some(([sql]) => /FROM promotion_redemptions/.test(sql))).toBe(false);
+    });
+
+    test('redemptions of cancelled orders do not count', async () => {
+        const limited = coupon({ max_uses: 1 });
+        const client = promotionsClient({ coupons: [limited] });
+        await calculateDiscounts(client, { lines: cart(), customerId: 7, couponCode: 'SAVE20' });
+
+        const [sql] = client.query.mock.calls.find(([statement]) => /FROM promotion_redemptions/.test(statement));
+        expect(sql).toMatch(/order_status <> 'cancelled'/);
+    });
+});
+
+describe('coupons', () => {
+    const price = (client, couponCode) => calculateDiscounts(client, { lines: cart(), customerId: 7, couponCode });
+
+    test('unknown and disabled codes are invalid', async () => {
+        await expect(price(promotionsClient(), 'NOPE')).rejects.toMatchObject({ status: 400, code: 'INVALID_COUPON' });
+        await expect(price(promotionsClient({ coupons: [coupon({ is_active: false })] }), 'SAVE20'))
+            .rejects.toMatchObject({ status: 400, code: 'INVALID_COUPON' });
+    });
+
+    test('codes outside their window are not active', async () => {
+        await expect(price(promotionsClient({ coupons: [coupon({ is_running: false })] }), 'SAVE20'))
+            .rejects.toMatchObject({ status: 400, code: 'COUPON_NOT_ACTIVE' });
+    });
+
+    test('the minimum spend is checked against the subtotal in the order currency', async () => {
+        await expect(price(promotionsClient({ coupons: [coupon({ min_spend: '150.00' })] }), 'SAVE20'))
+            .rejects.toMatchObject({ status: 400, code: 'COUPON_MIN_SPEND_NOT_MET', message: expect.stringContaining('150.00 USD') });
+
+        const lkrLines = [line('GAME-A', 'RPG', '30000.00', 1, null, 'LKR')];
+        await expect(calculateDiscounts(promotionsClient({ coupons: [coupon({ min_spend: '150.00' })] }), {
+            lines: lkrLines, customerId: 7, couponCode: 'SAVE20', target: LKR
+        })).rejects.toMatchObject({ message: expect.stringContaining('45075.00 LKR') });
+    });
+
+    test('total and per-customer limits are conflicts', async () => {
+        const limited = coupon({ max_uses: 10 });
+        await expect(price(promotionsClient({ coupons: [limited], redemptions: { [limited.promotion_id]: { total: 10 } } }), 'SAVE20'))
+            .rejects.toMatchObject({ status: 409, code: 'COUPON_LIMIT_REACHED', message: expect.stringContaining('usage limit') });
+
+        const once = coupon({ per_customer_limit: 1 });
+        await expect(price(promotionsClient({ coupons: [once], redemptions: { [once.promotion_id]: { total: 3, customer: 1 } } }), 'SAVE20'))
+            .rejects.toMatchObject({ status: 409, code: 'COUPON_LIMIT_REACHED', message: expect.stringContaining('this account') });
+    });
+
+    test('guests cannot use coupons limited per customer', async () => {
+        const once = coupon({ per_customer_limit: 1 });
+        const client = promotionsClient({ coupons: [once] });
+
+        await expect(calculateDiscounts(client, { lines: cart(), customerId: null, couponCode: 'SAVE20' }))
+            .rejects.toMatchObject({ status: 401, code: 'COUPON_SIGN_IN_REQUIRED' });
+        expect(client.query.mock.calls.some(([sql]) => /FROM promotion_redemptions/.test(sql))).toBe(false);
+    });
+
+    test('guests can use coupons that are only limited in total', async () => {
+        const limited = coupon({ max_uses: 10 });
+        const result = await calculateDiscounts(promotionsClient({ coupons: [limited] }), {
+            lines: cart(), customerId: null, couponCode: 'SAVE20'
+        });
+        expect(breakdown(result)).toEqual([['Coupon', '20.00']]);
+    });
+
+    test('category coupons discount only their category', async () => {
+        const result = await price(promotionsClient({ coupons: [coupon({ category: 'Action' })] }), 'SAVE20');
+        expect(breakdown(result)).toEqual([['Coupon', '4.00']]);
+
+        await expect(price(promotionsClient({ coupons: [coupon({ category: 'Puzzle' })] }), 'SAVE20'))
+            .rejects.toMatchObject({ status: 400, code: 'COUPON_NOT_APPLICABLE' });
+    });
+});
+
+describe('validatePromotion', () => {
+    const valid = {
+        promotion_type: 'coupon', name: ' Spring ', code: ' spring-10 ', discount_type: 'percentage', discount_value: '10'
+    };
+
+    test('valid definitions are normalized', () => {
+        const { errors, promotion: normalized } = validatePromotion(valid);
+        expect(errors).toEqual([]);
+        expect(normalized).toMatchObject({ name: 'Spring', code: 'SPRING-10', discount_value: 10, min_spend: 0, is_active: true });
+    });
+
+    test.each([
+        [{ discount_value: '150' }, 'must not exceed 100'],
+        [{ discount_value: '0' }, 'discount_value must be a positive number'],
+        [{ code: 'x' }, 'code is required for coupons'],
+        [{ promotion_type: 'category', code: null }, 'category is required'],
+        [{ promotion_type: 'bundle', code: null, game_ids: ['GAME-A', ' GAME-A'] }, 'at least two games'],
+        [{ promotion_type: 'sale', code: null, category: 'RPG' }, 'ends_at is required for sales'],
+        [{ starts_at: '2026-05-01T00:00:00Z', ends_at: '2026-04-01T00:00:00Z' }, 'ends_at must be after starts_at'],
+        [{ max_uses: 0 }, 'max_uses must be a positive integer'],
+        [{ per_customer_limit: 1.5 }, 'per_customer_limit must be a positive integer']
+    ])('%p is rejected', (overrides, message) => {
+        const { errors } = validatePromotion({ ...valid, ...overrides });
+        expect(errors).toEqual(expect.arrayContaining([expect.stringContaining(message)]));
+    });
+});
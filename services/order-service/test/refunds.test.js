@@ -0,0 +1,273 @@
+// Refunds (refunds.js) and their settlement through the payment webhook
+
+jest.mock('../database', () => ({
+    query: jest.fn(),
+    transaction: jest.fn(),
+    serialId: jest.requireActual('../database').serialId
+}));
+
+const database = require('../database');
+const { getPaymentProvider } = require('../payment-providers');
+const { handleWebhook } = require('../payments');
+const { refundOrder } = require('../refunds');
+const { MAX_REASON_LENGTH } = require('../order-status');
+
+const REFUND_ID = '0b6f3f52-8c1e-4e55-9d1a-6c8f0f4b2a11';
+const PAYMENT_ID = '7d0a4c1e-2f3b-4a5c-8d6e-9f0a1b2c3d4e';
+const ORDER_ID = '6f1c1d6e-2b9a-4c3e-9a51-0d2f8e4b7a10';
+
+const rows = (list) => ({ rows: list, rowCount: list.length });
+
+// A client whose refund row is `refund`; returns the statements it ran
+const refundClient = (refund) => ({
+    query: jest.fn(async (sql) => {
+        if (/FROM refunds r\s+JOIN payments/.test(sql)) {
+            return rows([{ refund_id: refund.refund_id, payment_id: refund.payment_id }]);
+        }
+        if (/INSERT INTO payment_webhook_events/.test(sql)) {
+            return rows([{ id: 1 }]);
+        }
+        if (/SELECT \* FROM refunds/.test(sql)) {
+            return rows([refund]);
+        }
+        return rows([]);
+    })
+});
+
+const pendingRefund = {
+    refund_id: REFUND_ID,
+    order_id: ORDER_ID,
+    payment_id: PAYMENT_ID,
+    refund_type: 'partial',
+    status: 'pending',
+    amount: '29.99',
+    currency: 'USD',
+    reason: 'damaged',
+    note: null,
+    provider_reference: 'fake_refund_1'
+};
+
+describe('asynchronous refunds', () => {
+    test('the fake provider leaves refunds of tok_async payments pending under their own reference', async () => {
+        const provider = getPaymentProvider('fake');
+        const { reference } = await provider.authorize({ amount: 2999, paymentToken: 'tok_async' });
+        provider.parseWebhook({ id: 'evt_auth', type: 'payment.authorized', data: { reference } });
+        await provider.capture(reference, 2999);
+
+        const refund = await provider.refund(reference, 1000);
+        expect(refund.status).toBe('pending');
+        expect(refund.reference).toMatch(/^fake_refund_/);
+
+        expect(provider.parseWebhook({ id: 'evt_refund', type: 'refund.succeeded', data: { reference: refund.reference } }))
+            .toEqual({ eventId: 'evt_refund', reference: refund.reference, status: 'refunded', failureReason: null, refund: true });
+    });
+
+    test('a refund.succeeded webhook settles the pending refund', async () => {
+        const client = refundClient(pendingRefund);
+        database.transaction.mockImplementationOnce(callback => callback(client));
+
+        const { duplicate } = await handleWebhook('fake', {
+            id: 'evt_1', type: 'refund.succeeded', data: { reference: 'fake_refund_1' }
+        });
+
+        expect(duplicate).toBe(false);
+        const statements = client.query.mock.calls.map(([sql]) => sql);
+        expect(statements.some(sql => /SET status = 'succeeded'/.test(sql))).toBe(true);
+        expect(statements.some(sql => /UPDATE refund_items SET restocked/.test(sql))).toBe(true);
+    });
+
+    test('a refund.failed webhook fails the pending refund', async () => {
+        const client = refundClient(pendingRefund);
+        database.transaction.mockImplementationOnce(callback => callback(client));
+
+        await handleWebhook('fake', {
+            id: 'evt_2', type: 'refund.failed', data: { reference: 'fake_refund_1', failure_reason: 'Card closed' }
+        });
+
+        const failed = client.query.mock.calls.find(([sql]) => /SET status = 'failed'/.test(sql));
+        expect(failed[1]).toEqual(['Card closed', REFUND_ID]);
+        expect(client.query.mock.calls.some(([sql]) => /SET status = 'succeeded'/.test(sql))).toBe(false);
+    });
+
+    test('webhooks for refunds that are no longer pending change nothing', async () => {
+        const client = refundClient({ ...pendingRefund, status: 'succeeded' });
+        database.transaction.mockImplementationOnce(callback => callback(client));
+
+        await handleWebhook('fake', { id: 'evt_3', type: 'refund.failed', data: { reference: 'fake_refund_1' } });
+
+        expect(client.query.mock.calls.some(([sql]) => /UPDATE refunds/.test(sql))).toBe(false);
+    });
+
+    test('webhooks for unknown refunds are rejected', async () => {
+        const client = { query: jest.fn(async () => rows([])) };
+        database.transaction.mockImplementationOnce(callback => callback(client));
+
+        await expect(handleWebhook('fake', { id: 'evt_4', type: 'refund.succeeded', data: { reference: 'fake_refund_x' } }))
+            .rejects.toMatchObject({ status: 404, code: 'REFUND_NOT_FOUND' });
+    });
+});
+
+// An order paid 27.49 (22.49 for items after discount and tax, 5.00 shipping)
+// whose refunds are kept in memory; pending refunds hold their units
+const paidOrder = (overrides = {}, { captured = true } = {}) => {
+    const order = {
+        id: 12,
+        order_id: ORDER_ID,
+        order_status: 'delivered',
+        currency: 'USD',
+        total_amount: '27.49',
+        shipping_cost: '5.00',
+        ...overrides
+    };
+    const items = [
+        { id: 1, game_id: 'GAME-STARFALL', game_name: 'Starfall', quantity: 2, total_price: '20.00' },
+        { id: 2, game_id: 'GAME-DRIFT', game_name: 'Drift', quantity: 1, total_price: '9.99' }
+    ];
+    const refunds = [];
+    const refundItems = [];
+
+    const refunded = (item, field) => refundItems
+        .filter(line => line.order_item_id === item.id)
+        .reduce((total, line) => total + Number(line[field]), 0);
+
+    const client = {
+        query: jest.fn(async (sql, params) => {
+            if (/FROM orders WHERE order_id::text/.test(sql)) {
+                return rows([order]);
+            }
+            if (/FROM payments/.test(sql)) {
+                return rows(!captured ? [] : [
+                    { payment_id: PAYMENT_ID, provider: 'fake', provider_reference: 'fake_pay_1', status: 'captured' }
+                ]);
+            }
+            if (/FROM order_items oi/.test(sql)) {
+                return rows(items.map(item => ({
+                    ...item,
+                    refunded_quantity: refunded(item, 'quantity'),
+                    refunded_amount: refunded(item, 'amount').toFixed(2)
+                })));
+            }
+            if (/refunded_shipping/.test(sql)) {
+                const shipping = refunds.reduce((total, refund) => total + Number(refund.shipping_amount), 0);
+                return rows([{ refunded_shipping: shipping.toFixed(2) }]);
+            }
+            if (/INSERT INTO refunds/.test(sql)) {
+                const [, , refund_type, amount, shipping_amount] = params;
+                refunds.push({ refund_id: `refund-${refunds.length + 1}`, refund_type, amount, shipping_amount });
+                return rows([refunds[refunds.length - 1]]);
+            }
+            if (/INSERT INTO refund_items/.test(sql)) {
+                const [, order_item_id, , quantity, amount] = params;
+                refundItems.push({ order_item_id, quantity, amount });
+                return rows([]);
+            }
+            if (/SELECT \* FROM refunds WHERE refund_id/.test(sql)) {
+                return rows([{ ...refunds.find(refund => refund.refund_id === params[0]), status: 'pending' }]);
+            }
+            return rows([]);
+        })
+    };
+
+    return { client, refunds, refundItems };
+};
+
+describe('refund limits', () => {
+    let provider;
+
+    beforeEach(() => {
+        provider = getPaymentProvider('fake');
+        jest.spyOn(provider, 'refund').mockResolvedValue({ status: 'pending', reference: 'fake_refund_2' });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        database.transaction.mockReset();
+    });
+
+    const useOrder = (order) => {
+        database.transaction.mockImplementation(callback => callback(order.client));
+        return order;
+    };
+
+    const request = (overrides = {}) => ({ reason: 'customer_request', ...overrides });
+
+    test('items are refunded at their share of what was paid, not their list price', async () => {
+        const { refunds, refundItems } = useOrder(paidOrder());
+
+        await refundOrder(ORDER_ID, request({ items: [{ order_item_id: 2, quantity: 1 }] }), 'admin');
+
+        // 22.49 split by line totals 20.00 and 9.99 is 15.00 and 7.49
+        expect(refundItems).toEqual([{ order_item_id: 2, quantity: 1, amount: '7.49' }]);
+        expect(refunds[0]).toMatchObject({ refund_type: 'partial', amount: '7.49', shipping_amount: '0.00' });
+        expect(provider.refund).toHaveBeenCalledWith('fake_pay_1', 749);
+    });
+
+    test('partial refunds add up to exactly what was paid, shipping included', async () => {
+        const { refunds } = useOrder(paidOrder());
+
+        await refundOrder(ORDER_ID, request({ items: [{ order_item_id: 1, quantity: 1 }] }), 'admin');
+        await refundOrder(ORDER_ID, request({ items: [{ order_item_id: 2, quantity: 1 }] }), 'admin');
+        await refundOrder(ORDER_ID, request(), 'admin');
+
+        expect(refunds.map(refund => [refund.refund_type, refund.amount, refund.shipping_amount])).toEqual([
+            ['partial', '7.50', '0.00'],
+            ['partial', '7.49', '0.00'],
+            ['full', '12.50', '5.00']
+        ]);
+    });
+
+    test('units cannot be refunded twice, even while a refund is pending', async () => {
+        const { refunds } = useOrder(paidOrder());
+        await refundOrder(ORDER_ID, request({ items: [{ order_item_id: 1, quantity: 2 }] }), 'admin');
+
+        await expect(refundOrder(ORDER_ID, request({ items: [{ order_item_id: 1, quantity: 1 }] }), 'admin'))
+            .rejects.toMatchObject({
+                status: 400,
+                code: 'INVALID_REFUND_ITEMS',
+                members: { items: [{ index: 0, order_item_id: 1, error: 'Only 0 of 2 can still be refunded' }] }
+            });
+        expect(refunds).toHaveLength(1);
+    });
+
+    test('unknown order items are reported per item', async () => {
+        useOrder(paidOrder());
+
+        await expect(refundOrder(ORDER_ID, request({ items: [{ order_item_id: 99, quantity: 1 }] }), 'admin'))
+            .rejects.toMatchObject({ members: { items: [{ index: 0, order_item_id: 99, error: 'Order item not found' }] } });
+    });
+
+    test('fully refunded orders cannot be refunded again', async () => {
+        useOrder(paidOrder());
+        await refundOrder(ORDER_ID, request(), 'admin');
+
+        await expect(refundOrder(ORDER_ID, request(), 'admin'))
+            .rejects.toMatchObject({ status: 409, code: 'ALREADY_REFUNDED' });
+    });
+
+    test('orders that are not confirmed or later cannot be refunded', async () => {
+        useOrder(paidOrder({ order_status: 'cancelled' }));
+
+        await expect(refundOrder(ORDER_ID, request(), 'admin'))
+            .rejects.toMatchObject({ status: 409, code: 'ORDER_NOT_REFUNDABLE' });
+    });
+
+    test('orders without a captured payment cannot be refunded', async () => {
+        useOrder(paidOrder({}, { captured: false }));
+
+        await expect(refundOrder(ORDER_ID, request(), 'admin'))
+            .rejects.toMatchObject({ status: 409, code: 'NO_CAPTURED_PAYMENT' });
+    });
+
+    test.each([
+        [{ reason: 'changed_mind' }, 'reason must be one of'],
+        [{ items: [] }, 'items must be a non-empty array'],
+        [{ items: [{ order_item_id: 1, quantity: 0 }] }, 'positive integer quantity'],
+        [{ items: [{ order_item_id: 1, quantity: 1 }, { order_item_id: 1, quantity: 1 }] }, 'only be listed once'],
+        [{ restock: 'yes' }, 'restock must be a boolean'],
+        [{ note: 'x'.repeat(MAX_REASON_LENGTH + 1) }, 'note must be a string']
+    ])('malformed request %p is rejected before anything is recorded', async (overrides, message) => {
+        await expect(refundOrder(ORDER_ID, request(overrides), 'admin'))
+            .rejects.toMatchObject({ status: 400, message: expect.stringContaining(message) });
+        expect(database.transaction).not.toHaveBeenCalled();
+    });
+});